@@ -0,0 +1,152 @@
+const LEVELS = ['info', 'warning', 'error'];
+
+// Niveles habituales en Android y en consolas web
+const LEVEL_ALIASES = {
+    verbose: 'info',
+    debug: 'info',
+    warn: 'warning',
+    fatal: 'error',
+    crash: 'error',
+    assert: 'error'
+};
+
+const MAX_BATCH = 200;
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_METADATA_LENGTH = 16000;
+
+// Tolerancia para relojes de tablet adelantados
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class ActivityLog {
+    // onEntries(rows) recibe las entradas guardadas para el seguimiento en vivo
+    constructor(db, options = {}) {
+        this.db = db;
+        this.onEntries = options.onEntries || (() => {});
+    }
+
+    static get levels() {
+        return LEVELS;
+    }
+
+    static normalizeLevel(level) {
+        const value = String(level || 'info').toLowerCase();
+        return LEVELS.includes(value) ? value : LEVEL_ALIASES[value] || null;
+    }
+
+    // Validar una entrada enviada por una tablet. Devuelve { entry } o { error }
+    static normalize(raw, now = new Date()) {
+        if (!raw || typeof raw !== 'object') return { error: 'Entrada inválida' };
+
+        const level = ActivityLog.normalizeLevel(raw.level);
+        if (!level) return { error: `Nivel desconocido: ${raw.level}` };
+        if (typeof raw.message !== 'string' || !raw.message.trim()) return { error: 'message requerido' };
+
+        let timestamp = now;
+        if (raw.timestamp !== undefined) {
+            timestamp = new Date(raw.timestamp);
+            if (Number.isNaN(timestamp.getTime())) return { error: 'timestamp inválido' };
+            if (timestamp - now > MAX_CLOCK_SKEW_MS) timestamp = now;
+        }
+
+        let metadata = raw.metadata && typeof raw.metadata === 'object' ? raw.metadata : null;
+        if (metadata && JSON.stringify(metadata).length > MAX_METADATA_LENGTH) {
+            metadata = { truncated: true };
+        }
+
+        return {
+            entry: {
+                level,
+                category: raw.category ? String(raw.category).slice(0, 50) : null,
+                message: raw.message.slice(0, MAX_MESSAGE_LENGTH),
+                timestamp: timestamp.toISOString(),
+                metadata
+            }
+        };
+    }
+
+    // ¿Cumple una entrada los filtros de una suscripción en vivo?
+    static matches(row, filter = {}) {
+        if (filter.organizationId && row.organization_id !== filter.organizationId) return false;
+        if (filter.tabletId && row.tablet_id !== filter.tabletId) return false;
+        if (filter.levels && !filter.levels.includes(row.level)) return false;
+        if (filter.source && row.source !== filter.source) return false;
+        if (filter.category && row.category !== filter.category) return false;
+        if (filter.q) {
+            const text = `${row.message} ${row.metadata ? JSON.stringify(row.metadata) : ''}`.toLowerCase();
+            if (!text.includes(filter.q.toLowerCase())) return false;
+        }
+        return true;
+    }
+
+    // Filtros comunes a la API y al seguimiento en vivo. Devuelve { filter } o { error }.
+    // La organización la fija quien llama según el operador
+    static parseFilter({ tabletId, level, source, category, q } = {}) {
+        const levels = level
+            ? String(level).split(',').map(ActivityLog.normalizeLevel)
+            : null;
+        if (levels && levels.some(value => !value)) {
+            return { error: `level debe ser uno o varios de: ${LEVELS.join(', ')}` };
+        }
+        if (source && !['tablet', 'server'].includes(source)) {
+            return { error: 'source debe ser tablet o server' };
+        }
+
+        return {
+            filter: {
+                tabletId: tabletId || null,
+                levels,
+                source: source || null,
+                category: category || null,
+                q: q ? String(q) : null,
+                organizationId: null
+            }
+        };
+    }
+
+    // Lote de registros enviado por una tablet (evento device-logs)
+    async ingest(tabletId, entries) {
+        if (!Array.isArray(entries)) {
+            return { accepted: 0, rejected: [{ index: null, error: 'entries debe ser una lista' }] };
+        }
+        if (entries.length > MAX_BATCH) {
+            return { accepted: 0, rejected: [{ index: null, error: `Máximo ${MAX_BATCH} entradas por lote` }] };
+        }
+
+        const valid = [];
+        const rejected = [];
+        const now = new Date();
+        entries.forEach((raw, index) => {
+            const { entry, error } = ActivityLog.normalize(raw, now);
+            if (error) {
+                rejected.push({ index, error });
+            } else {
+                valid.push({ ...entry, tabletId, source: 'tablet' });
+            }
+        });
+
+        const rows = valid.length > 0 ? await this.db.insertActivity(valid) : [];
+        if (rows.length > 0) this.onEntries(rows);
+
+        return { accepted: rows.length, rejected };
+    }
+
+    // Evento del servidor (registro, desconexión, limpieza, errores de comandos)
+    async record(tabletId, level, category, message, metadata = null) {
+        const row = await this.db.logActivity(tabletId, level, message, metadata, category);
+        if (row) this.onEntries([row]);
+        return row;
+    }
+
+    // Página de resultados con cursor para la siguiente
+    async search(filter, { from = null, to = null, before = null, limit = 100 } = {}) {
+        const rows = await this.db.searchActivity({ ...filter, from, to, before, limit: limit + 1 });
+        const page = rows.slice(0, limit);
+
+        return {
+            entries: page,
+            nextCursor: rows.length > limit ? String(page[page.length - 1].id) : null
+        };
+    }
+}
+
+module.exports = ActivityLog;
@@ -0,0 +1,248 @@
+const Telemetry = require('./telemetry');
+
+// Tipos de regla y unidad de su umbral
+const RULE_TYPES = {
+    offline: 'minutos desconectada',
+    battery_low: '% de batería',
+    command_failures: 'comandos fallidos',
+    playlist_drift: 'minutos fuera de su lista'
+};
+const SEVERITIES = ['info', 'warning', 'critical'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+class AlertManager {
+    // getConnected() resuelve las tablets conectadas; getDrift() el informe de
+    // desvíos de PlaylistManager; onChange(event, alert) avisa a los paneles
+    constructor(db, options = {}) {
+        this.db = db;
+        this.notifier = options.notifier;
+        this.getConnected = options.getConnected || (() => []);
+        this.getDrift = options.getDrift || (() => []);
+        this.onChange = options.onChange || (() => {});
+        this.intervalMs = options.intervalMs
+            || parseInt(process.env.ALERT_INTERVAL_MS, 10)
+            || 60000;
+        this.timer = null;
+        this.running = false;
+    }
+
+    static get types() {
+        return Object.keys(RULE_TYPES);
+    }
+
+    // Validar una regla (completa al crear, parcial al modificar). Devuelve el error o null
+    static validateRule(rule, partial = false) {
+        const { name, type, threshold, windowMinutes, severity, webhooks, emails } = rule;
+
+        if (!partial && !name) return 'Nombre requerido';
+        if (!partial && !RULE_TYPES[type]) return `type debe ser uno de: ${AlertManager.types.join(', ')}`;
+        if ((!partial || threshold !== undefined) && !(typeof threshold === 'number' && threshold >= 0)) {
+            return 'threshold debe ser un número positivo';
+        }
+        if (windowMinutes !== undefined && !(Number.isInteger(windowMinutes) && windowMinutes > 0)) {
+            return 'windowMinutes debe ser un entero positivo';
+        }
+        if (severity !== undefined && !SEVERITIES.includes(severity)) {
+            return `severity debe ser una de: ${SEVERITIES.join(', ')}`;
+        }
+        if (webhooks !== undefined) {
+            if (!Array.isArray(webhooks)) return 'webhooks debe ser una lista de URLs';
+            for (const url of webhooks) {
+                try {
+                    if (!['http:', 'https:'].includes(new URL(url).protocol)) throw new Error();
+                } catch (err) {
+                    return `Webhook inválido: ${url}`;
+                }
+            }
+        }
+        if (emails !== undefined
+            && (!Array.isArray(emails) || emails.some(email => !EMAIL_PATTERN.test(email)))) {
+            return 'emails debe ser una lista de direcciones válidas';
+        }
+        return null;
+    }
+
+    // Evaluar todas las reglas activas
+    async evaluate(now = new Date()) {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const rules = (await this.db.getAlertRules()).filter(rule => rule.enabled);
+            for (const rule of rules) {
+                await this.evaluateRule(rule, now);
+            }
+        } catch (err) {
+            console.error('❌ Error evaluando alertas:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Abrir, refrescar o resolver las alertas de una regla según su estado actual
+    async evaluateRule(rule, now = new Date()) {
+        const { evaluated, findings } = await this.check(rule, now);
+        const active = new Map((await this.db.getActiveAlerts(rule.id)).map(alert => [alert.tablet_id, alert]));
+
+        for (const [tabletId, finding] of findings) {
+            const current = active.get(tabletId);
+            if (current) {
+                await this.db.touchAlert(current.id, finding.message, finding.details);
+                continue;
+            }
+
+            const alert = await this.db.openAlert({
+                ruleId: rule.id,
+                tabletId,
+                severity: rule.severity,
+                message: finding.message,
+                details: finding.details
+            });
+            if (alert) {
+                console.log(`🚨 Alerta abierta: ${alert.message}`);
+                this.onChange('alert-opened', alert);
+                await this.notify(rule, alert, 'opened');
+            }
+        }
+
+        // Solo se resuelven las tablets que se pudieron evaluar y ya no cumplen la condición
+        for (const [tabletId, alert] of active) {
+            if (evaluated.has(tabletId) && !findings.has(tabletId)) {
+                await this.resolve(alert.id, rule);
+            }
+        }
+    }
+
+    // Tablets evaluadas y las que cumplen la condición de la regla (tabletId -> { message, details })
+    async check(rule, now) {
+        const scope = new Set(await this.db.resolveTabletSelector(rule.selector || {}));
+        const connected = (await this.getConnected()).filter(tablet => scope.has(tablet.id));
+        const findings = new Map();
+        let evaluated = scope;
+
+        switch (rule.type) {
+            case 'offline':
+                for (const tablet of await this.db.getOfflineTablets(rule.threshold)) {
+                    if (!scope.has(tablet.id)) continue;
+                    findings.set(tablet.id, {
+                        message: `${tablet.name} lleva más de ${rule.threshold} min desconectada`,
+                        details: { lastSeen: tablet.last_seen }
+                    });
+                }
+                break;
+
+            case 'battery_low':
+                evaluated = new Set();
+                for (const tablet of connected) {
+                    const { batteryLevel, charging } = Telemetry.extract(tablet.stats);
+                    if (batteryLevel === null) continue;
+
+                    evaluated.add(tablet.id);
+                    if (batteryLevel < rule.threshold) {
+                        findings.set(tablet.id, {
+                            message: `${tablet.name} tiene la batería al ${batteryLevel}%`,
+                            details: { batteryLevel, charging }
+                        });
+                    }
+                }
+                break;
+
+            case 'command_failures': {
+                const windowMinutes = rule.window_minutes || 60;
+                for (const row of await this.db.getCommandFailureCounts(windowMinutes)) {
+                    if (!scope.has(row.tablet_id) || row.failures < rule.threshold) continue;
+                    findings.set(row.tablet_id, {
+                        message: `${row.tablet_id}: ${row.failures} comandos fallidos en ${windowMinutes} min`,
+                        details: { failures: row.failures, windowMinutes }
+                    });
+                }
+                break;
+            }
+
+            case 'playlist_drift':
+                evaluated = new Set();
+                for (const state of this.getDrift()) {
+                    if (!scope.has(state.tabletId)) continue;
+
+                    evaluated.add(state.tabletId);
+                    if (state.drifted && now - new Date(state.since) >= rule.threshold * 60000) {
+                        findings.set(state.tabletId, {
+                            message: `${state.tabletId} muestra ${state.currentUrl}, fuera de su lista de contenido`,
+                            details: { currentUrl: state.currentUrl, expected: state.expected, since: state.since }
+                        });
+                    }
+                }
+                break;
+        }
+
+        return { evaluated, findings };
+    }
+
+    // Con organizationId solo se aceptan alertas de tablets de esa organización
+    async acknowledge(alertId, operatorId, organizationId = null) {
+        const alert = await this.db.acknowledgeAlert(alertId, operatorId, organizationId);
+        if (alert) {
+            console.log(`👀 Alerta ${alertId} reconocida`);
+            this.onChange('alert-acknowledged', alert);
+        }
+        return alert;
+    }
+
+    // Resolver una alerta (automáticamente o a mano). Si la condición persiste,
+    // la siguiente evaluación abrirá una nueva
+    async resolve(alertId, rule = null, organizationId = null) {
+        const alert = await this.db.resolveAlert(alertId, organizationId);
+        if (!alert) return null;
+
+        console.log(`✅ Alerta resuelta: ${alert.message}`);
+        this.onChange('alert-resolved', alert);
+        await this.notify(rule || await this.db.getAlertRule(alert.rule_id), alert, 'resolved');
+        return alert;
+    }
+
+    async notify(rule, alert, event) {
+        if (!rule) return [];
+
+        const state = event === 'resolved' ? 'RESUELTA' : rule.severity.toUpperCase();
+        const payload = {
+            event: `alert.${event}`,
+            rule: { id: rule.id, name: rule.name, type: rule.type, severity: rule.severity },
+            alert
+        };
+        return this.notifier.send(
+            { webhooks: rule.webhooks, emails: rule.emails },
+            payload,
+            `[${state}] ${alert.message}`,
+            `${alert.message}\n\nRegla: ${rule.name} (${RULE_TYPES[rule.type]} >= ${rule.threshold})\n`
+                + `Tablet: ${alert.tablet_id}\nAbierta: ${new Date(alert.opened_at).toISOString()}\n`
+                + (alert.resolved_at ? `Resuelta: ${new Date(alert.resolved_at).toISOString()}\n` : '')
+        );
+    }
+
+    // Notificación de prueba para comprobar los destinos de una regla
+    async test(rule) {
+        const alert = {
+            id: null,
+            rule_id: rule.id,
+            tablet_id: 'prueba',
+            status: 'open',
+            severity: rule.severity,
+            message: `Prueba de la regla "${rule.name}"`,
+            opened_at: new Date().toISOString()
+        };
+        return this.notify(rule, alert, 'test');
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.evaluate(), this.intervalMs);
+        console.log(`🚨 Alertas evaluadas cada ${Math.round(this.intervalMs / 1000)}s`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = AlertManager;
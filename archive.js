@@ -0,0 +1,76 @@
+// CLI de retención y archivo:
+//   node archive.js run                aplica ahora la retención (archiva y borra)
+//   node archive.js list               muestra los archivos de ARCHIVE_DIR
+//   node archive.js restore <archivo>  vuelve a cargar un archivo .jsonl.gz en su tabla
+//
+// Las filas restauradas se conservan RETENTION_<TABLA>_DAYS días contados desde la
+// restauración; después la retención las borra sin archivarlas de nuevo (siguen en
+// el archivo original, que no se modifica)
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { createDatabase } = require('./database');
+const RetentionManager = require('./retention');
+
+async function main(command = 'list', arg) {
+    const db = createDatabase({ ...config.database, timezone: config.timezone });
+    const retention = new RetentionManager(db);
+
+    if (config.database.driver === 'memory' && !config.database.path) {
+        console.warn('⚠️  Base embebida en memoria: no hay datos que archivar ni restaurar (define DB_PATH)');
+    }
+
+    try {
+        if (!await db.ready) {
+            process.exitCode = 1;
+            return;
+        }
+
+        switch (command) {
+            case 'run': {
+                const report = await retention.run();
+                for (const result of report.tables) {
+                    console.log(`${result.table}: ${result.deleted} filas eliminadas`
+                        + (result.files.length > 0 ? `, ${result.archived} archivadas en ${result.files.join(', ')}` : ''));
+                }
+                if (report.error) process.exitCode = 1;
+                break;
+            }
+            case 'list': {
+                const archives = await retention.list();
+                if (archives.length === 0) console.log(`Sin archivos en ${retention.dir}`);
+                for (const archive of archives) {
+                    console.log(`${archive.file}  ${Math.ceil(archive.sizeBytes / 1024)} KB  ${archive.createdAt}`);
+                }
+                break;
+            }
+            case 'restore': {
+                if (!arg) {
+                    console.error('❌ Indica el archivo a restaurar (ruta o nombre dentro de ARCHIVE_DIR)');
+                    process.exitCode = 1;
+                    break;
+                }
+                // Una ruta existente se usa tal cual; si no, se busca dentro de ARCHIVE_DIR
+                const result = await retention.restore(fs.existsSync(arg) ? path.resolve(arg) : arg);
+                console.log(`✅ ${result.restored} de ${result.rows} filas restauradas en ${result.table}`
+                    + (result.restored < result.rows ? ' (el resto ya existía o su tablet fue eliminada)' : ''));
+                const { days } = retention.policies[result.table];
+                if (days > 0) {
+                    console.log(`💡 Las filas restauradas se conservan ${days} días y después se borran`
+                        + ' sin archivarlas de nuevo (siguen en el archivo original)');
+                }
+                break;
+            }
+            default:
+                console.error(`❌ Comando desconocido: ${command} (usa run, list o restore)`);
+                process.exitCode = 1;
+        }
+    } catch (err) {
+        console.error('❌', err.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+main(process.argv[2], process.argv[3]);
@@ -0,0 +1,111 @@
+const os = require('os');
+const crypto = require('crypto');
+
+// Nodo del servidor cuando se ejecutan varias instancias sobre la misma base:
+// latido en cluster_nodes, retirada de los nodos caídos (sus tablets pasan a
+// offline) y elección del nodo que ejecuta los trabajos periódicos (el vivo más
+// antiguo), para que alertas o despliegues no se evalúen una vez por instancia
+class ClusterNode {
+    // getStats() devuelve los contadores que se publican con cada latido;
+    // onRejoin() se invoca si otro nodo nos dio por caídos; onTabletsLost(tabletIds)
+    // con las tablets de nodos retirados; onLeaderChange(leader) al ganar o perder
+    // los trabajos periódicos
+    constructor(db, options = {}) {
+        this.db = db;
+        this.id = options.nodeId || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+        this.heartbeatIntervalMs = options.heartbeatIntervalMs || 5000;
+        this.nodeTimeoutMs = options.nodeTimeoutMs || 15000;
+        this.getStats = options.getStats || (() => ({}));
+        this.onRejoin = options.onRejoin || (async () => {});
+        this.onTabletsLost = options.onTabletsLost || (async () => {});
+        this.onLeaderChange = options.onLeaderChange || (() => {});
+
+        this.leader = false;
+        this.timer = null;
+        this.running = false;
+    }
+
+    // El plazo debe cubrir varios latidos para que una consulta lenta no retire un nodo sano
+    static validate({ heartbeatIntervalMs, nodeTimeoutMs }) {
+        if (nodeTimeoutMs < heartbeatIntervalMs * 2) {
+            return 'CLUSTER_NODE_TIMEOUT_MS debe ser al menos el doble de CLUSTER_HEARTBEAT_MS';
+        }
+        return null;
+    }
+
+    register() {
+        return this.db.registerClusterNode({ id: this.id, hostname: os.hostname(), pid: process.pid });
+    }
+
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const alive = await this.db.touchClusterNode(this.id, this.getStats());
+            if (alive === false) {
+                console.log(`🔌 Nodo ${this.id} dado por caído por otro nodo: volviendo a registrarse`);
+                await this.register();
+                await this.onRejoin();
+            }
+
+            const { nodes, tabletIds } = await this.db.reapClusterNodes(this.nodeTimeoutMs / 1000);
+            if (nodes.length > 0) {
+                console.log(`🪦 Nodos sin latido retirados: ${nodes.join(', ')} (${tabletIds.length} tablets offline)`);
+            }
+            if (tabletIds.length > 0) await this.onTabletsLost(tabletIds);
+
+            const [oldest] = await this.db.getClusterNodes();
+            this.setLeader(oldest?.id === this.id);
+        } catch (err) {
+            console.error('❌ Error en el latido del nodo:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    setLeader(leader) {
+        if (leader === this.leader) return;
+
+        this.leader = leader;
+        console.log(leader
+            ? `👑 Nodo ${this.id}: ejecuta los trabajos periódicos`
+            : `👥 Nodo ${this.id}: los trabajos periódicos pasan a otro nodo`);
+        this.onLeaderChange(leader);
+    }
+
+    // Nodos vivos con sus contadores, marcando este y el que ejecuta los trabajos
+    async nodes() {
+        const rows = await this.db.getClusterNodes();
+        return rows.map((row, index) => ({
+            id: row.id,
+            hostname: row.hostname,
+            pid: row.pid,
+            startedAt: row.started_at,
+            lastSeen: row.last_seen,
+            tablets: row.tablets,
+            dashboards: row.stats.dashboards || 0,
+            leader: index === 0,
+            current: row.id === this.id
+        }));
+    }
+
+    async start() {
+        if (this.timer) return;
+
+        await this.register();
+        await this.tick();
+        this.timer = setInterval(() => this.tick(), this.heartbeatIntervalMs);
+        console.log(`🛰️  Nodo ${this.id} (latido cada ${this.heartbeatIntervalMs / 1000}s)`);
+    }
+
+    // Retirarse al apagar. Devuelve las tablets que quedaron offline
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.setLeader(false);
+        return this.db.removeClusterNode(this.id);
+    }
+}
+
+module.exports = ClusterNode;
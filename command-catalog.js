@@ -0,0 +1,234 @@
+// Comandos que entienden las tablets, con sus parámetros descritos en JSON Schema
+// (el panel construye los formularios a partir de GET /api/commands/catalog).
+// Los "managed" los genera el propio servidor y no se aceptan desde el envío genérico
+const COMMANDS = {
+    'load-url': {
+        description: 'Abrir una URL en el navegador del kiosko',
+        params: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', format: 'uri', title: 'URL' }
+            },
+            required: ['url'],
+            additionalProperties: false
+        }
+    },
+    'reload': {
+        description: 'Recargar la página actual',
+        params: { type: 'object', properties: {}, additionalProperties: false }
+    },
+    'clear-cache': {
+        description: 'Borrar caché y cookies del navegador',
+        params: { type: 'object', properties: {}, additionalProperties: false }
+    },
+    'restart-app': {
+        description: 'Reiniciar la app kiosko',
+        params: { type: 'object', properties: {}, additionalProperties: false }
+    },
+    'reboot': {
+        description: 'Reiniciar el dispositivo (requiere la app como propietaria del dispositivo)',
+        params: { type: 'object', properties: {}, additionalProperties: false }
+    },
+    'set-brightness': {
+        description: 'Cambiar el brillo de la pantalla',
+        params: {
+            type: 'object',
+            properties: {
+                level: { type: 'integer', minimum: 0, maximum: 100, title: 'Brillo (%)' }
+            },
+            required: ['level'],
+            additionalProperties: false
+        }
+    },
+    'set-volume': {
+        description: 'Cambiar el volumen',
+        params: {
+            type: 'object',
+            properties: {
+                level: { type: 'integer', minimum: 0, maximum: 100, title: 'Volumen (%)' }
+            },
+            required: ['level'],
+            additionalProperties: false
+        }
+    },
+    'set-screen': {
+        description: 'Encender o apagar la pantalla',
+        params: {
+            type: 'object',
+            properties: {
+                on: { type: 'boolean', title: 'Encendida' }
+            },
+            required: ['on'],
+            additionalProperties: false
+        }
+    },
+    'show-message': {
+        description: 'Mostrar un aviso superpuesto al contenido',
+        params: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', minLength: 1, maxLength: 500, title: 'Texto' },
+                durationSeconds: { type: 'integer', minimum: 1, maximum: 3600, default: 10, title: 'Duración (segundos)' }
+            },
+            required: ['text'],
+            additionalProperties: false
+        }
+    },
+    'screenshot': {
+        description: 'Capturar la pantalla y subirla al servidor',
+        managed: 'POST /api/tablet/:id/screenshot',
+        params: { type: 'object' }
+    },
+    'collect-diagnostics': {
+        description: 'Recoger diagnósticos y subirlos al servidor',
+        managed: 'POST /api/tablet/:id/diagnostics',
+        params: { type: 'object' }
+    },
+    'set-playlist': {
+        description: 'Aplicar una lista de contenido',
+        managed: 'PUT /api/tablet/:id/playlist',
+        params: { type: 'object' }
+    },
+    'clear-playlist': {
+        description: 'Quitar la lista de contenido',
+        managed: 'PUT /api/tablet/:id/playlist',
+        params: { type: 'object' }
+    },
+    'apply-config': {
+        description: 'Aplicar un perfil de configuración',
+        managed: 'PUT /api/tablet/:id/config-profile',
+        params: { type: 'object' }
+    },
+    'clear-config': {
+        description: 'Quitar el perfil de configuración',
+        managed: 'PUT /api/tablet/:id/config-profile',
+        params: { type: 'object' }
+    },
+    'install-app': {
+        description: 'Instalar una versión de la app kiosko',
+        managed: 'POST /api/rollouts',
+        params: { type: 'object' }
+    }
+};
+
+// Comprobaciones de "format" admitidas
+const FORMATS = {
+    uri: (value) => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (err) {
+            return false;
+        }
+    }
+};
+
+class CommandCatalog {
+    // Validar un valor contra el subconjunto de JSON Schema que usa el catálogo
+    // (type, properties, required, additionalProperties, enum, minimum, maximum,
+    // minLength, maxLength, pattern, format, items, maxItems). Devuelve el error o null
+    static validateSchema(schema, value, path = 'params') {
+        const types = {
+            object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+            array: v => Array.isArray(v),
+            string: v => typeof v === 'string',
+            integer: v => Number.isInteger(v),
+            number: v => typeof v === 'number' && Number.isFinite(v),
+            boolean: v => typeof v === 'boolean'
+        };
+
+        if (schema.type && !types[schema.type](value)) {
+            return `${path} debe ser de tipo ${schema.type}`;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return `${path} debe ser uno de: ${schema.enum.join(', ')}`;
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return `${path} debe ser mayor o igual que ${schema.minimum}`;
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return `${path} debe ser menor o igual que ${schema.maximum}`;
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return `${path} debe tener al menos ${schema.minLength} caracteres`;
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return `${path} debe tener como máximo ${schema.maxLength} caracteres`;
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return `${path} no tiene el formato esperado`;
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            return `${path} debe tener formato ${schema.format}`;
+        }
+
+        if (schema.type === 'array') {
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return `${path} admite como máximo ${schema.maxItems} elementos`;
+            }
+            for (const [index, item] of value.entries()) {
+                const invalid = schema.items && CommandCatalog.validateSchema(schema.items, item, `${path}[${index}]`);
+                if (invalid) return invalid;
+            }
+        }
+
+        if (schema.type === 'object') {
+            const properties = schema.properties || {};
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) return `${path}.${key} es obligatorio`;
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (!Object.hasOwn(properties, key)) {
+                    if (schema.additionalProperties === false) return `${path}.${key} no está admitido`;
+                    continue;
+                }
+                const invalid = CommandCatalog.validateSchema(properties[key], item, `${path}.${key}`);
+                if (invalid) return invalid;
+            }
+        }
+        return null;
+    }
+
+    // Una tablet que no declara capacidades (versiones antiguas de la app) acepta cualquier comando
+    static supports(capabilities, command) {
+        return !Array.isArray(capabilities) || capabilities.includes(command);
+    }
+
+    // Capacidades declaradas en tablet-register: lista de nombres de comando. null si no las declara
+    static parseCapabilities(data = {}) {
+        if (!Array.isArray(data.capabilities)) return null;
+        return [...new Set(data.capabilities.map(String).filter(name => name.length <= 100))].slice(0, 200);
+    }
+
+    static get(command) {
+        return Object.hasOwn(COMMANDS, command) ? COMMANDS[command] : null;
+    }
+
+    // Validar un comando enviado por un operador. Devuelve el error o null
+    static validate(command, params) {
+        if (!command || typeof command !== 'string') {
+            return 'Comando requerido';
+        }
+        const definition = CommandCatalog.get(command);
+        if (!definition) {
+            return `Comando desconocido: ${command} (consulta GET /api/commands/catalog)`;
+        }
+        if (definition.managed) {
+            return `${command} lo gestiona el servidor; usa ${definition.managed}`;
+        }
+        return CommandCatalog.validateSchema(definition.params, params ?? {});
+    }
+
+    // Catálogo para el panel; con capacidades indica si la tablet admite cada comando
+    static list(capabilities) {
+        return Object.entries(COMMANDS).map(([name, definition]) => ({
+            name,
+            description: definition.description,
+            managed: !!definition.managed,
+            ...(definition.managed ? { endpoint: definition.managed } : {}),
+            params: definition.params,
+            ...(capabilities !== undefined ? { supported: CommandCatalog.supports(capabilities, name) } : {})
+        }));
+    }
+}
+
+module.exports = CommandCatalog;
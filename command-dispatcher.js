@@ -0,0 +1,315 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Estados finales de un comando
+const FINAL_STATUSES = ['succeeded', 'failed', 'timed_out', 'cancelled', 'expired'];
+
+// Límites de la espera de confirmación y de la vigencia de un comando encolado
+const MAX_TIMEOUT_SECONDS = 60 * 60;
+const MAX_EXPIRES_IN_SECONDS = 30 * 24 * 60 * 60;
+
+class CommandDispatcher {
+    // findSocket(tabletId) resuelve el socket conectado de la tablet (o un emisor
+    // hacia otro nodo) o null; onResult(result) se invoca con cada comando que llega
+    // a un estado final; announce(commandId) avisa a los demás nodos de un resultado
+    // que no esperaba este; supports(tabletId, command) indica si la tablet admite
+    // el comando (difusiones); onSent(command) se invoca con cada entrega a una tablet
+    constructor(db, options = {}) {
+        this.db = db;
+        this.findSocket = options.findSocket;
+        this.onResult = options.onResult || (() => {});
+        this.onSent = options.onSent || (() => {});
+        this.announce = options.announce || (() => {});
+        this.supports = options.supports || (async () => true);
+        this.defaultTimeoutMs = options.timeoutMs
+            || parseInt(process.env.COMMAND_TIMEOUT_MS, 10)
+            || 30000;
+
+        // Comandos en espera de confirmación: id -> { tabletId, command, timer, waiters }
+        this.pending = new Map();
+    }
+
+    static isFinal(status) {
+        return FINAL_STATUSES.includes(status);
+    }
+
+    // Validar timeoutSeconds y expiresInSeconds (opcionales) de un envío. Devuelve el error o null
+    static validateOptions({ timeoutSeconds, expiresInSeconds } = {}) {
+        const invalid = (value, max) => value !== undefined && value !== null
+            && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > max);
+
+        if (invalid(timeoutSeconds, MAX_TIMEOUT_SECONDS)) {
+            return `timeoutSeconds debe ser un número mayor que 0 y de hasta ${MAX_TIMEOUT_SECONDS}`;
+        }
+        if (invalid(expiresInSeconds, MAX_EXPIRES_IN_SECONDS)) {
+            return `expiresInSeconds debe ser un número mayor que 0 y de hasta ${MAX_EXPIRES_IN_SECONDS}`;
+        }
+        return null;
+    }
+
+    // Milisegundos entre la entrega de un comando y su resultado (fila de command_logs)
+    static duration(row) {
+        if (!row?.delivered_at || !row.completed_at) return null;
+        return Math.max(0, new Date(row.completed_at) - new Date(row.delivered_at));
+    }
+
+    // Resumen de un informe de difusión por estado
+    static summarize(report) {
+        return report.reduce((summary, entry) => {
+            summary[entry.status] = (summary[entry.status] || 0) + 1;
+            return summary;
+        }, { total: report.length });
+    }
+
+    // Enviar un comando a una tablet. Si está desconectada se encola hasta su próximo
+    // registro (salvo queue: false). loggedParams sustituye a params en el historial
+    // para no guardar datos sensibles (los encolados guardan params, que hacen falta
+    // para entregarlos). Devuelve null si no se pudo entregar ni encolar
+    async dispatch({
+        tabletId, command, params, operatorId = null, sourceIp = null,
+        timeoutMs, queue = true, expiresInSeconds, loggedParams = params
+    }) {
+        const socket = await this.findSocket(tabletId);
+        const id = uuidv4();
+        const now = new Date();
+        const entry = {
+            commandId: id,
+            tabletId,
+            command,
+            params: loggedParams,
+            timestamp: now.toISOString(),
+            sourceIp,
+            operatorId,
+            timeoutMs: timeoutMs || null
+        };
+
+        if (!socket) {
+            if (!queue || !await this.tabletExists(tabletId)) return null;
+
+            const expiresAt = expiresInSeconds
+                ? new Date(now.getTime() + expiresInSeconds * 1000).toISOString()
+                : null;
+            const row = await this.db.logCommand({ ...entry, params, status: 'queued', expiresAt });
+            if (!row) return null;
+
+            console.log(`📥 Comando encolado para ${tabletId}: ${command} (${id})`);
+            return { id, tabletId, command, params, status: 'queued', expiresAt };
+        }
+
+        const timeout = timeoutMs || this.defaultTimeoutMs;
+        const timeoutAt = new Date(now.getTime() + timeout).toISOString();
+
+        // Registrar antes de emitir para que una respuesta inmediata encuentre la fila
+        await this.db.logCommand({ ...entry, timeoutAt });
+        this.send(socket, { id, tabletId, command, params }, timeout);
+
+        return { id, tabletId, command, params, status: 'pending', timeoutAt };
+    }
+
+    // Enviar el mismo comando a todas las tablets que cumplan el selector.
+    // Devuelve un informe de entrega por tablet (las que no admiten el comando se omiten)
+    async broadcast(selector, commandInfo) {
+        const tabletIds = await this.db.resolveTabletSelector(selector);
+        const report = [];
+
+        for (const tabletId of tabletIds) {
+            if (!await this.supports(tabletId, commandInfo.command)) {
+                report.push({ tabletId, commandId: null, status: 'unsupported' });
+                continue;
+            }
+
+            const sent = await this.dispatch({ ...commandInfo, tabletId });
+            report.push({
+                tabletId,
+                commandId: sent ? sent.id : null,
+                status: sent ? sent.status : 'not_delivered'
+            });
+        }
+
+        console.log(`📣 Comando ${commandInfo.command} difundido a ${report.length} tablets`);
+        return report;
+    }
+
+    // Solo se encola para tablets registradas que no estén dadas de baja
+    tabletExists(tabletId) {
+        return new Promise(resolve => this.db.getTablet(tabletId, tablet => resolve(!!tablet && !tablet.decommissioned_at)));
+    }
+
+    send(socket, { id, tabletId, command, params }, timeout) {
+        this.pending.set(id, {
+            tabletId,
+            command,
+            waiters: [],
+            timer: setTimeout(() => this.expire(id), timeout)
+        });
+
+        socket.emit('remote-command', { id, command, params });
+        this.onSent(command);
+        this.db.updateDailyStats(tabletId, 'command');
+        console.log(`📤 Comando enviado a ${tabletId}: ${command} (${id})`);
+    }
+
+    // Entregar en orden los comandos encolados cuando la tablet se registra
+    async deliverQueued(tabletId) {
+        const socket = await this.findSocket(tabletId);
+        if (!socket) return 0;
+
+        const rows = await this.db.claimQueuedCommands(tabletId, this.defaultTimeoutMs);
+        for (const row of rows) {
+            this.send(socket, {
+                id: row.command_id,
+                tabletId,
+                command: row.command,
+                params: row.params
+            }, row.timeout_ms || this.defaultTimeoutMs);
+        }
+
+        if (rows.length > 0) {
+            console.log(`📬 ${rows.length} comandos en cola entregados a ${tabletId}`);
+        }
+        return rows.length;
+    }
+
+    // Cancelar un comando que aún no se entregó
+    async cancel(id) {
+        const row = await this.db.cancelQueuedCommand(id);
+        if (!row) return null;
+
+        this.onResult({
+            id,
+            tabletId: row.tablet_id,
+            command: row.command,
+            status: 'cancelled',
+            success: false,
+            message: 'Comando cancelado',
+            timestamp: new Date().toISOString()
+        });
+        return row;
+    }
+
+    // Resultado recibido desde la tablet (evento command-executed)
+    async handleResult(tabletId, { id, command, success, message }) {
+        const commandId = id || this.findLegacyPending(tabletId, command);
+        const entry = commandId && this.pending.get(commandId);
+
+        // Ignorar resultados de comandos ajenos a esta tablet
+        if (entry && entry.tabletId !== tabletId) return null;
+
+        const status = success ? 'succeeded' : 'failed';
+        const row = commandId
+            ? await this.db.updateCommandResult(commandId, tabletId, { status, success: !!success, response: message })
+            : null;
+
+        const result = {
+            id: commandId || null,
+            tabletId,
+            command: row?.command || command || entry?.command,
+            status: row ? row.status : status,
+            success: !!success,
+            message,
+            durationMs: CommandDispatcher.duration(row),
+            timestamp: new Date().toISOString()
+        };
+
+        // Sin espera en este nodo, el comando lo envió otro
+        if (entry) {
+            this.settle(commandId, row);
+        } else if (row) {
+            this.announce(commandId);
+        }
+        this.onResult(result);
+        return result;
+    }
+
+    // Otro nodo recibió el resultado de un comando enviado desde este
+    async settleAnnounced(id) {
+        if (!this.pending.has(id)) return;
+
+        const row = await this.db.getCommand(id);
+        if (row && CommandDispatcher.isFinal(row.status)) this.settle(id, row);
+    }
+
+    // Tablets antiguas no devuelven el ID: usar el pendiente más antiguo del mismo comando
+    findLegacyPending(tabletId, command) {
+        for (const [id, entry] of this.pending) {
+            if (entry.tabletId === tabletId && entry.command === command) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    async expire(id) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+
+        const row = await this.db.updateCommandResult(id, entry.tabletId, {
+            status: 'timed_out',
+            success: false,
+            response: 'Sin respuesta de la tablet'
+        });
+
+        // Ya no estaba pendiente: otro nodo recibió el resultado
+        if (!row) {
+            this.settle(id, await this.db.getCommand(id));
+            return;
+        }
+        console.log(`⏱️  Comando sin respuesta: ${entry.command} → ${entry.tabletId} (${id})`);
+
+        this.settle(id, row);
+        this.onResult({
+            id,
+            tabletId: entry.tabletId,
+            command: entry.command,
+            status: 'timed_out',
+            success: false,
+            message: 'Sin respuesta de la tablet',
+            durationMs: CommandDispatcher.duration(row),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    settle(id, row) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        this.pending.delete(id);
+        entry.waiters.forEach(resolve => resolve(row));
+    }
+
+    // Esperar a que un comando entregado llegue a un estado final (o a que venza la espera)
+    async waitForResult(id, maxWaitMs) {
+        const entry = this.pending.get(id);
+        if (!entry) return this.db.getCommand(id);
+
+        const settled = new Promise(resolve => entry.waiters.push(resolve));
+        const timedOut = new Promise(resolve => setTimeout(resolve, maxWaitMs, null).unref());
+        const row = await Promise.race([settled, timedOut]);
+
+        return row || this.db.getCommand(id);
+    }
+
+    // Marcar como vencidos los comandos que quedaron pendientes (p. ej. tras un reinicio)
+    // y como caducados los que esperaban en cola más allá de su vigencia
+    async expireStale() {
+        const count = await this.db.expirePendingCommands([...this.pending.keys()]);
+        if (count > 0) {
+            console.log(`⏱️  ${count} comandos pendientes marcados como vencidos`);
+        }
+
+        const expired = await this.db.expireQueuedCommands();
+        if (expired > 0) {
+            console.log(`🗑️  ${expired} comandos en cola caducados`);
+        }
+    }
+
+    // Cancelar temporizadores al apagar el servidor
+    stop() {
+        for (const entry of this.pending.values()) {
+            clearTimeout(entry.timer);
+        }
+        this.pending.clear();
+    }
+}
+
+module.exports = CommandDispatcher;
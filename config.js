@@ -0,0 +1,69 @@
+// Configuración del servidor a partir de variables de entorno
+
+function toInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+const env = process.env;
+
+module.exports = {
+    port: toInt(env.PORT, 3000),
+    domain: env.DOMAIN || 'kiosk.comunsoft.com',
+
+    // Zona horaria para fechas locales y programaciones
+    timezone: env.TIMEZONE || 'America/Mexico_City',
+
+    database: {
+        // 'postgres' (por defecto) o 'memory' (PostgreSQL embebido, sin servidor)
+        driver: env.DB_DRIVER || 'postgres',
+
+        // PostgreSQL: DATABASE_URL tiene prioridad sobre los campos sueltos.
+        // Lo que no se indique lo resuelve pg con sus variables PG* estándar
+        connectionString: env.DATABASE_URL,
+        host: env.DB_HOST || 'localhost',
+        port: toInt(env.DB_PORT, 5432),
+        database: env.DB_NAME || 'kiosk',
+        user: env.DB_USER,
+        password: env.DB_PASSWORD,
+        ssl: env.DB_SSL === 'true' ? { rejectUnauthorized: env.DB_SSL_REJECT_UNAUTHORIZED !== 'false' } : undefined,
+        max: toInt(env.DB_POOL_MAX, 20),
+        idleTimeoutMillis: toInt(env.DB_IDLE_TIMEOUT_MS, 30000),
+        connectionTimeoutMillis: toInt(env.DB_CONNECT_TIMEOUT_MS, 2000),
+
+        // Embebido: directorio de datos; sin él, todo vive en memoria y se pierde al salir
+        path: env.DB_PATH,
+
+        // Aplicar migraciones pendientes al arrancar. Por defecto solo con la base
+        // embebida; en PostgreSQL se ejecuta "npm run migrate" de forma explícita
+        autoMigrate: env.DB_AUTO_MIGRATE
+            ? env.DB_AUTO_MIGRATE === 'true'
+            : (env.DB_DRIVER || 'postgres') === 'memory'
+    },
+
+    // Varias instancias detrás de un balanceador (con sesiones persistentes para el
+    // sondeo HTTP de Socket.IO). CLUSTER_ADAPTER=postgres reparte los eventos entre
+    // nodos con LISTEN/NOTIFY; con 'none' cada instancia solo llega a sus conexiones
+    cluster: {
+        adapter: env.CLUSTER_ADAPTER || 'none',
+        nodeId: env.NODE_ID,
+        heartbeatIntervalMs: toInt(env.CLUSTER_HEARTBEAT_MS, 5000),
+        nodeTimeoutMs: toInt(env.CLUSTER_NODE_TIMEOUT_MS, 15000)
+    },
+
+    // Métricas Prometheus en /metrics. Con METRICS_TOKEN se exige
+    // "Authorization: Bearer <token>"; sin él, el endpoint es público
+    metrics: {
+        token: env.METRICS_TOKEN || null
+    },
+
+    // Correo saliente para notificaciones. Sin SMTP_HOST no se envían correos
+    smtp: {
+        host: env.SMTP_HOST,
+        port: toInt(env.SMTP_PORT, 587),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        password: env.SMTP_PASSWORD,
+        from: env.SMTP_FROM || 'kiosk@comunsoft.com'
+    }
+};
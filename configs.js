@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DOMAIN_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+// Ajustes admitidos en un perfil: validación (error o null) y forma normalizada.
+// El orden de las claves fija el orden de los ajustes enviados a la tablet
+const SETTINGS = {
+    homeUrl: {
+        validate: (value) => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'homeUrl debe ser http o https';
+            } catch (err) {
+                return 'homeUrl inválida';
+            }
+        },
+        normalize: (value) => new URL(value).href
+    },
+    brightness: {
+        validate: (value) => Number.isInteger(value) && value >= 0 && value <= 100
+            ? null : 'brightness debe ser un entero entre 0 y 100',
+        normalize: (value) => value
+    },
+    volume: {
+        validate: (value) => Number.isInteger(value) && value >= 0 && value <= 100
+            ? null : 'volume debe ser un entero entre 0 y 100',
+        normalize: (value) => value
+    },
+    // Horario de pantalla encendida: { start: 'HH:MM', end: 'HH:MM', days?: [0-6] }
+    screenOn: {
+        validate: (value) => {
+            if (!value || !TIME_PATTERN.test(value.start) || !TIME_PATTERN.test(value.end)) {
+                return 'screenOn requiere start y end en formato HH:MM';
+            }
+            if (value.days !== undefined
+                && (!Array.isArray(value.days) || value.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+                return 'screenOn.days debe ser una lista de 0 (domingo) a 6';
+            }
+            return null;
+        },
+        normalize: (value) => ({
+            start: value.start,
+            end: value.end,
+            ...(value.days ? { days: [...new Set(value.days)].sort((a, b) => a - b) } : {})
+        })
+    },
+    // Dominios que puede abrir el navegador del kiosko (admite "*.dominio.com")
+    allowedDomains: {
+        validate: (value) => {
+            if (!Array.isArray(value) || value.length > 100) {
+                return 'allowedDomains debe ser una lista (máximo 100)';
+            }
+            const invalid = value.find(domain => !DOMAIN_PATTERN.test(String(domain).trim().toLowerCase()));
+            return invalid !== undefined ? `Dominio inválido en allowedDomains: ${invalid}` : null;
+        },
+        normalize: (value) => [...new Set(value.map(domain => String(domain).trim().toLowerCase()))].sort()
+    },
+    // El PIN nunca se guarda ni se envía en claro (los parámetros de comandos quedan en el historial)
+    adminPin: {
+        key: 'adminPinHash',
+        validate: (value) => /^\d{4,8}$/.test(value) ? null : 'adminPin debe tener entre 4 y 8 dígitos',
+        normalize: (value) => crypto.createHash('sha256').update(String(value)).digest('hex')
+    }
+};
+
+// Clave con la que se guarda cada ajuste (adminPin se guarda como adminPinHash)
+const STORED_KEYS = Object.entries(SETTINGS).map(([name, setting]) => setting.key || name);
+
+// Lo que ven del hash del PIN los operadores de una organización, los paneles y el
+// historial de comandos: un PIN de 4 a 8 dígitos se saca del hash por fuerza bruta
+const REDACTED = '********';
+
+class ConfigManager {
+    // dispatch(commandInfo) es CommandDispatcher.dispatch; onChange(state) avisa a
+    // los paneles cuando una tablet conectada cambia de estado de configuración
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dispatch = options.dispatch;
+        this.onChange = options.onChange || (() => {});
+
+        // Último estado calculado de cada tablet conectada con perfil
+        this.states = new Map();
+    }
+
+    // Validar ajustes de un perfil o de las excepciones de una tablet. Devuelve el error o null
+    static validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return 'settings debe ser un objeto';
+        }
+
+        const keys = Object.keys(settings);
+        if (keys.length === 0) {
+            return 'settings no puede estar vacío';
+        }
+        for (const key of keys) {
+            if (!SETTINGS[key]) {
+                return `Ajuste desconocido: ${key} (admitidos: ${Object.keys(SETTINGS).join(', ')})`;
+            }
+            const invalid = SETTINGS[key].validate(settings[key]);
+            if (invalid) return invalid;
+        }
+        return null;
+    }
+
+    // Ajustes ya validados a su forma guardada
+    static normalize(settings) {
+        const normalized = {};
+        for (const [name, setting] of Object.entries(SETTINGS)) {
+            if (settings[name] !== undefined) {
+                normalized[setting.key || name] = setting.normalize(settings[name]);
+            }
+        }
+        return normalized;
+    }
+
+    // Ajustes con el hash del PIN oculto
+    static redact(settings) {
+        if (!settings || settings.adminPinHash === undefined) return settings;
+        return { ...settings, adminPinHash: REDACTED };
+    }
+
+    // Estado de describe() con el hash del PIN oculto
+    static redactState(state) {
+        return {
+            ...state,
+            settings: ConfigManager.redact(state.settings),
+            overrides: ConfigManager.redact(state.overrides),
+            differences: state.differences.map(difference => (difference.key === 'adminPinHash'
+                ? { ...difference, expected: REDACTED, actual: REDACTED }
+                : difference))
+        };
+    }
+
+    // JSON con las claves ordenadas: JSONB no conserva el orden de las claves
+    static canonical(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ConfigManager.canonical(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${ConfigManager.canonical(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    // Configuración efectiva: perfil con las excepciones de la tablet encima
+    static effective(profileSettings, overrides) {
+        const merged = { ...profileSettings, ...(overrides || {}) };
+        const settings = {};
+        for (const key of STORED_KEYS) {
+            if (merged[key] !== undefined) settings[key] = merged[key];
+        }
+        return settings;
+    }
+
+    // Versión de la configuración efectiva: versión del perfil más un resumen del
+    // contenido, para que una excepción nueva también cuente como cambio
+    static versionOf(profileVersion, settings) {
+        const digest = crypto.createHash('sha256').update(ConfigManager.canonical(settings)).digest('hex');
+        return `v${profileVersion}-${digest.substring(0, 8)}`;
+    }
+
+    // Configuración que informa la tablet: { config: { version, settings } } o
+    // configVersion suelto. null si no informa ninguna
+    static parseReport(data = {}) {
+        const version = data.config?.version ?? data.configVersion;
+        if (!version) return null;
+
+        const reported = data.config?.settings;
+        const settings = {};
+        if (reported && typeof reported === 'object') {
+            // Solo se conservan los ajustes conocidos y bien formados
+            for (const [name, setting] of Object.entries(SETTINGS)) {
+                const key = setting.key || name;
+                if (reported[key] !== undefined && (setting.key || !setting.validate(reported[key]))) {
+                    settings[key] = setting.key ? String(reported[key]) : setting.normalize(reported[key]);
+                }
+            }
+        }
+        return { version: String(version).substring(0, 50), settings: reported ? settings : null };
+    }
+
+    // Comparar lo esperado con lo informado:
+    // unknown (nunca informó), outdated (otra versión), drifted (misma versión
+    // pero algún valor cambiado en el dispositivo) o in_sync
+    static compare(expected, version, reported) {
+        if (!version) return { status: 'unknown', differences: [] };
+        if (version !== expected.version) return { status: 'outdated', differences: [] };
+
+        const differences = Object.keys(expected.settings)
+            .filter(key => reported && reported[key] !== undefined
+                && ConfigManager.canonical(reported[key]) !== ConfigManager.canonical(expected.settings[key]))
+            .map(key => ({ key, expected: expected.settings[key], actual: reported[key] }));
+
+        return { status: differences.length > 0 ? 'drifted' : 'in_sync', differences };
+    }
+
+    // Estado completo de una fila de getTabletConfigs
+    static describe(row) {
+        const settings = ConfigManager.effective(row.profile_settings, row.config_overrides);
+        const expected = { version: ConfigManager.versionOf(row.profile_version, settings), settings };
+        const { status, differences } = ConfigManager.compare(expected, row.config_version, row.config_reported);
+
+        return {
+            tabletId: row.tablet_id,
+            name: row.name,
+            online: row.status === 'online',
+            profileId: row.profile_id,
+            profileName: row.profile_name,
+            assignedVia: row.assigned_via,
+            overrides: row.config_overrides,
+            version: expected.version,
+            settings,
+            reportedVersion: row.config_version,
+            reportedAt: row.config_reported_at,
+            status,
+            differences
+        };
+    }
+
+    // Configuración esperada y estado de una tablet (null si no tiene perfil)
+    async resolve(tabletId) {
+        const [row] = await this.db.getTabletConfigs(tabletId);
+        return row ? ConfigManager.describe(row) : null;
+    }
+
+    // Estado de todas las tablets con perfil, opcionalmente filtrado por estado
+    async report(status = null) {
+        const rows = await this.db.getTabletConfigs();
+        const states = rows.map(row => ConfigManager.describe(row));
+        return status ? states.filter(state => state.status === status) : states;
+    }
+
+    // Enviar a la tablet su configuración efectiva (o retirarla si ya no tiene perfil)
+    async sync(tabletId) {
+        const state = await this.resolve(tabletId);
+        const previous = this.states.get(tabletId);
+
+        if (!state) {
+            this.states.delete(tabletId);
+            if (previous) {
+                await this.dispatch({ tabletId, command: 'clear-config', params: {}, queue: false });
+            }
+            return null;
+        }
+
+        const params = { profileId: state.profileId, version: state.version, settings: state.settings };
+        await this.dispatch({
+            tabletId,
+            command: 'apply-config',
+            params,
+            loggedParams: { ...params, settings: ConfigManager.redact(state.settings) },
+            // Al reconectar se vuelve a enviar, no hace falta encolar
+            queue: false
+        });
+        this.update(state);
+        return state;
+    }
+
+    async syncMany(tabletIds) {
+        for (const tabletId of tabletIds) {
+            await this.sync(tabletId);
+        }
+        return tabletIds.length;
+    }
+
+    // Guardar la configuración informada por la tablet y recalcular su estado
+    async handleReport(tabletId, report) {
+        await this.db.setTabletConfigReport(tabletId, report.version, report.settings);
+
+        const state = await this.resolve(tabletId);
+        if (state) this.update(state);
+        return state;
+    }
+
+    // Avisar solo cuando el estado cambia respecto a la última comprobación
+    update(state) {
+        const previous = this.states.get(state.tabletId);
+        this.states.set(state.tabletId, state.status);
+        if (previous === state.status) return;
+
+        if (state.status === 'drifted') {
+            console.log(`⚠️  ${state.name} tiene ajustes distintos a su perfil: ${state.differences.map(d => d.key).join(', ')}`);
+        }
+        this.onChange(state);
+    }
+
+    forget(tabletId) {
+        this.states.delete(tabletId);
+    }
+}
+
+module.exports = ConfigManager;
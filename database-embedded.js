@@ -0,0 +1,87 @@
+const Database = require('./database-postgres');
+
+// Pool compatible con el de pg sobre PGlite (PostgreSQL compilado a WebAssembly).
+// PGlite tiene una sola conexión, así que connect() la reserva en exclusiva hasta
+// release() para que las transacciones no se mezclen con otras consultas
+class EmbeddedPool {
+    constructor(path) {
+        // Se carga bajo demanda para no exigir el paquete a quien usa PostgreSQL
+        const { PGlite } = require('@electric-sql/pglite');
+
+        this.pglite = path ? new PGlite(path) : new PGlite();
+        this.lock = Promise.resolve();
+        this.totalCount = 1;
+        this.idleCount = 1;
+        this.waitingCount = 0;
+    }
+
+    acquire() {
+        let release;
+        const next = new Promise(resolve => { release = resolve; });
+        const previous = this.lock;
+        this.lock = previous.then(() => next);
+
+        this.waitingCount++;
+        return previous.then(() => {
+            this.waitingCount--;
+            this.idleCount = 0;
+            return () => {
+                this.idleCount = 1;
+                release();
+            };
+        });
+    }
+
+    async run(text, params) {
+        const result = await this.pglite.query(text, params || []);
+        return {
+            rows: result.rows,
+            // pg informa filas afectadas en escrituras y filas devueltas en lecturas
+            rowCount: Math.max(result.affectedRows || 0, result.rows.length)
+        };
+    }
+
+    async query(text, params) {
+        const release = await this.acquire();
+        try {
+            return await this.run(text, params);
+        } finally {
+            release();
+        }
+    }
+
+    async connect() {
+        const release = await this.acquire();
+        return {
+            query: (text, params) => this.run(text, params),
+            release
+        };
+    }
+
+    // PGlite no emite errores de conexión en segundo plano
+    on() {}
+
+    async end() {
+        await this.pglite.close();
+    }
+}
+
+// Almacenamiento embebido: mismo SQL y mismos métodos que Database, sin servidor.
+// Pensado para desarrollo local, demos y pruebas automatizadas
+class EmbeddedDatabase extends Database {
+    constructor(options = {}) {
+        super({ ...options, database: options.path || 'memoria' });
+        this.label = 'PostgreSQL embebido';
+    }
+
+    createPool(options) {
+        return new EmbeddedPool(options.path);
+    }
+
+    // Un solo proceso: las notificaciones llegan por la misma conexión
+    async listen(channel, handler) {
+        await this.pool.pglite.listen(channel, handler);
+    }
+}
+
+module.exports = EmbeddedDatabase;
@@ -1,247 +1,3059 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 
+// Implementación de almacenamiento sobre PostgreSQL. Es la referencia de la
+// interfaz de almacenamiento: otros adaptadores exponen estos mismos métodos
 class Database {
-    constructor() {
-        // Configuración de conexión a PostgreSQL existente
-        this.pool = new Pool({
-            host: 'localhost',
-            port: 5432,
-            database: 'kiosk',  // Nueva base que crearás en tu PostgreSQL
-            user: 'Comunsoft',
-            password: 'Cornershop1!',
-            max: 20,
-            idleTimeoutMillis: 30000,
-            connectionTimeoutMillis: 2000,
+    // options: ver la sección "database" de config.js
+    constructor(options = {}) {
+        this.options = options;
+        this.name = options.database || 'kiosk';
+        this.label = 'PostgreSQL';
+
+        // Zona horaria para fechas locales y programaciones
+        this.timezone = options.timezone || 'America/Mexico_City';
+
+        this.pool = this.createPool(options);
+
+        // Conexiones dedicadas a LISTEN (ver listen())
+        this.listeners = [];
+        this.closing = false;
+
+        this.pool.on('error', (err) => {
+            console.error(`❌ Error inesperado en cliente ${this.label}:`, err);
+        });
+
+        // Promesa que se resuelve (true/false) al comprobar la conexión
+        this.ready = this.initConnection();
+    }
+
+    // Crear el pool de conexiones (los adaptadores embebidos lo sustituyen)
+    createPool(options) {
+        return new Pool({
+            connectionString: options.connectionString,
+            host: options.host,
+            port: options.port,
+            database: options.database,
+            user: options.user,
+            password: options.password,
+            ssl: options.ssl,
+            max: options.max,
+            idleTimeoutMillis: options.idleTimeoutMillis,
+            connectionTimeoutMillis: options.connectionTimeoutMillis,
         });
+    }
+
+    async initConnection() {
+        try {
+            const client = await this.pool.connect();
+            console.log(`✅ Conectado a ${this.label} - Base: ${this.name}`);
+            client.release();
+            
+            // El esquema lo gestionan las migraciones (ver migrator.js)
+            return true;
+        } catch (err) {
+            console.error(`❌ Error conectando a ${this.label}:`, err.message);
+            console.error('💡 Asegúrate de que:');
+            console.error('   1. PostgreSQL esté ejecutándose');
+            console.error(`   2. La base "${this.name}" exista`);
+            console.error('   3. Las credenciales (DB_USER / DB_PASSWORD o DATABASE_URL) sean correctas');
+            console.error('   (o usa DB_DRIVER=memory para una base embebida sin servidor)');
+            return false;
+        }
+    }
+
+    // Deshacer la transacción de un cliente tras un error. Si no se llegó a conectar
+    // o la conexión ya se perdió no hay nada que deshacer
+    async rollback(client) {
+        if (!client) return;
+        try {
+            await client.query('ROLLBACK');
+        } catch (err) {
+            console.error(`❌ Error deshaciendo transacción en ${this.label}:`, err.message);
+        }
+    }
+
+    // Actualizar información de tablet (la fila la crea el enrolamiento, que fija su organización)
+    async updateTablet(tabletInfo) {
+        const { id, name, ip, status, currentUrl, lastSeen, uptime, stats } = tabletInfo;
+        
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablets SET
+                    name = CASE WHEN name_locked THEN name ELSE $2 END,
+                    ip = $3,
+                    status = $4,
+                    current_url = $5,
+                    last_seen = $6,
+                    uptime = $7,
+                    stats = $8,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING name, organization_id
+            `, [id, name, ip, status, currentUrl, lastSeen, uptime, JSON.stringify(stats)]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando tablet:', err.message);
+            return null;
+        }
+    }
+
+    // Obtener todas las tablets
+    async getAllTablets(callback) {
+        try {
+            const result = await this.pool.query(`
+                SELECT *, 
+                       last_seen AT TIME ZONE $1 as last_seen_local
+                FROM tablets 
+                ORDER BY updated_at DESC
+            `, [this.timezone]);
+            
+            const tablets = result.rows.map(row => ({
+                ...row,
+                stats: row.stats || {}
+            }));
+            callback(tablets);
+        } catch (err) {
+            console.error('❌ Error obteniendo tablets:', err.message);
+            callback([]);
+        }
+    }
+
+    // Obtener tablet por ID
+    async getTablet(tabletId, callback) {
+        try {
+            const result = await this.pool.query(`
+                SELECT *, 
+                       last_seen AT TIME ZONE $2 as last_seen_local
+                FROM tablets 
+                WHERE id = $1
+            `, [tabletId, this.timezone]);
+            
+            if (result.rows.length > 0) {
+                const tablet = {
+                    ...result.rows[0],
+                    stats: result.rows[0].stats || {}
+                };
+                callback(tablet);
+            } else {
+                callback(null);
+            }
+        } catch (err) {
+            console.error('❌ Error obteniendo tablet:', err.message);
+            callback(null);
+        }
+    }
+
+    // Buscar en el inventario con filtros, orden y página. connectedIds son las
+    // tablets conectadas ahora (la columna status puede quedar desfasada tras un reinicio)
+    async searchTablets({
+        tabletId = null, q = null, status = null, groupId = null, group = null, tag = null,
+        version = null, organizationId = null, siteId = null, sort = 'name', order = 'asc', limit = 100, offset = 0,
+        includeDecommissioned = false, connectedIds = []
+    }) {
+        const sorts = {
+            name: 't.name',
+            id: 't.id',
+            status: '(t.id = ANY($1::varchar[]))',
+            lastSeen: 't.last_seen',
+            createdAt: 't.created_at',
+            version: 't.app_version_code',
+            location: 't.location'
+        };
+        const direction = order === 'desc' ? 'DESC' : 'ASC';
+
+        try {
+            const result = await this.pool.query(`
+                SELECT t.*,
+                       COUNT(*) OVER () AS total,
+                       (SELECT name FROM organizations WHERE id = t.organization_id) AS organization_name,
+                       (SELECT name FROM sites WHERE id = t.site_id) AS site_name,
+                       COALESCE((
+                           SELECT json_agg(json_build_object('id', g.id, 'name', g.name) ORDER BY g.name)
+                           FROM tablet_group_members m
+                           JOIN tablet_groups g ON g.id = m.group_id
+                           WHERE m.tablet_id = t.id
+                       ), '[]'::json) AS groups
+                FROM tablets t
+                WHERE ($2::varchar IS NULL OR t.id = $2)
+                  AND ($3::boolean OR t.decommissioned_at IS NULL)
+                  AND ($4::text IS NULL
+                       OR t.id ILIKE '%' || $4 || '%'
+                       OR t.name ILIKE '%' || $4 || '%'
+                       OR t.location ILIKE '%' || $4 || '%'
+                       OR t.notes ILIKE '%' || $4 || '%'
+                       OR t.ip ILIKE '%' || $4 || '%')
+                  AND ($5::varchar IS NULL
+                       OR ($5 = 'decommissioned' AND t.decommissioned_at IS NOT NULL)
+                       OR ($5 = 'online' AND t.decommissioned_at IS NULL AND t.id = ANY($1::varchar[]))
+                       OR ($5 = 'offline' AND t.decommissioned_at IS NULL AND NOT (t.id = ANY($1::varchar[]))))
+                  AND ($6::int IS NULL OR EXISTS (
+                        SELECT 1 FROM tablet_group_members m
+                        WHERE m.tablet_id = t.id AND m.group_id = $6))
+                  AND ($7::varchar IS NULL OR EXISTS (
+                        SELECT 1 FROM tablet_group_members m
+                        JOIN tablet_groups g ON g.id = m.group_id
+                        WHERE m.tablet_id = t.id AND g.name = $7))
+                  AND ($8::text IS NULL OR $8 = ANY(t.tags))
+                  AND ($9::text IS NULL OR t.app_version_name = $9 OR t.app_version_code::text = $9)
+                  AND ($12::int IS NULL OR t.organization_id = $12)
+                  AND ($13::int IS NULL OR t.site_id = $13)
+                ORDER BY ${sorts[sort] || sorts.name} ${direction} NULLS LAST, t.id
+                LIMIT $10 OFFSET $11
+            `, [connectedIds, tabletId, includeDecommissioned, q, status, groupId, group, tag, version, limit, offset,
+                organizationId, siteId]);
+
+            return {
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total, 10) : 0,
+                rows: result.rows.map(({ total, ...row }) => ({ ...row, stats: row.stats || {} }))
+            };
+        } catch (err) {
+            console.error('❌ Error buscando en el inventario:', err.message);
+            return { total: 0, rows: [] };
+        }
+    }
+
+    // Editar nombre, ubicación y notas. Un nombre editado ya no lo cambia la tablet
+    async updateTabletMetadata(tabletId, { name, location, notes }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablets SET
+                    name = COALESCE($2, name),
+                    name_locked = name_locked OR $2 IS NOT NULL,
+                    location = CASE WHEN $3 THEN $4 ELSE location END,
+                    notes = CASE WHEN $5 THEN $6 ELSE notes END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, name, location, notes
+            `, [tabletId, name ?? null, location !== undefined, location ?? null, notes !== undefined, notes ?? null]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando datos de la tablet:', err.message);
+            return null;
+        }
+    }
+
+    // Cambiar la sede de una tablet o, desde la plataforma, su organización. Al cambiar
+    // de organización sale de los grupos de la anterior y pierde su lista y su perfil
+    // si eran de ella. null si no existe
+    async setTabletOrganization(tabletId, { organizationId, siteId }) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE tablets SET
+                    organization_id = COALESCE($2, organization_id),
+                    site_id = $3,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, organization_id, site_id
+            `, [tabletId, organizationId ?? null, siteId ?? null]);
+            if (result.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const groups = await client.query(`
+                DELETE FROM tablet_group_members m
+                USING tablet_groups g
+                WHERE g.id = m.group_id AND m.tablet_id = $1 AND g.organization_id <> $2
+                RETURNING m.group_id
+            `, [tabletId, result.rows[0].organization_id]);
+            await client.query(`
+                UPDATE tablets SET
+                    playlist_id = CASE WHEN playlist_id IN (SELECT id FROM playlists WHERE organization_id = $2)
+                        THEN playlist_id END,
+                    config_profile_id = CASE WHEN config_profile_id IN (SELECT id FROM config_profiles WHERE organization_id = $2)
+                        THEN config_profile_id END
+                WHERE id = $1
+            `, [tabletId, result.rows[0].organization_id]);
+
+            await client.query('COMMIT');
+            return { ...result.rows[0], leftGroupIds: groups.rows.map(row => row.group_id) };
+        } catch (err) {
+            await this.rollback(client);
+            console.error('❌ Error cambiando la organización de la tablet:', err.message);
+            return null;
+        } finally {
+            client?.release();
+        }
+    }
+
+    // Organización de una tablet (null si no existe)
+    async getTabletOrganization(tabletId) {
+        try {
+            const result = await this.pool.query('SELECT organization_id FROM tablets WHERE id = $1', [tabletId]);
+            return result.rows[0]?.organization_id ?? null;
+        } catch (err) {
+            console.error('❌ Error obteniendo la organización de la tablet:', err.message);
+            return null;
+        }
+    }
+
+    // Organización de cada tablet (para repartir los eventos en vivo)
+    async getTabletOrganizations() {
+        try {
+            const result = await this.pool.query('SELECT id, organization_id FROM tablets');
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo organizaciones de tablets:', err.message);
+            return null;
+        }
+    }
+
+    // Dar de baja una tablet: revoca sus credenciales, cancela sus comandos en cola
+    // e instalaciones pendientes. El historial se conserva
+    async decommissionTablet(tabletId) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE tablets SET
+                    decommissioned_at = CURRENT_TIMESTAMP,
+                    status = 'offline',
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND decommissioned_at IS NULL
+                RETURNING id, name, decommissioned_at
+            `, [tabletId]);
+
+            if (result.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            await client.query(`
+                UPDATE device_credentials SET revoked_at = CURRENT_TIMESTAMP
+                WHERE tablet_id = $1 AND revoked_at IS NULL
+            `, [tabletId]);
+            const commands = await client.query(`
+                UPDATE command_logs SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP,
+                    response = 'Tablet dada de baja'
+                WHERE tablet_id = $1 AND status = 'queued'
+            `, [tabletId]);
+            await client.query(`
+                UPDATE rollout_targets SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+                WHERE tablet_id = $1 AND status IN ('pending', 'queued')
+            `, [tabletId]);
+
+            await client.query('COMMIT');
+            return { ...result.rows[0], cancelledCommands: commands.rowCount };
+        } catch (err) {
+            await this.rollback(client);
+            console.error('❌ Error dando de baja la tablet:', err.message);
+            return null;
+        } finally {
+            client?.release();
+        }
+    }
+
+    // Guardar los comandos que la tablet declara admitir
+    async setTabletCapabilities(tabletId, capabilities) {
+        try {
+            await this.pool.query(`
+                UPDATE tablets SET capabilities = $2 WHERE id = $1
+            `, [tabletId, capabilities]);
+            return true;
+        } catch (err) {
+            console.error('❌ Error guardando capacidades de la tablet:', err.message);
+            return false;
+        }
+    }
+
+    // Reemplazar las etiquetas de una tablet
+    async setTabletTags(tabletId, tags) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablets SET tags = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, tags
+            `, [tabletId, tags]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando etiquetas:', err.message);
+            return null;
+        }
+    }
+
+    // Listar organizaciones con su número de tablets, sedes y operadores (todas o una)
+    async getOrganizations(organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT o.*,
+                       (SELECT COUNT(*)::int FROM tablets t
+                        WHERE t.organization_id = o.id AND t.decommissioned_at IS NULL) AS tablet_count,
+                       (SELECT COUNT(*)::int FROM sites s WHERE s.organization_id = o.id) AS site_count,
+                       (SELECT COUNT(*)::int FROM operators op WHERE op.organization_id = o.id) AS operator_count
+                FROM organizations o
+                WHERE ($1::int IS NULL OR o.id = $1)
+                ORDER BY o.name
+            `, [organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo organizaciones:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener organización por ID
+    async getOrganization(id) {
+        try {
+            const result = await this.pool.query('SELECT * FROM organizations WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo organización:', err.message);
+            return null;
+        }
+    }
+
+    // Obtener organización por slug
+    async getOrganizationBySlug(slug) {
+        try {
+            const result = await this.pool.query('SELECT * FROM organizations WHERE slug = $1', [slug]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo organización:', err.message);
+            return null;
+        }
+    }
+
+    // Crear organización (null si el nombre o el slug ya existen)
+    async createOrganization({ name, slug }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO organizations (name, slug)
+                VALUES ($1, $2)
+                RETURNING *
+            `, [name.trim(), slug]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando organización:', err.message);
+            return null;
+        }
+    }
+
+    async updateOrganization(id, { name, slug }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE organizations SET
+                    name = COALESCE($2, name),
+                    slug = COALESCE($3, slug),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [id, name?.trim() ?? null, slug ?? null]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando organización:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar una organización sin tablets (con sus sedes, grupos, operadores y registros).
+    // Devuelve { deleted } o { tablets } si todavía tiene alguna
+    async deleteOrganization(id) {
+        try {
+            const result = await this.pool.query(`
+                WITH blocked AS (
+                    SELECT COUNT(*)::int AS tablets FROM tablets WHERE organization_id = $1
+                ), deleted AS (
+                    DELETE FROM organizations
+                    WHERE id = $1 AND (SELECT tablets FROM blocked) = 0
+                    RETURNING id
+                )
+                SELECT (SELECT tablets FROM blocked) AS tablets, (SELECT COUNT(*)::int FROM deleted) AS deleted
+            `, [id]);
+            const { tablets, deleted } = result.rows[0];
+            return tablets > 0 ? { tablets } : { deleted: deleted > 0 };
+        } catch (err) {
+            console.error('❌ Error eliminando organización:', err.message);
+            return null;
+        }
+    }
+
+    // Listar sedes con su número de tablets (de una organización o de todas)
+    async getSites(organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT s.*,
+                       (SELECT COUNT(*)::int FROM tablets t
+                        WHERE t.site_id = s.id AND t.decommissioned_at IS NULL) AS tablet_count
+                FROM sites s
+                WHERE ($1::int IS NULL OR s.organization_id = $1)
+                ORDER BY s.organization_id, s.name
+            `, [organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo sedes:', err.message);
+            return [];
+        }
+    }
+
+    async getSite(id) {
+        try {
+            const result = await this.pool.query('SELECT * FROM sites WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo sede:', err.message);
+            return null;
+        }
+    }
+
+    // Crear sede (null si el nombre ya existe en la organización)
+    async createSite({ organizationId, name, address = null }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO sites (organization_id, name, address)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [organizationId, name.trim(), address]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando sede:', err.message);
+            return null;
+        }
+    }
+
+    async updateSite(id, { name, address }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE sites SET
+                    name = COALESCE($2, name),
+                    address = CASE WHEN $4 THEN $3 ELSE address END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [id, name?.trim() ?? null, address ?? null, address !== undefined]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando sede:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar sede (sus tablets quedan sin sede)
+    async deleteSite(id) {
+        try {
+            const result = await this.pool.query('DELETE FROM sites WHERE id = $1', [id]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error eliminando sede:', err.message);
+            return false;
+        }
+    }
+
+    // Listar grupos con su número de tablets (de una organización o de todas)
+    async getGroups(organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT g.*, COUNT(m.tablet_id)::int AS tablet_count
+                FROM tablet_groups g
+                LEFT JOIN tablet_group_members m ON m.group_id = g.id
+                WHERE ($1::int IS NULL OR g.organization_id = $1)
+                GROUP BY g.id
+                ORDER BY g.type, g.name
+            `, [organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo grupos:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener grupo con sus tablets
+    async getGroup(groupId) {
+        try {
+            const group = await this.pool.query('SELECT * FROM tablet_groups WHERE id = $1', [groupId]);
+            if (group.rows.length === 0) return null;
+
+            const members = await this.pool.query(`
+                SELECT t.id, t.name, t.status, t.tags, m.added_at
+                FROM tablet_group_members m
+                JOIN tablets t ON t.id = m.tablet_id
+                WHERE m.group_id = $1
+                ORDER BY t.name
+            `, [groupId]);
+
+            return { ...group.rows[0], tablets: members.rows };
+        } catch (err) {
+            console.error('❌ Error obteniendo grupo:', err.message);
+            return null;
+        }
+    }
+
+    // Crear grupo
+    async createGroup({ name, type = 'custom', description = null, organizationId }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO tablet_groups (name, type, description, organization_id)
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [name, type, description, organizationId]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando grupo:', err.message);
+            return null;
+        }
+    }
+
+    // Actualizar grupo
+    async updateGroup(groupId, { name, type, description }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablet_groups SET
+                    name = COALESCE($2, name),
+                    type = COALESCE($3, type),
+                    description = COALESCE($4, description),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [groupId, name ?? null, type ?? null, description ?? null]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando grupo:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar grupo (las tablets no se tocan)
+    async deleteGroup(groupId) {
+        try {
+            const result = await this.pool.query('DELETE FROM tablet_groups WHERE id = $1', [groupId]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error eliminando grupo:', err.message);
+            return false;
+        }
+    }
+
+    // Añadir tablets a un grupo; con replace = true el grupo queda solo con esas
+    async setGroupMembers(groupId, tabletIds, replace = false) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+
+            if (replace) {
+                await client.query('DELETE FROM tablet_group_members WHERE group_id = $1', [groupId]);
+            }
+
+            // Solo se añaden las tablets que existen y son de la organización del grupo
+            const result = await client.query(`
+                INSERT INTO tablet_group_members (group_id, tablet_id)
+                SELECT $1, t.id FROM tablets t
+                WHERE t.id = ANY($2::varchar[])
+                  AND t.organization_id = (SELECT organization_id FROM tablet_groups WHERE id = $1)
+                ON CONFLICT DO NOTHING
+                RETURNING tablet_id
+            `, [groupId, tabletIds]);
+
+            await client.query('COMMIT');
+            return result.rows.map(row => row.tablet_id);
+        } catch (err) {
+            await this.rollback(client);
+            console.error('❌ Error actualizando miembros del grupo:', err.message);
+            return null;
+        } finally {
+            client?.release();
+        }
+    }
+
+    // Quitar una tablet de un grupo
+    async removeGroupMember(groupId, tabletId) {
+        try {
+            const result = await this.pool.query(`
+                DELETE FROM tablet_group_members WHERE group_id = $1 AND tablet_id = $2
+            `, [groupId, tabletId]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error quitando tablet del grupo:', err.message);
+            return false;
+        }
+    }
+
+    // Resolver un selector de flota a IDs de tablet. Los criterios se combinan
+    // (grupo Y todas las etiquetas Y lista explícita Y organización y sede)
+    async resolveTabletSelector({
+        groupId = null, group = null, tags = null, tabletIds = null, organizationId = null, siteId = null
+    }) {
+        try {
+            const result = await this.pool.query(`
+                SELECT t.id
+                FROM tablets t
+                WHERE ($1::int IS NULL OR EXISTS (
+                        SELECT 1 FROM tablet_group_members m
+                        WHERE m.tablet_id = t.id AND m.group_id = $1))
+                  AND ($2::varchar IS NULL OR EXISTS (
+                        SELECT 1 FROM tablet_group_members m
+                        JOIN tablet_groups g ON g.id = m.group_id
+                        WHERE m.tablet_id = t.id AND g.name = $2))
+                  AND ($3::text[] IS NULL OR t.tags @> $3::text[])
+                  AND ($4::varchar[] IS NULL OR t.id = ANY($4::varchar[]))
+                  AND ($5::int IS NULL OR t.organization_id = $5)
+                  AND ($6::int IS NULL OR t.site_id = $6)
+                  AND t.decommissioned_at IS NULL
+                ORDER BY t.id
+            `, [groupId, group, tags, tabletIds, organizationId, siteId]);
+            return result.rows.map(row => row.id);
+        } catch (err) {
+            console.error('❌ Error resolviendo selector de tablets:', err.message);
+            return [];
+        }
+    }
+
+    // Listar programaciones (de una organización o de todas)
+    async getSchedules(organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT s.*, o.username as created_by_username
+                FROM schedules s
+                LEFT JOIN operators o ON o.id = s.created_by
+                WHERE ($1::int IS NULL OR s.organization_id = $1)
+                ORDER BY s.status, s.next_run_at NULLS LAST
+            `, [organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo programaciones:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener programación por ID
+    async getSchedule(scheduleId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT s.*, o.username as created_by_username
+                FROM schedules s
+                LEFT JOIN operators o ON o.id = s.created_by
+                WHERE s.id = $1
+            `, [scheduleId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo programación:', err.message);
+            return null;
+        }
+    }
+
+    // Crear programación
+    async createSchedule({ name, selector, command, params, runAt, cron, timezone, nextRunAt, createdBy, organizationId }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO schedules
+                (name, selector, command, params, run_at, cron, timezone, next_run_at, created_by, organization_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING *
+            `, [name, JSON.stringify(selector), command, JSON.stringify(params ?? null),
+                runAt || null, cron || null, timezone, nextRunAt, createdBy || null, organizationId ?? null]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando programación:', err.message);
+            return null;
+        }
+    }
+
+    // Cambiar estado de una programación (y su próxima ejecución)
+    async setScheduleStatus(scheduleId, status, nextRunAt) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE schedules
+                SET status = $2, next_run_at = $3, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [scheduleId, status, nextRunAt]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando programación:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar programación
+    async deleteSchedule(scheduleId) {
+        try {
+            const result = await this.pool.query('DELETE FROM schedules WHERE id = $1', [scheduleId]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error eliminando programación:', err.message);
+            return false;
+        }
+    }
+
+    // Programaciones activas cuya próxima ejecución ya llegó
+    async getDueSchedules() {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM schedules
+                WHERE status = 'active' AND next_run_at <= CURRENT_TIMESTAMP
+                ORDER BY next_run_at
+            `);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo programaciones pendientes:', err.message);
+            return [];
+        }
+    }
+
+    // Reservar una ejecución: solo tiene éxito si nadie más la tomó antes
+    // (la comparación con next_run_at evita ejecuciones dobles)
+    async claimScheduleRun(scheduleId, expectedRunAt, nextRunAt) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE schedules
+                SET next_run_at = $3,
+                    last_run_at = CURRENT_TIMESTAMP,
+                    status = CASE WHEN $3::timestamptz IS NULL THEN 'completed' ELSE status END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status = 'active' AND next_run_at = $2
+            `, [scheduleId, expectedRunAt, nextRunAt]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error reservando ejecución programada:', err.message);
+            return false;
+        }
+    }
+
+    // Registrar una ejecución de programación
+    async logScheduleRun(scheduleId, scheduledFor, summary, report) {
+        try {
+            await this.pool.query(`
+                INSERT INTO schedule_runs (schedule_id, scheduled_for, summary, report)
+                VALUES ($1, $2, $3, $4)
+            `, [scheduleId, scheduledFor, JSON.stringify(summary), JSON.stringify(report)]);
+        } catch (err) {
+            console.error('❌ Error registrando ejecución programada:', err.message);
+        }
+    }
+
+    // Historial de ejecuciones de una programación
+    async getScheduleRuns(scheduleId, limit = 50) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM schedule_runs
+                WHERE schedule_id = $1
+                ORDER BY started_at DESC
+                LIMIT $2
+            `, [scheduleId, limit]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo historial de programación:', err.message);
+            return [];
+        }
+    }
+
+    // Listar listas de contenido (de una organización o de todas)
+    async getPlaylists(organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT p.*,
+                       (SELECT COUNT(*)::int FROM tablets t WHERE t.playlist_id = p.id) AS tablet_count,
+                       (SELECT COUNT(*)::int FROM tablet_groups g WHERE g.playlist_id = p.id) AS group_count
+                FROM playlists p
+                WHERE ($1::int IS NULL OR p.organization_id = $1)
+                ORDER BY p.name
+            `, [organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo listas de contenido:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener lista de contenido por ID
+    async getPlaylist(playlistId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM playlists WHERE id = $1', [playlistId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo lista de contenido:', err.message);
+            return null;
+        }
+    }
+
+    // Crear lista de contenido
+    async createPlaylist({ name, items, organizationId }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO playlists (name, items, organization_id)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [name, JSON.stringify(items), organizationId]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando lista de contenido:', err.message);
+            return null;
+        }
+    }
+
+    // Actualizar lista de contenido (incrementa la versión)
+    async updatePlaylist(playlistId, { name, items }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE playlists SET
+                    name = COALESCE($2, name),
+                    items = COALESCE($3, items),
+                    version = version + 1,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [playlistId, name ?? null, items ? JSON.stringify(items) : null]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando lista de contenido:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar lista de contenido (las asignaciones quedan en NULL)
+    async deletePlaylist(playlistId) {
+        try {
+            const result = await this.pool.query('DELETE FROM playlists WHERE id = $1', [playlistId]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error eliminando lista de contenido:', err.message);
+            return false;
+        }
+    }
+
+    // Asignar (o quitar con null) la lista de una tablet
+    async assignPlaylistToTablet(tabletId, playlistId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablets SET playlist_id = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, playlist_id
+            `, [tabletId, playlistId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error asignando lista a tablet:', err.message);
+            return null;
+        }
+    }
+
+    // Asignar (o quitar con null) la lista de un grupo
+    async assignPlaylistToGroup(groupId, playlistId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablet_groups SET playlist_id = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, playlist_id
+            `, [groupId, playlistId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error asignando lista a grupo:', err.message);
+            return null;
+        }
+    }
+
+    // Lista efectiva de una tablet: la propia o la del primer grupo que tenga una
+    async getPlaylistForTablet(tabletId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT p.*
+                FROM playlists p
+                WHERE p.id = COALESCE(
+                    (SELECT playlist_id FROM tablets WHERE id = $1),
+                    (SELECT g.playlist_id
+                     FROM tablet_group_members m
+                     JOIN tablet_groups g ON g.id = m.group_id
+                     WHERE m.tablet_id = $1 AND g.playlist_id IS NOT NULL
+                     ORDER BY g.id
+                     LIMIT 1)
+                )
+            `, [tabletId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error resolviendo lista de tablet:', err.message);
+            return null;
+        }
+    }
+
+    // Tablets afectadas por una lista (directamente o por grupo)
+    async getPlaylistTabletIds(playlistId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id FROM tablets WHERE playlist_id = $1
+                UNION
+                SELECT m.tablet_id
+                FROM tablet_group_members m
+                JOIN tablet_groups g ON g.id = m.group_id
+                WHERE g.playlist_id = $1
+            `, [playlistId]);
+            return result.rows.map(row => row.id);
+        } catch (err) {
+            console.error('❌ Error obteniendo tablets de la lista:', err.message);
+            return [];
+        }
+    }
+
+    // Listar perfiles de configuración (de una organización o de todas)
+    async getConfigProfiles(organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT p.*,
+                       (SELECT COUNT(*)::int FROM tablets t WHERE t.config_profile_id = p.id) AS tablet_count,
+                       (SELECT COUNT(*)::int FROM tablet_groups g WHERE g.config_profile_id = p.id) AS group_count
+                FROM config_profiles p
+                WHERE ($1::int IS NULL OR p.organization_id = $1)
+                ORDER BY p.name
+            `, [organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo perfiles de configuración:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener perfil de configuración por ID
+    async getConfigProfile(profileId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM config_profiles WHERE id = $1', [profileId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo perfil de configuración:', err.message);
+            return null;
+        }
+    }
+
+    // Crear perfil de configuración
+    async createConfigProfile({ name, description = null, settings, organizationId }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO config_profiles (name, description, settings, organization_id)
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [name, description, JSON.stringify(settings), organizationId]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando perfil de configuración:', err.message);
+            return null;
+        }
+    }
+
+    // Actualizar perfil de configuración (incrementa la versión)
+    async updateConfigProfile(profileId, { name, description, settings }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE config_profiles SET
+                    name = COALESCE($2, name),
+                    description = COALESCE($3, description),
+                    settings = COALESCE($4, settings),
+                    version = version + 1,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [profileId, name ?? null, description ?? null, settings ? JSON.stringify(settings) : null]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando perfil de configuración:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar perfil de configuración (las asignaciones quedan en NULL)
+    async deleteConfigProfile(profileId) {
+        try {
+            const result = await this.pool.query('DELETE FROM config_profiles WHERE id = $1', [profileId]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error eliminando perfil de configuración:', err.message);
+            return false;
+        }
+    }
+
+    // Asignar (o quitar con null) el perfil de una tablet
+    async assignConfigProfileToTablet(tabletId, profileId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablets SET config_profile_id = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, config_profile_id
+            `, [tabletId, profileId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error asignando perfil a tablet:', err.message);
+            return null;
+        }
+    }
+
+    // Asignar (o quitar con null) el perfil de un grupo
+    async assignConfigProfileToGroup(groupId, profileId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablet_groups SET config_profile_id = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, config_profile_id
+            `, [groupId, profileId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error asignando perfil a grupo:', err.message);
+            return null;
+        }
+    }
+
+    // Guardar (o quitar con null) las excepciones de configuración de una tablet
+    async setTabletConfigOverrides(tabletId, overrides) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE tablets SET config_overrides = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, config_overrides
+            `, [tabletId, overrides ? JSON.stringify(overrides) : null]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error guardando excepciones de configuración:', err.message);
+            return null;
+        }
+    }
+
+    // Guardar la versión y los ajustes que la tablet informa tener aplicados
+    async setTabletConfigReport(tabletId, version, settings) {
+        try {
+            await this.pool.query(`
+                UPDATE tablets SET
+                    config_version = $2,
+                    config_reported = $3,
+                    config_reported_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [tabletId, version, settings ? JSON.stringify(settings) : null]);
+            return true;
+        } catch (err) {
+            console.error('❌ Error guardando configuración informada:', err.message);
+            return false;
+        }
+    }
+
+    // Perfil efectivo de cada tablet (el propio o el del primer grupo que tenga uno)
+    // junto con sus excepciones y lo que informó. Solo tablets con perfil
+    async getTabletConfigs(tabletId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT t.id AS tablet_id, t.name, t.status,
+                       t.config_overrides, t.config_version, t.config_reported, t.config_reported_at,
+                       p.id AS profile_id, p.name AS profile_name, p.version AS profile_version,
+                       p.settings AS profile_settings,
+                       CASE WHEN t.config_profile_id IS NULL THEN 'group' ELSE 'tablet' END AS assigned_via
+                FROM tablets t
+                JOIN config_profiles p ON p.id = COALESCE(
+                    t.config_profile_id,
+                    (SELECT g.config_profile_id
+                     FROM tablet_group_members m
+                     JOIN tablet_groups g ON g.id = m.group_id
+                     WHERE m.tablet_id = t.id AND g.config_profile_id IS NOT NULL
+                     ORDER BY g.id
+                     LIMIT 1)
+                )
+                WHERE ($1::varchar IS NULL OR t.id = $1)
+                  AND t.decommissioned_at IS NULL
+                ORDER BY t.id
+            `, [tabletId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo configuración de tablets:', err.message);
+            return [];
+        }
+    }
+
+    // Tablets afectadas por un perfil (directamente o por grupo)
+    async getConfigProfileTabletIds(profileId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id FROM tablets WHERE config_profile_id = $1
+                UNION
+                SELECT m.tablet_id
+                FROM tablet_group_members m
+                JOIN tablet_groups g ON g.id = m.group_id
+                WHERE g.config_profile_id = $1
+            `, [profileId]);
+            return result.rows.map(row => row.id);
+        } catch (err) {
+            console.error('❌ Error obteniendo tablets del perfil:', err.message);
+            return [];
+        }
+    }
+
+    // Abrir una sesión de conexión. Devuelve su ID
+    async openTabletSession(tabletId, socketId, ip, nodeId = null) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO tablet_sessions (tablet_id, socket_id, ip, node_id)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id
+            `, [tabletId, socketId, ip, nodeId]);
+            return result.rows[0].id;
+        } catch (err) {
+            console.error('❌ Error abriendo sesión de tablet:', err.message);
+            return null;
+        }
+    }
+
+    // Cerrar una sesión con el motivo de la desconexión
+    async closeTabletSession(sessionId, reason) {
+        try {
+            await this.pool.query(`
+                UPDATE tablet_sessions SET ended_at = CURRENT_TIMESTAMP, end_reason = $2
+                WHERE id = $1 AND ended_at IS NULL
+            `, [sessionId, reason]);
+            return true;
+        } catch (err) {
+            console.error('❌ Error cerrando sesión de tablet:', err.message);
+            return false;
+        }
+    }
+
+    // Sesiones de una tablet que se solapan con la ventana, de la más reciente a la más antigua
+    async getTabletSessions(tabletId, { from, to, limit = 100 }) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id, socket_id, node_id, ip, started_at, ended_at, end_reason,
+                       EXTRACT(EPOCH FROM (COALESCE(ended_at, CURRENT_TIMESTAMP) - started_at))::int AS duration_seconds
+                FROM tablet_sessions
+                WHERE tablet_id = $1
+                  AND started_at < $3::timestamptz
+                  AND COALESCE(ended_at, CURRENT_TIMESTAMP) > $2::timestamptz
+                ORDER BY started_at DESC
+                LIMIT $4
+            `, [tabletId, from, to, limit]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo sesiones de tablet:', err.message);
+            return [];
+        }
+    }
+
+    // Segundos conectada de cada tablet dentro de la ventana (recortando las sesiones
+    // a sus bordes) y duración de la ventana desde el alta de la tablet
+    async getAvailability({ tabletId = null, organizationId = null, from, to }) {
+        try {
+            const result = await this.pool.query(`
+                SELECT t.id AS tablet_id, t.name,
+                       GREATEST(EXTRACT(EPOCH FROM ($3::timestamptz - GREATEST($2::timestamptz, t.created_at))), 0)::double precision
+                           AS window_seconds,
+                       COALESCE(SUM(EXTRACT(EPOCH FROM (
+                           LEAST(COALESCE(s.ended_at, CURRENT_TIMESTAMP), $3::timestamptz)
+                           - GREATEST(s.started_at, $2::timestamptz)))), 0)::double precision AS online_seconds,
+                       COUNT(s.id)::int AS sessions,
+                       COUNT(s.id) FILTER (WHERE s.end_reason IN ('transport close', 'ping timeout', 'transport error', 'heartbeat_timeout'))::int
+                           AS unexpected_disconnects
+                FROM tablets t
+                LEFT JOIN tablet_sessions s ON s.tablet_id = t.id
+                    AND s.started_at < $3::timestamptz
+                    AND COALESCE(s.ended_at, CURRENT_TIMESTAMP) > $2::timestamptz
+                WHERE ($1::varchar IS NULL OR t.id = $1)
+                  AND ($4::int IS NULL OR t.organization_id = $4)
+                  AND t.decommissioned_at IS NULL
+                GROUP BY t.id
+                ORDER BY t.id
+            `, [tabletId, from, to, organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error calculando disponibilidad:', err.message);
+            return [];
+        }
+    }
+
+    // Abrir una sesión de vista remota. Antes cierra las sesiones vencidas (p. ej. de
+    // un nodo caído) para que no bloqueen la tablet. Devuelve { session }, { active }
+    // con la sesión que ya tiene abierta la tablet o null si falla
+    async openRemoteViewSession({
+        id, tabletId, operatorId, operatorUsername, sourceIp, viewerSocketId, nodeId, expiresAt
+    }) {
+        try {
+            await this.pool.query(`
+                UPDATE remote_view_sessions SET ended_at = expires_at, end_reason = 'timeout'
+                WHERE ended_at IS NULL AND expires_at < CURRENT_TIMESTAMP
+            `);
+            const result = await this.pool.query(`
+                INSERT INTO remote_view_sessions
+                    (id, tablet_id, operator_id, operator_username, source_ip, viewer_socket_id, node_id, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (tablet_id) WHERE ended_at IS NULL DO NOTHING
+                RETURNING *
+            `, [id, tabletId, operatorId || null, operatorUsername, sourceIp, viewerSocketId, nodeId, expiresAt]);
+            if (result.rows[0]) return { session: result.rows[0] };
+
+            const active = await this.pool.query(`
+                SELECT * FROM remote_view_sessions WHERE tablet_id = $1 AND ended_at IS NULL
+            `, [tabletId]);
+            return { active: active.rows[0] || null };
+        } catch (err) {
+            console.error('❌ Error abriendo sesión de vista remota:', err.message);
+            return null;
+        }
+    }
+
+    async getRemoteViewSession(id) {
+        try {
+            const result = await this.pool.query('SELECT * FROM remote_view_sessions WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo sesión de vista remota:', err.message);
+            return null;
+        }
+    }
+
+    // Cerrar las sesiones abiertas que cumplan el filtro ({ id }, { tabletId },
+    // { viewerSocketId } o { nodeId }). Devuelve las filas cerradas
+    async endRemoteViewSessions({ id = null, tabletId = null, viewerSocketId = null, nodeId = null }, reason, endedBy = null) {
+        if (!id && !tabletId && !viewerSocketId && !nodeId) return [];
+        try {
+            const result = await this.pool.query(`
+                UPDATE remote_view_sessions
+                SET ended_at = CURRENT_TIMESTAMP, end_reason = $5, ended_by = $6
+                WHERE ended_at IS NULL
+                  AND ($1::uuid IS NULL OR id = $1::uuid)
+                  AND ($2::varchar IS NULL OR tablet_id = $2::varchar)
+                  AND ($3::varchar IS NULL OR viewer_socket_id = $3::varchar)
+                  AND ($4::varchar IS NULL OR node_id = $4::varchar)
+                RETURNING *
+            `, [id, tabletId, viewerSocketId, nodeId, reason, endedBy]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error cerrando sesiones de vista remota:', err.message);
+            return [];
+        }
+    }
+
+    // Registro de sesiones de vista remota, de la más reciente a la más antigua
+    async getRemoteViewSessions({ tabletId = null, operatorId = null, organizationId = null, active = null, limit = 100 } = {}) {
+        try {
+            const result = await this.pool.query(`
+                SELECT s.*, t.name AS tablet_name,
+                       EXTRACT(EPOCH FROM (COALESCE(s.ended_at, CURRENT_TIMESTAMP) - s.started_at))::int AS duration_seconds
+                FROM remote_view_sessions s
+                JOIN tablets t ON t.id = s.tablet_id
+                WHERE ($1::varchar IS NULL OR s.tablet_id = $1::varchar)
+                  AND ($2::int IS NULL OR s.operator_id = $2::int)
+                  AND ($3::boolean IS NULL OR (s.ended_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) = $3::boolean)
+                  AND ($5::int IS NULL OR t.organization_id = $5)
+                ORDER BY s.started_at DESC
+                LIMIT $4
+            `, [tabletId, operatorId, active, limit, organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo sesiones de vista remota:', err.message);
+            return [];
+        }
+    }
+
+    // Dar de alta (o refrescar) un nodo del servidor
+    async registerClusterNode({ id, hostname, pid }) {
+        try {
+            await this.pool.query(`
+                INSERT INTO cluster_nodes (id, hostname, pid)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (id) DO UPDATE SET last_seen = CURRENT_TIMESTAMP
+            `, [id, hostname, pid]);
+            return true;
+        } catch (err) {
+            console.error('❌ Error registrando nodo:', err.message);
+            return false;
+        }
+    }
+
+    // Latido de un nodo con sus contadores. false si otro nodo ya lo dio por caído
+    async touchClusterNode(nodeId, stats) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE cluster_nodes SET last_seen = CURRENT_TIMESTAMP, stats = $2
+                WHERE id = $1
+            `, [nodeId, JSON.stringify(stats)]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error actualizando nodo:', err.message);
+            return null;
+        }
+    }
+
+    // Nodos vivos con las tablets conectadas a cada uno
+    async getClusterNodes() {
+        try {
+            const result = await this.pool.query(`
+                SELECT n.*, COUNT(p.tablet_id)::int AS tablets
+                FROM cluster_nodes n
+                LEFT JOIN tablet_presence p ON p.node_id = n.id
+                GROUP BY n.id
+                ORDER BY n.started_at, n.id
+            `);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo nodos:', err.message);
+            return [];
+        }
+    }
+
+    // Cerrar las sesiones, la presencia y el estado online que dependían de nodos
+    // que ya no están (sin latido o que se apagaron). Las sesiones se cierran en la
+    // última vez que se vio a la tablet. Devuelve las tablets que quedaron offline
+    async releaseOrphanedPresence(client, reason = 'node_lost') {
+        await client.query(`
+            UPDATE tablet_sessions s SET
+                ended_at = GREATEST(s.started_at, COALESCE(t.last_seen, CURRENT_TIMESTAMP)),
+                end_reason = $1
+            FROM tablets t
+            WHERE t.id = s.tablet_id AND s.ended_at IS NULL
+              AND (s.node_id IS NULL OR s.node_id NOT IN (SELECT id FROM cluster_nodes))
+        `, [reason]);
+        const lost = await client.query(`
+            DELETE FROM tablet_presence
+            WHERE node_id NOT IN (SELECT id FROM cluster_nodes)
+            RETURNING tablet_id
+        `);
+        const tabletIds = lost.rows.map(row => row.tablet_id);
+        if (tabletIds.length > 0) {
+            await client.query(`
+                UPDATE tablets SET status = 'offline', updated_at = CURRENT_TIMESTAMP
+                WHERE id = ANY($1::varchar[])
+            `, [tabletIds]);
+        }
+        return tabletIds;
+    }
+
+    // Dar por caídos los nodos sin latido en timeoutSeconds. Devuelve
+    // { nodes, tabletIds } con los nodos retirados y las tablets que quedaron offline
+    async reapClusterNodes(timeoutSeconds) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+            const dead = await client.query(`
+                DELETE FROM cluster_nodes
+                WHERE last_seen < CURRENT_TIMESTAMP - make_interval(secs => $1)
+                RETURNING id
+            `, [timeoutSeconds]);
+            const tabletIds = await this.releaseOrphanedPresence(client);
+            await client.query('COMMIT');
+            return { nodes: dead.rows.map(row => row.id), tabletIds };
+        } catch (err) {
+            await this.rollback(client);
+            console.error('❌ Error retirando nodos caídos:', err.message);
+            return { nodes: [], tabletIds: [] };
+        } finally {
+            client?.release();
+        }
+    }
+
+    // Retirar un nodo que se apaga. Devuelve las tablets que quedaron offline
+    async removeClusterNode(nodeId) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+            await client.query('DELETE FROM cluster_nodes WHERE id = $1', [nodeId]);
+            const tabletIds = await this.releaseOrphanedPresence(client, 'server_shutdown');
+            await client.query('COMMIT');
+            return tabletIds;
+        } catch (err) {
+            await this.rollback(client);
+            console.error('❌ Error retirando nodo:', err.message);
+            return [];
+        } finally {
+            client?.release();
+        }
+    }
+
+    // Anotar qué nodo y socket tienen la conexión de una tablet. Devuelve la
+    // conexión anterior ({ node_id, socket_id }) o null si no tenía
+    async claimTabletPresence(tabletId, nodeId, socketId) {
+        try {
+            const result = await this.pool.query(`
+                WITH previous AS (
+                    SELECT node_id, socket_id FROM tablet_presence WHERE tablet_id = $1
+                )
+                INSERT INTO tablet_presence (tablet_id, node_id, socket_id)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (tablet_id) DO UPDATE SET
+                    node_id = EXCLUDED.node_id,
+                    socket_id = EXCLUDED.socket_id,
+                    connected_at = CURRENT_TIMESTAMP
+                RETURNING (SELECT node_id FROM previous) AS node_id,
+                          (SELECT socket_id FROM previous) AS socket_id
+            `, [tabletId, nodeId, socketId]);
+            const [previous] = result.rows;
+            return previous && previous.socket_id ? previous : null;
+        } catch (err) {
+            console.error('❌ Error registrando presencia de tablet:', err.message);
+            return null;
+        }
+    }
+
+    // Liberar la presencia solo si sigue siendo de ese socket. false si otra
+    // conexión (de este u otro nodo) ya la había reemplazado
+    async releaseTabletPresence(tabletId, socketId) {
+        try {
+            const result = await this.pool.query(`
+                DELETE FROM tablet_presence WHERE tablet_id = $1 AND socket_id = $2
+            `, [tabletId, socketId]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error liberando presencia de tablet:', err.message);
+            return false;
+        }
+    }
+
+    // Tablets conectadas en cualquier nodo vivo (todas o solo las indicadas)
+    async getTabletPresence(tabletIds = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT p.tablet_id, p.node_id, p.socket_id, p.connected_at,
+                       t.name, t.ip, t.current_url, t.last_seen, t.uptime, t.stats
+                FROM tablet_presence p
+                JOIN cluster_nodes n ON n.id = p.node_id
+                JOIN tablets t ON t.id = p.tablet_id
+                WHERE $1::varchar[] IS NULL OR p.tablet_id = ANY($1::varchar[])
+            `, [tabletIds]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo presencia de tablets:', err.message);
+            return [];
+        }
+    }
+
+    // Mensajes del adaptador de Socket.IO que no caben en una notificación
+    async insertClusterMessage(payload) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO cluster_messages (payload) VALUES ($1) RETURNING id
+            `, [payload]);
+            return result.rows[0].id;
+        } catch (err) {
+            console.error('❌ Error guardando mensaje entre nodos:', err.message);
+            return null;
+        }
+    }
+
+    async getClusterMessage(id) {
+        try {
+            const result = await this.pool.query('SELECT payload FROM cluster_messages WHERE id = $1', [id]);
+            return result.rows[0]?.payload || null;
+        } catch (err) {
+            console.error('❌ Error leyendo mensaje entre nodos:', err.message);
+            return null;
+        }
+    }
+
+    async deleteClusterMessages(olderThanSeconds) {
+        try {
+            const result = await this.pool.query(`
+                DELETE FROM cluster_messages
+                WHERE created_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+            `, [olderThanSeconds]);
+            return result.rowCount;
+        } catch (err) {
+            console.error('❌ Error borrando mensajes entre nodos:', err.message);
+            return 0;
+        }
+    }
+
+    // Publicar una notificación para los nodos que escuchan el canal
+    async notify(channel, payload) {
+        try {
+            await this.pool.query('SELECT pg_notify($1, $2)', [channel, payload]);
+            return true;
+        } catch (err) {
+            console.error('❌ Error publicando notificación:', err.message);
+            return false;
+        }
+    }
+
+    // Escuchar un canal con una conexión propia: las del pool se reparten entre
+    // consultas y perderían la suscripción. Si la conexión se cae se reintenta
+    async listen(channel, handler) {
+        const connect = async () => {
+            const client = new Client({
+                connectionString: this.options.connectionString,
+                host: this.options.host,
+                port: this.options.port,
+                database: this.options.database,
+                user: this.options.user,
+                password: this.options.password,
+                ssl: this.options.ssl
+            });
+            const retry = (err) => {
+                console.error(`❌ Conexión de escucha (${channel}) perdida:`, err.message);
+                this.listeners = this.listeners.filter(listener => listener !== client);
+                client.end().catch(() => {});
+                if (!this.closing) setTimeout(connect, 2000);
+            };
+
+            client.on('notification', (message) => {
+                if (message.channel === channel) handler(message.payload);
+            });
+            client.on('error', retry);
+
+            try {
+                await client.connect();
+                await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+                this.listeners.push(client);
+            } catch (err) {
+                client.removeListener('error', retry);
+                retry(err);
+            }
+        };
+
+        await connect();
+    }
+
+    // Guardar una muestra de estado de una tablet
+    async insertTabletSample(tabletId, sample) {
+        try {
+            await this.pool.query(`
+                INSERT INTO tablet_samples
+                (tablet_id, sampled_at, battery_level, charging, memory_used_mb, memory_total_mb,
+                 network_type, signal_strength, uptime_seconds)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [
+                tabletId, sample.sampledAt, sample.batteryLevel, sample.charging, sample.memoryUsedMb,
+                sample.memoryTotalMb, sample.networkType, sample.signalStrength, sample.uptimeSeconds
+            ]);
+            return true;
+        } catch (err) {
+            console.error('❌ Error guardando muestra de estado:', err.message);
+            return false;
+        }
+    }
+
+    // Última muestra guardada de una tablet
+    async getLatestTabletSample(tabletId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM tablet_samples
+                WHERE tablet_id = $1
+                ORDER BY sampled_at DESC
+                LIMIT 1
+            `, [tabletId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo última muestra:', err.message);
+            return null;
+        }
+    }
+
+    // Serie de métricas agrupada en intervalos de "resolution" segundos. Combina
+    // muestras crudas y agregados por hora, ponderando por número de muestras
+    async getTabletMetrics(tabletId, from, to, resolution) {
+        try {
+            const result = await this.pool.query(`
+                WITH points AS (
+                    SELECT sampled_at AS at, 1 AS weight, battery_level AS battery, battery_level AS battery_min,
+                           charging, memory_used_mb AS memory_used, memory_total_mb AS memory_total,
+                           network_type, signal_strength AS signal, uptime_seconds AS uptime
+                    FROM tablet_samples
+                    WHERE tablet_id = $1 AND sampled_at >= $2 AND sampled_at < $3
+                    UNION ALL
+                    SELECT hour, samples, battery_avg, battery_min, charging, memory_used_avg, memory_total_max,
+                           network_type, signal_avg, uptime_max
+                    FROM tablet_samples_hourly
+                    WHERE tablet_id = $1 AND hour >= $2 AND hour < $3
+                )
+                SELECT
+                    to_timestamp(floor(extract(epoch FROM at) / $4::integer) * $4::integer) AS time,
+                    SUM(weight)::integer AS samples,
+                    SUM(battery * weight) / NULLIF(SUM(CASE WHEN battery IS NOT NULL THEN weight END), 0) AS battery,
+                    MIN(battery_min) AS battery_min,
+                    BOOL_OR(charging) AS charging,
+                    SUM(memory_used * weight) / NULLIF(SUM(CASE WHEN memory_used IS NOT NULL THEN weight END), 0) AS memory_used_mb,
+                    MAX(memory_total) AS memory_total_mb,
+                    SUM(signal * weight) / NULLIF(SUM(CASE WHEN signal IS NOT NULL THEN weight END), 0) AS signal_strength,
+                    MAX(network_type) AS network_type,
+                    MAX(uptime) AS uptime_seconds
+                FROM points
+                GROUP BY 1
+                ORDER BY 1
+            `, [tabletId, from, to, resolution]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo métricas:', err.message);
+            return null;
+        }
+    }
+
+    // Agregar por hora las muestras anteriores a "before" y borrarlas; los
+    // agregados anteriores a "hourlyBefore" se eliminan
+    async compactTabletSamples(before, hourlyBefore) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+            const compacted = await client.query(`
+                INSERT INTO tablet_samples_hourly
+                (tablet_id, hour, samples, battery_avg, battery_min, charging, memory_used_avg,
+                 memory_total_max, network_type, signal_avg, uptime_max)
+                SELECT tablet_id, date_trunc('hour', sampled_at), COUNT(*), AVG(battery_level), MIN(battery_level),
+                       BOOL_OR(charging), AVG(memory_used_mb), MAX(memory_total_mb), MAX(network_type),
+                       AVG(signal_strength), MAX(uptime_seconds)
+                FROM tablet_samples
+                WHERE sampled_at < $1
+                GROUP BY tablet_id, date_trunc('hour', sampled_at)
+                ON CONFLICT (tablet_id, hour) DO UPDATE SET
+                    samples = tablet_samples_hourly.samples + EXCLUDED.samples,
+                    battery_avg = COALESCE((tablet_samples_hourly.battery_avg * tablet_samples_hourly.samples
+                        + EXCLUDED.battery_avg * EXCLUDED.samples) / (tablet_samples_hourly.samples + EXCLUDED.samples),
+                        tablet_samples_hourly.battery_avg, EXCLUDED.battery_avg),
+                    battery_min = LEAST(tablet_samples_hourly.battery_min, EXCLUDED.battery_min),
+                    charging = tablet_samples_hourly.charging OR EXCLUDED.charging,
+                    memory_used_avg = COALESCE((tablet_samples_hourly.memory_used_avg * tablet_samples_hourly.samples
+                        + EXCLUDED.memory_used_avg * EXCLUDED.samples) / (tablet_samples_hourly.samples + EXCLUDED.samples),
+                        tablet_samples_hourly.memory_used_avg, EXCLUDED.memory_used_avg),
+                    memory_total_max = GREATEST(tablet_samples_hourly.memory_total_max, EXCLUDED.memory_total_max),
+                    network_type = COALESCE(EXCLUDED.network_type, tablet_samples_hourly.network_type),
+                    signal_avg = COALESCE((tablet_samples_hourly.signal_avg * tablet_samples_hourly.samples
+                        + EXCLUDED.signal_avg * EXCLUDED.samples) / (tablet_samples_hourly.samples + EXCLUDED.samples),
+                        tablet_samples_hourly.signal_avg, EXCLUDED.signal_avg),
+                    uptime_max = GREATEST(tablet_samples_hourly.uptime_max, EXCLUDED.uptime_max)
+            `, [before]);
+            const deleted = await client.query('DELETE FROM tablet_samples WHERE sampled_at < $1', [before]);
+            await client.query('DELETE FROM tablet_samples_hourly WHERE hour < $1', [hourlyBefore]);
+            await client.query('COMMIT');
+
+            return { hours: compacted.rowCount, samples: deleted.rowCount };
+        } catch (err) {
+            await this.rollback(client);
+            console.error('❌ Error compactando muestras de estado:', err.message);
+            return null;
+        } finally {
+            client?.release();
+        }
+    }
+
+    // Estadísticas diarias de una tablet entre dos fechas (YYYY-MM-DD, inclusive)
+    async getDailyStats(tabletId, from, to) {
+        try {
+            const result = await this.pool.query(`
+                SELECT to_char(date, 'YYYY-MM-DD') as date, total_uptime_minutes, url_changes,
+                       restarts, commands_received
+                FROM daily_stats
+                WHERE tablet_id = $1 AND date BETWEEN $2 AND $3
+                ORDER BY date
+            `, [tabletId, from, to]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo estadísticas diarias:', err.message);
+            return [];
+        }
+    }
+
+    // Registrar un archivo subido por una tablet
+    async createUpload({ id, tabletId, kind, contentType, sizeBytes, sha256, filename, path, commandId, metadata }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO uploads
+                (id, tablet_id, kind, content_type, size_bytes, sha256, filename, path, command_id, metadata)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING *
+            `, [
+                id, tabletId, kind, contentType, sizeBytes, sha256, filename ?? null, path,
+                commandId ?? null, metadata ? JSON.stringify(metadata) : null
+            ]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error registrando archivo subido:', err.message);
+            return null;
+        }
+    }
+
+    // Obtener archivo subido por ID
+    async getUpload(uploadId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM uploads WHERE id = $1', [uploadId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo archivo subido:', err.message);
+            return null;
+        }
+    }
+
+    // Archivo subido en respuesta a un comando
+    async getUploadByCommand(commandId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM uploads WHERE command_id = $1
+                ORDER BY created_at DESC
+                LIMIT 1
+            `, [commandId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo archivo del comando:', err.message);
+            return null;
+        }
+    }
+
+    // Archivos subidos por una tablet, del más reciente al más antiguo
+    async getUploads(tabletId, { kind = null, limit = 50 } = {}) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM uploads
+                WHERE tablet_id = $1 AND ($2::varchar IS NULL OR kind = $2)
+                ORDER BY created_at DESC
+                LIMIT $3
+            `, [tabletId, kind, limit]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo archivos subidos:', err.message);
+            return [];
+        }
+    }
+
+    // Eliminar el registro de un archivo; devuelve la fila para borrar el archivo
+    async deleteUpload(uploadId) {
+        try {
+            const result = await this.pool.query('DELETE FROM uploads WHERE id = $1 RETURNING *', [uploadId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error eliminando archivo subido:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar los registros anteriores a una fecha; devuelve las filas borradas
+    async deleteUploadsBefore(before) {
+        try {
+            const result = await this.pool.query('DELETE FROM uploads WHERE created_at < $1 RETURNING *', [before]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error eliminando archivos antiguos:', err.message);
+            return [];
+        }
+    }
+
+    // Registrar versión de la app kiosko
+    async createRelease({ versionName, versionCode, sha256, sizeBytes, filename, path, notes, createdBy }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO app_releases (version_name, version_code, sha256, size_bytes, filename, path, notes, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [versionName, versionCode, sha256, sizeBytes, filename ?? null, path, notes ?? null, createdBy ?? null]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error registrando versión:', err.message);
+            return null;
+        }
+    }
+
+    // Catálogo de versiones, de la más nueva a la más antigua
+    async getReleases() {
+        try {
+            const result = await this.pool.query(`
+                SELECT r.*, o.username as created_by_username,
+                       (SELECT COUNT(*)::int FROM tablets t WHERE t.app_version_code = r.version_code) as installed_count
+                FROM app_releases r
+                LEFT JOIN operators o ON o.id = r.created_by
+                ORDER BY r.version_code DESC
+            `);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo versiones:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener versión por ID
+    async getRelease(releaseId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM app_releases WHERE id = $1', [releaseId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo versión:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar versión sin despliegues; devuelve la fila para borrar el archivo
+    async deleteRelease(releaseId) {
+        try {
+            const result = await this.pool.query(`
+                DELETE FROM app_releases r
+                WHERE r.id = $1 AND NOT EXISTS (SELECT 1 FROM rollouts WHERE release_id = r.id)
+                RETURNING *
+            `, [releaseId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error eliminando versión:', err.message);
+            return null;
+        }
+    }
+
+    // Guardar la versión de la app que reporta una tablet
+    async setTabletAppVersion(tabletId, versionName, versionCode) {
+        try {
+            await this.pool.query(`
+                UPDATE tablets
+                SET app_version_name = $2, app_version_code = $3, app_version_updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                  AND (app_version_code IS DISTINCT FROM $3 OR app_version_name IS DISTINCT FROM $2)
+            `, [tabletId, versionName, versionCode]);
+        } catch (err) {
+            console.error('❌ Error guardando versión de la app:', err.message);
+        }
+    }
+
+    // Tablets del selector que aún no tienen la versión indicada (o una posterior)
+    async getTabletsBelowVersion(tabletIds, versionCode) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id FROM tablets
+                WHERE id = ANY($1::varchar[])
+                  AND (app_version_code IS NULL OR app_version_code < $2)
+                ORDER BY id
+            `, [tabletIds, versionCode]);
+            return result.rows.map(row => row.id);
+        } catch (err) {
+            console.error('❌ Error filtrando tablets por versión:', err.message);
+            return [];
+        }
+    }
+
+    // Crear despliegue con sus tablets objetivo: targets = [{ tabletId, stage }]
+    async createRollout({ releaseId, selector, stages, failureThreshold, autoAdvance, createdBy, targets }) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+
+            const rollout = await client.query(`
+                INSERT INTO rollouts (release_id, selector, stages, failure_threshold, auto_advance, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING *
+            `, [releaseId, JSON.stringify(selector), JSON.stringify(stages), failureThreshold, autoAdvance, createdBy ?? null]);
+
+            await client.query(`
+                INSERT INTO rollout_targets (rollout_id, tablet_id, stage)
+                SELECT $1, tablet_id, stage
+                FROM unnest($2::varchar[], $3::int[]) AS t(tablet_id, stage)
+            `, [rollout.rows[0].id, targets.map(target => target.tabletId), targets.map(target => target.stage)]);
+
+            await client.query('COMMIT');
+            return rollout.rows[0];
+        } catch (err) {
+            await this.rollback(client);
+            console.error('❌ Error creando despliegue:', err.message);
+            return null;
+        } finally {
+            client?.release();
+        }
+    }
+
+    // Despliegues con su versión y recuento de tablets por estado
+    async getRollouts({ status = null, releaseId = null } = {}) {
+        try {
+            const result = await this.pool.query(`
+                SELECT ro.*, r.version_name, r.version_code,
+                       COALESCE((
+                           SELECT jsonb_object_agg(status, count)
+                           FROM (SELECT status, COUNT(*)::int as count FROM rollout_targets
+                                 WHERE rollout_id = ro.id GROUP BY status) s
+                       ), '{}'::jsonb) as counts
+                FROM rollouts ro
+                JOIN app_releases r ON r.id = ro.release_id
+                WHERE ($1::varchar IS NULL OR ro.status = $1)
+                  AND ($2::int IS NULL OR ro.release_id = $2)
+                ORDER BY ro.created_at DESC
+            `, [status, releaseId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo despliegues:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener despliegue con su versión
+    async getRollout(rolloutId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT ro.*, r.version_name, r.version_code, r.sha256, r.size_bytes,
+                       COALESCE((
+                           SELECT jsonb_object_agg(status, count)
+                           FROM (SELECT status, COUNT(*)::int as count FROM rollout_targets
+                                 WHERE rollout_id = ro.id GROUP BY status) s
+                       ), '{}'::jsonb) as counts
+                FROM rollouts ro
+                JOIN app_releases r ON r.id = ro.release_id
+                WHERE ro.id = $1
+            `, [rolloutId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo despliegue:', err.message);
+            return null;
+        }
+    }
+
+    // Tablets objetivo de un despliegue
+    async getRolloutTargets(rolloutId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT rt.*, t.name as tablet_name, t.app_version_name, t.app_version_code
+                FROM rollout_targets rt
+                JOIN tablets t ON t.id = rt.tablet_id
+                WHERE rt.rollout_id = $1
+                ORDER BY rt.stage, rt.tablet_id
+            `, [rolloutId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo tablets del despliegue:', err.message);
+            return [];
+        }
+    }
+
+    // Cambiar estado y etapa de un despliegue
+    async setRolloutState(rolloutId, { status, currentStage, haltedReason = null }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE rollouts SET
+                    status = COALESCE($2, status),
+                    current_stage = COALESCE($3, current_stage),
+                    halted_reason = $4,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [rolloutId, status ?? null, currentStage ?? null, haltedReason]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando despliegue:', err.message);
+            return null;
+        }
+    }
+
+    // Actualizar el estado de una tablet objetivo
+    async updateRolloutTarget(rolloutId, tabletId, { status, commandId, error = null }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE rollout_targets SET
+                    status = $3,
+                    command_id = COALESCE($4, command_id),
+                    error = $5,
+                    sent_at = CASE WHEN $6 THEN CURRENT_TIMESTAMP ELSE sent_at END,
+                    completed_at = CASE WHEN $7 THEN CURRENT_TIMESTAMP END
+                WHERE rollout_id = $1 AND tablet_id = $2
+                RETURNING *
+            `, [
+                rolloutId, tabletId, status, commandId ?? null, error,
+                ['queued', 'sent'].includes(status), ['succeeded', 'failed', 'cancelled'].includes(status)
+            ]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando tablet del despliegue:', err.message);
+            return null;
+        }
+    }
+
+    // Tablet objetivo a la que se envió un comando de instalación
+    async getRolloutTargetByCommand(commandId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM rollout_targets WHERE command_id = $1', [commandId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error buscando comando de despliegue:', err.message);
+            return null;
+        }
+    }
+
+    // Marcar como instaladas las tablets que ya reportan la versión (o una posterior).
+    // Devuelve las filas actualizadas
+    async completeRolloutTargets(tabletId, versionCode) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE rollout_targets rt
+                SET status = 'succeeded', error = NULL, completed_at = CURRENT_TIMESTAMP
+                FROM rollouts ro
+                JOIN app_releases r ON r.id = ro.release_id
+                WHERE rt.rollout_id = ro.id
+                  AND rt.tablet_id = $1
+                  AND rt.status IN ('queued', 'sent', 'failed')
+                  AND ro.status IN ('active', 'paused', 'halted')
+                  AND r.version_code <= $2
+                RETURNING rt.*
+            `, [tabletId, versionCode]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error completando tablets del despliegue:', err.message);
+            return [];
+        }
+    }
+
+    // Volver a dejar pendientes las instalaciones fallidas (al reanudar un despliegue detenido)
+    async resetFailedRolloutTargets(rolloutId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE rollout_targets
+                SET status = 'pending', error = NULL, command_id = NULL, sent_at = NULL, completed_at = NULL
+                WHERE rollout_id = $1 AND status = 'failed'
+            `, [rolloutId]);
+            return result.rowCount;
+        } catch (err) {
+            console.error('❌ Error reintentando instalaciones:', err.message);
+            return 0;
+        }
+    }
+
+    // Cancelar las tablets que aún no recibieron la instalación; devuelve las filas
+    // (las encoladas traen command_id para cancelar el comando)
+    async cancelRolloutTargets(rolloutId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE rollout_targets
+                SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+                WHERE rollout_id = $1 AND status IN ('pending', 'queued')
+                RETURNING *
+            `, [rolloutId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error cancelando tablets del despliegue:', err.message);
+            return [];
+        }
+    }
+
+    // Instalaciones enviadas que no confirmaron la versión en "minutes" minutos
+    async failStaleRolloutTargets(minutes) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE rollout_targets
+                SET status = 'failed', error = 'La tablet no reportó la nueva versión', completed_at = CURRENT_TIMESTAMP
+                WHERE status = 'sent'
+                  AND sent_at < CURRENT_TIMESTAMP - make_interval(secs => $1::double precision * 60)
+                RETURNING *
+            `, [minutes]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error venciendo instalaciones:', err.message);
+            return [];
+        }
+    }
+
+    // Listar reglas de alerta
+    async getAlertRules() {
+        try {
+            const result = await this.pool.query(`
+                SELECT r.*,
+                       (SELECT COUNT(*)::int FROM alerts a WHERE a.rule_id = r.id AND a.status <> 'resolved') as active_alerts
+                FROM alert_rules r
+                ORDER BY r.name
+            `);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo reglas de alerta:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener regla de alerta por ID
+    async getAlertRule(ruleId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM alert_rules WHERE id = $1', [ruleId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo regla de alerta:', err.message);
+            return null;
+        }
+    }
+
+    // Crear regla de alerta
+    async createAlertRule({ name, type, threshold, windowMinutes, selector, severity, webhooks, emails, enabled }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO alert_rules (name, type, threshold, window_minutes, selector, severity, webhooks, emails, enabled)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING *
+            `, [
+                name, type, threshold, windowMinutes ?? null, JSON.stringify(selector), severity,
+                JSON.stringify(webhooks), JSON.stringify(emails), enabled
+            ]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando regla de alerta:', err.message);
+            return null;
+        }
+    }
+
+    // Actualizar regla de alerta (los campos ausentes no cambian)
+    async updateAlertRule(ruleId, { name, threshold, windowMinutes, selector, severity, webhooks, emails, enabled }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE alert_rules SET
+                    name = COALESCE($2, name),
+                    threshold = COALESCE($3, threshold),
+                    window_minutes = COALESCE($4, window_minutes),
+                    selector = COALESCE($5, selector),
+                    severity = COALESCE($6, severity),
+                    webhooks = COALESCE($7, webhooks),
+                    emails = COALESCE($8, emails),
+                    enabled = COALESCE($9, enabled),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [
+                ruleId, name ?? null, threshold ?? null, windowMinutes ?? null,
+                selector ? JSON.stringify(selector) : null, severity ?? null,
+                webhooks ? JSON.stringify(webhooks) : null, emails ? JSON.stringify(emails) : null, enabled ?? null
+            ]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando regla de alerta:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar regla de alerta (y sus alertas)
+    async deleteAlertRule(ruleId) {
+        try {
+            const result = await this.pool.query('DELETE FROM alert_rules WHERE id = $1', [ruleId]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error eliminando regla de alerta:', err.message);
+            return false;
+        }
+    }
+
+    // Alertas sin resolver de una regla
+    async getActiveAlerts(ruleId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM alerts WHERE rule_id = $1 AND status <> 'resolved'
+            `, [ruleId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo alertas activas:', err.message);
+            return [];
+        }
+    }
+
+    // Abrir alerta. Devuelve null si ya hay una sin resolver para la regla y tablet
+    async openAlert({ ruleId, tabletId, severity, message, details }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO alerts (rule_id, tablet_id, severity, message, details)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (rule_id, tablet_id) WHERE status <> 'resolved' DO NOTHING
+                RETURNING *
+            `, [ruleId, tabletId, severity, message, JSON.stringify(details)]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error abriendo alerta:', err.message);
+            return null;
+        }
+    }
+
+    // Refrescar una alerta que sigue activa
+    async touchAlert(alertId, message, details) {
+        try {
+            await this.pool.query(`
+                UPDATE alerts SET message = $2, details = $3, last_seen_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [alertId, message, JSON.stringify(details)]);
+        } catch (err) {
+            console.error('❌ Error actualizando alerta:', err.message);
+        }
+    }
+
+    // Reconocer una alerta abierta (de una tablet de la organización indicada, si la hay)
+    async acknowledgeAlert(alertId, operatorId, organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE alerts
+                SET status = 'acknowledged', acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = $2
+                WHERE id = $1 AND status = 'open'
+                  AND ($3::int IS NULL OR tablet_id IN (SELECT id FROM tablets WHERE organization_id = $3))
+                RETURNING *
+            `, [alertId, operatorId, organizationId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error reconociendo alerta:', err.message);
+            return null;
+        }
+    }
+
+    // Resolver una alerta (abierta o reconocida), de la organización indicada si la hay
+    async resolveAlert(alertId, organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE alerts
+                SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status <> 'resolved'
+                  AND ($2::int IS NULL OR tablet_id IN (SELECT id FROM tablets WHERE organization_id = $2))
+                RETURNING *
+            `, [alertId, organizationId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error resolviendo alerta:', err.message);
+            return null;
+        }
+    }
+
+    // Listar alertas, opcionalmente por estado y tablet
+    async getAlerts({ status = null, tabletId = null, organizationId = null, limit = 100 } = {}) {
+        try {
+            const result = await this.pool.query(`
+                SELECT a.*, r.name as rule_name, r.type as rule_type, t.name as tablet_name,
+                       o.username as acknowledged_by_username
+                FROM alerts a
+                JOIN alert_rules r ON r.id = a.rule_id
+                LEFT JOIN tablets t ON t.id = a.tablet_id
+                LEFT JOIN operators o ON o.id = a.acknowledged_by
+                WHERE ($1::varchar IS NULL OR a.status = $1)
+                  AND ($2::varchar IS NULL OR a.tablet_id = $2)
+                  AND ($4::int IS NULL OR t.organization_id = $4)
+                ORDER BY a.opened_at DESC
+                LIMIT $3
+            `, [status, tabletId, limit, organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo alertas:', err.message);
+            return [];
+        }
+    }
+
+    // Tablets desconectadas desde hace más de "minutes" minutos
+    async getOfflineTablets(minutes) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id, name, last_seen
+                FROM tablets
+                WHERE status = 'offline'
+                  AND decommissioned_at IS NULL
+                  AND last_seen < CURRENT_TIMESTAMP - make_interval(secs => $1::double precision * 60)
+            `, [minutes]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo tablets desconectadas:', err.message);
+            return [];
+        }
+    }
+
+    // Comandos fallidos o sin respuesta por tablet en los últimos "minutes" minutos
+    async getCommandFailureCounts(minutes) {
+        try {
+            const result = await this.pool.query(`
+                SELECT tablet_id, COUNT(*)::int as failures
+                FROM command_logs
+                WHERE status IN ('failed', 'timed_out')
+                  AND completed_at > CURRENT_TIMESTAMP - make_interval(secs => $1::double precision * 60)
+                GROUP BY tablet_id
+            `, [minutes]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error contando comandos fallidos:', err.message);
+            return [];
+        }
+    }
+
+    // Listar webhooks con el número de entregas pendientes y fallidas
+    async getWebhooks() {
+        try {
+            const result = await this.pool.query(`
+                SELECT w.*,
+                       COUNT(d.id) FILTER (WHERE d.status = 'pending')::int as pending_deliveries,
+                       COUNT(d.id) FILTER (WHERE d.status = 'failed')::int as failed_deliveries
+                FROM webhooks w
+                LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+                GROUP BY w.id
+                ORDER BY w.name
+            `);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo webhooks:', err.message);
+            return [];
+        }
+    }
+
+    async getWebhook(webhookId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM webhooks WHERE id = $1', [webhookId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo webhook:', err.message);
+            return null;
+        }
+    }
+
+    async createWebhook({ name, url, secret, events, enabled, createdBy }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO webhooks (name, url, secret, events, enabled, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING *
+            `, [name, url, secret, JSON.stringify(events), enabled, createdBy ?? null]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando webhook:', err.message);
+            return null;
+        }
+    }
+
+    // Actualizar webhook (los campos ausentes no cambian)
+    async updateWebhook(webhookId, { name, url, secret, events, enabled }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE webhooks SET
+                    name = COALESCE($2, name),
+                    url = COALESCE($3, url),
+                    secret = COALESCE($4, secret),
+                    events = COALESCE($5, events),
+                    enabled = COALESCE($6, enabled),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [
+                webhookId, name ?? null, url ?? null, secret ?? null,
+                events ? JSON.stringify(events) : null, enabled ?? null
+            ]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando webhook:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar webhook (y su registro de entregas)
+    async deleteWebhook(webhookId) {
+        try {
+            const result = await this.pool.query('DELETE FROM webhooks WHERE id = $1', [webhookId]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error eliminando webhook:', err.message);
+            return false;
+        }
+    }
+
+    // Eventos a los que está suscrito algún webhook activo
+    async getWebhookEvents() {
+        try {
+            const result = await this.pool.query(`
+                SELECT DISTINCT jsonb_array_elements_text(events) as event
+                FROM webhooks
+                WHERE enabled
+            `);
+            return result.rows.map(row => row.event);
+        } catch (err) {
+            console.error('❌ Error obteniendo eventos de webhooks:', err.message);
+            return [];
+        }
+    }
+
+    // Encolar un evento para cada webhook activo suscrito a él. Devuelve cuántas entregas creó
+    async enqueueWebhookDeliveries(event, payload) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO webhook_deliveries (webhook_id, event, payload)
+                SELECT id, $1::text, $2::jsonb
+                FROM webhooks
+                WHERE enabled AND events ? $1::text
+            `, [event, JSON.stringify(payload)]);
+            return result.rowCount;
+        } catch (err) {
+            console.error('❌ Error encolando entregas de webhooks:', err.message);
+            return 0;
+        }
+    }
+
+    // Encolar una entrega para un webhook concreto (p. ej. la de prueba)
+    async createWebhookDelivery(webhookId, event, payload) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO webhook_deliveries (webhook_id, event, payload)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [webhookId, event, JSON.stringify(payload)]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando entrega de webhook:', err.message);
+            return null;
+        }
+    }
+
+    // Reservar las entregas pendientes que toca intentar, con la URL y el secreto
+    // de su webhook. El intento cuenta al reservar y la fecha del siguiente se
+    // adelanta "leaseSeconds", así otro nodo no la toma mientras se envía
+    async claimWebhookDeliveries(limit, leaseSeconds) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE webhook_deliveries d
+                SET attempts = d.attempts + 1,
+                    next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2::double precision)
+                FROM webhooks w
+                WHERE w.id = d.webhook_id
+                  AND d.id IN (
+                      SELECT pd.id
+                      FROM webhook_deliveries pd
+                      JOIN webhooks pw ON pw.id = pd.webhook_id
+                      WHERE pd.status = 'pending' AND pd.next_attempt_at <= CURRENT_TIMESTAMP AND pw.enabled
+                      ORDER BY pd.next_attempt_at
+                      LIMIT $1
+                  )
+                  AND d.status = 'pending'
+                  AND d.next_attempt_at <= CURRENT_TIMESTAMP
+                RETURNING d.*, w.url, w.secret
+            `, [limit, leaseSeconds]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error reservando entregas de webhooks:', err.message);
+            return [];
+        }
+    }
+
+    // Anotar el resultado de un intento: entregada, fallida definitivamente o
+    // pendiente de reintento dentro de "retryInSeconds"
+    async finishWebhookDelivery(deliveryId, { status, responseStatus = null, error = null, retryInSeconds = null }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE webhook_deliveries SET
+                    status = $2::varchar,
+                    response_status = $3,
+                    last_error = $4,
+                    next_attempt_at = CASE WHEN $5::double precision IS NULL THEN next_attempt_at
+                        ELSE CURRENT_TIMESTAMP + make_interval(secs => $5::double precision) END,
+                    delivered_at = CASE WHEN $2::varchar = 'delivered' THEN CURRENT_TIMESTAMP END
+                WHERE id = $1
+                RETURNING *
+            `, [deliveryId, status, responseStatus, error, retryInSeconds]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando entrega de webhook:', err.message);
+            return null;
+        }
+    }
+
+    async getWebhookDelivery(deliveryId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo entrega de webhook:', err.message);
+            return null;
+        }
+    }
+
+    // Registro de entregas de un webhook, de la más reciente a la más antigua
+    async getWebhookDeliveries(webhookId, { status = null, event = null, limit = 100 } = {}) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM webhook_deliveries
+                WHERE webhook_id = $1
+                  AND ($2::varchar IS NULL OR status = $2)
+                  AND ($3::varchar IS NULL OR event = $3)
+                ORDER BY created_at DESC, id DESC
+                LIMIT $4
+            `, [webhookId, status, event, limit]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo entregas de webhook:', err.message);
+            return [];
+        }
+    }
+
+    // Volver a poner en cola una entrega (entregada o fallida) con los intentos a cero
+    async retryWebhookDelivery(webhookId, deliveryId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE webhook_deliveries
+                SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+                    last_error = NULL, delivered_at = NULL
+                WHERE id = $2 AND webhook_id = $1 AND status <> 'pending'
+                RETURNING *
+            `, [webhookId, deliveryId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error reintentando entrega de webhook:', err.message);
+            return null;
+        }
+    }
 
-        this.pool.on('error', (err) => {
-            console.error('❌ Error inesperado en cliente PostgreSQL:', err);
-        });
+    // Crear código de enrolamiento
+    async createEnrollmentCode({ codeHash, tabletId, note, expiresAt, organizationId, siteId }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO enrollment_codes (code_hash, tablet_id, note, expires_at, organization_id, site_id)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id, tablet_id, note, organization_id, site_id, expires_at, created_at
+            `, [codeHash, tabletId, note, expiresAt, organizationId, siteId ?? null]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando código de enrolamiento:', err.message);
+            return null;
+        }
+    }
 
-        this.initConnection();
+    // Listar códigos de enrolamiento (sin el hash), de una organización o de todas
+    async getEnrollmentCodes(organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id, tablet_id, note, organization_id, site_id, expires_at, used_at, used_by, created_at
+                FROM enrollment_codes
+                WHERE ($1::int IS NULL OR organization_id = $1)
+                ORDER BY created_at DESC
+            `, [organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo códigos de enrolamiento:', err.message);
+            return [];
+        }
     }
 
-    async initConnection() {
+    // Eliminar un código de enrolamiento no usado (de la organización indicada, si la hay)
+    async deleteEnrollmentCode(id, organizationId = null) {
         try {
-            const client = await this.pool.connect();
-            console.log('✅ Conectado a PostgreSQL - Base: kiosk');
-            
-            // Verificar si las tablas existen y crearlas si no
-            await this.initTables(client);
-            client.release();
-            
+            const result = await this.pool.query(`
+                DELETE FROM enrollment_codes
+                WHERE id = $1 AND used_at IS NULL AND ($2::int IS NULL OR organization_id = $2)
+            `, [id, organizationId]);
+            return result.rowCount > 0;
         } catch (err) {
-            console.error('❌ Error conectando a PostgreSQL:', err.message);
-            console.error('💡 Asegúrate de que:');
-            console.error('   1. PostgreSQL esté ejecutándose');
-            console.error('   2. La base "kiosk" exista');
-            console.error('   3. Las credenciales sean correctas');
+            console.error('❌ Error eliminando código de enrolamiento:', err.message);
+            return false;
         }
     }
 
-    async initTables(client) {
+    // Canjear código y emitir credencial en una sola transacción
+    async enrollDevice({ codeHash, tabletId, name, tokenHash }) {
+        let client;
         try {
-            // Tabla de tablets
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS tablets (
-                    id VARCHAR(255) PRIMARY KEY,
-                    name VARCHAR(255) NOT NULL,
-                    ip VARCHAR(45),
-                    status VARCHAR(20) DEFAULT 'offline',
-                    current_url TEXT,
-                    last_seen TIMESTAMP WITH TIME ZONE,
-                    uptime VARCHAR(50),
-                    stats JSONB,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+            client = await this.pool.connect();
+            await client.query('BEGIN');
 
-            // Tabla de comandos ejecutados
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS command_logs (
-                    id SERIAL PRIMARY KEY,
-                    tablet_id VARCHAR(255) NOT NULL,
-                    command VARCHAR(100) NOT NULL,
-                    params JSONB,
-                    timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
-                    source_ip VARCHAR(45),
-                    success BOOLEAN DEFAULT NULL,
-                    response TEXT,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    CONSTRAINT fk_tablet_command FOREIGN KEY (tablet_id) REFERENCES tablets (id) ON DELETE CASCADE
-                )
-            `);
+            const code = await client.query(`
+                UPDATE enrollment_codes
+                SET used_at = CURRENT_TIMESTAMP, used_by = $2
+                WHERE code_hash = $1
+                  AND used_at IS NULL
+                  AND expires_at > CURRENT_TIMESTAMP
+                  AND (tablet_id IS NULL OR tablet_id = $2)
+                RETURNING id, organization_id, site_id
+            `, [codeHash, tabletId]);
 
-            // Tabla de estadísticas diarias
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS daily_stats (
-                    id SERIAL PRIMARY KEY,
-                    tablet_id VARCHAR(255) NOT NULL,
-                    date DATE NOT NULL,
-                    total_uptime_minutes INTEGER DEFAULT 0,
-                    url_changes INTEGER DEFAULT 0,
-                    restarts INTEGER DEFAULT 0,
-                    commands_received INTEGER DEFAULT 0,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(tablet_id, date),
-                    CONSTRAINT fk_tablet_stats FOREIGN KEY (tablet_id) REFERENCES tablets (id) ON DELETE CASCADE
-                )
-            `);
+            if (code.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
 
-            // Tabla de logs de actividad
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS activity_logs (
-                    id SERIAL PRIMARY KEY,
-                    tablet_id VARCHAR(255),
-                    level VARCHAR(20) NOT NULL CHECK(level IN ('info', 'warning', 'error')),
-                    message TEXT NOT NULL,
-                    timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
-                    metadata JSONB,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+            // Una tablet ya registrada solo se vuelve a enrolar con un código de su organización
+            const { organization_id: organizationId, site_id: siteId } = code.rows[0];
+            const tablet = await client.query(`
+                INSERT INTO tablets (id, name, status, organization_id, site_id)
+                VALUES ($1, $2, 'offline', $3, $4)
+                ON CONFLICT (id) DO UPDATE SET
+                    decommissioned_at = NULL,
+                    site_id = COALESCE(EXCLUDED.site_id, tablets.site_id)
+                WHERE tablets.organization_id = EXCLUDED.organization_id
+                RETURNING id
+            `, [tabletId, name, organizationId, siteId]);
+            if (tablet.rowCount === 0) {
+                await client.query('ROLLBACK');
+                console.warn(`🚫 Enrolamiento rechazado: ${tabletId} pertenece a otra organización`);
+                return null;
+            }
 
-            // Crear índices para mejor rendimiento
-            await client.query(`CREATE INDEX IF NOT EXISTS idx_tablets_status ON tablets (status)`);
-            await client.query(`CREATE INDEX IF NOT EXISTS idx_command_logs_tablet ON command_logs (tablet_id)`);
-            await client.query(`CREATE INDEX IF NOT EXISTS idx_command_logs_timestamp ON command_logs (timestamp DESC)`);
-            await client.query(`CREATE INDEX IF NOT EXISTS idx_daily_stats_date ON daily_stats (date DESC)`);
-            await client.query(`CREATE INDEX IF NOT EXISTS idx_activity_logs_timestamp ON activity_logs (timestamp DESC)`);
+            const credential = await this.insertDeviceCredential(client, tabletId, tokenHash);
 
-            console.log('✅ Tablas PostgreSQL inicializadas correctamente');
+            await client.query('COMMIT');
+            return { ...credential, organization_id: organizationId };
         } catch (err) {
-            console.error('❌ Error creando tablas:', err.message);
+            await this.rollback(client);
+            console.error('❌ Error enrolando tablet:', err.message);
+            return null;
+        } finally {
+            client?.release();
         }
     }
 
-    // Actualizar información de tablet
-    async updateTablet(tabletInfo) {
-        const { id, name, ip, status, currentUrl, lastSeen, uptime, stats } = tabletInfo;
-        
+    // Revoca las credenciales vigentes e inserta la nueva (dentro de una transacción)
+    async insertDeviceCredential(client, tabletId, tokenHash) {
+        await client.query(`
+            UPDATE device_credentials
+            SET revoked_at = CURRENT_TIMESTAMP
+            WHERE tablet_id = $1 AND revoked_at IS NULL
+        `, [tabletId]);
+
+        const result = await client.query(`
+            INSERT INTO device_credentials (tablet_id, token_hash)
+            VALUES ($1, $2)
+            RETURNING id, tablet_id, created_at
+        `, [tabletId, tokenHash]);
+        return result.rows[0];
+    }
+
+    // Rotar la credencial de una tablet ya enrolada
+    async replaceDeviceCredential(tabletId, tokenHash) {
+        let client;
         try {
-            await this.pool.query(`
-                INSERT INTO tablets 
-                (id, name, ip, status, current_url, last_seen, uptime, stats, updated_at)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
-                ON CONFLICT (id) DO UPDATE SET
-                    name = EXCLUDED.name,
-                    ip = EXCLUDED.ip,
-                    status = EXCLUDED.status,
-                    current_url = EXCLUDED.current_url,
-                    last_seen = EXCLUDED.last_seen,
-                    uptime = EXCLUDED.uptime,
-                    stats = EXCLUDED.stats,
-                    updated_at = CURRENT_TIMESTAMP
-            `, [id, name, ip, status, currentUrl, lastSeen, uptime, JSON.stringify(stats)]);
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+
+            const tablet = await client.query('SELECT id FROM tablets WHERE id = $1', [tabletId]);
+            if (tablet.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const credential = await this.insertDeviceCredential(client, tabletId, tokenHash);
+
+            await client.query('COMMIT');
+            return credential;
         } catch (err) {
-            console.error('❌ Error actualizando tablet:', err.message);
+            await this.rollback(client);
+            console.error('❌ Error rotando credencial:', err.message);
+            return null;
+        } finally {
+            client?.release();
         }
     }
 
-    // Obtener todas las tablets
-    async getAllTablets(callback) {
+    // Validar credencial y registrar su último uso
+    async touchDeviceCredential(tabletId, tokenHash) {
         try {
             const result = await this.pool.query(`
-                SELECT *, 
-                       last_seen AT TIME ZONE 'UTC' AT TIME ZONE 'America/Mexico_City' as last_seen_local
-                FROM tablets 
-                ORDER BY updated_at DESC
-            `);
-            
-            const tablets = result.rows.map(row => ({
-                ...row,
-                stats: row.stats || {}
-            }));
-            callback(tablets);
+                UPDATE device_credentials
+                SET last_used_at = CURRENT_TIMESTAMP
+                WHERE tablet_id = $1 AND token_hash = $2 AND revoked_at IS NULL
+            `, [tabletId, tokenHash]);
+            return result.rowCount > 0;
         } catch (err) {
-            console.error('❌ Error obteniendo tablets:', err.message);
-            callback([]);
+            console.error('❌ Error validando credencial:', err.message);
+            return false;
         }
     }
 
-    // Obtener tablet por ID
-    async getTablet(tabletId, callback) {
+    // Revocar todas las credenciales de una tablet
+    async revokeDeviceCredentials(tabletId) {
         try {
             const result = await this.pool.query(`
-                SELECT *, 
-                       last_seen AT TIME ZONE 'UTC' AT TIME ZONE 'America/Mexico_City' as last_seen_local
-                FROM tablets 
-                WHERE id = $1
+                UPDATE device_credentials
+                SET revoked_at = CURRENT_TIMESTAMP
+                WHERE tablet_id = $1 AND revoked_at IS NULL
             `, [tabletId]);
-            
-            if (result.rows.length > 0) {
-                const tablet = {
-                    ...result.rows[0],
-                    stats: result.rows[0].stats || {}
-                };
-                callback(tablet);
-            } else {
-                callback(null);
-            }
+            return result.rowCount;
         } catch (err) {
-            console.error('❌ Error obteniendo tablet:', err.message);
-            callback(null);
+            console.error('❌ Error revocando credenciales:', err.message);
+            return 0;
+        }
+    }
+
+    // Contar operadores registrados
+    async countOperators() {
+        try {
+            const result = await this.pool.query('SELECT COUNT(*)::int AS total FROM operators');
+            return result.rows[0].total;
+        } catch (err) {
+            console.error('❌ Error contando operadores:', err.message);
+            return -1;
+        }
+    }
+
+    // Crear operador
+    async createOperator({ username, passwordHash, role, organizationId = null }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO operators (username, password_hash, role, organization_id)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id, username, role, organization_id, disabled, created_at
+            `, [username, passwordHash, role, organizationId]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando operador:', err.message);
+            return null;
+        }
+    }
+
+    // Listar operadores (sin contraseñas), de una organización o todos
+    async getOperators(organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id, username, role, organization_id, disabled, created_at
+                FROM operators
+                WHERE ($1::int IS NULL OR organization_id = $1)
+                ORDER BY username
+            `, [organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo operadores:', err.message);
+            return [];
+        }
+    }
+
+    // Obtener operador por ID (sin contraseña)
+    async getOperator(id) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id, username, role, organization_id, disabled, created_at
+                FROM operators WHERE id = $1
+            `, [id]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo operador:', err.message);
+            return null;
+        }
+    }
+
+    // Obtener operador por nombre de usuario (incluye el hash para el login)
+    async getOperatorByUsername(username) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM operators WHERE username = $1
+            `, [username]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo operador:', err.message);
+            return null;
+        }
+    }
+
+    // Actualizar rol, contraseña o estado de un operador
+    async updateOperator(id, { role, passwordHash, disabled }) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE operators SET
+                    role = COALESCE($2, role),
+                    password_hash = COALESCE($3, password_hash),
+                    disabled = COALESCE($4, disabled),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, username, role, organization_id, disabled, created_at
+            `, [id, role ?? null, passwordHash ?? null, disabled ?? null]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error actualizando operador:', err.message);
+            return null;
+        }
+    }
+
+    // Eliminar operador
+    async deleteOperator(id) {
+        try {
+            const result = await this.pool.query('DELETE FROM operators WHERE id = $1', [id]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error eliminando operador:', err.message);
+            return false;
+        }
+    }
+
+    // Crear sesión de operador
+    async createOperatorSession(operatorId, tokenHash, expiresAt) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO operator_sessions (operator_id, token_hash, expires_at)
+                VALUES ($1, $2, $3)
+                RETURNING id, expires_at
+            `, [operatorId, tokenHash, expiresAt]);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Error creando sesión:', err.message);
+            return null;
+        }
+    }
+
+    // Operador activo asociado a una sesión vigente
+    async getOperatorBySession(tokenHash) {
+        try {
+            const result = await this.pool.query(`
+                SELECT o.id, o.username, o.role, o.organization_id, o.disabled, o.created_at
+                FROM operator_sessions s
+                JOIN operators o ON o.id = s.operator_id
+                WHERE s.token_hash = $1
+                  AND s.expires_at > CURRENT_TIMESTAMP
+                  AND o.disabled = FALSE
+            `, [tokenHash]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error validando sesión:', err.message);
+            return null;
+        }
+    }
+
+    // Cerrar una sesión
+    async deleteOperatorSession(tokenHash) {
+        try {
+            const result = await this.pool.query('DELETE FROM operator_sessions WHERE token_hash = $1', [tokenHash]);
+            return result.rowCount > 0;
+        } catch (err) {
+            console.error('❌ Error cerrando sesión:', err.message);
+            return false;
+        }
+    }
+
+    // Cerrar todas las sesiones de un operador
+    async deleteOperatorSessions(operatorId) {
+        try {
+            await this.pool.query('DELETE FROM operator_sessions WHERE operator_id = $1', [operatorId]);
+        } catch (err) {
+            console.error('❌ Error cerrando sesiones:', err.message);
         }
     }
 
     // Registrar comando ejecutado
     async logCommand(commandInfo) {
-        const { tabletId, command, params, timestamp, sourceIp } = commandInfo;
+        const {
+            commandId, tabletId, command, params, timestamp, sourceIp, operatorId,
+            status = 'pending', timeoutMs = null, timeoutAt = null, expiresAt = null
+        } = commandInfo;
+        const deliveredAt = status === 'pending' ? timestamp : null;
         
         try {
-            await this.pool.query(`
+            const result = await this.pool.query(`
                 INSERT INTO command_logs 
-                (tablet_id, command, params, timestamp, source_ip)
-                VALUES ($1, $2, $3, $4, $5)
-            `, [tabletId, command, JSON.stringify(params), timestamp, sourceIp]);
+                (command_id, tablet_id, command, params, timestamp, source_ip, operator_id,
+                 status, timeout_ms, timeout_at, expires_at, delivered_at, organization_id)
+                VALUES ($1, $2::varchar, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                        (SELECT organization_id FROM tablets WHERE id = $2::varchar))
+                RETURNING *
+            `, [commandId, tabletId, command, JSON.stringify(params), timestamp, sourceIp, operatorId || null,
+                status, timeoutMs, timeoutAt, expiresAt, deliveredAt]);
+            return result.rows[0];
         } catch (err) {
             console.error('❌ Error logging comando:', err.message);
+            return null;
         }
     }
 
-    // Actualizar resultado de comando
-    async updateCommandResult(tabletId, command, success, response) {
+    // Actualizar resultado de comando (solo si sigue pendiente)
+    async updateCommandResult(commandId, tabletId, { status, success, response }) {
         try {
-            await this.pool.query(`
+            const result = await this.pool.query(`
                 UPDATE command_logs 
-                SET success = $1, response = $2
-                WHERE tablet_id = $3 AND command = $4 
-                AND created_at = (
-                    SELECT MAX(created_at) 
-                    FROM command_logs 
-                    WHERE tablet_id = $3 AND command = $4
-                )
-            `, [success, response, tabletId, command]);
+                SET status = $3, success = $4, response = $5, completed_at = CURRENT_TIMESTAMP
+                WHERE command_id = $1 AND tablet_id = $2 AND status = 'pending'
+                RETURNING *
+            `, [commandId, tabletId, status, success, response]);
+            return result.rows[0] || null;
         } catch (err) {
             console.error('❌ Error actualizando resultado comando:', err.message);
+            return null;
+        }
+    }
+
+    // Obtener un comando por su ID
+    async getCommand(commandId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT cl.*, t.name as tablet_name, o.username as operator_username
+                FROM command_logs cl
+                LEFT JOIN tablets t ON cl.tablet_id = t.id
+                LEFT JOIN operators o ON cl.operator_id = o.id
+                WHERE cl.command_id = $1
+            `, [commandId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error obteniendo comando:', err.message);
+            return null;
+        }
+    }
+
+    // Pasar a pendientes los comandos encolados de una tablet, en orden de creación
+    async claimQueuedCommands(tabletId, defaultTimeoutMs) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE command_logs
+                SET status = 'pending',
+                    delivered_at = CURRENT_TIMESTAMP,
+                    timeout_at = CURRENT_TIMESTAMP + COALESCE(timeout_ms, $2) * INTERVAL '1 millisecond'
+                WHERE tablet_id = $1
+                  AND status = 'queued'
+                  AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+                RETURNING *
+            `, [tabletId, defaultTimeoutMs]);
+            return result.rows.sort((a, b) => a.id - b.id);
+        } catch (err) {
+            console.error('❌ Error obteniendo cola de comandos:', err.message);
+            return [];
+        }
+    }
+
+    // Comandos en cola (de una tablet o de todas, de una organización o de todas)
+    async getQueuedCommands(tabletId = null, organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                SELECT cl.*, t.name as tablet_name, o.username as operator_username
+                FROM command_logs cl
+                LEFT JOIN tablets t ON cl.tablet_id = t.id
+                LEFT JOIN operators o ON cl.operator_id = o.id
+                WHERE cl.status = 'queued'
+                  AND (cl.expires_at IS NULL OR cl.expires_at > CURRENT_TIMESTAMP)
+                  AND ($1::varchar IS NULL OR cl.tablet_id = $1)
+                  AND ($2::int IS NULL OR cl.organization_id = $2)
+                ORDER BY cl.id
+            `, [tabletId, organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo cola de comandos:', err.message);
+            return [];
+        }
+    }
+
+    // Cancelar un comando que sigue en cola
+    async cancelQueuedCommand(commandId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE command_logs
+                SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+                WHERE command_id = $1 AND status = 'queued'
+                RETURNING *
+            `, [commandId]);
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('❌ Error cancelando comando:', err.message);
+            return null;
+        }
+    }
+
+    // Marcar como caducados los comandos en cola cuya vigencia terminó
+    async expireQueuedCommands() {
+        try {
+            const result = await this.pool.query(`
+                UPDATE command_logs
+                SET status = 'expired', completed_at = CURRENT_TIMESTAMP
+                WHERE status = 'queued' AND expires_at < CURRENT_TIMESTAMP
+            `);
+            return result.rowCount;
+        } catch (err) {
+            console.error('❌ Error caducando cola de comandos:', err.message);
+            return 0;
+        }
+    }
+
+    // Marcar como vencidos los comandos pendientes cuyo plazo ya pasó
+    async expirePendingCommands(excludeIds = []) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE command_logs
+                SET status = 'timed_out', success = FALSE, completed_at = CURRENT_TIMESTAMP
+                WHERE status = 'pending'
+                  AND timeout_at < CURRENT_TIMESTAMP
+                  AND NOT (command_id = ANY($1::uuid[]))
+            `, [excludeIds]);
+            return result.rowCount;
+        } catch (err) {
+            console.error('❌ Error venciendo comandos pendientes:', err.message);
+            return 0;
         }
     }
 
-    // Obtener logs de comandos
-    async getLogs(tabletId = null, limit = 100) {
+    // Obtener logs de comandos (de una organización o de todas)
+    async getLogs(tabletId = null, limit = 100, organizationId = null) {
         try {
             let query, params;
             
             if (tabletId) {
                 query = `
-                    SELECT cl.*, t.name as tablet_name 
+                    SELECT cl.*, t.name as tablet_name, o.username as operator_username 
                     FROM command_logs cl 
                     LEFT JOIN tablets t ON cl.tablet_id = t.id 
+                    LEFT JOIN operators o ON cl.operator_id = o.id 
                     WHERE cl.tablet_id = $1 
+                      AND ($3::int IS NULL OR cl.organization_id = $3)
                     ORDER BY cl.created_at DESC 
                     LIMIT $2
                 `;
-                params = [tabletId, limit];
+                params = [tabletId, limit, organizationId];
             } else {
                 query = `
-                    SELECT cl.*, t.name as tablet_name 
+                    SELECT cl.*, t.name as tablet_name, o.username as operator_username 
                     FROM command_logs cl 
                     LEFT JOIN tablets t ON cl.tablet_id = t.id 
+                    LEFT JOIN operators o ON cl.operator_id = o.id 
+                    WHERE ($2::int IS NULL OR cl.organization_id = $2)
                     ORDER BY cl.created_at DESC 
                     LIMIT $1
                 `;
-                params = [limit];
+                params = [limit, organizationId];
             }
             
             const result = await this.pool.query(query, params);
@@ -257,15 +3069,66 @@ class Database {
     }
 
     // Registrar actividad general
-    async logActivity(tabletId, level, message, metadata = null) {
+    async logActivity(tabletId, level, message, metadata = null, category = null) {
+        const rows = await this.insertActivity([{ tabletId, source: 'server', level, category, message, metadata }]);
+        return rows[0] || null;
+    }
+
+    // Insertar varias entradas de actividad en una sola consulta:
+    // [{ tabletId, source, level, category, message, timestamp?, metadata? }]
+    async insertActivity(entries) {
         try {
-            await this.pool.query(`
-                INSERT INTO activity_logs 
-                (tablet_id, level, message, timestamp, metadata)
-                VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4)
-            `, [tabletId, level, message, JSON.stringify(metadata)]);
+            const result = await this.pool.query(`
+                INSERT INTO activity_logs (tablet_id, source, level, category, message, timestamp, metadata, organization_id)
+                SELECT e.tablet_id, e.source, e.level, e.category, e.message, COALESCE(e.timestamp, CURRENT_TIMESTAMP),
+                       e.metadata, t.organization_id
+                FROM unnest($1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::text[],
+                            $6::timestamptz[], $7::jsonb[])
+                     AS e(tablet_id, source, level, category, message, timestamp, metadata)
+                LEFT JOIN tablets t ON t.id = e.tablet_id
+                RETURNING *
+            `, [
+                entries.map(entry => entry.tabletId ?? null),
+                entries.map(entry => entry.source),
+                entries.map(entry => entry.level),
+                entries.map(entry => entry.category ?? null),
+                entries.map(entry => entry.message),
+                entries.map(entry => entry.timestamp ?? null),
+                entries.map(entry => (entry.metadata ? JSON.stringify(entry.metadata) : null))
+            ]);
+            return result.rows;
         } catch (err) {
             console.error('❌ Error logging actividad:', err.message);
+            return [];
+        }
+    }
+
+    // Buscar actividad, de la más reciente a la más antigua. "before" es el ID
+    // de la última entrada de la página anterior
+    async searchActivity({ tabletId = null, levels = null, source = null, category = null,
+        organizationId = null, from = null, to = null, q = null, before = null, limit = 100 } = {}) {
+        try {
+            const pattern = q ? `%${q.replace(/[\\%_]/g, '\\$&')}%` : null;
+            const result = await this.pool.query(`
+                SELECT a.*, t.name as tablet_name
+                FROM activity_logs a
+                LEFT JOIN tablets t ON t.id = a.tablet_id
+                WHERE ($1::varchar IS NULL OR a.tablet_id = $1)
+                  AND ($2::varchar[] IS NULL OR a.level = ANY($2::varchar[]))
+                  AND ($3::varchar IS NULL OR a.source = $3)
+                  AND ($4::varchar IS NULL OR a.category = $4)
+                  AND ($5::timestamptz IS NULL OR a.timestamp >= $5)
+                  AND ($6::timestamptz IS NULL OR a.timestamp < $6)
+                  AND ($7::text IS NULL OR a.message ILIKE $7 OR a.metadata::text ILIKE $7)
+                  AND ($8::int IS NULL OR a.id < $8)
+                  AND ($10::int IS NULL OR a.organization_id = $10)
+                ORDER BY a.id DESC
+                LIMIT $9
+            `, [tabletId, levels, source, category, from, to, pattern, before, limit, organizationId]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error buscando actividad:', err.message);
+            return [];
         }
     }
 
@@ -289,63 +3152,138 @@ class Database {
         }
     }
 
+    // Uso por organización (todas o una): tablets, conectadas (connectedIds), sedes,
+    // operadores, comandos y actividad. "Hoy" es el día en la zona horaria configurada
+    async getOrganizationUsage(connectedIds = [], organizationId = null) {
+        try {
+            const result = await this.pool.query(`
+                WITH bounds AS (
+                    SELECT ((CURRENT_TIMESTAMP AT TIME ZONE $3)::date)::timestamp AT TIME ZONE $3 AS today
+                )
+                SELECT o.id, o.name, o.slug,
+                       (SELECT COUNT(*)::int FROM tablets t
+                        WHERE t.organization_id = o.id AND t.decommissioned_at IS NULL) AS tablets,
+                       (SELECT COUNT(*)::int FROM tablets t
+                        WHERE t.organization_id = o.id AND t.decommissioned_at IS NULL
+                          AND t.id = ANY($1::varchar[])) AS online_tablets,
+                       (SELECT COUNT(*)::int FROM tablets t
+                        WHERE t.organization_id = o.id AND t.decommissioned_at IS NOT NULL) AS decommissioned,
+                       (SELECT COUNT(*)::int FROM sites s WHERE s.organization_id = o.id) AS sites,
+                       (SELECT COUNT(*)::int FROM operators op
+                        WHERE op.organization_id = o.id AND NOT op.disabled) AS operators,
+                       (SELECT COUNT(*)::int FROM command_logs c
+                        WHERE c.organization_id = o.id AND c.created_at >= b.today) AS commands_today,
+                       (SELECT COUNT(*)::int FROM command_logs c
+                        WHERE c.organization_id = o.id
+                          AND c.created_at >= CURRENT_TIMESTAMP - INTERVAL '30 days') AS commands_last_30_days,
+                       (SELECT COUNT(*)::int FROM activity_logs a
+                        WHERE a.organization_id = o.id AND a.timestamp >= b.today) AS activity_today
+                FROM organizations o, bounds b
+                WHERE ($2::int IS NULL OR o.id = $2)
+                ORDER BY o.name
+            `, [connectedIds, organizationId, this.timezone]);
+            return result.rows;
+        } catch (err) {
+            console.error('❌ Error obteniendo el uso por organización:', err.message);
+            return [];
+        }
+    }
+
     // Actualizar estadísticas diarias
     async updateDailyStats(tabletId, statsType, increment = 1) {
-        const today = new Date().toISOString().split('T')[0];
-        
+        const columnMap = {
+            'uptime': 'total_uptime_minutes',
+            'url_change': 'url_changes',
+            'restart': 'restarts',
+            'command': 'commands_received'
+        };
+
+        const column = columnMap[statsType];
+        if (!column) return;
+
         try {
-            // Insertar registro si no existe
+            // El día es el de la zona horaria configurada, no el de UTC
             await this.pool.query(`
-                INSERT INTO daily_stats (tablet_id, date) 
-                VALUES ($1, $2) 
-                ON CONFLICT (tablet_id, date) DO NOTHING
-            `, [tabletId, today]);
-
-            // Actualizar estadística específica
-            const columnMap = {
-                'url_change': 'url_changes',
-                'restart': 'restarts', 
-                'command': 'commands_received'
-            };
-
-            const column = columnMap[statsType];
-            if (column) {
-                await this.pool.query(`
-                    UPDATE daily_stats 
-                    SET ${column} = ${column} + $1 
-                    WHERE tablet_id = $2 AND date = $3
-                `, [increment, tabletId, today]);
-            }
+                INSERT INTO daily_stats (tablet_id, date, ${column})
+                VALUES ($1, (CURRENT_TIMESTAMP AT TIME ZONE $2)::date, $3)
+                ON CONFLICT (tablet_id, date) DO UPDATE
+                SET ${column} = daily_stats.${column} + EXCLUDED.${column}
+            `, [tabletId, this.timezone, increment]);
         } catch (err) {
             console.error('❌ Error actualizando estadísticas diarias:', err.message);
         }
     }
 
-    // Limpiar datos antiguos (más de 30 días)
-    async cleanOldData() {
-        try {
-            const thirtyDaysAgo = new Date();
-            thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    // Retención (ver retention.js). Tablas, columnas y condiciones vienen siempre de
+    // las políticas internas, nunca de una petición
 
-            // Limpiar logs antiguos
-            await this.pool.query(`
-                DELETE FROM command_logs 
-                WHERE created_at < $1
-            `, [thirtyDaysAgo]);
+    // Filas vencidas de una tabla, por orden de ID a partir de "afterId": { id, json }
+    // con la fila serializada por PostgreSQL (fechas y números tal cual, sin pasar
+    // por los tipos de JavaScript)
+    async getExpiredRows(table, { column, where = 'TRUE' }, before, afterId, limit) {
+        try {
+            const result = await this.pool.query(`
+                SELECT t.id, to_jsonb(t)::text as json FROM ${table} t
+                WHERE ${column} < $1 AND (${where}) AND id > $2
+                ORDER BY id
+                LIMIT $3
+            `, [before, afterId, limit]);
+            return result.rows;
+        } catch (err) {
+            console.error(`❌ Error leyendo filas vencidas de ${table}:`, err.message);
+            return null;
+        }
+    }
 
-            await this.pool.query(`
-                DELETE FROM activity_logs 
-                WHERE created_at < $1
-            `, [thirtyDaysAgo]);
+    async deleteRowsById(table, ids) {
+        try {
+            const result = await this.pool.query(`DELETE FROM ${table} WHERE id = ANY($1::bigint[])`, [ids]);
+            return result.rowCount;
+        } catch (err) {
+            console.error(`❌ Error borrando filas archivadas de ${table}:`, err.message);
+            return null;
+        }
+    }
 
-            await this.pool.query(`
-                DELETE FROM daily_stats 
-                WHERE date < $1
-            `, [thirtyDaysAgo.toISOString().split('T')[0]]);
+    // Borrar las filas vencidas de una tabla que no se archiva
+    async deleteExpiredRows(table, { column, where = 'TRUE' }, before) {
+        try {
+            const result = await this.pool.query(`
+                DELETE FROM ${table} WHERE ${column} < $1 AND (${where})
+            `, [before]);
+            return result.rowCount;
+        } catch (err) {
+            console.error(`❌ Error borrando filas vencidas de ${table}:`, err.message);
+            return null;
+        }
+    }
 
-            console.log('🧹 Datos antiguos limpiados (PostgreSQL)');
+    // Volver a cargar filas archivadas. Pasan por una tabla temporal donde "fixups"
+    // corrige o descarta las que ya no cumplen las claves foráneas (tablets u
+    // operadores eliminados); las que ya existen se omiten. Quedan marcadas con
+    // restored_at para que la retención no las archive otra vez. Devuelve las insertadas
+    async restoreRows(table, rows, fixups = []) {
+        let client;
+        try {
+            client = await this.pool.connect();
+            await client.query('BEGIN');
+            await client.query(`CREATE TEMP TABLE restore_rows (LIKE ${table}) ON COMMIT DROP`);
+            await client.query(`
+                INSERT INTO restore_rows SELECT * FROM jsonb_populate_recordset(NULL::${table}, $1::jsonb)
+            `, [JSON.stringify(rows)]);
+            for (const sql of fixups) {
+                await client.query(sql);
+            }
+            await client.query('UPDATE restore_rows SET restored_at = CURRENT_TIMESTAMP');
+            const result = await client.query(`INSERT INTO ${table} SELECT * FROM restore_rows ON CONFLICT DO NOTHING`);
+            await client.query('COMMIT');
+            return result.rowCount;
         } catch (err) {
-            console.error('❌ Error limpiando datos antiguos:', err.message);
+            await this.rollback(client);
+            console.error(`❌ Error restaurando filas en ${table}:`, err.message);
+            return null;
+        } finally {
+            client?.release();
         }
     }
 
@@ -355,14 +3293,44 @@ class Database {
             const client = await this.pool.connect();
             const result = await client.query('SELECT NOW() as current_time');
             client.release();
-            console.log('✅ Conexión PostgreSQL OK:', result.rows[0].current_time);
+            console.log(`✅ Conexión ${this.label} OK:`, result.rows[0].current_time);
             return true;
         } catch (err) {
-            console.error('❌ Error de conexión PostgreSQL:', err.message);
+            console.error(`❌ Error de conexión ${this.label}:`, err.message);
             return false;
         }
     }
 
+    // Comprobación ligera para /healthz y /readyz: milisegundos de ida y vuelta o
+    // null si la base no responde en "timeoutMs" (sin registrar los aciertos)
+    async ping(timeoutMs = 2000) {
+        const started = Date.now();
+        let timer;
+        try {
+            await Promise.race([
+                this.pool.query('SELECT 1'),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`sin respuesta en ${timeoutMs} ms`)), timeoutMs);
+                })
+            ]);
+            return Date.now() - started;
+        } catch (err) {
+            console.error(`❌ Error de conexión ${this.label}:`, err.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Uso del pool de conexiones (el embebido imita los contadores de pg)
+    poolStats() {
+        return {
+            total: this.pool.totalCount,
+            idle: this.pool.idleCount,
+            waiting: this.pool.waitingCount
+        };
+    }
+
     // Obtener información de la base de datos
     async getDatabaseInfo() {
         try {
@@ -381,9 +3349,11 @@ class Database {
 
     // Cerrar conexión
     async close() {
+        this.closing = true;
         try {
+            await Promise.all(this.listeners.map(client => client.end()));
             await this.pool.end();
-            console.log('✅ Pool de conexiones PostgreSQL cerrado');
+            console.log(`✅ Pool de conexiones ${this.label} cerrado`);
         } catch (err) {
             console.error('❌ Error cerrando conexiones:', err.message);
         }
@@ -0,0 +1,19 @@
+// Selección del adaptador de almacenamiento según la configuración
+const DRIVERS = {
+    postgres: () => require('./database-postgres'),
+    memory: () => require('./database-embedded')
+};
+
+function createDatabase(options = {}) {
+    const driver = options.driver || 'postgres';
+    const load = DRIVERS[driver];
+
+    if (!load) {
+        throw new Error(`Driver de base de datos desconocido: ${driver} (usa ${Object.keys(DRIVERS).join(' o ')})`);
+    }
+
+    const Database = load();
+    return new Database(options);
+}
+
+module.exports = { createDatabase, DRIVERS };
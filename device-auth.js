@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+// Alfabeto sin caracteres ambiguos (0/O, 1/I) para códigos que se teclean en la tablet
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+class DeviceAuth {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.codeTtlMinutes = options.codeTtlMinutes
+            || parseInt(process.env.ENROLLMENT_CODE_TTL_MINUTES, 10)
+            || 24 * 60;
+    }
+
+    static hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    // Los códigos se aceptan con o sin guiones y en minúsculas
+    static normalizeCode(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    static generateCode() {
+        const bytes = crypto.randomBytes(CODE_LENGTH);
+        let code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+        }
+        return `${code.slice(0, 4)}-${code.slice(4)}`;
+    }
+
+    static generateToken() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    // Generar un código de enrolamiento de un solo uso
+    // La tablet que lo canjee queda en la organización (y la sede, si la hay) del código
+    async createEnrollmentCode({ tabletId = null, note = null, ttlMinutes, organizationId, siteId = null } = {}) {
+        const code = DeviceAuth.generateCode();
+        const minutes = ttlMinutes || this.codeTtlMinutes;
+        const expiresAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+        const row = await this.db.createEnrollmentCode({
+            codeHash: DeviceAuth.hash(DeviceAuth.normalizeCode(code)),
+            tabletId,
+            note,
+            expiresAt,
+            organizationId,
+            siteId
+        });
+        if (!row) return null;
+
+        // El código en claro solo se devuelve en este momento
+        return { ...row, code };
+    }
+
+    // Canjear un código por una credencial permanente de dispositivo
+    async enroll(code, tabletId, name) {
+        const normalized = DeviceAuth.normalizeCode(code);
+        if (!normalized || !tabletId) return null;
+
+        const token = DeviceAuth.generateToken();
+        const credential = await this.db.enrollDevice({
+            codeHash: DeviceAuth.hash(normalized),
+            tabletId,
+            name: name || `Tablet-${String(tabletId).substring(0, 8)}`,
+            tokenHash: DeviceAuth.hash(token)
+        });
+        if (!credential) return null;
+
+        return { tabletId, token, organizationId: credential.organization_id, issuedAt: credential.created_at };
+    }
+
+    // Validar la credencial presentada por una tablet
+    async verify(tabletId, token) {
+        if (!tabletId || !token) return false;
+        return this.db.touchDeviceCredential(tabletId, DeviceAuth.hash(String(token)));
+    }
+
+    // Emitir una credencial nueva e invalidar las anteriores
+    async rotate(tabletId) {
+        const token = DeviceAuth.generateToken();
+        const credential = await this.db.replaceDeviceCredential(tabletId, DeviceAuth.hash(token));
+        if (!credential) return null;
+
+        return { tabletId, token, issuedAt: credential.created_at };
+    }
+
+    async revoke(tabletId) {
+        return this.db.revokeDeviceCredentials(tabletId);
+    }
+
+    // Middleware de handshake Socket.IO de los espacios de dispositivos: solo entran
+    // tablets con credencial válida
+    socketMiddleware() {
+        return async (socket, next) => {
+            const { tabletId, deviceToken } = socket.handshake.auth || {};
+
+            try {
+                if (await this.verify(tabletId, deviceToken)) {
+                    socket.data.role = 'tablet';
+                    socket.data.tabletId = tabletId;
+                    return next();
+                }
+            } catch (err) {
+                console.error('❌ Error verificando credencial de tablet:', err.message);
+            }
+
+            console.warn(`🚫 Handshake rechazado para tablet ${tabletId} (${socket.handshake.address})`);
+            next(new Error('unauthorized'));
+        };
+    }
+
+    // Middleware Express para peticiones HTTP de tablets (p. ej. subidas):
+    // credencial en las cabeceras X-Tablet-Id y X-Device-Token
+    requireDevice() {
+        return async (req, res, next) => {
+            const tabletId = req.get('X-Tablet-Id');
+            try {
+                if (await this.verify(tabletId, req.get('X-Device-Token'))) {
+                    req.tabletId = tabletId;
+                    return next();
+                }
+            } catch (err) {
+                return next(err);
+            }
+
+            console.warn(`🚫 Petición de tablet rechazada para ${tabletId} (${req.ip})`);
+            res.status(401).json({ success: false, error: 'Credencial de tablet inválida' });
+        };
+    }
+}
+
+module.exports = DeviceAuth;
@@ -0,0 +1,83 @@
+// Eventos de la flota por Server-Sent Events, para integraciones que prefieren una
+// conexión HTTP abierta a recibir webhooks o a usar Socket.IO. Cada cliente recibe
+// los eventos { event, timestamp, organizationId, data } que pidió, de una tablet o
+// de toda la flota (de su organización, si el operador no es de la plataforma)
+class EventStream {
+    constructor(options = {}) {
+        this.events = options.events || [];
+        this.keepaliveMs = options.keepaliveMs
+            || parseInt(process.env.SSE_KEEPALIVE_MS, 10)
+            || 25000;
+
+        this.clients = new Set();
+        this.timer = null;
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    // ?events=a,b (por defecto todos), ?tabletId= y ?organizationId=. Devuelve { filter } o { error }
+    parseFilter({ events, tabletId, organizationId } = {}) {
+        const requested = events ? String(events).split(',').map(event => event.trim()).filter(Boolean) : this.events;
+        const unknown = requested.filter(event => !this.events.includes(event));
+        if (requested.length === 0 || unknown.length > 0) {
+            return { error: `events debe ser una lista separada por comas con alguno de: ${this.events.join(', ')}` };
+        }
+        return {
+            filter: {
+                events: requested,
+                tabletId: tabletId ? String(tabletId) : null,
+                organizationId: parseInt(organizationId, 10) || null
+            }
+        };
+    }
+
+    // Abrir el flujo en una respuesta HTTP; se cierra cuando el cliente se desconecta.
+    // no-transform evita que la compresión retenga los eventos
+    open(req, res, filter) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const client = { res, filter };
+        this.clients.add(client);
+        req.on('close', () => this.clients.delete(client));
+    }
+
+    // Enviar un evento a los clientes cuyo filtro lo acepta. command-result trae el ID
+    // de la tablet en tabletId; el resto de eventos son la propia tablet
+    send(envelope) {
+        const tabletId = envelope.data?.tabletId ?? envelope.data?.id;
+        const message = `event: ${envelope.event}\ndata: ${JSON.stringify(envelope)}\n\n`;
+
+        for (const { res, filter } of this.clients) {
+            if (!filter.events.includes(envelope.event)) continue;
+            if (filter.tabletId && filter.tabletId !== tabletId) continue;
+            if (filter.organizationId && filter.organizationId !== envelope.organizationId) continue;
+            res.write(message);
+        }
+    }
+
+    // Comentario periódico para que proxies y balanceadores no corten las conexiones inactivas
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            for (const { res } of this.clients) res.write(': ping\n\n');
+        }, this.keepaliveMs);
+    }
+
+    // Cerrar todos los flujos (al apagar el servidor)
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const { res } of this.clients) res.end();
+        this.clients.clear();
+    }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,133 @@
+const STATUSES = ['online', 'offline', 'decommissioned'];
+const SORTS = ['name', 'id', 'status', 'lastSeen', 'createdAt', 'version', 'location'];
+
+// Inventario de la flota: registro en la base (conectadas o no) con el estado
+// en vivo de las tablets conectadas encima
+class Inventory {
+    // getConnected() resuelve las tablets conectadas en cualquier nodo
+    constructor(db, options = {}) {
+        this.db = db;
+        this.getConnected = options.getConnected || (() => []);
+    }
+
+    // Filtros, orden y página de GET /api/tablets. Devuelve { query } o { error }
+    static parseQuery({
+        q, status, groupId, group, tag, version, organizationId, siteId, sort, order, limit, offset, includeDecommissioned
+    } = {}) {
+        if (status && !STATUSES.includes(status)) {
+            return { error: `status debe ser uno de: ${STATUSES.join(', ')}` };
+        }
+        if (sort && !SORTS.includes(sort)) {
+            return { error: `sort debe ser uno de: ${SORTS.join(', ')}` };
+        }
+        if (order && !['asc', 'desc'].includes(order)) {
+            return { error: 'order debe ser asc o desc' };
+        }
+        const parsedOffset = offset !== undefined ? parseInt(offset, 10) : 0;
+        if (Number.isNaN(parsedOffset) || parsedOffset < 0) {
+            return { error: 'offset debe ser un entero positivo' };
+        }
+
+        return {
+            query: {
+                q: q ? String(q) : null,
+                status: status || null,
+                groupId: parseInt(groupId, 10) || null,
+                group: group || null,
+                tag: tag ? String(tag).trim().toLowerCase() : null,
+                version: version ? String(version) : null,
+                organizationId: parseInt(organizationId, 10) || null,
+                siteId: parseInt(siteId, 10) || null,
+                sort: sort || 'name',
+                order: order || 'asc',
+                limit: Math.min(parseInt(limit, 10) || 100, 500),
+                offset: parsedOffset,
+                // Las dadas de baja solo aparecen si se piden
+                includeDecommissioned: includeDecommissioned === 'true' || status === 'decommissioned'
+            }
+        };
+    }
+
+    // Validar cambios de nombre, ubicación y notas. Devuelve el error o null
+    static validateMetadata({ name, location, notes }) {
+        if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 255)) {
+            return 'name debe ser un texto de 1 a 255 caracteres';
+        }
+        if (location !== undefined && location !== null && (typeof location !== 'string' || location.length > 255)) {
+            return 'location debe ser un texto de hasta 255 caracteres o null';
+        }
+        if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 5000)) {
+            return 'notes debe ser un texto de hasta 5000 caracteres o null';
+        }
+        if (name === undefined && location === undefined && notes === undefined) {
+            return 'Indica name, location o notes';
+        }
+        return null;
+    }
+
+    // Fila de la base con la presencia en vivo encima (si la tablet está conectada)
+    static format(row, live) {
+        const status = row.decommissioned_at ? 'decommissioned' : live ? 'online' : 'offline';
+
+        return {
+            id: row.id,
+            name: row.name,
+            status,
+            ip: live?.ip || row.ip,
+            currentUrl: live?.currentUrl ?? row.current_url,
+            lastSeen: live?.lastSeen || row.last_seen,
+            connectedAt: live?.connectedAt || null,
+            flapping: !!live?.flapping,
+            uptime: live?.uptime || row.uptime,
+            stats: live?.stats || row.stats || {},
+            appVersion: live?.appVersion || (row.app_version_code !== null
+                ? { name: row.app_version_name, code: row.app_version_code }
+                : null),
+            organizationId: row.organization_id,
+            organization: row.organization_name,
+            siteId: row.site_id,
+            site: row.site_name,
+            location: row.location,
+            notes: row.notes,
+            tags: row.tags,
+            groups: row.groups,
+            playlistId: row.playlist_id,
+            configProfileId: row.config_profile_id,
+            // Las conectadas a otro nodo no traen capacidades en vivo
+            capabilities: live?.capabilities !== undefined ? live.capabilities : row.capabilities,
+            createdAt: row.created_at,
+            decommissionedAt: row.decommissioned_at
+        };
+    }
+
+    async connectedMap() {
+        return new Map((await this.getConnected()).map(tablet => [tablet.id, tablet]));
+    }
+
+    // Página del inventario: { total, tablets }
+    async list(query) {
+        const connected = await this.connectedMap();
+        const page = await this.db.searchTablets({ ...query, connectedIds: [...connected.keys()] });
+
+        return {
+            total: page.total,
+            tablets: page.rows.map(row => Inventory.format(row, connected.get(row.id)))
+        };
+    }
+
+    // Una tablet del inventario (incluidas las dadas de baja). null si no existe
+    async get(tabletId) {
+        const connected = await this.connectedMap();
+        const page = await this.db.searchTablets({
+            tabletId,
+            includeDecommissioned: true,
+            connectedIds: [...connected.keys()],
+            limit: 1,
+            offset: 0
+        });
+        const [row] = page.rows;
+        return row ? Inventory.format(row, connected.get(row.id)) : null;
+    }
+}
+
+module.exports = Inventory;
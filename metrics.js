@@ -0,0 +1,105 @@
+const client = require('prom-client');
+
+// Latencia de comandos (segundos) desde la entrega a la tablet hasta su resultado
+const COMMAND_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Métricas de esta instancia en formato Prometheus. Con varios nodos cada uno
+// publica las suyas y se agregan en Prometheus (p. ej. sum by (command))
+class Metrics {
+    // read() devuelve el estado actual del nodo en cada lectura:
+    // { tablets, dashboards, streams, pendingCommands, dbPool: { total, idle, waiting } }
+    constructor(options = {}) {
+        const read = options.read || (() => ({}));
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry });
+
+        const gauge = (name, help, pick) => new client.Gauge({
+            name,
+            help,
+            registers: [this.registry],
+            collect() {
+                this.set(pick(read()) || 0);
+            }
+        });
+        gauge('kiosk_tablets_connected', 'Tablets conectadas a este nodo', state => state.tablets);
+        gauge('kiosk_dashboards_connected', 'Paneles conectados a este nodo', state => state.dashboards);
+        gauge('kiosk_event_streams_open', 'Flujos SSE abiertos en este nodo', state => state.streams);
+        gauge('kiosk_commands_pending', 'Comandos enviados desde este nodo en espera de resultado', state => state.pendingCommands);
+
+        new client.Gauge({
+            name: 'kiosk_db_pool_connections',
+            help: 'Conexiones del pool de la base por estado',
+            labelNames: ['state'],
+            registers: [this.registry],
+            collect() {
+                const pool = read().dbPool || {};
+                for (const state of ['total', 'idle', 'waiting']) {
+                    this.set({ state }, pool[state] || 0);
+                }
+            }
+        });
+
+        this.commandsSent = new client.Counter({
+            name: 'kiosk_commands_sent_total',
+            help: 'Comandos entregados a tablets',
+            labelNames: ['command'],
+            registers: [this.registry]
+        });
+        this.commandsCompleted = new client.Counter({
+            name: 'kiosk_commands_completed_total',
+            help: 'Comandos que llegaron a un estado final',
+            labelNames: ['command', 'status'],
+            registers: [this.registry]
+        });
+        this.commandDuration = new client.Histogram({
+            name: 'kiosk_command_duration_seconds',
+            help: 'Tiempo desde la entrega de un comando hasta su resultado',
+            labelNames: ['command', 'status'],
+            buckets: COMMAND_BUCKETS,
+            registers: [this.registry]
+        });
+        this.socketEvents = new client.Counter({
+            name: 'kiosk_socket_events_received_total',
+            help: 'Eventos de Socket.IO recibidos por espacio de nombres',
+            labelNames: ['namespace', 'event'],
+            registers: [this.registry]
+        });
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    commandSent(command) {
+        this.commandsSent.inc({ command });
+    }
+
+    // Resultado de CommandDispatcher (onResult). Los cancelados nunca se entregaron;
+    // el resto trae durationMs salvo los resultados tardíos o repetidos de un comando
+    // que ya había terminado, que no se cuentan
+    commandCompleted({ command, status, durationMs }) {
+        if (status === 'cancelled') {
+            this.commandsCompleted.inc({ command, status });
+            return;
+        }
+        if (typeof durationMs !== 'number') return;
+
+        this.commandsCompleted.inc({ command, status });
+        this.commandDuration.observe({ command, status }, durationMs / 1000);
+    }
+
+    // Los eventos sin manejador se cuentan como "other" para no crear una serie por
+    // cada nombre que envíe un cliente
+    socketEvent(socket, event) {
+        this.socketEvents.inc({
+            namespace: socket.nsp.name,
+            event: socket.listenerCount(event) > 0 ? event : 'other'
+        });
+    }
+
+    render() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,56 @@
+// CLI de migraciones:
+//   node migrate.js up [versión]   aplica las pendientes (hasta la versión indicada)
+//   node migrate.js down [pasos]   revierte las últimas migraciones (1 por defecto)
+//   node migrate.js status         muestra aplicadas y pendientes
+const config = require('./config');
+const { createDatabase } = require('./database');
+const Migrator = require('./migrator');
+
+async function main(command = 'up', arg) {
+    const db = createDatabase({ ...config.database, timezone: config.timezone });
+
+    if (config.database.driver === 'memory' && !config.database.path) {
+        console.warn('⚠️  Base embebida en memoria: los cambios se pierden al terminar (define DB_PATH)');
+    }
+
+    try {
+        if (!await db.ready) {
+            process.exitCode = 1;
+            return;
+        }
+
+        const migrator = new Migrator(db);
+
+        switch (command) {
+            case 'up': {
+                const done = await migrator.up(arg ? parseInt(arg, 10) : Infinity);
+                console.log(done.length > 0 ? `✅ ${done.length} migraciones aplicadas` : '✅ El esquema ya está al día');
+                break;
+            }
+            case 'down': {
+                const done = await migrator.down(arg ? parseInt(arg, 10) : 1);
+                console.log(`✅ ${done.length} migraciones revertidas`);
+                break;
+            }
+            case 'status': {
+                for (const migration of await migrator.status()) {
+                    const state = migration.appliedAt
+                        ? `aplicada ${new Date(migration.appliedAt).toISOString()}`
+                        : 'PENDIENTE';
+                    console.log(`${Migrator.describe(migration)}  ${state}`);
+                }
+                break;
+            }
+            default:
+                console.error(`❌ Comando desconocido: ${command} (usa up, down o status)`);
+                process.exitCode = 1;
+        }
+    } catch (err) {
+        console.error('❌', err.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+main(process.argv[2], process.argv[3]);
@@ -0,0 +1,62 @@
+// Esquema original: tablets, comandos, estadísticas diarias y actividad.
+// Usa IF NOT EXISTS para poder adoptar instalaciones creadas antes de las migraciones
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS tablets (
+            id VARCHAR(255) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            ip VARCHAR(45),
+            status VARCHAR(20) DEFAULT 'offline',
+            current_url TEXT,
+            last_seen TIMESTAMP WITH TIME ZONE,
+            uptime VARCHAR(50),
+            stats JSONB,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS command_logs (
+            id SERIAL PRIMARY KEY,
+            tablet_id VARCHAR(255) NOT NULL,
+            command VARCHAR(100) NOT NULL,
+            params JSONB,
+            timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+            source_ip VARCHAR(45),
+            success BOOLEAN DEFAULT NULL,
+            response TEXT,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT fk_tablet_command FOREIGN KEY (tablet_id) REFERENCES tablets (id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS daily_stats (
+            id SERIAL PRIMARY KEY,
+            tablet_id VARCHAR(255) NOT NULL,
+            date DATE NOT NULL,
+            total_uptime_minutes INTEGER DEFAULT 0,
+            url_changes INTEGER DEFAULT 0,
+            restarts INTEGER DEFAULT 0,
+            commands_received INTEGER DEFAULT 0,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(tablet_id, date),
+            CONSTRAINT fk_tablet_stats FOREIGN KEY (tablet_id) REFERENCES tablets (id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS activity_logs (
+            id SERIAL PRIMARY KEY,
+            tablet_id VARCHAR(255),
+            level VARCHAR(20) NOT NULL CHECK(level IN ('info', 'warning', 'error')),
+            message TEXT NOT NULL,
+            timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+            metadata JSONB,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_tablets_status ON tablets (status)`,
+        `CREATE INDEX IF NOT EXISTS idx_command_logs_tablet ON command_logs (tablet_id)`,
+        `CREATE INDEX IF NOT EXISTS idx_command_logs_timestamp ON command_logs (timestamp DESC)`,
+        `CREATE INDEX IF NOT EXISTS idx_daily_stats_date ON daily_stats (date DESC)`,
+        `CREATE INDEX IF NOT EXISTS idx_activity_logs_timestamp ON activity_logs (timestamp DESC)`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS activity_logs`,
+        `DROP TABLE IF EXISTS daily_stats`,
+        `DROP TABLE IF EXISTS command_logs`,
+        `DROP TABLE IF EXISTS tablets`
+    ]
+};
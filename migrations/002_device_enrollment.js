@@ -0,0 +1,29 @@
+// Códigos de enrolamiento de un solo uso y credenciales de dispositivo
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS enrollment_codes (
+            id SERIAL PRIMARY KEY,
+            code_hash CHAR(64) NOT NULL UNIQUE,
+            tablet_id VARCHAR(255),
+            note TEXT,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            used_at TIMESTAMP WITH TIME ZONE,
+            used_by VARCHAR(255),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS device_credentials (
+            id SERIAL PRIMARY KEY,
+            tablet_id VARCHAR(255) NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            last_used_at TIMESTAMP WITH TIME ZONE,
+            revoked_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT fk_tablet_credential FOREIGN KEY (tablet_id) REFERENCES tablets (id) ON DELETE CASCADE
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_device_credentials_tablet ON device_credentials (tablet_id)`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS device_credentials`,
+        `DROP TABLE IF EXISTS enrollment_codes`
+    ]
+};
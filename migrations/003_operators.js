@@ -0,0 +1,29 @@
+// Operadores del panel, sus sesiones y el operador que originó cada comando
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS operators (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(100) NOT NULL UNIQUE,
+            password_hash TEXT NOT NULL,
+            role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK(role IN ('viewer', 'operator', 'admin')),
+            disabled BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS operator_sessions (
+            id SERIAL PRIMARY KEY,
+            operator_id INTEGER NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT fk_operator_session FOREIGN KEY (operator_id) REFERENCES operators (id) ON DELETE CASCADE
+        )`,
+        `ALTER TABLE command_logs
+            ADD COLUMN IF NOT EXISTS operator_id INTEGER REFERENCES operators (id) ON DELETE SET NULL`
+    ],
+    down: [
+        `ALTER TABLE command_logs DROP COLUMN IF EXISTS operator_id`,
+        `DROP TABLE IF EXISTS operator_sessions`,
+        `DROP TABLE IF EXISTS operators`
+    ]
+};
@@ -0,0 +1,28 @@
+// ID de comando generado por el servidor, estado, vencimiento y cola para
+// tablets desconectadas (las filas anteriores quedan con estado NULL)
+module.exports = {
+    up: [
+        `ALTER TABLE command_logs
+            ADD COLUMN IF NOT EXISTS command_id UUID UNIQUE,
+            ADD COLUMN IF NOT EXISTS status VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS timeout_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN IF NOT EXISTS timeout_ms INTEGER,
+            ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE`,
+        `CREATE INDEX IF NOT EXISTS idx_command_logs_pending ON command_logs (timeout_at) WHERE status = 'pending'`,
+        `CREATE INDEX IF NOT EXISTS idx_command_logs_queued ON command_logs (tablet_id, id) WHERE status = 'queued'`
+    ],
+    down: [
+        `DROP INDEX IF EXISTS idx_command_logs_queued`,
+        `DROP INDEX IF EXISTS idx_command_logs_pending`,
+        `ALTER TABLE command_logs
+            DROP COLUMN IF EXISTS delivered_at,
+            DROP COLUMN IF EXISTS expires_at,
+            DROP COLUMN IF EXISTS timeout_ms,
+            DROP COLUMN IF EXISTS completed_at,
+            DROP COLUMN IF EXISTS timeout_at,
+            DROP COLUMN IF EXISTS status,
+            DROP COLUMN IF EXISTS command_id`
+    ]
+};
@@ -0,0 +1,29 @@
+// Etiquetas por tablet y grupos (tienda, región, modelo...)
+module.exports = {
+    up: [
+        `ALTER TABLE tablets
+            ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'`,
+        `CREATE TABLE IF NOT EXISTS tablet_groups (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            type VARCHAR(20) NOT NULL DEFAULT 'custom' CHECK(type IN ('store', 'region', 'model', 'custom')),
+            description TEXT,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS tablet_group_members (
+            group_id INTEGER NOT NULL REFERENCES tablet_groups (id) ON DELETE CASCADE,
+            tablet_id VARCHAR(255) NOT NULL REFERENCES tablets (id) ON DELETE CASCADE,
+            added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (group_id, tablet_id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_tablets_tags ON tablets USING GIN (tags)`,
+        `CREATE INDEX IF NOT EXISTS idx_group_members_tablet ON tablet_group_members (tablet_id)`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS tablet_group_members`,
+        `DROP TABLE IF EXISTS tablet_groups`,
+        `DROP INDEX IF EXISTS idx_tablets_tags`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS tags`
+    ]
+};
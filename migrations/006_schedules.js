@@ -0,0 +1,36 @@
+// Programaciones de comandos (únicas o recurrentes con expresión cron) y su historial
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS schedules (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            selector JSONB NOT NULL,
+            command VARCHAR(100) NOT NULL,
+            params JSONB,
+            run_at TIMESTAMP WITH TIME ZONE,
+            cron VARCHAR(100),
+            timezone VARCHAR(64) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'paused', 'completed')),
+            next_run_at TIMESTAMP WITH TIME ZONE,
+            last_run_at TIMESTAMP WITH TIME ZONE,
+            created_by INTEGER REFERENCES operators (id) ON DELETE SET NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            CHECK (run_at IS NOT NULL OR cron IS NOT NULL)
+        )`,
+        `CREATE TABLE IF NOT EXISTS schedule_runs (
+            id SERIAL PRIMARY KEY,
+            schedule_id INTEGER NOT NULL REFERENCES schedules (id) ON DELETE CASCADE,
+            scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+            started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            summary JSONB,
+            report JSONB
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_schedules_due ON schedules (next_run_at) WHERE status = 'active'`,
+        `CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule ON schedule_runs (schedule_id, started_at DESC)`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS schedule_runs`,
+        `DROP TABLE IF EXISTS schedules`
+    ]
+};
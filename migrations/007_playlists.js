@@ -0,0 +1,22 @@
+// Listas de contenido y su asignación a tablets y grupos
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS playlists (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            items JSONB NOT NULL,
+            version INTEGER NOT NULL DEFAULT 1,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `ALTER TABLE tablets
+            ADD COLUMN IF NOT EXISTS playlist_id INTEGER REFERENCES playlists (id) ON DELETE SET NULL`,
+        `ALTER TABLE tablet_groups
+            ADD COLUMN IF NOT EXISTS playlist_id INTEGER REFERENCES playlists (id) ON DELETE SET NULL`
+    ],
+    down: [
+        `ALTER TABLE tablet_groups DROP COLUMN IF EXISTS playlist_id`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS playlist_id`,
+        `DROP TABLE IF EXISTS playlists`
+    ]
+};
@@ -0,0 +1,39 @@
+// Historial de estado de las tablets: muestras crudas recientes y agregados
+// por hora para los periodos antiguos
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS tablet_samples (
+            id BIGSERIAL PRIMARY KEY,
+            tablet_id VARCHAR(255) NOT NULL REFERENCES tablets (id) ON DELETE CASCADE,
+            sampled_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            battery_level REAL,
+            charging BOOLEAN,
+            memory_used_mb REAL,
+            memory_total_mb REAL,
+            network_type VARCHAR(50),
+            signal_strength REAL,
+            uptime_seconds INTEGER
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_tablet_samples_tablet_time ON tablet_samples (tablet_id, sampled_at)`,
+        `CREATE TABLE IF NOT EXISTS tablet_samples_hourly (
+            tablet_id VARCHAR(255) NOT NULL REFERENCES tablets (id) ON DELETE CASCADE,
+            hour TIMESTAMP WITH TIME ZONE NOT NULL,
+            samples INTEGER NOT NULL,
+            battery_avg REAL,
+            battery_min REAL,
+            charging BOOLEAN,
+            memory_used_avg REAL,
+            memory_total_max REAL,
+            network_type VARCHAR(50),
+            signal_avg REAL,
+            uptime_max INTEGER,
+            PRIMARY KEY (tablet_id, hour)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_daily_stats_tablet_date ON daily_stats (tablet_id, date)`
+    ],
+    down: [
+        `DROP INDEX IF EXISTS idx_daily_stats_tablet_date`,
+        `DROP TABLE IF EXISTS tablet_samples_hourly`,
+        `DROP TABLE IF EXISTS tablet_samples`
+    ]
+};
@@ -0,0 +1,40 @@
+// Reglas de alerta y alertas abiertas, reconocidas y resueltas
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS alert_rules (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            type VARCHAR(30) NOT NULL CHECK (type IN ('offline', 'battery_low', 'command_failures', 'playlist_drift')),
+            threshold REAL NOT NULL,
+            window_minutes INTEGER,
+            selector JSONB,
+            severity VARCHAR(20) NOT NULL DEFAULT 'warning' CHECK (severity IN ('info', 'warning', 'critical')),
+            webhooks JSONB NOT NULL DEFAULT '[]',
+            emails JSONB NOT NULL DEFAULT '[]',
+            enabled BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS alerts (
+            id SERIAL PRIMARY KEY,
+            rule_id INTEGER NOT NULL REFERENCES alert_rules (id) ON DELETE CASCADE,
+            tablet_id VARCHAR(255) NOT NULL REFERENCES tablets (id) ON DELETE CASCADE,
+            status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+            severity VARCHAR(20) NOT NULL,
+            message TEXT NOT NULL,
+            details JSONB,
+            opened_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            acknowledged_at TIMESTAMP WITH TIME ZONE,
+            acknowledged_by INTEGER REFERENCES operators (id) ON DELETE SET NULL,
+            resolved_at TIMESTAMP WITH TIME ZONE
+        )`,
+        // Deduplicación: una sola alerta sin resolver por regla y tablet
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_active ON alerts (rule_id, tablet_id) WHERE status <> 'resolved'`,
+        `CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts (status, opened_at DESC)`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS alerts`,
+        `DROP TABLE IF EXISTS alert_rules`
+    ]
+};
@@ -0,0 +1,16 @@
+// Actividad enviada por las tablets además de la del servidor: origen, categoría
+// e índices para filtrar por tablet y paginar por ID
+module.exports = {
+    up: [
+        `ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'server'`,
+        `ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS category VARCHAR(50)`,
+        `CREATE INDEX IF NOT EXISTS idx_activity_logs_tablet ON activity_logs (tablet_id, id DESC)`,
+        `CREATE INDEX IF NOT EXISTS idx_activity_logs_level ON activity_logs (level, id DESC)`
+    ],
+    down: [
+        `DROP INDEX IF EXISTS idx_activity_logs_level`,
+        `DROP INDEX IF EXISTS idx_activity_logs_tablet`,
+        `ALTER TABLE activity_logs DROP COLUMN IF EXISTS category`,
+        `ALTER TABLE activity_logs DROP COLUMN IF EXISTS source`
+    ]
+};
@@ -0,0 +1,25 @@
+// Archivos subidos por las tablets (capturas de pantalla y diagnósticos).
+// El contenido vive en disco; aquí solo los metadatos
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS uploads (
+            id UUID PRIMARY KEY,
+            tablet_id VARCHAR(255) NOT NULL REFERENCES tablets (id) ON DELETE CASCADE,
+            kind VARCHAR(20) NOT NULL CHECK (kind IN ('screenshot', 'diagnostic')),
+            content_type VARCHAR(100) NOT NULL,
+            size_bytes INTEGER NOT NULL,
+            sha256 CHAR(64) NOT NULL,
+            filename VARCHAR(255),
+            path TEXT NOT NULL,
+            command_id UUID,
+            metadata JSONB,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_uploads_tablet ON uploads (tablet_id, created_at DESC)`,
+        `CREATE INDEX IF NOT EXISTS idx_uploads_command ON uploads (command_id)`,
+        `CREATE INDEX IF NOT EXISTS idx_uploads_created ON uploads (created_at)`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS uploads`
+    ]
+};
@@ -0,0 +1,57 @@
+// Versiones de la app kiosko, despliegues por etapas y versión instalada en cada tablet
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS app_releases (
+            id SERIAL PRIMARY KEY,
+            version_name VARCHAR(50) NOT NULL,
+            version_code INTEGER NOT NULL UNIQUE,
+            sha256 CHAR(64) NOT NULL,
+            size_bytes BIGINT NOT NULL,
+            filename VARCHAR(255),
+            path TEXT NOT NULL,
+            notes TEXT,
+            created_by INTEGER REFERENCES operators (id) ON DELETE SET NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS rollouts (
+            id SERIAL PRIMARY KEY,
+            release_id INTEGER NOT NULL REFERENCES app_releases (id) ON DELETE RESTRICT,
+            selector JSONB,
+            stages JSONB NOT NULL,
+            current_stage INTEGER NOT NULL DEFAULT 0,
+            status VARCHAR(20) NOT NULL DEFAULT 'active'
+                CHECK (status IN ('active', 'paused', 'halted', 'completed', 'cancelled')),
+            failure_threshold REAL NOT NULL DEFAULT 20,
+            auto_advance BOOLEAN NOT NULL DEFAULT TRUE,
+            halted_reason TEXT,
+            created_by INTEGER REFERENCES operators (id) ON DELETE SET NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS rollout_targets (
+            rollout_id INTEGER NOT NULL REFERENCES rollouts (id) ON DELETE CASCADE,
+            tablet_id VARCHAR(255) NOT NULL REFERENCES tablets (id) ON DELETE CASCADE,
+            stage INTEGER NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending'
+                CHECK (status IN ('pending', 'queued', 'sent', 'succeeded', 'failed', 'cancelled')),
+            command_id UUID,
+            error TEXT,
+            sent_at TIMESTAMP WITH TIME ZONE,
+            completed_at TIMESTAMP WITH TIME ZONE,
+            PRIMARY KEY (rollout_id, tablet_id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_rollout_targets_command ON rollout_targets (command_id)`,
+        `CREATE INDEX IF NOT EXISTS idx_rollout_targets_tablet ON rollout_targets (tablet_id)`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS app_version_name VARCHAR(50)`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS app_version_code INTEGER`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS app_version_updated_at TIMESTAMP WITH TIME ZONE`
+    ],
+    down: [
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS app_version_updated_at`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS app_version_code`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS app_version_name`,
+        `DROP TABLE IF EXISTS rollout_targets`,
+        `DROP TABLE IF EXISTS rollouts`,
+        `DROP TABLE IF EXISTS app_releases`
+    ]
+};
@@ -0,0 +1,32 @@
+// Perfiles de configuración, su asignación a tablets y grupos, excepciones por
+// tablet y la configuración que cada tablet informa tener aplicada
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS config_profiles (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            description TEXT,
+            settings JSONB NOT NULL,
+            version INTEGER NOT NULL DEFAULT 1,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `ALTER TABLE tablets
+            ADD COLUMN IF NOT EXISTS config_profile_id INTEGER REFERENCES config_profiles (id) ON DELETE SET NULL`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS config_overrides JSONB`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS config_version VARCHAR(50)`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS config_reported JSONB`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS config_reported_at TIMESTAMP WITH TIME ZONE`,
+        `ALTER TABLE tablet_groups
+            ADD COLUMN IF NOT EXISTS config_profile_id INTEGER REFERENCES config_profiles (id) ON DELETE SET NULL`
+    ],
+    down: [
+        `ALTER TABLE tablet_groups DROP COLUMN IF EXISTS config_profile_id`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS config_reported_at`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS config_reported`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS config_version`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS config_overrides`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS config_profile_id`,
+        `DROP TABLE IF EXISTS config_profiles`
+    ]
+};
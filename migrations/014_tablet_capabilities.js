@@ -0,0 +1,9 @@
+// Comandos que cada tablet declara admitir al registrarse (NULL si no los declara)
+module.exports = {
+    up: [
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS capabilities TEXT[]`
+    ],
+    down: [
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS capabilities`
+    ]
+};
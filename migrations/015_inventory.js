@@ -0,0 +1,18 @@
+// Datos de inventario editables por los operadores y baja de dispositivos.
+// name_locked evita que el nombre enviado por la tablet al registrarse pise el editado
+module.exports = {
+    up: [
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS location VARCHAR(255)`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS notes TEXT`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS name_locked BOOLEAN NOT NULL DEFAULT FALSE`,
+        `ALTER TABLE tablets ADD COLUMN IF NOT EXISTS decommissioned_at TIMESTAMP WITH TIME ZONE`,
+        `CREATE INDEX IF NOT EXISTS idx_tablets_name ON tablets (name)`
+    ],
+    down: [
+        `DROP INDEX IF EXISTS idx_tablets_name`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS decommissioned_at`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS name_locked`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS notes`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS location`
+    ]
+};
@@ -0,0 +1,19 @@
+// Historial de sesiones de conexión de cada tablet (para calcular su disponibilidad)
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS tablet_sessions (
+            id BIGSERIAL PRIMARY KEY,
+            tablet_id VARCHAR(255) NOT NULL REFERENCES tablets (id) ON DELETE CASCADE,
+            socket_id VARCHAR(50),
+            ip VARCHAR(45),
+            started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            ended_at TIMESTAMP WITH TIME ZONE,
+            end_reason VARCHAR(50)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_tablet_sessions_tablet ON tablet_sessions (tablet_id, started_at DESC)`,
+        `CREATE INDEX IF NOT EXISTS idx_tablet_sessions_open ON tablet_sessions (tablet_id) WHERE ended_at IS NULL`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS tablet_sessions`
+    ]
+};
@@ -0,0 +1,34 @@
+// Varias instancias del servidor sobre la misma base: nodos vivos, qué nodo tiene
+// la conexión de cada tablet y mensajes del adaptador de Socket.IO demasiado
+// grandes para NOTIFY
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS cluster_nodes (
+            id VARCHAR(64) PRIMARY KEY,
+            hostname VARCHAR(255),
+            pid INTEGER,
+            started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            last_seen TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            stats JSONB NOT NULL DEFAULT '{}'
+        )`,
+        `CREATE TABLE IF NOT EXISTS tablet_presence (
+            tablet_id VARCHAR(255) PRIMARY KEY REFERENCES tablets (id) ON DELETE CASCADE,
+            node_id VARCHAR(64) NOT NULL,
+            socket_id VARCHAR(50) NOT NULL,
+            connected_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_tablet_presence_node ON tablet_presence (node_id)`,
+        `ALTER TABLE tablet_sessions ADD COLUMN IF NOT EXISTS node_id VARCHAR(64)`,
+        `CREATE TABLE IF NOT EXISTS cluster_messages (
+            id BIGSERIAL PRIMARY KEY,
+            payload TEXT NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS cluster_messages`,
+        `ALTER TABLE tablet_sessions DROP COLUMN IF EXISTS node_id`,
+        `DROP TABLE IF EXISTS tablet_presence`,
+        `DROP TABLE IF EXISTS cluster_nodes`
+    ]
+};
@@ -0,0 +1,35 @@
+// Suscripciones de webhooks a eventos de la flota y registro de entregas (con reintentos)
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS webhooks (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            url TEXT NOT NULL,
+            secret VARCHAR(128) NOT NULL,
+            events JSONB NOT NULL DEFAULT '[]',
+            enabled BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by INTEGER REFERENCES operators (id) ON DELETE SET NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id BIGSERIAL PRIMARY KEY,
+            webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+            event VARCHAR(50) NOT NULL,
+            payload JSONB NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            response_status INTEGER,
+            last_error TEXT,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            delivered_at TIMESTAMP WITH TIME ZONE
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'`,
+        `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at DESC)`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS webhook_deliveries`,
+        `DROP TABLE IF EXISTS webhooks`
+    ]
+};
@@ -0,0 +1,25 @@
+// Sesiones de vista remota de pantalla (WebRTC): quién vio qué tablet, desde dónde,
+// cuánto duró y cómo terminó. Una sola sesión abierta por tablet
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS remote_view_sessions (
+            id UUID PRIMARY KEY,
+            tablet_id VARCHAR(255) NOT NULL REFERENCES tablets (id) ON DELETE CASCADE,
+            operator_id INTEGER REFERENCES operators (id) ON DELETE SET NULL,
+            operator_username VARCHAR(100) NOT NULL,
+            source_ip VARCHAR(45),
+            viewer_socket_id VARCHAR(50) NOT NULL,
+            node_id VARCHAR(64),
+            started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            ended_at TIMESTAMP WITH TIME ZONE,
+            end_reason VARCHAR(50),
+            ended_by VARCHAR(100)
+        )`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_remote_view_sessions_open ON remote_view_sessions (tablet_id) WHERE ended_at IS NULL`,
+        `CREATE INDEX IF NOT EXISTS idx_remote_view_sessions_started ON remote_view_sessions (started_at DESC)`
+    ],
+    down: [
+        `DROP TABLE IF EXISTS remote_view_sessions`
+    ]
+};
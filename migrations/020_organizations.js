@@ -0,0 +1,83 @@
+// Organizaciones (clientes) y sus sedes. Cada tablet, grupo, código de enrolamiento
+// y registro pertenece a una organización; los datos anteriores pasan a la
+// organización "default". Los operadores sin organización son los de la plataforma
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS organizations (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            slug VARCHAR(50) NOT NULL UNIQUE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS sites (
+            id SERIAL PRIMARY KEY,
+            organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+            name VARCHAR(100) NOT NULL,
+            address TEXT,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (organization_id, name)
+        )`,
+        `INSERT INTO organizations (name, slug) VALUES ('Predeterminada', 'default') ON CONFLICT (slug) DO NOTHING`,
+
+        // Una organización con tablets no se puede borrar (primero se mueven)
+        `ALTER TABLE tablets
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id),
+            ADD COLUMN IF NOT EXISTS site_id INTEGER REFERENCES sites (id) ON DELETE SET NULL`,
+        `UPDATE tablets SET organization_id = (SELECT id FROM organizations WHERE slug = 'default')
+         WHERE organization_id IS NULL`,
+        `ALTER TABLE tablets ALTER COLUMN organization_id SET NOT NULL`,
+        `CREATE INDEX IF NOT EXISTS idx_tablets_organization ON tablets (organization_id, site_id)`,
+
+        // Los registros guardan la organización de la tablet en el momento del evento
+        `ALTER TABLE command_logs
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE`,
+        `UPDATE command_logs c SET organization_id = t.organization_id
+         FROM tablets t WHERE t.id = c.tablet_id AND c.organization_id IS NULL`,
+        `ALTER TABLE command_logs ALTER COLUMN organization_id SET NOT NULL`,
+        `CREATE INDEX IF NOT EXISTS idx_command_logs_organization ON command_logs (organization_id, created_at DESC)`,
+
+        // La actividad del servidor sin tablet queda sin organización (solo la ve la plataforma)
+        `ALTER TABLE activity_logs
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE`,
+        `UPDATE activity_logs a SET organization_id = t.organization_id
+         FROM tablets t WHERE t.id = a.tablet_id AND a.organization_id IS NULL`,
+        `CREATE INDEX IF NOT EXISTS idx_activity_logs_organization ON activity_logs (organization_id, id DESC)`,
+
+        `ALTER TABLE enrollment_codes
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE,
+            ADD COLUMN IF NOT EXISTS site_id INTEGER REFERENCES sites (id) ON DELETE SET NULL`,
+        `UPDATE enrollment_codes SET organization_id = (SELECT id FROM organizations WHERE slug = 'default')
+         WHERE organization_id IS NULL`,
+        `ALTER TABLE enrollment_codes ALTER COLUMN organization_id SET NOT NULL`,
+
+        // Los nombres de grupo solo se repiten entre organizaciones distintas
+        `ALTER TABLE tablet_groups
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE`,
+        `UPDATE tablet_groups SET organization_id = (SELECT id FROM organizations WHERE slug = 'default')
+         WHERE organization_id IS NULL`,
+        `ALTER TABLE tablet_groups ALTER COLUMN organization_id SET NOT NULL`,
+        `ALTER TABLE tablet_groups DROP CONSTRAINT IF EXISTS tablet_groups_name_key`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_tablet_groups_organization_name ON tablet_groups (organization_id, name)`,
+
+        // Sin organización: operadores y programaciones de la plataforma (toda la flota)
+        `ALTER TABLE operators
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE`,
+        `ALTER TABLE schedules
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE`
+    ],
+    down: [
+        `ALTER TABLE schedules DROP COLUMN IF EXISTS organization_id`,
+        `ALTER TABLE operators DROP COLUMN IF EXISTS organization_id`,
+        `DROP INDEX IF EXISTS idx_tablet_groups_organization_name`,
+        `ALTER TABLE tablet_groups DROP COLUMN IF EXISTS organization_id`,
+        `ALTER TABLE tablet_groups ADD CONSTRAINT tablet_groups_name_key UNIQUE (name)`,
+        `ALTER TABLE enrollment_codes DROP COLUMN IF EXISTS site_id, DROP COLUMN IF EXISTS organization_id`,
+        `ALTER TABLE activity_logs DROP COLUMN IF EXISTS organization_id`,
+        `ALTER TABLE command_logs DROP COLUMN IF EXISTS organization_id`,
+        `ALTER TABLE tablets DROP COLUMN IF EXISTS site_id, DROP COLUMN IF EXISTS organization_id`,
+        `DROP TABLE IF EXISTS sites`,
+        `DROP TABLE IF EXISTS organizations`
+    ]
+};
@@ -0,0 +1,15 @@
+// Filas vueltas a cargar desde un archivo de retención: la pasada de retención no
+// las archiva de nuevo (ya están en su archivo) y las borra cuando vence el plazo
+// de la tabla contado desde la restauración
+module.exports = {
+    up: [
+        `ALTER TABLE command_logs ADD COLUMN IF NOT EXISTS restored_at TIMESTAMP WITH TIME ZONE`,
+        `ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS restored_at TIMESTAMP WITH TIME ZONE`,
+        `ALTER TABLE daily_stats ADD COLUMN IF NOT EXISTS restored_at TIMESTAMP WITH TIME ZONE`
+    ],
+    down: [
+        `ALTER TABLE daily_stats DROP COLUMN IF EXISTS restored_at`,
+        `ALTER TABLE activity_logs DROP COLUMN IF EXISTS restored_at`,
+        `ALTER TABLE command_logs DROP COLUMN IF EXISTS restored_at`
+    ]
+};
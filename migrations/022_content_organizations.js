@@ -0,0 +1,38 @@
+// Listas de contenido y perfiles de configuración por organización. Los existentes
+// pasan a la organización "default" y se quitan las asignaciones a tablets o grupos
+// de otra organización
+module.exports = {
+    up: [
+        `ALTER TABLE playlists
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE`,
+        `UPDATE playlists SET organization_id = (SELECT id FROM organizations WHERE slug = 'default')
+         WHERE organization_id IS NULL`,
+        `ALTER TABLE playlists ALTER COLUMN organization_id SET NOT NULL`,
+        `ALTER TABLE playlists DROP CONSTRAINT IF EXISTS playlists_name_key`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_playlists_organization_name ON playlists (organization_id, name)`,
+        `UPDATE tablets t SET playlist_id = NULL
+         FROM playlists p WHERE p.id = t.playlist_id AND p.organization_id <> t.organization_id`,
+        `UPDATE tablet_groups g SET playlist_id = NULL
+         FROM playlists p WHERE p.id = g.playlist_id AND p.organization_id <> g.organization_id`,
+
+        `ALTER TABLE config_profiles
+            ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE`,
+        `UPDATE config_profiles SET organization_id = (SELECT id FROM organizations WHERE slug = 'default')
+         WHERE organization_id IS NULL`,
+        `ALTER TABLE config_profiles ALTER COLUMN organization_id SET NOT NULL`,
+        `ALTER TABLE config_profiles DROP CONSTRAINT IF EXISTS config_profiles_name_key`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_config_profiles_organization_name ON config_profiles (organization_id, name)`,
+        `UPDATE tablets t SET config_profile_id = NULL
+         FROM config_profiles p WHERE p.id = t.config_profile_id AND p.organization_id <> t.organization_id`,
+        `UPDATE tablet_groups g SET config_profile_id = NULL
+         FROM config_profiles p WHERE p.id = g.config_profile_id AND p.organization_id <> g.organization_id`
+    ],
+    down: [
+        `DROP INDEX IF EXISTS idx_config_profiles_organization_name`,
+        `ALTER TABLE config_profiles DROP COLUMN IF EXISTS organization_id`,
+        `ALTER TABLE config_profiles ADD CONSTRAINT config_profiles_name_key UNIQUE (name)`,
+        `DROP INDEX IF EXISTS idx_playlists_organization_name`,
+        `ALTER TABLE playlists DROP COLUMN IF EXISTS organization_id`,
+        `ALTER TABLE playlists ADD CONSTRAINT playlists_name_key UNIQUE (name)`
+    ]
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Clave del bloqueo consultivo que evita migrar desde dos procesos a la vez
+const LOCK_KEY = 7412001;
+
+// Migraciones numeradas en migrations/NNN_nombre.js, cada una con listas de
+// sentencias "up" y "down". Las aplicadas se registran en schema_migrations
+class Migrator {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dir = options.dir || MIGRATIONS_DIR;
+    }
+
+    // Nombre legible: 007_playlists
+    static describe(migration) {
+        return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    }
+
+    // Migraciones disponibles ordenadas por versión
+    list() {
+        return fs.readdirSync(this.dir)
+            .map(file => file.match(FILE_PATTERN))
+            .filter(Boolean)
+            .map(([file, version, name]) => ({
+                version: parseInt(version, 10),
+                name,
+                file: path.join(this.dir, file)
+            }))
+            .sort((a, b) => a.version - b.version);
+    }
+
+    load(migration) {
+        const { up, down } = require(migration.file);
+        if (!Array.isArray(up) || !Array.isArray(down)) {
+            throw new Error(`La migración ${Migrator.describe(migration)} debe exportar listas "up" y "down"`);
+        }
+        return { up, down };
+    }
+
+    async ensureTable(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async applied(client) {
+        const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        return result.rows;
+    }
+
+    // Estado de cada migración: aplicada (con fecha) o pendiente
+    async status() {
+        const client = await this.db.pool.connect();
+        try {
+            await this.ensureTable(client);
+            const applied = new Map((await this.applied(client)).map(row => [row.version, row]));
+
+            return this.list().map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                appliedAt: applied.get(migration.version)?.applied_at || null
+            }));
+        } finally {
+            client.release();
+        }
+    }
+
+    async pending() {
+        return (await this.status()).filter(migration => !migration.appliedAt);
+    }
+
+    // Ejecutar una migración en su propia transacción
+    async run(migration, direction) {
+        const statements = this.load(migration)[direction];
+        const client = await this.db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+            await this.ensureTable(client);
+
+            // Otro proceso pudo aplicarla mientras esperábamos el bloqueo
+            const exists = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+            if ((exists.rowCount > 0) === (direction === 'up')) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+
+            for (const statement of statements) {
+                await client.query(statement);
+            }
+
+            if (direction === 'up') {
+                await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+            } else {
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            }
+
+            await client.query('COMMIT');
+            return true;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw new Error(`Migración ${Migrator.describe(migration)} (${direction}) falló: ${err.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    // Aplicar todas las pendientes (o hasta la versión indicada)
+    async up(target = Infinity) {
+        const done = [];
+        for (const migration of await this.pending()) {
+            if (migration.version > target) break;
+
+            const full = this.list().find(m => m.version === migration.version);
+            if (await this.run(full, 'up')) {
+                console.log(`⬆️  Migración aplicada: ${Migrator.describe(migration)}`);
+                done.push(migration);
+            }
+        }
+        return done;
+    }
+
+    // Revertir las últimas "steps" migraciones aplicadas
+    async down(steps = 1) {
+        const applied = (await this.status()).filter(migration => migration.appliedAt).reverse();
+        const done = [];
+
+        for (const migration of applied.slice(0, steps)) {
+            const full = this.list().find(m => m.version === migration.version);
+            if (!full) {
+                throw new Error(`No existe el archivo de la migración ${migration.version}`);
+            }
+            if (await this.run(full, 'down')) {
+                console.log(`⬇️  Migración revertida: ${Migrator.describe(migration)}`);
+                done.push(migration);
+            }
+        }
+        return done;
+    }
+}
+
+module.exports = Migrator;
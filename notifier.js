@@ -0,0 +1,67 @@
+const nodemailer = require('nodemailer');
+
+// Entrega de notificaciones por webhook (POST JSON) y por correo SMTP
+class Notifier {
+    // smtp: ver la sección "smtp" de config.js
+    constructor(smtp = {}, options = {}) {
+        this.from = smtp.from;
+        this.timeoutMs = options.timeoutMs
+            || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10)
+            || 5000;
+        this.transport = smtp.host
+            ? nodemailer.createTransport({
+                host: smtp.host,
+                port: smtp.port,
+                secure: smtp.secure,
+                auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+            })
+            : null;
+    }
+
+    async webhook(url, payload) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'User-Agent': 'kiosk-control-server' },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return { channel: 'webhook', target: url, success: true };
+        } catch (err) {
+            console.error(`❌ Error enviando webhook a ${url}:`, err.message);
+            return { channel: 'webhook', target: url, success: false, error: err.message };
+        }
+    }
+
+    async email(to, subject, text) {
+        if (!this.transport) {
+            console.warn(`⚠️  Correo a ${to} no enviado: SMTP_HOST no configurado`);
+            return { channel: 'email', target: to, success: false, error: 'SMTP no configurado' };
+        }
+
+        try {
+            await this.transport.sendMail({ from: this.from, to, subject, text });
+            return { channel: 'email', target: to, success: true };
+        } catch (err) {
+            console.error(`❌ Error enviando correo a ${to}:`, err.message);
+            return { channel: 'email', target: to, success: false, error: err.message };
+        }
+    }
+
+    // Enviar a todos los destinos; devuelve el resultado de cada uno
+    async send({ webhooks = [], emails = [] }, payload, subject, text) {
+        return Promise.all([
+            ...webhooks.map(url => this.webhook(url, payload)),
+            ...emails.map(to => this.email(to, subject, text))
+        ]);
+    }
+
+    close() {
+        if (this.transport) this.transport.close();
+    }
+}
+
+module.exports = Notifier;
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles de menor a mayor privilegio
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const KEY_LENGTH = 64;
+
+class OperatorAuth {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.sessionTtlHours = options.sessionTtlHours
+            || parseInt(process.env.SESSION_TTL_HOURS, 10)
+            || 12;
+    }
+
+    static isValidRole(role) {
+        return ROLES.includes(role);
+    }
+
+    static hasRole(operator, role) {
+        return !!operator && ROLES.indexOf(operator.role) >= ROLES.indexOf(role);
+    }
+
+    // Los operadores sin organización son los de la plataforma y ven todas
+    static isPlatform(operator) {
+        return !!operator && operator.organizationId === null;
+    }
+
+    // Organización a la que se limita lo que ve el operador (null: todas)
+    static scope(operator) {
+        return operator ? operator.organizationId : null;
+    }
+
+    // ¿Puede el operador ver y manejar datos de esa organización?
+    static canAccess(operator, organizationId) {
+        return OperatorAuth.isPlatform(operator) || operator?.organizationId === organizationId;
+    }
+
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const key = await scrypt(String(password), salt, KEY_LENGTH);
+        return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+    }
+
+    static async verifyPassword(password, stored) {
+        const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+
+        const expected = Buffer.from(keyHex, 'hex');
+        const key = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+        return crypto.timingSafeEqual(key, expected);
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Datos del operador que se pueden exponer por la API
+    static publicOperator(operator) {
+        if (!operator) return null;
+        const { id, username, role, disabled, created_at: createdAt } = operator;
+        return { id, username, role, organizationId: operator.organization_id ?? null, disabled, createdAt };
+    }
+
+    // Crear el primer administrador (de la plataforma) desde variables de entorno si no hay operadores
+    async bootstrap() {
+        const username = process.env.ADMIN_USERNAME;
+        const password = process.env.ADMIN_PASSWORD;
+        if (!username || !password) return;
+
+        if (await this.db.countOperators() === 0) {
+            await this.createOperator({ username, password, role: 'admin' });
+            console.log(`👤 Administrador inicial creado: ${username}`);
+        }
+    }
+
+    async createOperator({ username, password, role = 'viewer', organizationId = null }) {
+        return this.db.createOperator({
+            username,
+            passwordHash: await OperatorAuth.hashPassword(password),
+            role,
+            organizationId
+        });
+    }
+
+    async updateOperator(id, { password, role, disabled }) {
+        const changes = { role, disabled };
+        if (password) {
+            changes.passwordHash = await OperatorAuth.hashPassword(password);
+        }
+
+        const operator = await this.db.updateOperator(id, changes);
+
+        // Un cambio de contraseña o una desactivación cierra las sesiones abiertas
+        if (operator && (password || disabled)) {
+            await this.db.deleteOperatorSessions(id);
+        }
+        return operator;
+    }
+
+    // Iniciar sesión: devuelve el token en claro una única vez
+    async login(username, password) {
+        const operator = await this.db.getOperatorByUsername(username);
+
+        if (!operator || operator.disabled) {
+            // Igualar el tiempo de respuesta para no revelar qué usuarios existen
+            await OperatorAuth.hashPassword(password);
+            return null;
+        }
+        if (!await OperatorAuth.verifyPassword(password, operator.password_hash)) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + this.sessionTtlHours * 60 * 60 * 1000).toISOString();
+        const session = await this.db.createOperatorSession(operator.id, OperatorAuth.hashToken(token), expiresAt);
+        if (!session) return null;
+
+        return { token, expiresAt, operator: OperatorAuth.publicOperator(operator) };
+    }
+
+    async logout(token) {
+        if (!token) return false;
+        return this.db.deleteOperatorSession(OperatorAuth.hashToken(token));
+    }
+
+    // Resolver el operador a partir de un token de sesión
+    async authenticate(token) {
+        if (!token) return null;
+        return OperatorAuth.publicOperator(
+            await this.db.getOperatorBySession(OperatorAuth.hashToken(String(token)))
+        );
+    }
+
+    static tokenFromRequest(req) {
+        const header = req.get('Authorization') || '';
+        const [scheme, token] = header.split(' ');
+        return scheme === 'Bearer' ? token : null;
+    }
+
+    // Middleware Express: exige sesión válida con al menos el rol indicado (y, con
+    // platform: true, que sea un operador de la plataforma)
+    requireRole(role, { platform = false } = {}) {
+        return async (req, res, next) => {
+            try {
+                const operator = await this.authenticate(OperatorAuth.tokenFromRequest(req));
+                if (!operator) {
+                    return res.status(401).json({ success: false, error: 'No autenticado' });
+                }
+                if (!OperatorAuth.hasRole(operator, role)) {
+                    return res.status(403).json({ success: false, error: 'Permisos insuficientes' });
+                }
+                if (platform && !OperatorAuth.isPlatform(operator)) {
+                    return res.status(403).json({ success: false, error: 'Solo para operadores de la plataforma' });
+                }
+                req.operator = operator;
+                next();
+            } catch (err) {
+                next(err);
+            }
+        };
+    }
+
+    // Middleware de handshake Socket.IO del espacio de paneles: token de operador
+    socketMiddleware() {
+        return async (socket, next) => {
+            try {
+                const operator = await this.authenticate(socket.handshake.auth?.token);
+                if (operator) {
+                    socket.data.role = 'dashboard';
+                    socket.data.operator = operator;
+                    return next();
+                }
+            } catch (err) {
+                console.error('❌ Error verificando sesión de operador:', err.message);
+            }
+
+            next(new Error('unauthorized'));
+        };
+    }
+}
+
+OperatorAuth.ROLES = ROLES;
+
+module.exports = OperatorAuth;
@@ -0,0 +1,108 @@
+// Identificador corto de una organización (se usa en URLs e integraciones)
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/;
+
+// Organización por defecto: la de los datos anteriores a la separación por clientes
+const DEFAULT_SLUG = 'default';
+
+// Organizaciones (clientes) y sus sedes. Cada tablet pertenece a una organización;
+// los operadores de una organización solo ven y manejan sus tablets. Guarda en
+// memoria la organización de cada tablet para repartir los eventos en vivo sin
+// consultar la base en cada uno
+class Organizations {
+    constructor(db) {
+        this.db = db;
+        // tabletId -> organizationId
+        this.tablets = new Map();
+    }
+
+    // Validar { name, slug }. Con partial solo se validan los campos presentes.
+    // Devuelve el error o null
+    static validate({ name, slug } = {}, partial = false) {
+        if ((!partial || name !== undefined)
+            && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+            return 'name debe ser un texto de 1 a 100 caracteres';
+        }
+        if ((!partial || slug !== undefined) && (typeof slug !== 'string' || !SLUG_PATTERN.test(slug))) {
+            return 'slug debe tener de 1 a 50 letras minúsculas, números o guiones';
+        }
+        if (partial && name === undefined && slug === undefined) {
+            return 'Indica name o slug';
+        }
+        return null;
+    }
+
+    // Validar { name, address } de una sede. Devuelve el error o null
+    static validateSite({ name, address } = {}, partial = false) {
+        if ((!partial || name !== undefined)
+            && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+            return 'name debe ser un texto de 1 a 100 caracteres';
+        }
+        if (address !== undefined && address !== null && (typeof address !== 'string' || address.length > 500)) {
+            return 'address debe ser un texto de hasta 500 caracteres o null';
+        }
+        if (partial && name === undefined && address === undefined) {
+            return 'Indica name o address';
+        }
+        return null;
+    }
+
+    static format(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            slug: row.slug,
+            ...(row.tablet_count !== undefined ? {
+                tablets: row.tablet_count,
+                sites: row.site_count,
+                operators: row.operator_count
+            } : {}),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    static formatSite(row) {
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            name: row.name,
+            address: row.address,
+            ...(row.tablet_count !== undefined ? { tablets: row.tablet_count } : {}),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Cargar la organización de todas las tablets (al arrancar)
+    async load() {
+        const rows = await this.db.getTabletOrganizations();
+        if (!rows) return false;
+
+        this.tablets = new Map(rows.map(row => [row.id, row.organization_id]));
+        console.log(`🏢 Organización de ${rows.length} tablets cargada`);
+        return true;
+    }
+
+    // Organización de una tablet conocida (null si no está en memoria)
+    organizationOf(tabletId) {
+        return this.tablets.get(tabletId) ?? null;
+    }
+
+    set(tabletId, organizationId) {
+        if (organizationId) this.tablets.set(tabletId, organizationId);
+    }
+
+    // Organización de una tablet, de la memoria o de la base (null si no existe)
+    async resolve(tabletId) {
+        const cached = this.organizationOf(tabletId);
+        if (cached) return cached;
+
+        const organizationId = await this.db.getTabletOrganization(tabletId);
+        this.set(tabletId, organizationId);
+        return organizationId;
+    }
+}
+
+Organizations.DEFAULT_SLUG = DEFAULT_SLUG;
+
+module.exports = Organizations;
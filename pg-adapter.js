@@ -0,0 +1,88 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const CHANNEL = 'kiosk_socketio';
+
+// NOTIFY admite hasta 8000 bytes; los mensajes mayores viajan por cluster_messages
+const MAX_NOTIFY_BYTES = 7500;
+
+// Los mensajes guardados se borran pasado este tiempo (todos los nodos ya los leyeron)
+const MESSAGE_TTL_SECONDS = 60;
+
+// Adaptador de Socket.IO sobre LISTEN/NOTIFY de PostgreSQL: io.emit, io.to(socketId),
+// disconnectSockets y serverSideEmit llegan a los sockets de todos los nodos.
+// Los mensajes se codifican en JSON (los eventos del servidor no envían binarios)
+class PostgresAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, db, options = {}) {
+        super(nsp, options);
+        this.db = db;
+        this.init();
+    }
+
+    async publishPayload(payload) {
+        if (Buffer.byteLength(payload) <= MAX_NOTIFY_BYTES) {
+            await this.db.notify(CHANNEL, payload);
+            return;
+        }
+
+        const id = await this.db.insertClusterMessage(payload);
+        if (id) await this.db.notify(CHANNEL, JSON.stringify({ stored: id }));
+    }
+
+    async doPublish(message) {
+        await this.publishPayload(JSON.stringify(message));
+        // Sin recuperación del estado de conexión no hace falta un offset
+        return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.publishPayload(JSON.stringify({ requesterUid, response }));
+    }
+
+    // Mensaje recibido de cualquier nodo (incluido este, que se descarta)
+    async receive(payload) {
+        let message = JSON.parse(payload);
+        if (message.stored) {
+            const stored = await this.db.getClusterMessage(message.stored);
+            if (!stored) return;
+            message = JSON.parse(stored);
+        }
+
+        if (message.requesterUid) {
+            if (message.requesterUid === this.uid && message.response.nsp === this.nsp.name) {
+                this.onResponse(message.response);
+            }
+        } else if (message.nsp === this.nsp.name) {
+            this.onMessage(message);
+        }
+    }
+}
+
+// Crear el adaptador para io.adapter(). Escucha el canal una sola vez por proceso
+// y reparte cada notificación entre los espacios de nombres
+async function createAdapter(db, options = {}) {
+    const adapters = new Set();
+
+    await db.listen(CHANNEL, (payload) => {
+        for (const adapter of adapters) {
+            adapter.receive(payload).catch(err => {
+                console.error('❌ Error procesando mensaje entre nodos:', err.message);
+            });
+        }
+    });
+
+    setInterval(() => db.deleteClusterMessages(MESSAGE_TTL_SECONDS), MESSAGE_TTL_SECONDS * 1000).unref();
+
+    return function (nsp) {
+        const adapter = new PostgresAdapter(nsp, db, options);
+        adapters.add(adapter);
+
+        const close = adapter.close.bind(adapter);
+        adapter.close = () => {
+            adapters.delete(adapter);
+            close();
+        };
+        return adapter;
+    };
+}
+
+module.exports = { createAdapter, PostgresAdapter };
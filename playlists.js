@@ -0,0 +1,175 @@
+// Días de la semana tal como los devuelve Intl en inglés (0 = domingo)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class PlaylistManager {
+    // dispatch(commandInfo) es CommandDispatcher.dispatch
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dispatch = options.dispatch;
+        this.timezone = options.timezone || db.timezone;
+
+        // Lista asignada a cada tablet conectada y si su URL actual se desvía
+        this.assigned = new Map();
+        this.drifted = new Map();
+    }
+
+    // Validar elementos: [{ url, duration, days?, start?, end? }]. Devuelve el error o null
+    static validateItems(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            return 'items debe ser una lista no vacía';
+        }
+
+        for (const [index, item] of items.entries()) {
+            try {
+                new URL(item.url);
+            } catch (err) {
+                return `items[${index}].url inválida`;
+            }
+            if (!Number.isInteger(item.duration) || item.duration <= 0) {
+                return `items[${index}].duration debe ser un entero positivo (segundos)`;
+            }
+            if (item.days !== undefined
+                && (!Array.isArray(item.days) || item.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+                return `items[${index}].days debe ser una lista de 0 (domingo) a 6`;
+            }
+            if ((item.start !== undefined || item.end !== undefined)
+                && !(TIME_PATTERN.test(item.start) && TIME_PATTERN.test(item.end))) {
+                return `items[${index}] requiere start y end en formato HH:MM`;
+            }
+        }
+        return null;
+    }
+
+    static normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.href.replace(/\/$/, '');
+        } catch (err) {
+            return String(url || '').replace(/\/$/, '');
+        }
+    }
+
+    // Día de la semana y minutos desde medianoche en la zona horaria indicada
+    static localTime(date, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+        const get = type => parts.find(part => part.type === type).value;
+
+        return {
+            day: WEEKDAYS.indexOf(get('weekday')),
+            minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+        };
+    }
+
+    // Elementos que deben mostrarse en este momento. Las franjas que cruzan
+    // medianoche (p. ej. 22:00-08:00) se permiten
+    static activeItems(playlist, date, timezone) {
+        const { day, minutes } = PlaylistManager.localTime(date, timezone);
+
+        return playlist.items.filter(item => {
+            if (item.days && !item.days.includes(day)) return false;
+            if (!item.start) return true;
+
+            const [startH, startM] = item.start.split(':').map(Number);
+            const [endH, endM] = item.end.split(':').map(Number);
+            const start = startH * 60 + startM;
+            const end = endH * 60 + endM;
+
+            return start <= end
+                ? minutes >= start && minutes < end
+                : minutes >= start || minutes < end;
+        });
+    }
+
+    // Enviar a la tablet la lista que le corresponde (propia o de alguno de sus grupos)
+    async sync(tabletId) {
+        const playlist = await this.db.getPlaylistForTablet(tabletId);
+        const previous = this.assigned.get(tabletId);
+
+        if (!playlist) {
+            this.assigned.delete(tabletId);
+            this.drifted.delete(tabletId);
+            if (previous) {
+                await this.dispatch({ tabletId, command: 'clear-playlist', params: {}, queue: false });
+            }
+            return null;
+        }
+
+        this.assigned.set(tabletId, playlist);
+        await this.dispatch({
+            tabletId,
+            command: 'set-playlist',
+            params: {
+                playlistId: playlist.id,
+                name: playlist.name,
+                version: playlist.version,
+                timezone: this.timezone,
+                items: playlist.items
+            },
+            // Al reconectar se vuelve a sincronizar, no hace falta encolar
+            queue: false
+        });
+        return playlist;
+    }
+
+    async syncMany(tabletIds) {
+        for (const tabletId of tabletIds) {
+            await this.sync(tabletId);
+        }
+        return tabletIds.length;
+    }
+
+    forget(tabletId) {
+        this.assigned.delete(tabletId);
+        this.drifted.delete(tabletId);
+    }
+
+    // Comparar la URL reportada con la lista asignada. Devuelve el estado de
+    // desvío si cambió respecto a la última comprobación, o null si sigue igual
+    checkDrift(tabletId, currentUrl, date = new Date()) {
+        const playlist = this.assigned.get(tabletId);
+        if (!playlist || !currentUrl) return null;
+
+        const expected = PlaylistManager.activeItems(playlist, date, this.timezone).map(item => item.url);
+        const current = PlaylistManager.normalizeUrl(currentUrl);
+        const drifted = !expected.some(url => PlaylistManager.normalizeUrl(url) === current);
+
+        const wasDrifted = this.drifted.has(tabletId);
+        if (drifted === wasDrifted) return null;
+
+        const state = {
+            tabletId,
+            playlistId: playlist.id,
+            drifted,
+            currentUrl,
+            expected,
+            since: new Date(date).toISOString()
+        };
+        if (drifted) {
+            this.drifted.set(tabletId, state);
+        } else {
+            this.drifted.delete(tabletId);
+        }
+        return state;
+    }
+
+    // Estado de todas las tablets conectadas con lista asignada
+    driftReport() {
+        return [...this.assigned.entries()].map(([tabletId, playlist]) => ({
+            tabletId,
+            playlistId: playlist.id,
+            playlistName: playlist.name,
+            version: playlist.version,
+            drifted: this.drifted.has(tabletId),
+            ...(this.drifted.get(tabletId) || {})
+        }));
+    }
+}
+
+module.exports = PlaylistManager;
@@ -0,0 +1,280 @@
+// Presencia de tablets por ID: una sola conexión vigente por tablet, latidos con
+// vencimiento, detección de reconexiones continuas (flapping) e historial de sesiones.
+// Las conexiones de este nodo viven en memoria; tablet_presence indica qué nodo
+// tiene cada tablet para que cualquier instancia pueda localizarla
+class Presence {
+    // onExpired(tablet) se invoca cuando una tablet deja de enviar latidos;
+    // onFlapping(state) cuando una tablet empieza o deja de reconectarse sin parar
+    constructor(db, options = {}) {
+        this.db = db;
+        this.nodeId = options.nodeId;
+        this.onExpired = options.onExpired || (() => {});
+        this.onFlapping = options.onFlapping || (() => {});
+        this.heartbeatIntervalMs = options.heartbeatIntervalMs
+            || parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10)
+            || 30000;
+        this.missedHeartbeats = options.missedHeartbeats
+            || parseInt(process.env.HEARTBEAT_MISSED_LIMIT, 10)
+            || 3;
+        this.flapWindowMs = options.flapWindowMs
+            || (parseInt(process.env.FLAP_WINDOW_MINUTES, 10) || 10) * 60000;
+        this.flapThreshold = options.flapThreshold
+            || parseInt(process.env.FLAP_THRESHOLD, 10)
+            || 5;
+
+        // tabletId -> { tablet, socket, lastHeartbeat, session, claim }
+        this.entries = new Map();
+        // tabletId -> marcas de tiempo de las conexiones recientes
+        this.connections = new Map();
+        this.flapping = new Set();
+        this.timer = null;
+    }
+
+    get timeoutMs() {
+        return this.heartbeatIntervalMs * this.missedHeartbeats;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Ventana de consulta de sesiones y disponibilidad (por defecto los últimos 7 días).
+    // Devuelve { from, to } o { error }
+    static parseWindow({ from, to } = {}, now = new Date()) {
+        const end = to ? new Date(to) : now;
+        const start = from ? new Date(from) : new Date(end.getTime() - 7 * 86400000);
+
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+            return { error: 'from y to deben ser fechas ISO válidas' };
+        }
+        if (start >= end) {
+            return { error: 'from debe ser anterior a to' };
+        }
+        return { from: start, to: end };
+    }
+
+    get(tabletId) {
+        return this.entries.get(tabletId)?.tablet || null;
+    }
+
+    socket(tabletId) {
+        return this.entries.get(tabletId)?.socket || null;
+    }
+
+    tablets() {
+        return [...this.entries.values()].map(entry => entry.tablet);
+    }
+
+    // La conexión es la vigente para su tablet (no fue desplazada ni vencida)
+    isCurrent(socket) {
+        return this.entries.get(socket.data.tabletId)?.socket === socket;
+    }
+
+    // Registrar la conexión de una tablet. Si ya tenía otra abierta, en este u otro
+    // nodo, se devuelve { nodeId, socketId } de la anterior (las de este nodo se
+    // cierran aquí mismo; las de otro nodo las cierra quien llama)
+    async connect(socket, tablet) {
+        const previous = this.entries.get(tablet.id);
+
+        // Registro repetido por la misma conexión: se conserva la sesión
+        if (previous && previous.socket === socket) {
+            tablet.flapping = this.flapping.has(tablet.id);
+            tablet.connectedAt = previous.tablet.connectedAt;
+            Object.assign(previous, { tablet, lastHeartbeat: Date.now() });
+            return null;
+        }
+
+        if (previous) {
+            this.entries.delete(tablet.id);
+            this.endSession(previous, 'displaced');
+            previous.socket.emit('session-displaced', { tabletId: tablet.id, by: socket.id });
+            previous.socket.disconnect(true);
+        }
+
+        // Los registros de una misma tablet se anotan en orden para que el último
+        // socket sea siempre el que queda en tablet_presence
+        const entry = {
+            tablet,
+            socket,
+            lastHeartbeat: Date.now(),
+            session: this.db.openTabletSession(tablet.id, socket.id, tablet.ip, this.nodeId),
+            claim: (previous?.claim || Promise.resolve())
+                .then(() => this.db.claimTabletPresence(tablet.id, this.nodeId, socket.id))
+        };
+        this.entries.set(tablet.id, entry);
+        this.trackConnection(tablet);
+
+        const claimed = await entry.claim;
+        if (previous) return { nodeId: this.nodeId, socketId: previous.socket.id };
+        return claimed && claimed.socket_id !== socket.id
+            ? { nodeId: claimed.node_id, socketId: claimed.socket_id }
+            : null;
+    }
+
+    // Latido (evento heartbeat o cualquier estado). Devuelve la tablet o null si la
+    // conexión ya no es la vigente
+    heartbeat(socket) {
+        const entry = this.entries.get(socket.data.tabletId);
+        if (!entry || entry.socket !== socket) return null;
+
+        entry.lastHeartbeat = Date.now();
+        entry.tablet.lastSeen = new Date(entry.lastHeartbeat).toISOString();
+        return entry.tablet;
+    }
+
+    // Cierre de la conexión. Devuelve la tablet si era la vigente (pasa a offline)
+    // o null si ya había sido desplazada por otra
+    async disconnect(socket, reason) {
+        if (!this.isCurrent(socket)) return null;
+
+        const entry = this.entries.get(socket.data.tabletId);
+        this.entries.delete(socket.data.tabletId);
+        return await this.release(entry, reason) ? entry.tablet : null;
+    }
+
+    // Liberar la presencia compartida y cerrar la sesión. false si entretanto la
+    // tablet se conectó a otro nodo (la conexión de aquí quedó desplazada)
+    async release(entry, reason) {
+        await entry.claim;
+        const released = await this.db.releaseTabletPresence(entry.tablet.id, entry.socket.id);
+        this.endSession(entry, released ? reason : 'displaced');
+        return released;
+    }
+
+    endSession(entry, reason) {
+        entry.session.then(sessionId => sessionId && this.db.closeTabletSession(sessionId, reason));
+    }
+
+    // Contar conexiones dentro de la ventana y avisar al entrar en flapping
+    trackConnection(tablet) {
+        const now = Date.now();
+        const recent = (this.connections.get(tablet.id) || [])
+            .filter(time => now - time < this.flapWindowMs);
+        recent.push(now);
+        this.connections.set(tablet.id, recent);
+
+        if (recent.length >= this.flapThreshold && !this.flapping.has(tablet.id)) {
+            this.flapping.add(tablet.id);
+            tablet.flapping = true;
+            this.onFlapping({ tabletId: tablet.id, name: tablet.name, flapping: true, connections: recent.length });
+        } else if (this.flapping.has(tablet.id)) {
+            tablet.flapping = true;
+        }
+    }
+
+    // Vencer las tablets sin latidos y dar por terminado el flapping de las que se estabilizaron
+    sweep() {
+        const now = Date.now();
+
+        for (const [tabletId, entry] of this.entries) {
+            if (now - entry.lastHeartbeat < this.timeoutMs) continue;
+
+            this.entries.delete(tabletId);
+            entry.socket.disconnect(true);
+            this.release(entry, 'heartbeat_timeout').then(released => released && this.onExpired(entry.tablet));
+        }
+
+        for (const [tabletId, times] of this.connections) {
+            const recent = times.filter(time => now - time < this.flapWindowMs);
+            if (recent.length === 0) {
+                this.connections.delete(tabletId);
+            } else {
+                this.connections.set(tabletId, recent);
+            }
+
+            if (this.flapping.has(tabletId) && recent.length < this.flapThreshold) {
+                this.flapping.delete(tabletId);
+                const tablet = this.get(tabletId);
+                if (tablet) tablet.flapping = false;
+                this.onFlapping({ tabletId, name: tablet?.name || tabletId, flapping: false, connections: recent.length });
+            }
+        }
+    }
+
+    // Dónde está conectada una tablet: { nodeId, socketId } o null
+    async locate(tabletId) {
+        const local = this.entries.get(tabletId);
+        if (local) return { nodeId: this.nodeId, socketId: local.socket.id };
+
+        const [row] = await this.db.getTabletPresence([tabletId]);
+        return row ? { nodeId: row.node_id, socketId: row.socket_id } : null;
+    }
+
+    // Tablets conectadas en todos los nodos: las de este con su estado en vivo y
+    // las de los demás con lo último que guardaron en la base
+    async connected() {
+        const remote = (await this.db.getTabletPresence())
+            .filter(row => row.node_id !== this.nodeId && !this.entries.has(row.tablet_id))
+            .map(row => ({
+                id: row.tablet_id,
+                name: row.name,
+                ip: row.ip,
+                status: 'online',
+                currentUrl: row.current_url,
+                lastSeen: row.last_seen,
+                connectedAt: row.connected_at,
+                uptime: row.uptime,
+                stats: row.stats || {},
+                nodeId: row.node_id
+            }));
+        return [...this.tablets(), ...remote];
+    }
+
+    // Cuáles de estas tablets están conectadas en algún nodo
+    async onlineIds(tabletIds) {
+        const online = new Set((await this.db.getTabletPresence(tabletIds)).map(row => row.tablet_id));
+        return tabletIds.filter(tabletId => this.entries.has(tabletId) || online.has(tabletId));
+    }
+
+    // Volver a anotar las conexiones de este nodo después de que otro lo diera por
+    // caído (p. ej. tras una pausa larga): su presencia y sus sesiones se cerraron
+    async rejoin() {
+        for (const entry of this.entries.values()) {
+            entry.session = this.db.openTabletSession(entry.tablet.id, entry.socket.id, entry.tablet.ip, this.nodeId);
+            entry.claim = entry.claim.then(() =>
+                this.db.claimTabletPresence(entry.tablet.id, this.nodeId, entry.socket.id));
+            await entry.claim;
+        }
+        return this.entries.size;
+    }
+
+    // Porcentaje del tiempo conectada de cada tablet en la ventana (o de una sola)
+    async availability({ from, to }, tabletId = null, organizationId = null) {
+        const rows = await this.db.getAvailability({
+            tabletId,
+            organizationId,
+            from: from.toISOString(),
+            to: to.toISOString()
+        });
+
+        return rows.map(row => {
+            // Las sesiones solapadas de un desplazamiento pueden sumar unos milisegundos de más
+            const online = Math.min(row.online_seconds, row.window_seconds);
+            return {
+                tabletId: row.tablet_id,
+                name: row.name,
+                onlineSeconds: Math.round(online),
+                windowSeconds: Math.round(row.window_seconds),
+                availability: row.window_seconds > 0 ? Math.round(online / row.window_seconds * 10000) / 100 : null,
+                sessions: row.sessions,
+                unexpectedDisconnects: row.unexpected_disconnects
+            };
+        });
+    }
+
+    // Las sesiones que quedaron abiertas por un apagado brusco las cierra el
+    // nodo que lo da por caído (ver ClusterNode)
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.sweep(), Math.min(this.heartbeatIntervalMs, 60000));
+        console.log(`💓 Latidos cada ${this.heartbeatIntervalMs / 1000}s (desconexión tras ${this.missedHeartbeats} sin respuesta)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = Presence;
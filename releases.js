@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Paquetes APK de la app kiosko: archivo en disco (RELEASE_DIR/<versionCode>.apk)
+// y metadatos con checksum en app_releases
+class ReleaseStore {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dir = path.resolve(options.dir || process.env.RELEASE_DIR || path.join(__dirname, 'releases'));
+        this.maxBytes = options.maxBytes
+            || (parseInt(process.env.RELEASE_MAX_MB, 10) || 200) * 1024 * 1024;
+    }
+
+    // Validar nombre y código de versión. Devuelve el error o null
+    static validate({ versionName, versionCode }) {
+        if (!versionName || String(versionName).length > 50) {
+            return 'versionName requerido (máximo 50 caracteres)';
+        }
+        if (!Number.isInteger(versionCode) || versionCode <= 0) {
+            return 'versionCode debe ser un entero positivo';
+        }
+        return null;
+    }
+
+    static tooLarge(maxBytes) {
+        const err = new Error(`El paquete supera el máximo de ${maxBytes} bytes`);
+        err.code = 'TOO_LARGE';
+        return err;
+    }
+
+    absolutePath(release) {
+        return path.join(this.dir, release.path);
+    }
+
+    // Guardar el APK leyendo el cuerpo de la petición por partes (sin cargarlo entero
+    // en memoria). Lanza un error con code 'TOO_LARGE' si supera el máximo
+    async save(stream, { versionName, versionCode, filename, notes, createdBy }) {
+        const relative = `${versionCode}.apk`;
+        const target = path.join(this.dir, relative);
+        const temporary = `${target}.${process.pid}.tmp`;
+        const hash = crypto.createHash('sha256');
+        const maxBytes = this.maxBytes;
+        let size = 0;
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        // Si se pasa del máximo se sigue leyendo sin escribir, para poder responder
+        // sin cortar la conexión a mitad del cuerpo
+        try {
+            await pipeline(stream, new Transform({
+                transform(chunk, encoding, callback) {
+                    size += chunk.length;
+                    if (size > maxBytes) return callback();
+                    hash.update(chunk);
+                    callback(null, chunk);
+                }
+            }), fs.createWriteStream(temporary));
+        } catch (err) {
+            await fs.promises.rm(temporary, { force: true });
+            throw err;
+        }
+
+        if (size > maxBytes) {
+            await fs.promises.rm(temporary, { force: true });
+            throw ReleaseStore.tooLarge(maxBytes);
+        }
+        if (size === 0) {
+            await fs.promises.rm(temporary, { force: true });
+            return null;
+        }
+
+        const release = await this.db.createRelease({
+            versionName: String(versionName),
+            versionCode,
+            sha256: hash.digest('hex'),
+            sizeBytes: size,
+            filename: filename ? path.basename(String(filename)).slice(0, 255) : null,
+            path: relative,
+            notes,
+            createdBy
+        });
+
+        // Solo se reemplaza el archivo si la versión quedó registrada (el código es único)
+        if (!release) {
+            await fs.promises.rm(temporary, { force: true });
+            return null;
+        }
+        await fs.promises.rename(temporary, target);
+
+        console.log(`📦 Versión ${release.version_name} (${release.version_code}) publicada: ${Math.ceil(size / 1024)} KB`);
+        return release;
+    }
+
+    async remove(releaseId) {
+        const release = await this.db.deleteRelease(releaseId);
+        if (release) {
+            await fs.promises.rm(this.absolutePath(release), { force: true });
+        }
+        return release;
+    }
+}
+
+module.exports = ReleaseStore;
@@ -0,0 +1,206 @@
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+
+// Mensajes de señalización que se retransmiten entre panel y tablet
+const SIGNAL_TYPES = ['offer', 'answer', 'ice-candidate'];
+
+// Tamaño máximo de un mensaje (una oferta SDP con varias pistas ronda unos pocos KB)
+const MAX_SIGNAL_BYTES = 64 * 1024;
+
+// Capacidad que declara en tablet-register la app que sabe compartir pantalla
+const CAPABILITY = 'remote-view';
+
+// Vista remota de la pantalla de una tablet por WebRTC. El servidor solo hace de
+// canal de señalización (oferta, respuesta y candidatos ICE) sobre Socket.IO; el
+// vídeo va directo entre el navegador y la tablet. Cada tablet admite un solo
+// espectador a la vez (lo garantiza la base, también entre nodos), las sesiones
+// vencen a los REMOTE_VIEW_TIMEOUT_SECONDS y todas quedan registradas
+class RemoteViewRelay {
+    // findSocket(tabletId) resuelve el socket de la tablet (o un emisor hacia otro
+    // nodo); toViewer(socketId) es un emisor hacia el socket de un panel en cualquier
+    // nodo; announce(sessionId) avisa a los demás nodos de una sesión cerrada;
+    // onChange(event, session) se invoca con 'started' y 'ended'
+    constructor(db, options = {}) {
+        this.db = db;
+        this.nodeId = options.nodeId;
+        this.findSocket = options.findSocket;
+        this.toViewer = options.toViewer;
+        this.announce = options.announce || (() => {});
+        this.onChange = options.onChange || (() => {});
+        this.timeoutSeconds = options.timeoutSeconds
+            || parseInt(process.env.REMOTE_VIEW_TIMEOUT_SECONDS, 10)
+            || 300;
+        this.iceServers = options.iceServers
+            || RemoteViewRelay.parseIceServers(process.env.REMOTE_VIEW_ICE_SERVERS);
+
+        // Sesiones abiertas conocidas por este nodo: id -> fila de remote_view_sessions
+        this.sessions = new Map();
+        // Vencimiento de las sesiones abiertas desde paneles de este nodo: id -> timer
+        this.timers = new Map();
+    }
+
+    // A diferencia de los comandos, las tablets que no declaran capacidades no la admiten
+    static supports(capabilities) {
+        return Array.isArray(capabilities) && capabilities.includes(CAPABILITY);
+    }
+
+    // Servidores STUN/TURN para los dos extremos, como JSON en el formato de
+    // RTCPeerConnection: [{ "urls": "stun:..." }, { "urls": "turn:...", "username", "credential" }]
+    static parseIceServers(value) {
+        if (!value) return [];
+        try {
+            const servers = JSON.parse(value);
+            if (Array.isArray(servers) && servers.every(server => server && server.urls)) return servers;
+        } catch (err) {
+            // Se avisa abajo
+        }
+        console.warn('⚠️  REMOTE_VIEW_ICE_SERVERS no es una lista de servidores ICE válida: se ignora');
+        return [];
+    }
+
+    // Validar un mensaje de señalización ({ sessionId, type, payload }). Devuelve el error o null
+    static validateSignal(data) {
+        if (!data || typeof data !== 'object') return 'Mensaje inválido';
+        if (!isUuid(String(data.sessionId))) return 'sessionId inválido';
+        if (!SIGNAL_TYPES.includes(data.type)) return `type debe ser uno de: ${SIGNAL_TYPES.join(', ')}`;
+        if (data.payload === undefined || data.payload === null) return 'payload requerido';
+        if (JSON.stringify(data.payload).length > MAX_SIGNAL_BYTES) return 'payload demasiado grande';
+        return null;
+    }
+
+    // Datos de una sesión para los paneles y la tablet
+    static describe(session) {
+        return {
+            sessionId: session.id,
+            tabletId: session.tablet_id,
+            operator: session.operator_username,
+            startedAt: session.started_at,
+            expiresAt: session.expires_at,
+            ...(session.ended_at ? { endedAt: session.ended_at, reason: session.end_reason } : {})
+        };
+    }
+
+    // Abrir una sesión desde un panel. Devuelve { session } o { error, status }
+    async start({ tabletId, operator, socketId, sourceIp }) {
+        const tablet = await this.findSocket(tabletId);
+        if (!tablet) return { error: 'Tablet no encontrada o desconectada', status: 404 };
+
+        const opened = await this.db.openRemoteViewSession({
+            id: uuidv4(),
+            tabletId,
+            operatorId: operator.id,
+            operatorUsername: operator.username,
+            sourceIp,
+            viewerSocketId: socketId,
+            nodeId: this.nodeId,
+            expiresAt: new Date(Date.now() + this.timeoutSeconds * 1000).toISOString()
+        });
+        if (!opened) return { error: 'No se pudo abrir la sesión', status: 500 };
+        if (!opened.session) {
+            return {
+                error: `La tablet ya tiene una vista remota abierta${opened.active ? ` por ${opened.active.operator_username}` : ''}`,
+                status: 409
+            };
+        }
+
+        const session = opened.session;
+        this.sessions.set(session.id, session);
+        this.timers.set(session.id, setTimeout(() => this.end(session.id, 'timeout'), this.timeoutSeconds * 1000));
+
+        tablet.emit('remote-view-start', { ...RemoteViewRelay.describe(session), iceServers: this.iceServers });
+        console.log(`🖥️  Vista remota de ${tabletId} iniciada por ${operator.username} (${session.id})`);
+        this.onChange('started', session);
+        return { session: { ...RemoteViewRelay.describe(session), iceServers: this.iceServers } };
+    }
+
+    // Sesión abierta por su ID (de la memoria o, si se abrió en otro nodo, de la base)
+    async resolve(sessionId) {
+        if (!isUuid(String(sessionId))) return null;
+
+        let session = this.sessions.get(sessionId);
+        if (!session) {
+            session = await this.db.getRemoteViewSession(sessionId);
+            if (!session || session.ended_at) return null;
+            this.sessions.set(sessionId, session);
+        }
+        if (new Date(session.expires_at) <= new Date()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+        return session;
+    }
+
+    // Mensaje del panel hacia la tablet. Solo lo acepta del panel que abrió la sesión.
+    // Devuelve el error o null
+    async relayFromViewer(socketId, data) {
+        const invalid = RemoteViewRelay.validateSignal(data);
+        if (invalid) return invalid;
+
+        const session = await this.resolve(data.sessionId);
+        if (!session || session.viewer_socket_id !== socketId) return 'Sesión no encontrada o cerrada';
+
+        const tablet = await this.findSocket(session.tablet_id);
+        if (!tablet) return 'Tablet desconectada';
+        tablet.emit('remote-view-signal', { sessionId: session.id, type: data.type, payload: data.payload });
+        return null;
+    }
+
+    // Mensaje de la tablet hacia el panel. Solo de la tablet de la sesión. Devuelve el error o null
+    async relayFromTablet(tabletId, data) {
+        const invalid = RemoteViewRelay.validateSignal(data);
+        if (invalid) return invalid;
+
+        const session = await this.resolve(data.sessionId);
+        if (!session || session.tablet_id !== tabletId) return 'Sesión no encontrada o cerrada';
+
+        this.toViewer(session.viewer_socket_id)
+            .emit('remote-view-signal', { sessionId: session.id, type: data.type, payload: data.payload });
+        return null;
+    }
+
+    // Cerrar una sesión (motivo y, si lo hay, quién la cerró). Devuelve la sesión cerrada o null
+    async end(sessionId, reason, endedBy = null) {
+        const [session] = await this.finish(await this.db.endRemoteViewSessions({ id: sessionId }, reason, endedBy));
+        return session || null;
+    }
+
+    // Cerrar la sesión abierta de una tablet (se desconectó, se reconectó o se dio de baja)
+    async endForTablet(tabletId, reason) {
+        return (await this.finish(await this.db.endRemoteViewSessions({ tabletId }, reason))).length;
+    }
+
+    // Cerrar las sesiones de un panel que se desconectó
+    async endForViewer(socketId, reason) {
+        return (await this.finish(await this.db.endRemoteViewSessions({ viewerSocketId: socketId }, reason))).length;
+    }
+
+    // Avisar a los dos extremos y a los demás nodos de las sesiones cerradas
+    async finish(sessions) {
+        for (const session of sessions) {
+            this.forget(session.id);
+            this.announce(session.id);
+
+            const ended = RemoteViewRelay.describe(session);
+            const tablet = await this.findSocket(session.tablet_id);
+            if (tablet) tablet.emit('remote-view-stop', ended);
+            this.toViewer(session.viewer_socket_id).emit('remote-view-ended', ended);
+
+            console.log(`🖥️  Vista remota de ${session.tablet_id} terminada: ${session.end_reason} (${session.id})`);
+            this.onChange('ended', session);
+        }
+        return sessions;
+    }
+
+    // Olvidar una sesión cerrada (aquí o en otro nodo)
+    forget(sessionId) {
+        clearTimeout(this.timers.get(sessionId));
+        this.timers.delete(sessionId);
+        this.sessions.delete(sessionId);
+    }
+
+    // Al apagar el nodo se cierran las sesiones de sus paneles
+    async stop() {
+        await this.finish(await this.db.endRemoteViewSessions({ nodeId: this.nodeId }, 'shutdown'));
+    }
+}
+
+module.exports = RemoteViewRelay;
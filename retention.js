@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+// Políticas por tabla: columna de antigüedad, condición extra (p. ej. no tocar
+// comandos en curso), días por defecto y si se archiva antes de borrar. Los días
+// se cambian con RETENTION_<TABLA>_DAYS; 0 conserva la tabla entera.
+// restoreFixups ajusta la tabla temporal restore_rows antes de volver a cargarla
+const POLICIES = {
+    command_logs: {
+        column: 'created_at',
+        where: "status IS NULL OR status NOT IN ('queued', 'pending')",
+        days: 90,
+        archive: true,
+        // Los archivos anteriores a las organizaciones toman la organización actual de la tablet
+        restoreFixups: [
+            'DELETE FROM restore_rows WHERE tablet_id NOT IN (SELECT id FROM tablets)',
+            'UPDATE restore_rows SET operator_id = NULL WHERE operator_id NOT IN (SELECT id FROM operators)',
+            `UPDATE restore_rows r SET organization_id = t.organization_id
+             FROM tablets t WHERE t.id = r.tablet_id AND r.organization_id IS NULL`,
+            'DELETE FROM restore_rows WHERE organization_id NOT IN (SELECT id FROM organizations)'
+        ]
+    },
+    activity_logs: {
+        column: 'timestamp',
+        days: 90,
+        archive: true,
+        restoreFixups: [
+            `UPDATE restore_rows r SET organization_id = t.organization_id
+             FROM tablets t WHERE t.id = r.tablet_id AND r.organization_id IS NULL`,
+            'DELETE FROM restore_rows WHERE organization_id NOT IN (SELECT id FROM organizations)'
+        ]
+    },
+    daily_stats: {
+        column: 'date',
+        days: 365,
+        archive: true,
+        restoreFixups: ['DELETE FROM restore_rows WHERE tablet_id NOT IN (SELECT id FROM tablets)']
+    },
+    tablet_sessions: {
+        column: 'ended_at',
+        days: 180
+    },
+    webhook_deliveries: {
+        column: 'created_at',
+        where: "status <> 'pending'",
+        days: 30
+    },
+    schedule_runs: {
+        column: 'started_at',
+        days: 180
+    }
+};
+
+// Filas por consulta y por archivo (los IDs de un archivo se guardan en memoria
+// hasta borrarlos)
+const PAGE_SIZE = 5000;
+const MAX_ROWS_PER_FILE = 50000;
+
+// Retención de datos: cada hora borra lo que supera el plazo de su tabla y, en las
+// que se archivan, antes lo escribe en ARCHIVE_DIR/<tabla>/<tabla>-<fecha>.jsonl.gz
+// (una línea de cabecera y una por fila). restore() vuelve a cargar un archivo; sus
+// filas se conservan el plazo de la tabla contado desde la restauración
+class RetentionManager {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dir = path.resolve(options.dir || process.env.ARCHIVE_DIR || path.join(__dirname, 'archives'));
+        this.intervalMs = options.intervalMs || 60 * 60 * 1000;
+        this.policies = RetentionManager.resolvePolicies(options.days || {});
+        this.lastRun = null;
+        this.timer = null;
+        this.running = false;
+    }
+
+    static get tables() {
+        return Object.keys(POLICIES);
+    }
+
+    // Días de cada tabla: opción, RETENTION_<TABLA>_DAYS o el valor por defecto
+    static resolvePolicies(days = {}, env = process.env) {
+        const policies = {};
+        for (const [table, policy] of Object.entries(POLICIES)) {
+            const configured = days[table] ?? parseInt(env[`RETENTION_${table.toUpperCase()}_DAYS`], 10);
+            policies[table] = {
+                ...policy,
+                days: Number.isInteger(configured) && configured >= 0 ? configured : policy.days
+            };
+        }
+        return policies;
+    }
+
+    // Políticas para la API (sin el SQL interno)
+    describe() {
+        return Object.entries(this.policies).map(([table, policy]) => ({
+            table,
+            column: policy.column,
+            days: policy.days,
+            archive: !!policy.archive,
+            enabled: policy.days > 0
+        }));
+    }
+
+    // Aplicar todas las políticas. Devuelve { startedAt, tables: [{ table, archived, deleted, files }] }
+    async run(date = new Date()) {
+        if (this.running) return null;
+        this.running = true;
+
+        const report = { startedAt: date.toISOString(), tables: [] };
+        try {
+            for (const [table, policy] of Object.entries(this.policies)) {
+                if (policy.days === 0) continue;
+
+                const before = new Date(date.getTime() - policy.days * 86400000).toISOString();
+                const result = policy.archive
+                    ? await this.archiveTable(table, policy, before)
+                    : { table, archived: 0, deleted: await this.db.deleteExpiredRows(table, policy, before) || 0, files: [] };
+
+                if (result.deleted > 0) {
+                    console.log(`🧹 ${table}: ${result.deleted} filas de más de ${policy.days} días eliminadas`
+                        + (result.files.length > 0 ? ` (archivadas en ${result.files.length} archivos)` : ''));
+                }
+                report.tables.push(result);
+            }
+        } catch (err) {
+            console.error('❌ Error aplicando la retención:', err.message);
+            report.error = err.message;
+        } finally {
+            this.running = false;
+        }
+
+        this.lastRun = report;
+        return report;
+    }
+
+    // Archivar y borrar las filas vencidas de una tabla, un archivo cada
+    // MAX_ROWS_PER_FILE filas. Solo se borra lo que quedó escrito en un archivo completo
+    async archiveTable(table, policy, before) {
+        const result = { table, archived: 0, deleted: 0, files: [] };
+        const original = { ...policy, where: `(${policy.where || 'TRUE'}) AND restored_at IS NULL` };
+
+        for (;;) {
+            const file = await this.writeArchive(table, original, before);
+            if (!file) break;
+
+            result.files.push(file.path);
+            result.archived += file.ids.length;
+            for (let i = 0; i < file.ids.length; i += PAGE_SIZE) {
+                const deleted = await this.db.deleteRowsById(table, file.ids.slice(i, i + PAGE_SIZE));
+                if (deleted === null) throw new Error(`No se pudieron borrar las filas archivadas en ${file.path}`);
+                result.deleted += deleted;
+            }
+            if (file.ids.length < MAX_ROWS_PER_FILE) break;
+        }
+
+        // Las restauradas ya están en su archivo: se borran sin volver a escribirlas
+        const restored = await this.db.deleteExpiredRows(table, { column: 'restored_at' }, before);
+        if (restored === null) throw new Error(`No se pudieron borrar las filas restauradas de ${table}`);
+        result.deleted += restored;
+        return result;
+    }
+
+    // Escribir un archivo con hasta MAX_ROWS_PER_FILE filas vencidas. Devuelve
+    // { path, ids } o null si no hay nada que archivar
+    async writeArchive(table, policy, before) {
+        let rows = await this.db.getExpiredRows(table, policy, before, 0, PAGE_SIZE);
+        if (rows === null) throw new Error(`No se pudieron leer las filas vencidas de ${table}`);
+        if (rows.length === 0) return null;
+
+        const createdAt = new Date().toISOString();
+        const target = path.join(this.dir, table, `${table}-${createdAt.replace(/[:.]/g, '-')}.jsonl.gz`);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+        const ids = [];
+        const db = this.db;
+        async function* lines() {
+            yield `${JSON.stringify({ table, column: policy.column, before, createdAt })}\n`;
+            while (rows.length > 0) {
+                for (const row of rows) {
+                    ids.push(row.id);
+                    yield `${row.json}\n`;
+                }
+                if (ids.length >= MAX_ROWS_PER_FILE) break;
+
+                rows = await db.getExpiredRows(table, policy, before, rows[rows.length - 1].id,
+                    Math.min(PAGE_SIZE, MAX_ROWS_PER_FILE - ids.length));
+                if (rows === null) throw new Error(`No se pudieron leer las filas vencidas de ${table}`);
+            }
+        }
+
+        // Escribir a un temporal y renombrar para no dejar archivos a medias
+        try {
+            await pipeline(lines(), zlib.createGzip(), fs.createWriteStream(`${target}.tmp`));
+            await fs.promises.rename(`${target}.tmp`, target);
+        } catch (err) {
+            await fs.promises.rm(`${target}.tmp`, { force: true });
+            throw err;
+        }
+        return { path: target, ids };
+    }
+
+    // Archivos guardados, del más reciente al más antiguo
+    async list() {
+        const archives = [];
+        for (const table of RetentionManager.tables) {
+            let names = [];
+            try {
+                names = await fs.promises.readdir(path.join(this.dir, table));
+            } catch (err) {
+                continue;
+            }
+            for (const name of names.filter(name => name.endsWith('.jsonl.gz'))) {
+                const stat = await fs.promises.stat(path.join(this.dir, table, name));
+                archives.push({ table, file: path.join(table, name), sizeBytes: stat.size, createdAt: stat.mtime.toISOString() });
+            }
+        }
+        return archives.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Volver a cargar un archivo en su tabla (las filas que ya existen se omiten).
+    // Las restauradas se conservan el plazo de la tabla contado desde ahora y
+    // después se borran sin archivarlas otra vez. Devuelve { table, rows, restored }
+    async restore(file) {
+        const input = fs.createReadStream(path.resolve(this.dir, file)).pipe(zlib.createGunzip());
+        const reader = readline.createInterface({ input, crlfDelay: Infinity });
+
+        let header = null;
+        let policy = null;
+        let batch = [];
+        const totals = { rows: 0, restored: 0 };
+        const flush = async () => {
+            if (batch.length === 0) return;
+            const restored = await this.db.restoreRows(header.table, batch, policy.restoreFixups);
+            if (restored === null) throw new Error(`No se pudieron restaurar las filas en ${header.table}`);
+            totals.rows += batch.length;
+            totals.restored += restored;
+            batch = [];
+        };
+
+        for await (const line of reader) {
+            if (!line.trim()) continue;
+            if (!header) {
+                header = JSON.parse(line);
+                policy = POLICIES[header.table];
+                if (!policy?.archive) throw new Error(`El archivo no corresponde a una tabla archivable: ${header.table}`);
+                continue;
+            }
+            batch.push(JSON.parse(line));
+            if (batch.length >= PAGE_SIZE) await flush();
+        }
+        if (!header) throw new Error('Archivo vacío');
+        await flush();
+
+        console.log(`📦 ${header.table}: ${totals.restored} de ${totals.rows} filas restauradas desde ${file}`);
+        return { table: header.table, ...totals };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = RetentionManager;
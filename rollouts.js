@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+
+// Estados en los que una tablet objetivo todavía está en curso
+const IN_FLIGHT = ['pending', 'sent'];
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+class RolloutManager {
+    // dispatch(commandInfo) y cancel(commandId) son los de CommandDispatcher;
+    // onChange(rollout) avisa a los paneles de cada cambio de estado
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dispatch = options.dispatch;
+        this.cancelCommand = options.cancel || (async () => null);
+        this.onChange = options.onChange || (() => {});
+        this.intervalMs = options.intervalMs
+            || parseInt(process.env.ROLLOUT_INTERVAL_MS, 10)
+            || 60000;
+        this.installTimeoutMinutes = options.installTimeoutMinutes
+            || parseFloat(process.env.ROLLOUT_INSTALL_TIMEOUT_MIN)
+            || 30;
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Etapas como porcentajes acumulados crecientes que terminan en 100 (p. ej. [10, 50, 100])
+    static validateStages(stages) {
+        if (!Array.isArray(stages) || stages.length === 0) {
+            return 'stages debe ser una lista de porcentajes';
+        }
+        for (const [index, stage] of stages.entries()) {
+            if (!Number.isInteger(stage) || stage <= 0 || stage > 100) {
+                return 'Cada etapa debe ser un entero entre 1 y 100';
+            }
+            if (index > 0 && stage <= stages[index - 1]) {
+                return 'Las etapas deben ser crecientes';
+            }
+        }
+        if (stages[stages.length - 1] !== 100) {
+            return 'La última etapa debe ser 100';
+        }
+        return null;
+    }
+
+    // Repartir las tablets en etapas con un orden pseudoaleatorio estable
+    // (el mismo despliegue siempre elige las mismas tablets para el primer tramo)
+    static assignStages(key, tabletIds, stages) {
+        const ordered = [...tabletIds].sort((a, b) => {
+            const hashA = crypto.createHash('sha256').update(`${key}:${a}`).digest('hex');
+            const hashB = crypto.createHash('sha256').update(`${key}:${b}`).digest('hex');
+            return hashA < hashB ? -1 : 1;
+        });
+
+        return ordered.map((tabletId, index) => ({
+            tabletId,
+            stage: stages.findIndex(percent => index < Math.ceil(ordered.length * percent / 100))
+        }));
+    }
+
+    // Crear un despliegue de "release" para las tablets indicadas que aún no la tienen
+    async create({ release, tabletIds, selector, stages, failureThreshold, autoAdvance, createdBy }) {
+        const candidates = await this.db.getTabletsBelowVersion(tabletIds, release.version_code);
+        if (candidates.length === 0) {
+            return { rollout: null, skipped: tabletIds.length };
+        }
+
+        const rollout = await this.db.createRollout({
+            releaseId: release.id,
+            selector,
+            stages,
+            failureThreshold,
+            autoAdvance,
+            createdBy,
+            targets: RolloutManager.assignStages(`${release.id}:${Date.now()}`, candidates, stages)
+        });
+        if (!rollout) return null;
+
+        console.log(`🚚 Despliegue ${rollout.id}: versión ${release.version_name} a ${candidates.length} tablets en ${stages.length} etapas`);
+        await this.sendStage(rollout.id);
+        return { rollout: await this.db.getRollout(rollout.id), skipped: tabletIds.length - candidates.length };
+    }
+
+    // Enviar la instalación a las tablets pendientes de las etapas ya abiertas
+    async sendStage(rolloutId) {
+        const rollout = await this.db.getRollout(rolloutId);
+        if (!rollout || rollout.status !== 'active') return 0;
+
+        const targets = (await this.db.getRolloutTargets(rolloutId))
+            .filter(target => target.status === 'pending' && target.stage <= rollout.current_stage);
+
+        for (const target of targets) {
+            const sent = await this.dispatch({
+                tabletId: target.tablet_id,
+                command: 'install-app',
+                params: {
+                    releaseId: rollout.release_id,
+                    versionName: rollout.version_name,
+                    versionCode: rollout.version_code,
+                    sha256: rollout.sha256.trim(),
+                    sizeBytes: Number(rollout.size_bytes),
+                    path: `/api/device/releases/${rollout.release_id}/apk`
+                },
+                operatorId: rollout.created_by
+            });
+
+            await this.db.updateRolloutTarget(rolloutId, target.tablet_id, sent
+                ? { status: sent.status === 'queued' ? 'queued' : 'sent', commandId: sent.id }
+                : { status: 'failed', error: 'No se pudo entregar el comando' });
+        }
+
+        if (targets.length > 0) {
+            console.log(`🚚 Despliegue ${rolloutId}, etapa ${rollout.current_stage + 1}: instalación enviada a ${targets.length} tablets`);
+        }
+        return targets.length;
+    }
+
+    // Resultado de un comando install-app. Un fallo cuenta de inmediato; el éxito
+    // se confirma cuando la tablet reporta la nueva versión (la app se reinicia al instalar)
+    async handleResult(result) {
+        if (result.command !== 'install-app' || result.status !== 'failed' || !result.id) return;
+
+        const target = await this.db.getRolloutTargetByCommand(result.id);
+        if (!target || FINISHED.includes(target.status)) return;
+
+        await this.db.updateRolloutTarget(target.rollout_id, target.tablet_id, {
+            status: 'failed',
+            error: result.message || 'La instalación falló'
+        });
+        await this.evaluate(target.rollout_id);
+    }
+
+    // Versión reportada por una tablet en el registro o en su estado
+    async handleVersion(tabletId, versionCode) {
+        const completed = await this.db.completeRolloutTargets(tabletId, versionCode);
+        for (const rolloutId of new Set(completed.map(target => target.rollout_id))) {
+            await this.evaluate(rolloutId);
+        }
+    }
+
+    // Detener si la tasa de fallos supera el umbral; si no, avanzar de etapa o terminar
+    async evaluate(rolloutId) {
+        const rollout = await this.db.getRollout(rolloutId);
+        if (!rollout || rollout.status !== 'active') return rollout;
+
+        // La tasa se calcula sobre todas las tablets de las etapas abiertas, así un
+        // primer fallo aislado no detiene el despliegue antes de que lleguen los éxitos
+        const targets = await this.db.getRolloutTargets(rolloutId);
+        const opened = targets.filter(target => target.stage <= rollout.current_stage && target.status !== 'cancelled');
+        const failed = opened.filter(target => target.status === 'failed').length;
+        const failureRate = opened.length > 0 ? failed / opened.length * 100 : 0;
+
+        if (failed > 0 && failureRate >= rollout.failure_threshold) {
+            return this.setState(rollout, {
+                status: 'halted',
+                haltedReason: `${failed} de ${opened.length} instalaciones fallidas (${Math.round(failureRate)}%, umbral ${rollout.failure_threshold}%)`
+            });
+        }
+
+        // Las tablets desconectadas (comando en cola) no frenan el paso a la siguiente etapa
+        if (opened.some(target => IN_FLIGHT.includes(target.status))) return rollout;
+
+        const lastStage = rollout.stages.length - 1;
+        if (rollout.current_stage < lastStage) {
+            return rollout.auto_advance ? this.advance(rolloutId) : rollout;
+        }
+        if (targets.every(target => FINISHED.includes(target.status))) {
+            return this.setState(rollout, { status: 'completed' });
+        }
+        return rollout;
+    }
+
+    // Abrir la siguiente etapa
+    async advance(rolloutId) {
+        const rollout = await this.db.getRollout(rolloutId);
+        if (!rollout || rollout.status !== 'active' || rollout.current_stage >= rollout.stages.length - 1) {
+            return null;
+        }
+
+        const updated = await this.setState(rollout, { currentStage: rollout.current_stage + 1 });
+        await this.sendStage(rolloutId);
+        return updated;
+    }
+
+    async pause(rolloutId) {
+        const rollout = await this.db.getRollout(rolloutId);
+        if (!rollout || rollout.status !== 'active') return null;
+        return this.setState(rollout, { status: 'paused' });
+    }
+
+    // Reanudar un despliegue pausado o detenido. Al reanudar uno detenido se
+    // reintentan las instalaciones fallidas
+    async resume(rolloutId) {
+        const rollout = await this.db.getRollout(rolloutId);
+        if (!rollout || !['paused', 'halted'].includes(rollout.status)) return null;
+
+        if (rollout.status === 'halted') {
+            await this.db.resetFailedRolloutTargets(rolloutId);
+        }
+        await this.setState(rollout, { status: 'active' });
+        await this.sendStage(rolloutId);
+        return this.evaluate(rolloutId);
+    }
+
+    async cancel(rolloutId) {
+        const rollout = await this.db.getRollout(rolloutId);
+        if (!rollout || ['completed', 'cancelled'].includes(rollout.status)) return null;
+
+        for (const target of await this.db.cancelRolloutTargets(rolloutId)) {
+            if (target.command_id) await this.cancelCommand(target.command_id);
+        }
+        return this.setState(rollout, { status: 'cancelled' });
+    }
+
+    async setState(rollout, changes) {
+        const updated = await this.db.setRolloutState(rollout.id, changes);
+        if (!updated) return null;
+
+        const full = await this.db.getRollout(rollout.id);
+        if (changes.status === 'halted') {
+            console.log(`🛑 Despliegue ${rollout.id} detenido: ${changes.haltedReason}`);
+        } else if (changes.status) {
+            console.log(`🚚 Despliegue ${rollout.id}: ${changes.status}`);
+        }
+        this.onChange(full);
+        return full;
+    }
+
+    // Vencer instalaciones sin confirmar y reevaluar los despliegues activos
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const stale = await this.db.failStaleRolloutTargets(this.installTimeoutMinutes);
+            if (stale.length > 0) {
+                console.log(`⏱️  ${stale.length} instalaciones sin confirmar marcadas como fallidas`);
+            }
+            for (const rollout of await this.db.getRollouts({ status: 'active' })) {
+                await this.evaluate(rollout.id);
+            }
+        } catch (err) {
+            console.error('❌ Error evaluando despliegues:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = RolloutManager;
@@ -0,0 +1,137 @@
+const cronParser = require('cron-parser');
+const CommandDispatcher = require('./command-dispatcher');
+
+class Scheduler {
+    // broadcast(selector, commandInfo) es el mismo camino de entrega que usan
+    // POST /api/command y /api/broadcast, así que todo queda en command_logs
+    constructor(db, options = {}) {
+        this.db = db;
+        this.broadcast = options.broadcast;
+        this.timezone = options.timezone || db.timezone;
+        this.intervalMs = options.intervalMs
+            || parseInt(process.env.SCHEDULER_INTERVAL_MS, 10)
+            || 30000;
+        this.timer = null;
+        this.running = false;
+    }
+
+    static isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    static isValidCron(cron, timezone) {
+        try {
+            cronParser.parseExpression(cron, { tz: timezone });
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // Próxima ejecución posterior a "after"; null si la programación ya no se repite
+    static nextRun({ cron, timezone }, after = new Date()) {
+        if (!cron) return null;
+        return cronParser.parseExpression(cron, { currentDate: after, tz: timezone }).next().toDate();
+    }
+
+    // Crear una programación única (runAt) o recurrente (cron). Con organizationId
+    // solo alcanza a las tablets de esa organización
+    async create({ name, selector, command, params, runAt, cron, timezone, createdBy, organizationId = null }) {
+        const zone = timezone || this.timezone;
+        const nextRunAt = cron ? Scheduler.nextRun({ cron, timezone: zone }) : new Date(runAt);
+
+        return this.db.createSchedule({
+            name: name || command,
+            selector,
+            command,
+            params,
+            runAt,
+            cron,
+            timezone: zone,
+            nextRunAt: nextRunAt.toISOString(),
+            createdBy,
+            organizationId
+        });
+    }
+
+    async pause(scheduleId) {
+        const schedule = await this.db.getSchedule(scheduleId);
+        if (!schedule || schedule.status !== 'active') return null;
+
+        return this.db.setScheduleStatus(scheduleId, 'paused', null);
+    }
+
+    // Al reanudar se recalcula la próxima ejecución a partir de ahora
+    async resume(scheduleId) {
+        const schedule = await this.db.getSchedule(scheduleId);
+        if (!schedule || schedule.status !== 'paused') return null;
+
+        const nextRunAt = schedule.cron
+            ? Scheduler.nextRun(schedule)
+            : new Date(Math.max(new Date(schedule.run_at).getTime(), Date.now()));
+        return this.db.setScheduleStatus(scheduleId, 'active', nextRunAt.toISOString());
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.tick();
+        console.log(`⏰ Programador iniciado (cada ${this.intervalMs / 1000}s, zona ${this.timezone})`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Ejecutar las programaciones vencidas. Si el servidor estuvo apagado, cada
+    // programación recurrente se ejecuta una sola vez y sigue desde ahora
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const due = await this.db.getDueSchedules();
+            for (const schedule of due) {
+                const nextRunAt = Scheduler.nextRun(schedule);
+                const claimed = await this.db.claimScheduleRun(
+                    schedule.id,
+                    schedule.next_run_at,
+                    nextRunAt ? nextRunAt.toISOString() : null
+                );
+                if (claimed) {
+                    await this.run(schedule);
+                }
+            }
+        } catch (err) {
+            console.error('❌ Error en el programador:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async run(schedule) {
+        console.log(`⏰ Ejecutando programación "${schedule.name}": ${schedule.command}`);
+
+        // La organización se aplica al ejecutar: las tablets que cambien de cliente dejan de recibirla
+        const selector = schedule.organization_id
+            ? { ...schedule.selector, organizationId: schedule.organization_id }
+            : schedule.selector;
+        const report = await this.broadcast(selector, {
+            command: schedule.command,
+            params: schedule.params,
+            operatorId: schedule.created_by
+        });
+        const summary = CommandDispatcher.summarize(report);
+
+        await this.db.logScheduleRun(schedule.id, schedule.next_run_at, summary, report);
+        return summary;
+    }
+}
+
+module.exports = Scheduler;
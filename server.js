@@ -7,107 +7,717 @@ const compression = require('compression');
 const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs');
-const Database = require('./database-postgres');
+const { validate: isUuid } = require('uuid');
+const config = require('./config');
+const { createDatabase } = require('./database');
+const Migrator = require('./migrator');
+const DeviceAuth = require('./device-auth');
+const OperatorAuth = require('./operator-auth');
+const CommandDispatcher = require('./command-dispatcher');
+const CommandCatalog = require('./command-catalog');
+const Scheduler = require('./scheduler');
+const PlaylistManager = require('./playlists');
+const ConfigManager = require('./configs');
+const Telemetry = require('./telemetry');
+const Notifier = require('./notifier');
+const AlertManager = require('./alerts');
+const ActivityLog = require('./activity');
+const UploadStore = require('./uploads');
+const Inventory = require('./inventory');
+const Presence = require('./presence');
+const DashboardSubscriptions = require('./subscriptions');
+const WebhookDispatcher = require('./webhooks');
+const EventStream = require('./event-stream');
+const Metrics = require('./metrics');
+const RetentionManager = require('./retention');
+const RemoteViewRelay = require('./remote-view');
+const Organizations = require('./organizations');
+const ClusterNode = require('./cluster');
+const { createAdapter } = require('./pg-adapter');
+const ReleaseStore = require('./releases');
+const RolloutManager = require('./rollouts');
 
 const app = express();
 const server = http.createServer(app);
+// Configuración
+const PORT = config.port;
+const DOMAIN = config.domain;
+
+// Orígenes web permitidos (separados por coma). El panel se sirve desde este
+// mismo servidor, así que por defecto no se habilita CORS para terceros
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+const corsOptions = {
+    origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false,
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"]
+};
+
 const io = socketIO(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
+    cors: corsOptions
 });
 
-// Configuración
-const PORT = process.env.PORT || 3000;
-const DOMAIN = process.env.DOMAIN || 'kiosk.comunsoft.com';
+// Espacios de nombres separados: /devices para las tablets y /dashboard para los
+// paneles, así los eventos de la flota nunca llegan a los dispositivos. El raíz
+// sigue aceptando tablets con versiones de la app anteriores a /devices
+const deviceNamespaces = [io.of('/devices'), io.sockets];
+const dashboards = io.of('/dashboard');
+
+// Base de datos (DB_DRIVER=postgres por defecto, o memory para una base embebida)
+const db = createDatabase({ ...config.database, timezone: config.timezone });
+const deviceAuth = new DeviceAuth(db);
+const operatorAuth = new OperatorAuth(db);
+
+// Atajos de autorización por rol
+const requireViewer = operatorAuth.requireRole('viewer');
+const requireOperator = operatorAuth.requireRole('operator');
+const requireAdmin = operatorAuth.requireRole('admin');
+
+// Lo que es común a todos los clientes (alertas, webhooks, retención, versiones y
+// despliegues) solo lo gestionan los operadores de la plataforma
+const requirePlatformViewer = operatorAuth.requireRole('viewer', { platform: true });
+const requirePlatformAdmin = operatorAuth.requireRole('admin', { platform: true });
 
-// Base de datos
-const db = new Database();
+// Organizaciones, sedes y organización de cada tablet
+const organizations = new Organizations(db);
 
 // Middleware
 app.use(helmet());
 app.use(compression());
-app.use(morgan('combined'));
-app.use(cors());
+// Las sondas de salud y Prometheus consultan cada pocos segundos: no se registran
+const PROBE_PATHS = ['/healthz', '/readyz', '/metrics'];
+app.use(morgan('combined', { skip: (req) => PROBE_PATHS.includes(req.path) }));
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Almacenar conexiones de tablets activas
-const activeTablets = new Map();
+// Esta instancia dentro del despliegue: latido, nodos caídos y trabajos periódicos
+const cluster = new ClusterNode(db, {
+    ...config.cluster,
+    getStats: () => ({
+        tablets: presence.size,
+        dashboards: dashboards.sockets.size
+    }),
+    onRejoin: async () => {
+        const count = await presence.rejoin();
+        console.log(`🔌 ${count} tablets conectadas a este nodo anotadas de nuevo`);
+        presence.tablets().forEach(tablet => emitTabletEvent(tablet.id, 'tablet-online', tablet));
+    },
+    onTabletsLost: async (tabletIds) => {
+        for (const tabletId of tabletIds) {
+            activity.record(tabletId, 'warning', 'connection', 'Tablet desconectada: su nodo dejó de responder',
+                { reason: 'node_lost' });
+            remoteView.endForTablet(tabletId, 'tablet_offline');
+            emitTabletEvent(tabletId, 'tablet-offline', { id: tabletId, status: 'offline' });
+        }
+    },
+    onLeaderChange: (leader) => {
+        for (const job of [telemetry, alerts, uploads, rollouts, retention]) {
+            if (leader) job.start(); else job.stop();
+        }
+    }
+});
+
+// Avisar al resto de nodos (solo con adaptador: sin él no hay otros nodos a la escucha)
+function notifyNodes(event, ...args) {
+    if (config.cluster.adapter !== 'none') io.serverSideEmit(event, ...args);
+}
+
+// Tablets conectadas por ID, con latidos, desplazamiento de conexiones repetidas
+// e historial de sesiones
+const presence = new Presence(db, {
+    nodeId: cluster.id,
+    onExpired: (tablet) => markOffline(tablet, 'heartbeat_timeout'),
+    onFlapping: (state) => {
+        if (state.flapping) {
+            console.log(`⚠️  ${state.name} se reconecta continuamente (${state.connections} conexiones recientes)`);
+            activity.record(state.tabletId, 'warning', 'connection',
+                `Reconexiones continuas: ${state.connections} conexiones en ${presence.flapWindowMs / 60000} minutos`,
+                { connections: state.connections });
+        }
+        emitTabletEvent(state.tabletId, 'tablet-flapping', state);
+    }
+});
+
+// Qué tablets sigue cada panel (salas del espacio /dashboard)
+const subscriptions = new DashboardSubscriptions(db, {
+    getSockets: () => dashboards.sockets.values(),
+    organizationOf: (tabletId) => organizations.organizationOf(tabletId)
+});
+
+// Integraciones externas: webhooks firmados con reintentos y flujo SSE
+const webhooks = new WebhookDispatcher(db);
+const eventStream = new EventStream({ events: WebhookDispatcher.events });
+
+// Publicar un evento de la flota hacia las integraciones. Los webhooks los encola
+// solo el nodo donde ocurre; los flujos SSE pueden estar abiertos en cualquier nodo
+function publishEvent(event, data, organizationId = null) {
+    const envelope = { event, timestamp: new Date().toISOString(), organizationId, data };
+    webhooks.publish(envelope);
+    eventStream.send(envelope);
+    notifyNodes('fleet-event', envelope);
+}
+
+// Enviar un evento de una tablet a los paneles que la siguen (y a las
+// integraciones, si es uno de los eventos que se publican)
+function emitTabletEvent(tabletId, event, payload) {
+    const organizationId = organizations.organizationOf(tabletId);
+    dashboards.to(DashboardSubscriptions.roomsFor(tabletId, organizationId)).emit(event, payload);
+    if (WebhookDispatcher.events.includes(event)) publishEvent(event, payload, organizationId);
+}
+
+// Emisor hacia el socket de una tablet conectada a otro nodo (a través del
+// adaptador), que puede estar en /devices o en el espacio raíz
+function remoteDevice(socketId) {
+    return {
+        emit: (...args) => deviceNamespaces.forEach(nsp => nsp.to(socketId).emit(...args)),
+        disconnect: () => deviceNamespaces.forEach(nsp => nsp.in(socketId).disconnectSockets(true))
+    };
+}
+
+// Socket de una tablet por su ID: el propio si está en este nodo o, si está en
+// otro, un emisor que llega a él. null si no está conectada
+async function findTabletSocket(tabletId) {
+    const local = presence.socket(tabletId);
+    if (local) return local;
+
+    const location = await presence.locate(tabletId);
+    return location ? remoteDevice(location.socketId) : null;
+}
+
+// Entregar entradas de actividad a los paneles de este nodo suscritos
+function deliverActivity(rows) {
+    for (const socket of dashboards.sockets.values()) {
+        const filter = socket.data.activityFilter;
+        const matching = filter ? rows.filter(row => ActivityLog.matches(row, filter)) : [];
+        if (matching.length > 0) socket.emit('activity', matching);
+    }
+}
+
+// Actividad de tablets y servidor, con seguimiento en vivo para los paneles suscritos
+// (también los conectados a otros nodos)
+const activity = new ActivityLog(db, {
+    onEntries: (rows) => {
+        deliverActivity(rows);
+        notifyNodes('activity-entries', rows);
+    }
+});
+
+// Inventario de la flota desde la base con la presencia en vivo encima
+const inventory = new Inventory(db, {
+    getConnected: () => presence.connected()
+});
+
+// Métricas Prometheus de esta instancia (/metrics)
+const metrics = new Metrics({
+    read: () => ({
+        tablets: presence.size,
+        dashboards: dashboards.sockets.size,
+        streams: eventStream.size,
+        pendingCommands: commands.pending.size,
+        dbPool: db.poolStats()
+    })
+});
+
+// Estado del proceso para /readyz: listo al terminar el arranque y fuera de
+// servicio en cuanto empieza el apagado, para que el balanceador deje de enviar tráfico
+let started = false;
+let shuttingDown = false;
+
+// Envío de comandos con ID, confirmación y vencimiento
+const commands = new CommandDispatcher(db, {
+    findSocket: findTabletSocket,
+    announce: (commandId) => notifyNodes('command-settled', commandId),
+    onSent: (command) => metrics.commandSent(command),
+    supports: async (tabletId, command) => CommandCatalog.supports(await tabletCapabilities(tabletId), command),
+    onResult: (result) => {
+        metrics.commandCompleted(result);
+        emitTabletEvent(result.tabletId, 'command-result', result);
+        rollouts.handleResult(result);
+        if (result.status === 'failed' || result.status === 'timed_out') {
+            activity.record(result.tabletId, result.status === 'failed' ? 'error' : 'warning', 'command',
+                `Comando ${result.command} ${result.status === 'failed' ? 'falló' : 'sin respuesta'}: ${result.message || ''}`.trim(),
+                { commandId: result.id, status: result.status });
+        }
+    }
+});
+
+// Vista remota de pantalla: señalización WebRTC entre un panel y una tablet
+const remoteView = new RemoteViewRelay(db, {
+    nodeId: cluster.id,
+    findSocket: findTabletSocket,
+    toViewer: (socketId) => dashboards.to(socketId),
+    announce: (sessionId) => notifyNodes('remote-view-ended', sessionId),
+    onChange: (event, session) => {
+        const started = event === 'started';
+        emitTabletEvent(session.tablet_id, 'remote-view-status', {
+            tabletId: session.tablet_id,
+            active: started,
+            ...RemoteViewRelay.describe(session)
+        });
+        activity.record(session.tablet_id, 'info', 'remote_view',
+            started
+                ? `Vista remota iniciada por ${session.operator_username}`
+                : `Vista remota de ${session.operator_username} terminada (${session.end_reason})`,
+            {
+                sessionId: session.id,
+                operator: session.operator_username,
+                sourceIp: session.source_ip,
+                ...(started ? {} : { reason: session.end_reason, endedBy: session.ended_by })
+            });
+    }
+});
+
+// Programador de comandos únicos y recurrentes (mismo camino de entrega)
+const scheduler = new Scheduler(db, {
+    broadcast: (selector, commandInfo) => commands.broadcast(selector, commandInfo)
+});
+
+// Listas de contenido asignadas y detección de desvíos de URL
+const playlists = new PlaylistManager(db, {
+    dispatch: (commandInfo) => commands.dispatch(commandInfo)
+});
+
+// Perfiles de configuración y comparación con lo que informa cada tablet
+const configs = new ConfigManager(db, {
+    dispatch: (commandInfo) => commands.dispatch(commandInfo),
+    onChange: (state) => emitTabletEvent(state.tabletId, 'config-status', ConfigManager.redactState(state))
+});
+
+// Historial de estado y estadísticas diarias
+const telemetry = new Telemetry(db);
+
+// Reglas de alerta evaluadas periódicamente, con aviso por webhook y correo
+const notifier = new Notifier(config.smtp);
+const alerts = new AlertManager(db, {
+    notifier,
+    getConnected: () => presence.connected(),
+    getDrift: () => playlists.driftReport(),
+    onChange: (event, alert) => emitTabletEvent(alert.tablet_id, event, alert)
+});
+
+// Capturas de pantalla y diagnósticos subidos por las tablets
+const uploads = new UploadStore(db);
+
+// Retención por tabla con archivo comprimido de comandos, actividad y estadísticas
+const retention = new RetentionManager(db);
+
+// Versiones de la app kiosko y despliegues por etapas
+const releases = new ReleaseStore(db);
+const rollouts = new RolloutManager(db, {
+    dispatch: (commandInfo) => commands.dispatch(commandInfo),
+    cancel: (commandId) => commands.cancel(commandId),
+    onChange: (rollout) => dashboards.to(DashboardSubscriptions.PLATFORM_ROOM).emit('rollout-updated', rollout)
+});
+
+// Versión de la app que reporta la tablet: { appVersion: { name, code } }
+// o appVersionName / appVersionCode sueltos. null si no la informa
+function parseAppVersion(data = {}) {
+    const name = data.appVersion?.name ?? data.appVersionName;
+    const code = parseInt(data.appVersion?.code ?? data.appVersionCode, 10);
+    return Number.isInteger(code) ? { name: name ? String(name).slice(0, 50) : null, code } : null;
+}
+
+// Guardar la versión instalada y confirmar las instalaciones de despliegues en curso
+async function reportAppVersion(tablet) {
+    await db.setTabletAppVersion(tablet.id, tablet.appVersion.name, tablet.appVersion.code);
+    await rollouts.handleVersion(tablet.id, tablet.appVersion.code);
+}
+
+// Reenviar la lista a las tablets afectadas que estén conectadas
+async function syncPlaylists(tabletIds) {
+    return playlists.syncMany(await presence.onlineIds(tabletIds));
+}
+
+// Reenviar la configuración a las tablets afectadas que estén conectadas
+async function syncConfigs(tabletIds) {
+    return configs.syncMany(await presence.onlineIds(tabletIds));
+}
+
+// Avisar a los paneles cuando la URL de una tablet entra o sale de su lista
+function checkPlaylistDrift(tablet) {
+    const state = playlists.checkDrift(tablet.id, tablet.currentUrl);
+    if (!state) return;
+
+    tablet.playlistDrift = state.drifted;
+    if (state.drifted) {
+        console.log(`⚠️  ${tablet.name} muestra ${state.currentUrl}, fuera de su lista de contenido`);
+    }
+    emitTabletEvent(state.tabletId, 'playlist-drift', state);
+}
+
+// Etiquetas en minúsculas, sin espacios sobrantes ni duplicados
+function normalizeTags(tags) {
+    return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Tablet registrada en la base (conectada o no)
+function findTabletRecord(tabletId) {
+    return new Promise(resolve => db.getTablet(tabletId, resolve));
+}
+
+// Comandos que declaró la tablet en su último registro (null si no declaró ninguno)
+async function tabletCapabilities(tabletId) {
+    const connected = presence.get(tabletId);
+    if (connected) return connected.capabilities;
+
+    const record = await findTabletRecord(tabletId);
+    return record ? record.capabilities : null;
+}
+
+// Validar un comando de operador contra el catálogo y las capacidades de la tablet.
+// Devuelve el error o null
+async function checkCommand(tabletId, command, params) {
+    const invalid = CommandCatalog.validate(command, params);
+    if (invalid) return invalid;
+
+    if (!CommandCatalog.supports(await tabletCapabilities(tabletId), command)) {
+        return `La tablet ${tabletId} no admite el comando ${command}`;
+    }
+    return null;
+}
+
+// Middleware que responde 404 si el recurso es de otra organización que la del
+// operador. find(req) devuelve la organización del recurso (null si no existe)
+function requireScope(find, notFound) {
+    return async (req, res, next) => {
+        try {
+            if (OperatorAuth.isPlatform(req.operator)) return next();
+            if (await find(req) !== req.operator.organizationId) {
+                return res.status(404).json({ success: false, error: notFound });
+            }
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+// La tablet del parámetro indicado (opcional en /api/queue y /api/logs) es de la organización del operador
+function tabletAccess(param = 'id') {
+    return requireScope(
+        req => req.params[param] === undefined ? req.operator.organizationId : organizations.resolve(req.params[param]),
+        'Tablet no encontrada'
+    );
+}
+
+const groupAccess = requireScope(
+    async req => (await db.getGroup(parseInt(req.params.id, 10) || 0))?.organization_id,
+    'Grupo no encontrado'
+);
+
+const scheduleAccess = requireScope(
+    async req => (await db.getSchedule(parseInt(req.params.id, 10) || 0))?.organization_id,
+    'Programación no encontrada'
+);
+
+const playlistAccess = requireScope(
+    async req => (await db.getPlaylist(parseInt(req.params.id, 10) || 0))?.organization_id,
+    'Lista no encontrada'
+);
+
+const configProfileAccess = requireScope(
+    async req => (await db.getConfigProfile(parseInt(req.params.id, 10) || 0))?.organization_id,
+    'Perfil no encontrado'
+);
+
+const commandAccess = requireScope(
+    async req => (isUuid(req.params.id) ? await db.getCommand(req.params.id) : null)?.organization_id,
+    'Comando no encontrado'
+);
+
+// Perfil de configuración y estado de una tablet tal como los ve el operador: el hash
+// del PIN solo lo ve la plataforma
+function profileView(operator, profile) {
+    return OperatorAuth.isPlatform(operator) ? profile : { ...profile, settings: ConfigManager.redact(profile.settings) };
+}
+
+function configView(operator, state) {
+    return OperatorAuth.isPlatform(operator) ? state : ConfigManager.redactState(state);
+}
+
+// IDs de tablet que puede ver el operador (todas para la plataforma)
+function visibleTabletIds(operator, tabletIds) {
+    return OperatorAuth.isPlatform(operator)
+        ? tabletIds
+        : tabletIds.filter(tabletId => organizations.organizationOf(tabletId) === operator.organizationId);
+}
+
+// Organización en la que crea algo un operador: la suya o, para la plataforma, la
+// indicada o la predeterminada. null si la indicada no existe
+async function targetOrganization(operator, requested) {
+    if (!OperatorAuth.isPlatform(operator)) return operator.organizationId;
+
+    const organization = requested !== undefined && requested !== null
+        ? await db.getOrganization(parseInt(requested, 10) || 0)
+        : await db.getOrganizationBySlug(Organizations.DEFAULT_SLUG);
+    return organization ? organization.id : null;
+}
+
+// Validar una sede opcional de la organización. Devuelve el error o null
+async function checkSite(siteId, organizationId) {
+    if (siteId === undefined || siteId === null) return null;
+
+    const site = Number.isInteger(siteId) ? await db.getSite(siteId) : null;
+    return site && site.organization_id === organizationId ? null : 'Sede no encontrada en la organización';
+}
+
+// Una tablet enrolada o movida a otra organización: memoria de este nodo y del resto
+function tabletMoved(tabletId, organizationId) {
+    organizations.set(tabletId, organizationId);
+    subscriptions.refreshTablet(tabletId);
+    notifyNodes('tablet-moved', { id: tabletId, organizationId });
+}
+
+// Fecha YYYY-MM-DD en la zona horaria del servidor
+function localDate(date) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: config.timezone }).format(date);
+}
+
+// Selector de flota para difusiones: grupo (id o nombre), etiquetas, lista de IDs,
+// organización y/o sede. Devuelve null si no trae ningún criterio, salvo que se pida
+// explícitamente "all"
+function parseSelector({ groupId, group, tags, tabletIds, organizationId, siteId, all } = {}) {
+    const selector = {
+        groupId: parseInt(groupId, 10) || null,
+        group: group || null,
+        tags: Array.isArray(tags) && tags.length > 0 ? normalizeTags(tags) : null,
+        tabletIds: Array.isArray(tabletIds) && tabletIds.length > 0 ? tabletIds.map(String) : null,
+        organizationId: parseInt(organizationId, 10) || null,
+        siteId: parseInt(siteId, 10) || null
+    };
+    const hasCriteria = selector.groupId || selector.group || selector.tags || selector.tabletIds
+        || selector.organizationId || selector.siteId;
+    return hasCriteria || all === true ? selector : null;
+}
+
+// Un operador de una organización solo alcanza a las tablets de la suya
+function scopeSelector(operator, selector) {
+    return selector && !OperatorAuth.isPlatform(operator)
+        ? { ...selector, organizationId: operator.organizationId }
+        : selector;
+}
 
 console.log(`
 🚀 SERVIDOR KIOSK CONTROL INICIANDO...
 =======================================
 📍 Servidor: ${DOMAIN}:${PORT}
 🌐 Panel Web: http://${DOMAIN}:${PORT}
-📱 API Tablets: ws://${DOMAIN}:${PORT}
+📱 API Tablets: ws://${DOMAIN}:${PORT}/devices
+🖥️  Paneles: ws://${DOMAIN}:${PORT}/dashboard
 =======================================
 `);
 
+// Solo las tablets con credencial válida entran en los espacios de dispositivos y
+// solo los operadores con sesión en el de paneles
+deviceNamespaces.forEach(nsp => nsp.use(deviceAuth.socketMiddleware()));
+dashboards.use(operatorAuth.socketMiddleware());
+
 // WebSocket para tablets Android
-io.on('connection', (socket) => {
-    console.log(`📱 Nueva conexión: ${socket.id}`);
+function onDeviceConnection(socket) {
+    const legacy = socket.nsp === io.sockets;
+    console.log(`📱 Nueva conexión: ${socket.id}${legacy ? ' (espacio raíz: app sin actualizar a /devices)' : ''}`);
+    socket.onAny((event) => metrics.socketEvent(socket, event));
     
     // Tablet se registra
-    socket.on('tablet-register', (data) => {
+    socket.on('tablet-register', async (data) => {
+        data = data || {};
+        // El ID siempre es el autenticado en el handshake, nunca el enviado en el evento
         const tabletInfo = {
-            id: data.tabletId || socket.id,
+            id: socket.data.tabletId,
             name: data.name || `Tablet-${socket.id.substring(0, 8)}`,
             ip: data.ip || socket.handshake.address,
             status: 'online',
             currentUrl: data.currentUrl || '',
             lastSeen: new Date().toISOString(),
+            connectedAt: new Date().toISOString(),
             uptime: data.uptime || '00:00:00',
-            stats: data.stats || {}
+            stats: data.stats || {},
+            appVersion: parseAppVersion(data),
+            config: ConfigManager.parseReport(data),
+            capabilities: CommandCatalog.parseCapabilities(data)
         };
         
-        activeTablets.set(socket.id, tabletInfo);
-        db.updateTablet(tabletInfo);
+        // Una conexión anterior de la misma tablet (p. ej. que no llegó a cerrarse), en
+        // este u otro nodo, se cierra para que los comandos no vayan a un socket obsoleto
+        const displaced = await presence.connect(socket, tabletInfo);
+        if (displaced) {
+            if (displaced.nodeId !== cluster.id) {
+                const previous = remoteDevice(displaced.socketId);
+                previous.emit('session-displaced', { tabletId: tabletInfo.id, by: socket.id });
+                previous.disconnect();
+            }
+            console.log(`🔁 ${tabletInfo.id} se reconectó: conexión anterior cerrada`);
+            // La nueva conexión no conoce la vista remota que tuviera abierta la anterior
+            remoteView.endForTablet(tabletInfo.id, 'tablet_reconnected');
+            activity.record(tabletInfo.id, 'info', 'connection', 'Conexión anterior reemplazada por una nueva',
+                { previousNode: displaced.nodeId, node: cluster.id, ip: tabletInfo.ip });
+        }
+        socket.emit('registered', {
+            tabletId: tabletInfo.id,
+            heartbeatIntervalMs: presence.heartbeatIntervalMs,
+            serverTime: new Date().toISOString()
+        });
+        // Si un operador editó el nombre, prevalece sobre el que envía la tablet. La
+        // organización hace falta antes de avisar a los paneles
+        const row = await db.updateTablet(tabletInfo);
+        if (row) {
+            tabletInfo.name = row.name;
+            tabletInfo.organizationId = row.organization_id;
+            organizations.set(tabletInfo.id, row.organization_id);
+        }
+        db.setTabletCapabilities(tabletInfo.id, tabletInfo.capabilities);
+        telemetry.record(tabletInfo);
+        if (tabletInfo.appVersion) reportAppVersion(tabletInfo);
         
         console.log(`✅ Tablet registrada: ${tabletInfo.name} (${tabletInfo.ip})`);
+        activity.record(tabletInfo.id, 'info', 'connection', `Tablet registrada: ${tabletInfo.name}`, { ip: tabletInfo.ip });
+        
+        // Entregar lo que se encoló mientras estaba desconectada, su lista de contenido
+        // y su configuración
+        commands.deliverQueued(tabletInfo.id)
+            .then(() => playlists.sync(tabletInfo.id))
+            .then(() => checkPlaylistDrift(tabletInfo))
+            .then(() => tabletInfo.config && configs.handleReport(tabletInfo.id, tabletInfo.config))
+            .then(() => configs.sync(tabletInfo.id));
         
-        // Notificar a todos los clientes web
-        socket.broadcast.emit('tablet-online', tabletInfo);
+        // Notificar a los paneles que siguen esta tablet
+        emitTabletEvent(tabletInfo.id, 'tablet-online', tabletInfo);
     });
     
     // Tablet envía estado
     socket.on('tablet-status', (data) => {
-        if (activeTablets.has(socket.id)) {
-            const tablet = activeTablets.get(socket.id);
+        data = data || {};
+        // Cada estado cuenta también como latido
+        const tablet = presence.heartbeat(socket);
+        if (tablet) {
             tablet.currentUrl = data.currentUrl || tablet.currentUrl;
             tablet.uptime = data.uptime || tablet.uptime;
             tablet.stats = data.stats || tablet.stats;
-            tablet.lastSeen = new Date().toISOString();
             
-            activeTablets.set(socket.id, tablet);
+            const appVersion = parseAppVersion(data);
+            if (appVersion && appVersion.code !== tablet.appVersion?.code) {
+                tablet.appVersion = appVersion;
+                reportAppVersion(tablet);
+            }
+            
+            // Solo se guarda la configuración informada cuando cambia
+            const config = ConfigManager.parseReport(data);
+            if (config && JSON.stringify(config) !== JSON.stringify(tablet.config)) {
+                tablet.config = config;
+                configs.handleReport(tablet.id, config);
+            }
+            
             db.updateTablet(tablet);
+            telemetry.record(tablet);
+            checkPlaylistDrift(tablet);
             
-            // Retransmitir a clientes web
-            socket.broadcast.emit('tablet-status-update', tablet);
+            // Retransmitir a los paneles
+            emitTabletEvent(tablet.id, 'tablet-status-update', tablet);
+        }
+    });
+    
+    // Latido ligero entre estados. ok: false indica que la conexión ya no es la
+    // vigente y la tablet debe volver a registrarse
+    socket.on('heartbeat', (data, ack) => {
+        const tablet = presence.heartbeat(socket);
+        if (typeof ack === 'function') ack({ ok: !!tablet, serverTime: new Date().toISOString() });
+    });
+    
+    // Tablet confirma comando ejecutado (devuelve el ID recibido en remote-command)
+    socket.on('command-executed', (data) => {
+        commands.handleResult(socket.data.tabletId, data || {});
+    });
+    
+    // Registros del dispositivo (fallos, errores de WebView, ciclo de vida) en lotes:
+    // { entries: [{ level, message, category?, timestamp?, metadata? }] }
+    socket.on('device-logs', async (data, ack) => {
+        const result = await activity.ingest(socket.data.tabletId, data?.entries);
+        if (typeof ack === 'function') ack(result);
+    });
+
+    // Vista remota: respuesta y candidatos ICE hacia el panel ({ sessionId, type, payload })
+    socket.on('remote-view-signal', async (data) => {
+        const error = await remoteView.relayFromTablet(socket.data.tabletId, data);
+        if (error) socket.emit('remote-view-error', { error, sessionId: data?.sessionId });
+    });
+
+    // La tablet termina la vista remota (el usuario la rechazó o falló la captura)
+    socket.on('remote-view-stop', async (data) => {
+        const session = await remoteView.resolve(data?.sessionId);
+        if (session?.tablet_id === socket.data.tabletId) {
+            remoteView.end(session.id, 'tablet_stopped');
         }
     });
+
+    // Una conexión desplazada por otra más nueva de la misma tablet no la deja offline
+    socket.on('disconnect', async (reason) => {
+        const tablet = await presence.disconnect(socket, reason);
+        if (tablet) markOffline(tablet, reason);
+    });
+}
+
+deviceNamespaces.forEach(nsp => nsp.on('connection', onDeviceConnection));
+
+// WebSocket para paneles web. Por defecto siguen toda la flota
+dashboards.on('connection', (socket) => {
+    const operator = socket.data.operator;
+    console.log(`🖥️  Panel conectado: ${operator.username} (${socket.id})`);
+    // Los de una organización siguen solo sus tablets
+    socket.join(DashboardSubscriptions.fleetRoom(operator.organizationId));
+    if (OperatorAuth.isPlatform(operator)) socket.join(DashboardSubscriptions.PLATFORM_ROOM);
+    socket.onAny((event) => metrics.socketEvent(socket, event));
+    
+    // Seguir solo algunas tablets o grupos ({ tabletIds?, groupIds? }) o volver a
+    // toda la flota ({ all: true }). Cada suscripción reemplaza a la anterior
+    socket.on('subscribe', async (data) => {
+        if (!OperatorAuth.hasRole(socket.data.operator, 'viewer')) {
+            socket.emit('subscribe-error', { error: 'Permisos insuficientes' });
+            return;
+        }
+
+        const { subscription, error } = DashboardSubscriptions.parse(data || {});
+        if (error) {
+            socket.emit('subscribe-error', { error });
+            return;
+        }
+        socket.emit('subscribed', await subscriptions.apply(socket, subscription));
+    });
     
     // Comandos desde panel web hacia tablets
-    socket.on('send-command', (data) => {
-        const { tabletId, command, params } = data;
+    socket.on('send-command', async (data) => {
+        const { tabletId, command, params, timeoutSeconds, queue, expiresInSeconds } = data || {};
+
+        if (!OperatorAuth.hasRole(socket.data.operator, 'operator')) {
+            socket.emit('command-error', { error: 'Permisos insuficientes', tabletId });
+            return;
+        }
+
+        if (!OperatorAuth.isPlatform(operator) && await organizations.resolve(tabletId) !== operator.organizationId) {
+            socket.emit('command-error', { error: 'Tablet no encontrada o desconectada', tabletId });
+            return;
+        }
+
+        const invalid = CommandDispatcher.validateOptions(data) || await checkCommand(tabletId, command, params);
+        if (invalid) {
+            socket.emit('command-error', { error: invalid, tabletId, command });
+            return;
+        }
         
-        // Buscar la conexión de la tablet objetivo
-        const targetSocket = [...io.sockets.sockets.values()]
-            .find(s => activeTablets.get(s.id)?.id === tabletId);
+        const sent = await commands.dispatch({
+            tabletId,
+            command,
+            params,
+            operatorId: socket.data.operator.id,
+            sourceIp: socket.handshake.address,
+            timeoutMs: timeoutSeconds ? timeoutSeconds * 1000 : undefined,
+            queue: queue !== false,
+            expiresInSeconds
+        });
         
-        if (targetSocket) {
-            targetSocket.emit('remote-command', { command, params });
-            console.log(`📤 Comando enviado a ${tabletId}: ${command}`);
-            
-            // Log del comando
-            db.logCommand({
-                tabletId,
-                command,
-                params,
-                timestamp: new Date().toISOString(),
-                sourceIp: socket.handshake.address
-            });
+        if (sent) {
+            socket.emit(sent.status === 'queued' ? 'command-queued' : 'command-sent', sent);
         } else {
             socket.emit('command-error', { 
                 error: 'Tablet no encontrada o desconectada',
@@ -116,50 +726,181 @@ io.on('connection', (socket) => {
         }
     });
     
-    // Tablet confirma comando ejecutado
-    socket.on('command-executed', (data) => {
-        const { command, success, message } = data;
-        socket.broadcast.emit('command-result', {
-            tabletId: activeTablets.get(socket.id)?.id,
+    // Difusión desde panel web a un grupo o etiquetas
+    socket.on('broadcast-command', async (data) => {
+        const { selector, command, params, timeoutSeconds, queue, expiresInSeconds } = data || {};
+
+        if (!OperatorAuth.hasRole(socket.data.operator, 'operator')) {
+            socket.emit('command-error', { error: 'Permisos insuficientes' });
+            return;
+        }
+
+        const target = scopeSelector(operator, parseSelector(selector));
+        if (!target || !command) {
+            socket.emit('command-error', { error: 'Selector y comando requeridos' });
+            return;
+        }
+
+        const invalid = CommandDispatcher.validateOptions(data) || CommandCatalog.validate(command, params);
+        if (invalid) {
+            socket.emit('command-error', { error: invalid, command });
+            return;
+        }
+
+        const report = await commands.broadcast(target, {
             command,
-            success,
-            message,
-            timestamp: new Date().toISOString()
+            params,
+            operatorId: socket.data.operator.id,
+            sourceIp: socket.handshake.address,
+            timeoutMs: timeoutSeconds ? timeoutSeconds * 1000 : undefined,
+            queue: queue !== false,
+            expiresInSeconds
         });
+        socket.emit('broadcast-report', { command, summary: CommandDispatcher.summarize(report), report });
     });
     
-    // Desconexión
-    socket.on('disconnect', () => {
-        if (activeTablets.has(socket.id)) {
-            const tablet = activeTablets.get(socket.id);
-            console.log(`📱 Tablet desconectada: ${tablet.name}`);
-            
-            // Marcar como offline
-            tablet.status = 'offline';
-            tablet.lastSeen = new Date().toISOString();
-            db.updateTablet(tablet);
-            
-            activeTablets.delete(socket.id);
-            
-            // Notificar a clientes web
-            socket.broadcast.emit('tablet-offline', tablet);
+    // Seguimiento en vivo de actividad desde el panel, con los filtros de /api/activity
+    socket.on('activity-subscribe', (data) => {
+        if (!OperatorAuth.hasRole(socket.data.operator, 'viewer')) {
+            socket.emit('activity-error', { error: 'Permisos insuficientes' });
+            return;
+        }
+
+        const { filter, error } = ActivityLog.parseFilter(data || {});
+        if (error) {
+            socket.emit('activity-error', { error });
+            return;
+        }
+        socket.data.activityFilter = { ...filter, organizationId: OperatorAuth.scope(operator) };
+        socket.emit('activity-subscribed', socket.data.activityFilter);
+    });
+
+    socket.on('activity-unsubscribe', () => {
+        delete socket.data.activityFilter;
+    });
+
+    // Abrir una vista remota de la pantalla de una tablet ({ tabletId }). La tablet
+    // recibe remote-view-start y a partir de ahí los dos extremos negocian con
+    // remote-view-signal. Una sola sesión por tablet
+    socket.on('remote-view-start', async (data) => {
+        const tabletId = data?.tabletId;
+
+        if (!OperatorAuth.hasRole(socket.data.operator, 'operator')) {
+            socket.emit('remote-view-error', { error: 'Permisos insuficientes', tabletId });
+            return;
+        }
+        if (!tabletId || typeof tabletId !== 'string') {
+            socket.emit('remote-view-error', { error: 'tabletId requerido' });
+            return;
+        }
+        if (!OperatorAuth.isPlatform(operator) && await organizations.resolve(tabletId) !== operator.organizationId) {
+            socket.emit('remote-view-error', { error: 'Tablet no encontrada o desconectada', tabletId });
+            return;
+        }
+        if (!RemoteViewRelay.supports(await tabletCapabilities(tabletId))) {
+            socket.emit('remote-view-error', { error: `La tablet ${tabletId} no admite vista remota`, tabletId });
+            return;
+        }
+
+        const { session, error } = await remoteView.start({
+            tabletId,
+            operator: socket.data.operator,
+            socketId: socket.id,
+            sourceIp: socket.handshake.address
+        });
+        if (error) {
+            socket.emit('remote-view-error', { error, tabletId });
+            return;
+        }
+        socket.emit('remote-view-started', session);
+    });
+
+    // Oferta y candidatos ICE hacia la tablet ({ sessionId, type, payload })
+    socket.on('remote-view-signal', async (data) => {
+        const error = await remoteView.relayFromViewer(socket.id, data);
+        if (error) socket.emit('remote-view-error', { error, sessionId: data?.sessionId });
+    });
+
+    // Cerrar una vista remota: la propia o, para administradores, cualquiera de su organización
+    socket.on('remote-view-stop', async (data) => {
+        const session = await remoteView.resolve(data?.sessionId);
+        const own = session?.viewer_socket_id === socket.id;
+        const manages = OperatorAuth.hasRole(operator, 'admin')
+            && OperatorAuth.canAccess(operator, session && await organizations.resolve(session.tablet_id));
+        if (!session || (!own && !manages)) {
+            socket.emit('remote-view-error', { error: 'Sesión no encontrada o cerrada', sessionId: data?.sessionId });
+            return;
         }
+        remoteView.end(session.id, own ? 'viewer_stopped' : 'stopped_by_admin', socket.data.operator.username);
+    });
+
+    socket.on('disconnect', () => {
+        remoteView.endForViewer(socket.id, 'viewer_disconnected');
     });
 });
 
+// Avisos entre nodos
+io.on('activity-entries', deliverActivity);
+io.on('command-settled', (commandId) => commands.settleAnnounced(commandId));
+io.on('group-members-changed', (groupId) => subscriptions.refreshGroup(groupId));
+io.on('fleet-event', (envelope) => eventStream.send(envelope));
+io.on('webhooks-changed', () => webhooks.refresh());
+io.on('remote-view-ended', (sessionId) => remoteView.forget(sessionId));
+io.on('tablet-moved', ({ id, organizationId }) => {
+    organizations.set(id, organizationId);
+    subscriptions.refreshTablet(id);
+});
+io.on('tablet-renamed', ({ id, name }) => {
+    const connected = presence.get(id);
+    if (connected) connected.name = name;
+});
+
+// Marcar como offline una tablet que se desconectó o dejó de enviar latidos
+function markOffline(tablet, reason) {
+    const expired = reason === 'heartbeat_timeout';
+    console.log(expired ? `💔 ${tablet.name} dejó de enviar latidos` : `📱 Tablet desconectada: ${tablet.name}`);
+    activity.record(tablet.id, 'warning', 'connection',
+        expired ? `Tablet sin latidos, marcada como desconectada: ${tablet.name}` : `Tablet desconectada: ${tablet.name}`,
+        { reason, lastSeen: tablet.lastSeen });
+    
+    // Sin latidos se conserva la hora del último recibido
+    tablet.status = 'offline';
+    if (!expired) tablet.lastSeen = new Date().toISOString();
+    db.updateTablet(tablet);
+    
+    playlists.forget(tablet.id);
+    configs.forget(tablet.id);
+    telemetry.markOffline(tablet.id);
+    remoteView.endForTablet(tablet.id, 'tablet_offline');
+    
+    // Notificar a los paneles que siguen esta tablet
+    emitTabletEvent(tablet.id, 'tablet-offline', tablet);
+}
+
 // API REST para panel web
-app.get('/api/tablets', (req, res) => {
-    const tablets = Array.from(activeTablets.values());
+// Inventario: todas las tablets registradas (conectadas o no), con búsqueda (q),
+// filtros (status, groupId, group, tag, version, organizationId, siteId), orden
+// (sort, order) y página (limit, offset). Cada operador ve solo su organización
+app.get('/api/tablets', requireViewer, async (req, res) => {
+    const { query, error } = Inventory.parseQuery(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    if (!OperatorAuth.isPlatform(req.operator)) query.organizationId = req.operator.organizationId;
+
+    const page = await inventory.list(query);
     res.json({
         success: true,
-        count: tablets.length,
-        tablets: tablets
+        count: page.tablets.length,
+        total: page.total,
+        limit: query.limit,
+        offset: query.offset,
+        tablets: page.tablets
     });
 });
 
-app.get('/api/tablet/:id', (req, res) => {
-    const tabletId = req.params.id;
-    const tablet = [...activeTablets.values()].find(t => t.id === tabletId);
+app.get('/api/tablet/:id', requireViewer, tabletAccess(), async (req, res) => {
+    const tablet = await inventory.get(req.params.id);
     
     if (tablet) {
         res.json({ success: true, tablet });
@@ -168,112 +909,1959 @@ app.get('/api/tablet/:id', (req, res) => {
     }
 });
 
-app.post('/api/command/:tabletId', (req, res) => {
-    const { tabletId } = req.params;
-    const { command, params } = req.body;
+// Editar nombre, ubicación y notas ("location" o "notes": null las borra) y la sede
+// ("siteId": null la quita). La plataforma puede además pasarla a otra organización
+// ("organizationId"): sale de los grupos de la anterior y de su sede
+app.patch('/api/tablet/:id', requireOperator, tabletAccess(), async (req, res) => {
+    const tabletId = req.params.id;
+    const { name, location, notes, siteId, organizationId } = req.body || {};
+    const moving = siteId !== undefined || organizationId !== undefined;
+    const editing = name !== undefined || location !== undefined || notes !== undefined;
+    const invalid = editing || !moving ? Inventory.validateMetadata({ name, location, notes }) : null;
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    if (organizationId !== undefined && !OperatorAuth.isPlatform(req.operator)) {
+        return res.status(403).json({ success: false, error: 'Solo la plataforma puede cambiar la organización de una tablet' });
+    }
     
-    // Buscar la conexión de la tablet
-    const socketId = [...activeTablets.entries()]
-        .find(([_, tablet]) => tablet.id === tabletId)?.[0];
+    const current = await organizations.resolve(tabletId);
+    if (!current) {
+        return res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+    const target = organizationId !== undefined ? await targetOrganization(req.operator, organizationId) : current;
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Organización no encontrada' });
+    }
+    const invalidSite = await checkSite(siteId, target);
+    if (invalidSite) {
+        return res.status(400).json({ success: false, error: invalidSite });
+    }
     
-    if (socketId) {
-        const targetSocket = io.sockets.sockets.get(socketId);
-        if (targetSocket) {
-            targetSocket.emit('remote-command', { command, params });
-            
-            // Log del comando
-            db.logCommand({
-                tabletId,
-                command,
-                params,
-                timestamp: new Date().toISOString(),
-                sourceIp: req.ip
-            });
-            
-            res.json({ 
-                success: true, 
-                message: `Comando '${command}' enviado a ${tabletId}` 
-            });
-        } else {
-            res.status(404).json({ success: false, error: 'Socket no encontrado' });
+    if (editing) {
+        const updated = await db.updateTabletMetadata(tabletId, { name: name?.trim(), location, notes });
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+        }
+        const connected = presence.get(updated.id);
+        if (connected) connected.name = updated.name;
+        notifyNodes('tablet-renamed', { id: updated.id, name: updated.name });
+    }
+    
+    if (moving) {
+        const moved = await db.setTabletOrganization(tabletId, { organizationId: target, siteId });
+        if (!moved) {
+            return res.status(500).json({ success: false, error: 'No se pudo cambiar la organización o la sede' });
+        }
+        if (target !== current) {
+            // La vista remota abierta era de un operador de la organización anterior
+            await remoteView.endForTablet(tabletId, 'tablet_moved');
+            tabletMoved(tabletId, target);
+            moved.leftGroupIds.forEach(groupMembersChanged);
+            await syncPlaylists([tabletId]);
+            await syncConfigs([tabletId]);
+            activity.record(tabletId, 'info', 'inventory', `Tablet movida a otra organización por ${req.operator.username}`,
+                { from: current, to: target });
         }
-    } else {
-        res.status(404).json({ success: false, error: 'Tablet no encontrada' });
     }
+    res.json({ success: true, tablet: await inventory.get(tabletId) });
 });
 
-app.get('/api/logs/:tabletId?', (req, res) => {
-    const { tabletId } = req.params;
-    const logs = db.getLogs(tabletId);
-    res.json({ success: true, logs });
+// Dar de baja una tablet: se desconecta, pierde su credencial y deja de recibir
+// comandos y difusiones. Volver a enrolarla la da de alta de nuevo
+app.post('/api/tablet/:id/decommission', requireAdmin, tabletAccess(), async (req, res) => {
+    const tabletId = req.params.id;
+    const result = await db.decommissionTablet(tabletId);
+    
+    if (!result) {
+        const exists = await findTabletRecord(tabletId);
+        return exists
+            ? res.status(409).json({ success: false, error: 'La tablet ya está dada de baja' })
+            : res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+    
+    disconnectTablet(tabletId);
+    console.log(`📴 Tablet dada de baja: ${tabletId}`);
+    activity.record(tabletId, 'warning', 'inventory', `Tablet dada de baja por ${req.operator.username}`,
+        { cancelledCommands: result.cancelledCommands });
+    res.json({ success: true, tablet: await inventory.get(tabletId), cancelledCommands: result.cancelledCommands });
 });
 
-app.get('/api/stats', (req, res) => {
-    const stats = {
-        totalTablets: activeTablets.size,
-        onlineTablets: [...activeTablets.values()].filter(t => t.status === 'online').length,
-        serverUptime: process.uptime(),
-        timestamp: new Date().toISOString()
-    };
-    res.json({ success: true, stats });
+// Historial de conexiones de una tablet: inicio, fin y motivo de cierre de cada
+// sesión. from/to en ISO (por defecto los últimos 7 días)
+app.get('/api/tablet/:id/sessions', requireViewer, tabletAccess(), async (req, res) => {
+    const window = Presence.parseWindow(req.query);
+    if (window.error) {
+        return res.status(400).json({ success: false, error: window.error });
+    }
+    if (!await findTabletRecord(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const sessions = await db.getTabletSessions(req.params.id, {
+        from: window.from.toISOString(),
+        to: window.to.toISOString(),
+        limit
+    });
+    res.json({
+        success: true,
+        tabletId: req.params.id,
+        from: window.from.toISOString(),
+        to: window.to.toISOString(),
+        count: sessions.length,
+        sessions
+    });
 });
 
-// Servir el panel web
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+// Disponibilidad de una tablet: porcentaje del tiempo conectada en la ventana
+app.get('/api/tablet/:id/availability', requireViewer, tabletAccess(), async (req, res) => {
+    const window = Presence.parseWindow(req.query);
+    if (window.error) {
+        return res.status(400).json({ success: false, error: window.error });
+    }
+    
+    const [availability] = await presence.availability(window, req.params.id);
+    if (!availability) {
+        return res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+    res.json({ success: true, from: window.from.toISOString(), to: window.to.toISOString(), ...availability });
 });
 
-// Manejo de errores
-app.use((err, req, res, next) => {
-    console.error('❌ Error del servidor:', err);
-    res.status(500).json({ success: false, error: 'Error interno del servidor' });
-});
+// Métricas históricas de una tablet (batería, memoria, red y actividad).
+// from/to en ISO (por defecto las últimas 24 h); resolution en segundos o "5m", "1h"...
+app.get('/api/tablet/:id/metrics', requireViewer, tabletAccess(), async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    const resolution = req.query.resolution
+        ? Telemetry.parseResolution(req.query.resolution)
+        : Telemetry.autoResolution(from, to);
 
-// 404 Handler
-app.use((req, res) => {
-    res.status(404).json({ success: false, error: 'Endpoint no encontrado' });
+    if (!resolution) {
+        return res.status(400).json({ success: false, error: 'resolution inválida (segundos o 30s, 5m, 1h, 1d)' });
+    }
+    const error = Telemetry.validateRange(from, to, resolution);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    if (!await findTabletRecord(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+
+    const metrics = await telemetry.metrics(req.params.id, from, to, resolution);
+    if (!metrics) {
+        return res.status(500).json({ success: false, error: 'No se pudieron obtener las métricas' });
+    }
+    res.json({
+        success: true,
+        tabletId: req.params.id,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        ...metrics
+    });
 });
 
-// Limpiar tablets offline cada 5 minutos
-setInterval(() => {
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    
-    for (const [socketId, tablet] of activeTablets.entries()) {
-        if (new Date(tablet.lastSeen) < fiveMinutesAgo) {
-            console.log(`🧹 Limpiando tablet inactiva: ${tablet.name}`);
-            tablet.status = 'offline';
-            db.updateTablet(tablet);
-            activeTablets.delete(socketId);
-        }
+// Resumen diario de una tablet: minutos en línea, cambios de URL, reinicios y
+// comandos recibidos. from/to como YYYY-MM-DD (por defecto los últimos 30 días)
+app.get('/api/tablet/:id/daily-stats', requireViewer, tabletAccess(), async (req, res) => {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const to = req.query.to || localDate(new Date());
+    const from = req.query.from || localDate(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+
+    if (!datePattern.test(from) || !datePattern.test(to)) {
+        return res.status(400).json({ success: false, error: 'from y to deben tener formato YYYY-MM-DD' });
+    }
+    if (!await findTabletRecord(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Tablet no encontrada' });
     }
-}, 5 * 60 * 1000);
 
-// Iniciar servidor
-server.listen(PORT, '0.0.0.0', () => {
-    console.log(`
-🎉 ¡SERVIDOR ACTIVO!
-=======================================
-🌐 Panel Web: http://${DOMAIN}:${PORT}
-📱 Tablets conecta a: ${DOMAIN}:${PORT}
-🗄️  Base de datos: PostgreSQL inicializada
-⏰ Iniciado: ${new Date().toLocaleString()}
-=======================================
-    `);
+    const days = await db.getDailyStats(req.params.id, from, to);
+    res.json({ success: true, tabletId: req.params.id, from, to, count: days.length, days });
 });
 
-// Manejo de señales del sistema
-process.on('SIGTERM', () => {
-    console.log('🛑 Cerrando servidor...');
-    server.close(() => {
-        db.close();
-        process.exit(0);
-    });
+// Enviar comando. Con ?wait=true (o "wait": true) responde cuando la tablet confirma.
+// Si la tablet está desconectada el comando se encola, salvo "queue": false
+app.post('/api/command/:tabletId', requireOperator, tabletAccess('tabletId'), async (req, res) => {
+    const { tabletId } = req.params;
+    const { command, params, timeoutSeconds, queue, expiresInSeconds } = req.body;
+    const wait = req.query.wait === 'true' || req.body.wait === true;
+    const timeoutMs = timeoutSeconds ? timeoutSeconds * 1000 : commands.defaultTimeoutMs;
+    
+    const invalid = CommandDispatcher.validateOptions(req.body) || await checkCommand(tabletId, command, params);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const sent = await commands.dispatch({
+        tabletId,
+        command,
+        params,
+        operatorId: req.operator.id,
+        sourceIp: req.ip,
+        timeoutMs,
+        queue: queue !== false,
+        expiresInSeconds
+    });
+    
+    if (!sent) {
+        return res.status(404).json({ success: false, error: 'Tablet no encontrada o desconectada' });
+    }
+    
+    if (sent.status === 'queued') {
+        return res.status(202).json({
+            success: true,
+            commandId: sent.id,
+            status: sent.status,
+            expiresAt: sent.expiresAt,
+            message: `Tablet ${tabletId} desconectada: comando '${command}' encolado`
+        });
+    }
+    
+    if (!wait) {
+        return res.json({ 
+            success: true, 
+            commandId: sent.id,
+            status: sent.status,
+            message: `Comando '${command}' enviado a ${tabletId}` 
+        });
+    }
+    
+    const result = await commands.waitForResult(sent.id, timeoutMs + 1000);
+    const finished = result && CommandDispatcher.isFinal(result.status);
+    res.status(finished ? 200 : 202).json({ success: true, commandId: sent.id, command: result });
+});
+
+// Catálogo de comandos con el esquema de sus parámetros. Con ?tabletId= indica
+// además cuáles admite esa tablet
+app.get('/api/commands/catalog', requireViewer, async (req, res) => {
+    const { tabletId } = req.query;
+    let capabilities;
+    
+    if (tabletId) {
+        const record = await findTabletRecord(tabletId);
+        if (!record || !OperatorAuth.canAccess(req.operator, record.organization_id)) {
+            return res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+        }
+        capabilities = await tabletCapabilities(tabletId);
+    }
+    
+    const catalog = CommandCatalog.list(capabilities);
+    res.json({ success: true, count: catalog.length, commands: catalog });
+});
+
+app.get('/api/commands/:id', requireViewer, commandAccess, async (req, res) => {
+    const command = isUuid(req.params.id) ? await db.getCommand(req.params.id) : null;
+    
+    if (command) {
+        res.json({ success: true, command });
+    } else {
+        res.status(404).json({ success: false, error: 'Comando no encontrado' });
+    }
+});
+
+// Sesiones de operadores
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ success: false, error: 'Usuario y contraseña requeridos' });
+    }
+
+    const session = await operatorAuth.login(username, password);
+    if (session) {
+        console.log(`👤 Sesión iniciada: ${username}`);
+        res.json({ success: true, ...session });
+    } else {
+        res.status(401).json({ success: false, error: 'Credenciales inválidas' });
+    }
+});
+
+app.post('/api/auth/logout', requireViewer, async (req, res) => {
+    await operatorAuth.logout(OperatorAuth.tokenFromRequest(req));
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireViewer, (req, res) => {
+    res.json({ success: true, operator: req.operator });
+});
+
+// Administración de operadores. Los administradores de una organización solo
+// gestionan los de la suya; los de la plataforma, todos
+app.get('/api/operators', requireAdmin, async (req, res) => {
+    const operators = (await db.getOperators(OperatorAuth.scope(req.operator))).map(OperatorAuth.publicOperator);
+    res.json({ success: true, operators });
+});
+
+const operatorAccess = requireScope(
+    async req => (await db.getOperator(parseInt(req.params.id, 10) || 0))?.organization_id,
+    'Operador no encontrado'
+);
+
+// "organizationId" (solo la plataforma): la organización del operador; sin ella, o
+// con null, es un operador de la plataforma
+app.post('/api/operators', requireAdmin, async (req, res) => {
+    const { username, password, role = 'viewer', organizationId } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ success: false, error: 'Usuario y contraseña requeridos' });
+    }
+    if (!OperatorAuth.isValidRole(role)) {
+        return res.status(400).json({ success: false, error: `Rol inválido: ${role}` });
+    }
+    const platform = OperatorAuth.isPlatform(req.operator) && (organizationId === undefined || organizationId === null);
+    const target = platform ? null : await targetOrganization(req.operator, organizationId);
+    if (!platform && !target) {
+        return res.status(400).json({ success: false, error: 'Organización no encontrada' });
+    }
+
+    const operator = await operatorAuth.createOperator({ username, password, role, organizationId: target });
+    if (operator) {
+        res.status(201).json({ success: true, operator: OperatorAuth.publicOperator(operator) });
+    } else {
+        res.status(409).json({ success: false, error: 'No se pudo crear el operador (¿usuario duplicado?)' });
+    }
+});
+
+app.patch('/api/operators/:id', requireAdmin, operatorAccess, async (req, res) => {
+    const { password, role, disabled } = req.body || {};
+    if (role !== undefined && !OperatorAuth.isValidRole(role)) {
+        return res.status(400).json({ success: false, error: `Rol inválido: ${role}` });
+    }
+
+    const operator = await operatorAuth.updateOperator(req.params.id, { password, role, disabled });
+    if (operator) {
+        res.json({ success: true, operator: OperatorAuth.publicOperator(operator) });
+    } else {
+        res.status(404).json({ success: false, error: 'Operador no encontrado' });
+    }
+});
+
+app.delete('/api/operators/:id', requireAdmin, operatorAccess, async (req, res) => {
+    if (String(req.operator.id) === req.params.id) {
+        return res.status(400).json({ success: false, error: 'No puedes eliminar tu propio usuario' });
+    }
+
+    if (await db.deleteOperator(req.params.id)) {
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Operador no encontrado' });
+    }
+});
+
+// Enrolamiento de dispositivos. La tablet entra en la organización del código: la
+// del administrador o, para la plataforma, "organizationId" (por defecto la
+// predeterminada). "siteId" opcional, de esa organización
+app.post('/api/enrollment-codes', requireAdmin, async (req, res) => {
+    const { tabletId, note, ttlMinutes, organizationId, siteId } = req.body || {};
+    const target = await targetOrganization(req.operator, organizationId);
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Organización no encontrada' });
+    }
+    const invalidSite = await checkSite(siteId, target);
+    if (invalidSite) {
+        return res.status(400).json({ success: false, error: invalidSite });
+    }
+
+    const enrollment = await deviceAuth.createEnrollmentCode({
+        tabletId,
+        note,
+        ttlMinutes: parseInt(ttlMinutes, 10) || undefined,
+        organizationId: target,
+        siteId
+    });
+
+    if (enrollment) {
+        res.status(201).json({ success: true, enrollment });
+    } else {
+        res.status(500).json({ success: false, error: 'No se pudo generar el código' });
+    }
+});
+
+app.get('/api/enrollment-codes', requireAdmin, async (req, res) => {
+    const codes = await db.getEnrollmentCodes(OperatorAuth.scope(req.operator));
+    res.json({ success: true, codes });
+});
+
+app.delete('/api/enrollment-codes/:id', requireAdmin, async (req, res) => {
+    if (await db.deleteEnrollmentCode(req.params.id, OperatorAuth.scope(req.operator))) {
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Código no encontrado o ya usado' });
+    }
+});
+
+// La tablet canjea el código por su credencial de dispositivo
+app.post('/api/enroll', async (req, res) => {
+    const { code, tabletId, name } = req.body || {};
+    const credential = await deviceAuth.enroll(code, tabletId, name);
+
+    if (credential) {
+        console.log(`🔑 Tablet enrolada: ${tabletId}`);
+        tabletMoved(credential.tabletId, credential.organizationId);
+        res.status(201).json({ success: true, credential });
+    } else {
+        res.status(400).json({ success: false, error: 'Código de enrolamiento inválido o expirado' });
+    }
+});
+
+app.post('/api/tablet/:id/credentials/rotate', requireAdmin, tabletAccess(), async (req, res) => {
+    const tabletId = req.params.id;
+    const credential = await deviceAuth.rotate(tabletId);
+
+    if (credential) {
+        // La sesión actual usaba la credencial anterior
+        disconnectTablet(tabletId);
+        res.json({ success: true, credential });
+    } else {
+        res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+});
+
+app.post('/api/tablet/:id/credentials/revoke', requireAdmin, tabletAccess(), async (req, res) => {
+    const tabletId = req.params.id;
+    const revoked = await deviceAuth.revoke(tabletId);
+    disconnectTablet(tabletId);
+    res.json({ success: true, revoked });
+});
+
+// Difundir un comando a todas las tablets que cumplan el selector (de la
+// organización del operador)
+app.post('/api/broadcast', requireOperator, async (req, res) => {
+    const { selector, command, params, timeoutSeconds, queue, expiresInSeconds } = req.body || {};
+    const target = scopeSelector(req.operator, parseSelector(selector));
+    
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Selector sin criterios (usa "all": true para toda la flota)' });
+    }
+    const invalid = CommandDispatcher.validateOptions(req.body) || CommandCatalog.validate(command, params);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const report = await commands.broadcast(target, {
+        command,
+        params,
+        operatorId: req.operator.id,
+        sourceIp: req.ip,
+        timeoutMs: timeoutSeconds ? timeoutSeconds * 1000 : undefined,
+        queue: queue !== false,
+        expiresInSeconds
+    });
+    res.json({ success: true, summary: CommandDispatcher.summarize(report), report });
+});
+
+// Reglas de alerta
+app.get('/api/alert-rules', requirePlatformViewer, async (req, res) => {
+    const rules = await db.getAlertRules();
+    res.json({ success: true, count: rules.length, rules });
+});
+
+// Crear regla: "type" (offline, battery_low, command_failures, playlist_drift),
+// "threshold", "selector" opcional (sin él aplica a toda la flota) y destinos
+app.post('/api/alert-rules', requirePlatformAdmin, async (req, res) => {
+    const { name, type, threshold, windowMinutes, selector, severity, webhooks, emails, enabled } = req.body || {};
+    const invalid = AlertManager.validateRule(req.body || {});
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const rule = await db.createAlertRule({
+        name,
+        type,
+        threshold,
+        windowMinutes,
+        selector: selector ? parseSelector(selector) : null,
+        severity: severity || 'warning',
+        webhooks: webhooks || [],
+        emails: emails || [],
+        enabled: enabled !== false
+    });
+    if (rule) {
+        res.status(201).json({ success: true, rule });
+    } else {
+        res.status(500).json({ success: false, error: 'No se pudo crear la regla' });
+    }
+});
+
+app.patch('/api/alert-rules/:id', requirePlatformAdmin, async (req, res) => {
+    const { name, threshold, windowMinutes, selector, severity, webhooks, emails, enabled } = req.body || {};
+    const invalid = AlertManager.validateRule(req.body || {}, true);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const rule = await db.updateAlertRule(parseInt(req.params.id, 10) || 0, {
+        name,
+        threshold,
+        windowMinutes,
+        // Un selector vacío vuelve a aplicar la regla a toda la flota
+        selector: selector ? parseSelector(selector) || parseSelector({ all: true }) : undefined,
+        severity,
+        webhooks,
+        emails,
+        enabled: typeof enabled === 'boolean' ? enabled : undefined
+    });
+    if (rule) {
+        res.json({ success: true, rule });
+    } else {
+        res.status(404).json({ success: false, error: 'Regla no encontrada' });
+    }
+});
+
+app.delete('/api/alert-rules/:id', requirePlatformAdmin, async (req, res) => {
+    if (await db.deleteAlertRule(parseInt(req.params.id, 10) || 0)) {
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Regla no encontrada' });
+    }
+});
+
+// Enviar una notificación de prueba a los destinos de la regla
+app.post('/api/alert-rules/:id/test', requirePlatformAdmin, async (req, res) => {
+    const rule = await db.getAlertRule(parseInt(req.params.id, 10) || 0);
+    if (!rule) {
+        return res.status(404).json({ success: false, error: 'Regla no encontrada' });
+    }
+    
+    const deliveries = await alerts.test(rule);
+    res.json({ success: deliveries.every(delivery => delivery.success), deliveries });
+});
+
+// Alertas (?status=open|acknowledged|resolved, ?tabletId=)
+app.get('/api/alerts', requireViewer, async (req, res) => {
+    const list = await db.getAlerts({
+        status: req.query.status || null,
+        tabletId: req.query.tabletId || null,
+        organizationId: OperatorAuth.scope(req.operator),
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+    });
+    res.json({ success: true, count: list.length, alerts: list });
+});
+
+app.post('/api/alerts/:id/acknowledge', requireOperator, async (req, res) => {
+    const alert = await alerts.acknowledge(parseInt(req.params.id, 10) || 0, req.operator.id, OperatorAuth.scope(req.operator));
+    if (alert) {
+        res.json({ success: true, alert });
+    } else {
+        res.status(404).json({ success: false, error: 'Alerta no encontrada o no está abierta' });
+    }
+});
+
+app.post('/api/alerts/:id/resolve', requireOperator, async (req, res) => {
+    const alert = await alerts.resolve(parseInt(req.params.id, 10) || 0, null, OperatorAuth.scope(req.operator));
+    if (alert) {
+        res.json({ success: true, alert });
+    } else {
+        res.status(404).json({ success: false, error: 'Alerta no encontrada o ya resuelta' });
+    }
+});
+
+// Registro de vistas remotas: quién vio cada tablet, desde qué IP, cuánto duró y
+// cómo terminó. Filtros: tabletId, operatorId, active (true/false) y limit
+app.get('/api/remote-view/sessions', requireAdmin, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const operatorId = req.query.operatorId ? parseInt(req.query.operatorId, 10) : null;
+    if (Number.isNaN(operatorId)) {
+        return res.status(400).json({ success: false, error: 'operatorId inválido' });
+    }
+
+    const sessions = await db.getRemoteViewSessions({
+        tabletId: req.query.tabletId || null,
+        operatorId,
+        organizationId: OperatorAuth.scope(req.operator),
+        active: req.query.active === undefined ? null : req.query.active === 'true',
+        limit
+    });
+    res.json({ success: true, count: sessions.length, sessions });
+});
+
+// Cortar una vista remota abierta (la tablet y el panel reciben el aviso)
+app.delete('/api/remote-view/sessions/:id', requireAdmin, requireScope(async req => {
+    const session = await remoteView.resolve(req.params.id);
+    return session && organizations.resolve(session.tablet_id);
+}, 'Sesión no encontrada o ya cerrada'), async (req, res) => {
+    const session = isUuid(req.params.id)
+        ? await remoteView.end(req.params.id, 'stopped_by_admin', req.operator.username)
+        : null;
+    if (!session) {
+        return res.status(404).json({ success: false, error: 'Sesión no encontrada o ya cerrada' });
+    }
+    res.json({ success: true, session: RemoteViewRelay.describe(session) });
+});
+
+// Políticas de retención, última pasada y archivos guardados
+app.get('/api/retention', requirePlatformAdmin, async (req, res) => {
+    res.json({
+        success: true,
+        policies: retention.describe(),
+        lastRun: retention.lastRun,
+        archives: await retention.list()
+    });
+});
+
+// Aplicar la retención ahora (normalmente la aplica cada hora el nodo de los trabajos periódicos)
+app.post('/api/retention/run', requirePlatformAdmin, async (req, res) => {
+    const report = await retention.run();
+    if (!report) {
+        return res.status(409).json({ success: false, error: 'Ya hay una pasada de retención en curso' });
+    }
+    res.status(report.error ? 500 : 200).json({ success: !report.error, report });
+});
+
+// Webhooks de integraciones
+app.get('/api/webhooks', requirePlatformAdmin, async (req, res) => {
+    const list = (await db.getWebhooks()).map(WebhookDispatcher.publicWebhook);
+    res.json({ success: true, count: list.length, events: WebhookDispatcher.events, webhooks: list });
+});
+
+// Los nodos solo encolan los eventos que tienen algún webhook activo suscrito
+function webhooksChanged() {
+    webhooks.refresh();
+    notifyNodes('webhooks-changed');
+}
+
+// Crear webhook: "url", "events" (ver GET /api/webhooks) y "enabled" opcional.
+// El secreto para verificar las firmas solo se devuelve aquí y al renovarlo
+app.post('/api/webhooks', requirePlatformAdmin, async (req, res) => {
+    const { name, url, events, enabled } = req.body || {};
+    const invalid = WebhookDispatcher.validate(req.body || {});
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const webhook = await db.createWebhook({
+        name,
+        url,
+        secret: WebhookDispatcher.generateSecret(),
+        events: [...new Set(events)],
+        enabled: enabled !== false,
+        createdBy: req.operator.id
+    });
+    if (webhook) {
+        webhooksChanged();
+        res.status(201).json({ success: true, webhook });
+    } else {
+        res.status(500).json({ success: false, error: 'No se pudo crear el webhook' });
+    }
+});
+
+app.patch('/api/webhooks/:id', requirePlatformAdmin, async (req, res) => {
+    const { name, url, events, enabled } = req.body || {};
+    const invalid = WebhookDispatcher.validate(req.body || {}, true);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const webhook = await db.updateWebhook(parseInt(req.params.id, 10) || 0, {
+        name,
+        url,
+        events: events ? [...new Set(events)] : undefined,
+        enabled: typeof enabled === 'boolean' ? enabled : undefined
+    });
+    if (webhook) {
+        webhooksChanged();
+        res.json({ success: true, webhook: WebhookDispatcher.publicWebhook(webhook) });
+    } else {
+        res.status(404).json({ success: false, error: 'Webhook no encontrado' });
+    }
+});
+
+// Renovar el secreto de firma (las entregas pendientes se firman con el nuevo)
+app.post('/api/webhooks/:id/secret', requirePlatformAdmin, async (req, res) => {
+    const webhook = await db.updateWebhook(parseInt(req.params.id, 10) || 0, {
+        secret: WebhookDispatcher.generateSecret()
+    });
+    if (webhook) {
+        res.json({ success: true, webhook });
+    } else {
+        res.status(404).json({ success: false, error: 'Webhook no encontrado' });
+    }
+});
+
+app.delete('/api/webhooks/:id', requirePlatformAdmin, async (req, res) => {
+    if (await db.deleteWebhook(parseInt(req.params.id, 10) || 0)) {
+        webhooksChanged();
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Webhook no encontrado' });
+    }
+});
+
+// Enviar un evento "ping" y devolver el resultado del primer intento
+app.post('/api/webhooks/:id/test', requirePlatformAdmin, async (req, res) => {
+    const webhook = await db.getWebhook(parseInt(req.params.id, 10) || 0);
+    if (!webhook) {
+        return res.status(404).json({ success: false, error: 'Webhook no encontrado' });
+    }
+    if (!webhook.enabled) {
+        return res.status(409).json({ success: false, error: 'El webhook está desactivado' });
+    }
+    
+    const delivery = await webhooks.test(webhook);
+    res.json({ success: delivery?.status === 'delivered', delivery });
+});
+
+// Registro de entregas (?status=pending|delivered|failed, ?event=)
+app.get('/api/webhooks/:id/deliveries', requirePlatformAdmin, async (req, res) => {
+    const deliveries = await db.getWebhookDeliveries(parseInt(req.params.id, 10) || 0, {
+        status: req.query.status || null,
+        event: req.query.event || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+    });
+    res.json({ success: true, count: deliveries.length, deliveries });
+});
+
+// Volver a enviar una entrega entregada o fallida
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', requirePlatformAdmin, async (req, res) => {
+    const delivery = await webhooks.redeliver(parseInt(req.params.id, 10) || 0, parseInt(req.params.deliveryId, 10) || 0);
+    if (delivery) {
+        res.json({ success: true, delivery });
+    } else {
+        res.status(404).json({ success: false, error: 'Entrega no encontrada o aún pendiente' });
+    }
+});
+
+// Flujo de eventos por Server-Sent Events (?events=tablet-online,command-result,
+// ?tabletId=, ?organizationId= para la plataforma; el resto solo recibe los de la suya)
+app.get('/api/events/stream', requireViewer, (req, res) => {
+    const { filter, error } = eventStream.parseFilter(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    if (!OperatorAuth.isPlatform(req.operator)) filter.organizationId = req.operator.organizationId;
+    eventStream.open(req, res, filter);
+});
+
+// Programaciones de comandos
+app.get('/api/schedules', requireViewer, async (req, res) => {
+    const schedules = await db.getSchedules(OperatorAuth.scope(req.operator));
+    res.json({ success: true, count: schedules.length, schedules });
+});
+
+app.get('/api/schedules/:id', requireViewer, scheduleAccess, async (req, res) => {
+    const schedule = await db.getSchedule(parseInt(req.params.id, 10) || 0);
+    
+    if (schedule) {
+        res.json({ success: true, schedule });
+    } else {
+        res.status(404).json({ success: false, error: 'Programación no encontrada' });
+    }
+});
+
+app.get('/api/schedules/:id/runs', requireViewer, scheduleAccess, async (req, res) => {
+    const runs = await db.getScheduleRuns(parseInt(req.params.id, 10) || 0);
+    res.json({ success: true, count: runs.length, runs });
+});
+
+// Crear programación: "runAt" (fecha ISO) para una sola vez o "cron" para repetir.
+// El objetivo es "tabletId" o un "selector" como el de /api/broadcast. Las de un
+// operador de una organización solo alcanzan a las tablets de la suya
+app.post('/api/schedules', requireOperator, async (req, res) => {
+    const { name, tabletId, selector, command, params, runAt, cron, timezone } = req.body || {};
+    const target = tabletId ? parseSelector({ tabletIds: [tabletId] }) : parseSelector(selector);
+    const zone = timezone || scheduler.timezone;
+    
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Indica tabletId o un selector con criterios' });
+    }
+    const invalid = CommandCatalog.validate(command, params);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    if (!Scheduler.isValidTimezone(zone)) {
+        return res.status(400).json({ success: false, error: `Zona horaria inválida: ${zone}` });
+    }
+    if (!runAt === !cron) {
+        return res.status(400).json({ success: false, error: 'Indica "runAt" o "cron" (solo uno)' });
+    }
+    if (cron && !Scheduler.isValidCron(cron, zone)) {
+        return res.status(400).json({ success: false, error: `Expresión cron inválida: ${cron}` });
+    }
+    if (runAt && !(new Date(runAt) > new Date())) {
+        return res.status(400).json({ success: false, error: 'runAt debe ser una fecha futura' });
+    }
+    
+    const schedule = await scheduler.create({
+        name,
+        selector: target,
+        command,
+        params,
+        runAt,
+        cron,
+        timezone: zone,
+        createdBy: req.operator.id,
+        organizationId: OperatorAuth.scope(req.operator)
+    });
+    
+    if (schedule) {
+        res.status(201).json({ success: true, schedule });
+    } else {
+        res.status(500).json({ success: false, error: 'No se pudo crear la programación' });
+    }
+});
+
+app.post('/api/schedules/:id/pause', requireOperator, scheduleAccess, async (req, res) => {
+    const schedule = await scheduler.pause(parseInt(req.params.id, 10) || 0);
+    
+    if (schedule) {
+        res.json({ success: true, schedule });
+    } else {
+        res.status(404).json({ success: false, error: 'Programación no encontrada o no activa' });
+    }
+});
+
+app.post('/api/schedules/:id/resume', requireOperator, scheduleAccess, async (req, res) => {
+    const schedule = await scheduler.resume(parseInt(req.params.id, 10) || 0);
+    
+    if (schedule) {
+        res.json({ success: true, schedule });
+    } else {
+        res.status(404).json({ success: false, error: 'Programación no encontrada o no pausada' });
+    }
+});
+
+app.delete('/api/schedules/:id', requireOperator, scheduleAccess, async (req, res) => {
+    if (await db.deleteSchedule(parseInt(req.params.id, 10) || 0)) {
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Programación no encontrada' });
+    }
+});
+
+// Listas de contenido (de la organización del operador)
+app.get('/api/playlists', requireViewer, async (req, res) => {
+    const list = await db.getPlaylists(OperatorAuth.scope(req.operator));
+    res.json({ success: true, count: list.length, playlists: list });
+});
+
+// Tablets conectadas con lista asignada y si su URL actual se desvía
+app.get('/api/playlists/drift', requireViewer, (req, res) => {
+    const visible = new Set(visibleTabletIds(req.operator, playlists.driftReport().map(entry => entry.tabletId)));
+    const report = playlists.driftReport().filter(entry => visible.has(entry.tabletId));
+    res.json({
+        success: true,
+        count: report.length,
+        drifted: report.filter(entry => entry.drifted).length,
+        tablets: report
+    });
+});
+
+app.get('/api/playlists/:id', requireViewer, playlistAccess, async (req, res) => {
+    const playlistId = parseInt(req.params.id, 10) || 0;
+    const playlist = await db.getPlaylist(playlistId);
+    
+    if (playlist) {
+        const tabletIds = visibleTabletIds(req.operator, await db.getPlaylistTabletIds(playlistId));
+        res.json({ success: true, playlist: { ...playlist, tabletIds } });
+    } else {
+        res.status(404).json({ success: false, error: 'Lista no encontrada' });
+    }
+});
+
+app.post('/api/playlists', requireOperator, async (req, res) => {
+    const { name, items, organizationId } = req.body || {};
+    const invalid = !name ? 'Nombre requerido' : PlaylistManager.validateItems(items);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    const target = await targetOrganization(req.operator, organizationId);
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Organización no encontrada' });
+    }
+    
+    const playlist = await db.createPlaylist({ name, items, organizationId: target });
+    if (playlist) {
+        res.status(201).json({ success: true, playlist });
+    } else {
+        res.status(409).json({ success: false, error: 'No se pudo crear la lista (¿nombre duplicado?)' });
+    }
+});
+
+// Modificar una lista la reenvía a todas las tablets conectadas que la usan
+app.patch('/api/playlists/:id', requireOperator, playlistAccess, async (req, res) => {
+    const playlistId = parseInt(req.params.id, 10) || 0;
+    const { name, items } = req.body || {};
+    const invalid = items !== undefined ? PlaylistManager.validateItems(items) : null;
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const playlist = await db.updatePlaylist(playlistId, { name, items });
+    if (!playlist) {
+        return res.status(404).json({ success: false, error: 'Lista no encontrada' });
+    }
+    
+    const synced = await syncPlaylists(await db.getPlaylistTabletIds(playlistId));
+    res.json({ success: true, playlist, synced });
+});
+
+app.delete('/api/playlists/:id', requireOperator, playlistAccess, async (req, res) => {
+    const playlistId = parseInt(req.params.id, 10) || 0;
+    const tabletIds = await db.getPlaylistTabletIds(playlistId);
+    
+    if (await db.deletePlaylist(playlistId)) {
+        await syncPlaylists(tabletIds);
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Lista no encontrada' });
+    }
+});
+
+// Asignar lista a una tablet o a un grupo ("playlistId": null la quita). La lista
+// tiene que ser de la misma organización que la tablet o el grupo
+async function resolvePlaylistId(req, res, organizationId) {
+    const { playlistId } = req.body || {};
+    if (playlistId === null) return null;
+    
+    const playlist = await db.getPlaylist(parseInt(playlistId, 10) || 0);
+    if (!playlist || playlist.organization_id !== organizationId) {
+        res.status(400).json({ success: false, error: 'Lista no encontrada' });
+        return undefined;
+    }
+    return playlist.id;
+}
+
+app.put('/api/tablet/:id/playlist', requireOperator, tabletAccess(), async (req, res) => {
+    const playlistId = await resolvePlaylistId(req, res, await organizations.resolve(req.params.id));
+    if (playlistId === undefined) return;
+    
+    const tablet = await db.assignPlaylistToTablet(req.params.id, playlistId);
+    if (tablet) {
+        const synced = await syncPlaylists([tablet.id]);
+        res.json({ success: true, tablet, synced });
+    } else {
+        res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+});
+
+app.put('/api/groups/:id/playlist', requireOperator, groupAccess, async (req, res) => {
+    const playlistId = await resolvePlaylistId(req, res,
+        (await db.getGroup(parseInt(req.params.id, 10) || 0))?.organization_id);
+    if (playlistId === undefined) return;
+    
+    const group = await db.assignPlaylistToGroup(parseInt(req.params.id, 10) || 0, playlistId);
+    if (group) {
+        const synced = await syncPlaylists(await db.resolveTabletSelector({ groupId: group.id }));
+        res.json({ success: true, group, synced });
+    } else {
+        res.status(404).json({ success: false, error: 'Grupo no encontrado' });
+    }
+});
+
+// Perfiles de configuración (de la organización del operador)
+app.get('/api/config-profiles', requireViewer, async (req, res) => {
+    const profiles = (await db.getConfigProfiles(OperatorAuth.scope(req.operator)))
+        .map(profile => profileView(req.operator, profile));
+    res.json({ success: true, count: profiles.length, profiles });
+});
+
+// Tablets con perfil y si tienen aplicada la última versión: in_sync, outdated,
+// drifted (misma versión con valores cambiados en el dispositivo) o unknown
+const CONFIG_STATUSES = ['in_sync', 'outdated', 'drifted', 'unknown'];
+
+app.get('/api/config-profiles/status', requireViewer, async (req, res) => {
+    const { status } = req.query;
+    if (status && !CONFIG_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status debe ser uno de: ${CONFIG_STATUSES.join(', ')}` });
+    }
+    
+    const visible = new Set(visibleTabletIds(req.operator, [...organizations.tablets.keys()]));
+    const all = (await configs.report())
+        .filter(state => visible.has(state.tabletId))
+        .map(state => configView(req.operator, state));
+    const summary = Object.fromEntries(CONFIG_STATUSES.map(key => [key, all.filter(state => state.status === key).length]));
+    const tablets = status ? all.filter(state => state.status === status) : all;
+    res.json({ success: true, count: tablets.length, summary, tablets });
+});
+
+app.get('/api/config-profiles/:id', requireViewer, configProfileAccess, async (req, res) => {
+    const profileId = parseInt(req.params.id, 10) || 0;
+    const profile = await db.getConfigProfile(profileId);
+    
+    if (profile) {
+        const tabletIds = visibleTabletIds(req.operator, await db.getConfigProfileTabletIds(profileId));
+        res.json({ success: true, profile: { ...profileView(req.operator, profile), tabletIds } });
+    } else {
+        res.status(404).json({ success: false, error: 'Perfil no encontrado' });
+    }
+});
+
+app.post('/api/config-profiles', requireAdmin, async (req, res) => {
+    const { name, description, settings, organizationId } = req.body || {};
+    const invalid = !name ? 'Nombre requerido' : ConfigManager.validateSettings(settings);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    const target = await targetOrganization(req.operator, organizationId);
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Organización no encontrada' });
+    }
+    
+    const profile = await db.createConfigProfile({
+        name,
+        description,
+        settings: ConfigManager.normalize(settings),
+        organizationId: target
+    });
+    if (profile) {
+        res.status(201).json({ success: true, profile: profileView(req.operator, profile) });
+    } else {
+        res.status(409).json({ success: false, error: 'No se pudo crear el perfil (¿nombre duplicado?)' });
+    }
+});
+
+// Modificar un perfil crea una nueva versión y la envía a las tablets conectadas que lo usan
+app.patch('/api/config-profiles/:id', requireAdmin, configProfileAccess, async (req, res) => {
+    const profileId = parseInt(req.params.id, 10) || 0;
+    const { name, description, settings } = req.body || {};
+    const invalid = settings !== undefined ? ConfigManager.validateSettings(settings) : null;
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const profile = await db.updateConfigProfile(profileId, {
+        name,
+        description,
+        settings: settings ? ConfigManager.normalize(settings) : undefined
+    });
+    if (!profile) {
+        return res.status(404).json({ success: false, error: 'Perfil no encontrado' });
+    }
+    
+    const synced = await syncConfigs(await db.getConfigProfileTabletIds(profileId));
+    res.json({ success: true, profile: profileView(req.operator, profile), synced });
+});
+
+app.delete('/api/config-profiles/:id', requireAdmin, configProfileAccess, async (req, res) => {
+    const profileId = parseInt(req.params.id, 10) || 0;
+    const tabletIds = await db.getConfigProfileTabletIds(profileId);
+    
+    if (await db.deleteConfigProfile(profileId)) {
+        await syncConfigs(tabletIds);
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Perfil no encontrado' });
+    }
+});
+
+// Asignar perfil a una tablet o a un grupo ("profileId": null lo quita). El perfil
+// tiene que ser de la misma organización que la tablet o el grupo
+async function resolveConfigProfileId(req, res, organizationId) {
+    const { profileId } = req.body || {};
+    if (profileId === null) return null;
+    
+    const profile = await db.getConfigProfile(parseInt(profileId, 10) || 0);
+    if (!profile || profile.organization_id !== organizationId) {
+        res.status(400).json({ success: false, error: 'Perfil no encontrado' });
+        return undefined;
+    }
+    return profile.id;
+}
+
+app.put('/api/tablet/:id/config-profile', requireAdmin, tabletAccess(), async (req, res) => {
+    const profileId = await resolveConfigProfileId(req, res, await organizations.resolve(req.params.id));
+    if (profileId === undefined) return;
+    
+    const tablet = await db.assignConfigProfileToTablet(req.params.id, profileId);
+    if (tablet) {
+        const synced = await syncConfigs([tablet.id]);
+        res.json({ success: true, tablet, synced });
+    } else {
+        res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+});
+
+app.put('/api/groups/:id/config-profile', requireAdmin, groupAccess, async (req, res) => {
+    const profileId = await resolveConfigProfileId(req, res,
+        (await db.getGroup(parseInt(req.params.id, 10) || 0))?.organization_id);
+    if (profileId === undefined) return;
+    
+    const group = await db.assignConfigProfileToGroup(parseInt(req.params.id, 10) || 0, profileId);
+    if (group) {
+        const synced = await syncConfigs(await db.resolveTabletSelector({ groupId: group.id }));
+        res.json({ success: true, group, synced });
+    } else {
+        res.status(404).json({ success: false, error: 'Grupo no encontrado' });
+    }
+});
+
+// Excepciones de una tablet sobre su perfil ("overrides": null las quita)
+app.put('/api/tablet/:id/config-overrides', requireAdmin, tabletAccess(), async (req, res) => {
+    const { overrides } = req.body || {};
+    const invalid = overrides !== null ? ConfigManager.validateSettings(overrides) : null;
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const tablet = await db.setTabletConfigOverrides(req.params.id, overrides && ConfigManager.normalize(overrides));
+    if (tablet) {
+        const synced = await syncConfigs([tablet.id]);
+        const view = OperatorAuth.isPlatform(req.operator)
+            ? tablet
+            : { ...tablet, config_overrides: ConfigManager.redact(tablet.config_overrides) };
+        res.json({ success: true, tablet: view, synced });
+    } else {
+        res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+});
+
+// Configuración efectiva de una tablet y comparación con la que informó
+app.get('/api/tablet/:id/config', requireViewer, tabletAccess(), async (req, res) => {
+    const state = await configs.resolve(req.params.id);
+    
+    if (state) {
+        res.json({ success: true, config: configView(req.operator, state) });
+    } else {
+        res.status(404).json({ success: false, error: 'La tablet no existe o no tiene perfil de configuración' });
+    }
+});
+
+// Grupos de tablets
+const GROUP_TYPES = ['store', 'region', 'model', 'custom'];
+
+app.get('/api/groups', requireViewer, async (req, res) => {
+    const groups = await db.getGroups(OperatorAuth.scope(req.operator));
+    res.json({ success: true, count: groups.length, groups });
+});
+
+app.get('/api/groups/:id', requireViewer, groupAccess, async (req, res) => {
+    const group = await db.getGroup(parseInt(req.params.id, 10) || 0);
+    
+    if (group) {
+        res.json({ success: true, group });
+    } else {
+        res.status(404).json({ success: false, error: 'Grupo no encontrado' });
+    }
+});
+
+// Los grupos son de una organización: la del operador o, para la plataforma,
+// "organizationId" (por defecto la predeterminada)
+app.post('/api/groups', requireOperator, async (req, res) => {
+    const { name, type, description, organizationId } = req.body || {};
+    if (!name) {
+        return res.status(400).json({ success: false, error: 'Nombre requerido' });
+    }
+    if (type !== undefined && !GROUP_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `Tipo de grupo inválido: ${type}` });
+    }
+    const target = await targetOrganization(req.operator, organizationId);
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Organización no encontrada' });
+    }
+    
+    const group = await db.createGroup({ name, type, description, organizationId: target });
+    if (group) {
+        res.status(201).json({ success: true, group });
+    } else {
+        res.status(409).json({ success: false, error: 'No se pudo crear el grupo (¿nombre duplicado?)' });
+    }
+});
+
+app.patch('/api/groups/:id', requireOperator, groupAccess, async (req, res) => {
+    const { name, type, description } = req.body || {};
+    if (type !== undefined && !GROUP_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `Tipo de grupo inválido: ${type}` });
+    }
+    
+    const group = await db.updateGroup(parseInt(req.params.id, 10) || 0, { name, type, description });
+    
+    if (group) {
+        res.json({ success: true, group });
+    } else {
+        res.status(404).json({ success: false, error: 'Grupo no encontrado' });
+    }
+});
+
+// Los paneles suscritos a un grupo siguen a sus miembros actuales, en todos los nodos
+function groupMembersChanged(groupId) {
+    subscriptions.refreshGroup(groupId);
+    notifyNodes('group-members-changed', groupId);
+}
+
+app.delete('/api/groups/:id', requireOperator, groupAccess, async (req, res) => {
+    const groupId = parseInt(req.params.id, 10) || 0;
+    const group = await db.getGroup(groupId);
+    
+    if (await db.deleteGroup(groupId)) {
+        groupMembersChanged(groupId);
+        // Sus tablets pueden quedar sin perfil o pasar al de otro grupo
+        if (group?.config_profile_id) {
+            await syncConfigs(group.tablets.map(t => t.id));
+        }
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Grupo no encontrado' });
+    }
+});
+
+// Añadir tablets (POST) o reemplazar la lista completa (PUT)
+async function setGroupTablets(req, res) {
+    const groupId = parseInt(req.params.id, 10) || 0;
+    const { tabletIds } = req.body || {};
+    if (!Array.isArray(tabletIds)) {
+        return res.status(400).json({ success: false, error: 'tabletIds debe ser una lista' });
+    }
+    const group = await db.getGroup(groupId);
+    if (!group) {
+        return res.status(404).json({ success: false, error: 'Grupo no encontrado' });
+    }
+    
+    const added = await db.setGroupMembers(groupId, tabletIds.map(String), req.method === 'PUT');
+    if (added) {
+        groupMembersChanged(groupId);
+
+        // Las tablets que entran o salen pueden cambiar de lista de contenido y de perfil
+        const affected = [...new Set([...group.tablets.map(t => t.id), ...added])];
+        if (group.playlist_id) {
+            await syncPlaylists(affected);
+        }
+        if (group.config_profile_id) {
+            await syncConfigs(affected);
+        }
+        res.json({ success: true, added });
+    } else {
+        res.status(500).json({ success: false, error: 'No se pudo actualizar el grupo' });
+    }
+}
+
+app.post('/api/groups/:id/tablets', requireOperator, groupAccess, setGroupTablets);
+app.put('/api/groups/:id/tablets', requireOperator, groupAccess, setGroupTablets);
+
+app.delete('/api/groups/:id/tablets/:tabletId', requireOperator, groupAccess, async (req, res) => {
+    const groupId = parseInt(req.params.id, 10) || 0;
+    if (await db.removeGroupMember(groupId, req.params.tabletId)) {
+        groupMembersChanged(groupId);
+        await syncPlaylists([req.params.tabletId]);
+        await syncConfigs([req.params.tabletId]);
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'La tablet no pertenece al grupo' });
+    }
+});
+
+// Etiquetas de una tablet
+app.put('/api/tablet/:id/tags', requireOperator, tabletAccess(), async (req, res) => {
+    const { tags } = req.body || {};
+    if (!Array.isArray(tags)) {
+        return res.status(400).json({ success: false, error: 'tags debe ser una lista' });
+    }
+    
+    const tablet = await db.setTabletTags(req.params.id, normalizeTags(tags));
+    if (tablet) {
+        res.json({ success: true, tablet });
+    } else {
+        res.status(404).json({ success: false, error: 'Tablet no encontrada' });
+    }
+});
+
+// Cancelar un comando en cola
+app.delete('/api/commands/:id', requireOperator, commandAccess, async (req, res) => {
+    const command = isUuid(req.params.id) ? await commands.cancel(req.params.id) : null;
+    
+    if (command) {
+        res.json({ success: true, command });
+    } else {
+        res.status(404).json({ success: false, error: 'Comando no encontrado o ya entregado' });
+    }
+});
+
+// Comandos en cola para tablets desconectadas
+app.get('/api/queue/:tabletId?', requireViewer, tabletAccess('tabletId'), async (req, res) => {
+    const queue = await db.getQueuedCommands(req.params.tabletId || null, OperatorAuth.scope(req.operator));
+    res.json({ success: true, count: queue.length, queue });
+});
+
+app.get('/api/logs/:tabletId?', requireViewer, tabletAccess('tabletId'), async (req, res) => {
+    const { tabletId } = req.params;
+    const logs = await db.getLogs(tabletId, 100, OperatorAuth.scope(req.operator));
+    res.json({ success: true, logs });
+});
+
+// Subida de archivos desde la tablet (cuerpo binario, credencial del dispositivo en
+// cabeceras). ?kind=screenshot|diagnostic, &commandId= si responde a un comando
+const uploadBody = express.raw({ type: () => true, limit: uploads.maxBytes });
+
+app.post('/api/device/uploads', deviceAuth.requireDevice(), (req, res, next) => {
+    uploadBody(req, res, (err) => {
+        if (err && err.type === 'entity.too.large') {
+            return res.status(413).json({ success: false, error: `Archivo demasiado grande (máximo ${uploads.maxBytes} bytes)` });
+        }
+        next(err);
+    });
+}, async (req, res) => {
+    const { kind, commandId, filename } = req.query;
+    const contentType = UploadStore.baseType(req.get('Content-Type'));
+    const invalid = UploadStore.validate(kind, contentType);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, error: 'Archivo vacío' });
+    }
+    
+    if (commandId) {
+        const command = isUuid(commandId) ? await db.getCommand(commandId) : null;
+        if (!command || command.tablet_id !== req.tabletId) {
+            return res.status(400).json({ success: false, error: 'commandId no corresponde a esta tablet' });
+        }
+    }
+
+    let metadata = null;
+    try {
+        metadata = req.get('X-Upload-Metadata') ? JSON.parse(req.get('X-Upload-Metadata')) : null;
+    } catch (err) {
+        return res.status(400).json({ success: false, error: 'X-Upload-Metadata debe ser JSON' });
+    }
+
+    const upload = await uploads.save(req.tabletId, {
+        kind,
+        contentType,
+        buffer: req.body,
+        filename,
+        commandId: commandId || null,
+        metadata
+    });
+    if (!upload) {
+        return res.status(500).json({ success: false, error: 'No se pudo guardar el archivo' });
+    }
+
+    activity.record(req.tabletId, 'info', 'upload', `${kind === 'screenshot' ? 'Captura' : 'Diagnóstico'} recibido`,
+        { uploadId: upload.id, sizeBytes: upload.size_bytes });
+    emitTabletEvent(upload.tablet_id, 'upload-received', upload);
+    res.status(201).json({ success: true, upload });
+});
+
+// Pedir a una tablet que suba un archivo. La tablet recibe en params.upload la
+// ruta y la clase; con "wait" se responde con el archivo cuando confirma el comando
+async function requestUpload(req, res, kind, command, queue) {
+    const tabletId = req.params.id;
+    const { params, timeoutSeconds } = req.body || {};
+    const wait = req.query.wait === 'true' || req.body?.wait === true;
+    const timeoutMs = timeoutSeconds ? timeoutSeconds * 1000 : commands.defaultTimeoutMs;
+
+    const invalid = CommandDispatcher.validateOptions({ timeoutSeconds });
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const sent = await commands.dispatch({
+        tabletId,
+        command,
+        params: { ...params, upload: { path: '/api/device/uploads', kind, maxBytes: uploads.maxBytes } },
+        operatorId: req.operator.id,
+        sourceIp: req.ip,
+        timeoutMs,
+        queue
+    });
+
+    if (!sent) {
+        return res.status(404).json({ success: false, error: 'Tablet no encontrada o desconectada' });
+    }
+    if (!wait || sent.status === 'queued') {
+        return res.status(sent.status === 'queued' ? 202 : 200).json({ success: true, commandId: sent.id, status: sent.status });
+    }
+
+    const result = await commands.waitForResult(sent.id, timeoutMs + 1000);
+    const upload = await db.getUploadByCommand(sent.id);
+    res.status(upload ? 200 : 202).json({ success: true, commandId: sent.id, command: result, upload });
+}
+
+// Captura de pantalla: solo a tablets conectadas (una captura atrasada no sirve)
+app.post('/api/tablet/:id/screenshot', requireOperator, tabletAccess(), (req, res) => {
+    return requestUpload(req, res, 'screenshot', 'screenshot', false);
+});
+
+// Paquete de diagnóstico (logcat, etc.): se encola si la tablet está desconectada
+app.post('/api/tablet/:id/diagnostics', requireOperator, tabletAccess(), (req, res) => {
+    return requestUpload(req, res, 'diagnostic', 'collect-diagnostics', true);
+});
+
+// Archivos subidos por una tablet (?kind=screenshot|diagnostic)
+app.get('/api/tablet/:id/uploads', requireViewer, tabletAccess(), async (req, res) => {
+    const list = await db.getUploads(req.params.id, {
+        kind: req.query.kind || null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    });
+    res.json({ success: true, count: list.length, uploads: list });
+});
+
+const uploadAccess = requireScope(async req => {
+    const upload = isUuid(req.params.id) ? await db.getUpload(req.params.id) : null;
+    return upload && organizations.resolve(upload.tablet_id);
+}, 'Archivo no encontrado');
+
+app.get('/api/uploads/:id', requireViewer, uploadAccess, async (req, res) => {
+    const upload = isUuid(req.params.id) ? await db.getUpload(req.params.id) : null;
+    if (upload) {
+        res.json({ success: true, upload });
+    } else {
+        res.status(404).json({ success: false, error: 'Archivo no encontrado' });
+    }
+});
+
+// Contenido del archivo: las capturas se muestran en línea, los diagnósticos se descargan
+app.get('/api/uploads/:id/file', requireViewer, uploadAccess, async (req, res) => {
+    const upload = isUuid(req.params.id) ? await db.getUpload(req.params.id) : null;
+    if (!upload) {
+        return res.status(404).json({ success: false, error: 'Archivo no encontrado' });
+    }
+    
+    const name = upload.filename || path.basename(upload.path);
+    res.set('Content-Disposition', `${upload.kind === 'screenshot' ? 'inline' : 'attachment'}; filename="${name.replace(/"/g, '')}"`);
+    res.type(upload.content_type);
+    res.sendFile(uploads.absolutePath(upload), (err) => {
+        if (err && !res.headersSent) {
+            res.status(404).json({ success: false, error: 'Archivo no disponible en disco' });
+        }
+    });
+});
+
+app.delete('/api/uploads/:id', requireOperator, uploadAccess, async (req, res) => {
+    const upload = isUuid(req.params.id) ? await uploads.remove(req.params.id) : null;
+    if (upload) {
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Archivo no encontrado' });
+    }
+});
+
+// Catálogo de versiones de la app kiosko
+app.get('/api/releases', requireViewer, async (req, res) => {
+    const list = await db.getReleases();
+    res.json({ success: true, count: list.length, releases: list });
+});
+
+app.get('/api/releases/:id', requireViewer, async (req, res) => {
+    const release = await db.getRelease(parseInt(req.params.id, 10) || 0);
+    if (release) {
+        res.json({ success: true, release });
+    } else {
+        res.status(404).json({ success: false, error: 'Versión no encontrada' });
+    }
+});
+
+// Publicar una versión: el cuerpo es el APK y los datos van en la query
+// (?versionName=1.4.0&versionCode=140&notes=...)
+app.post('/api/releases', requirePlatformAdmin, async (req, res, next) => {
+    const versionName = req.query.versionName;
+    const versionCode = parseInt(req.query.versionCode, 10);
+    const invalid = ReleaseStore.validate({ versionName, versionCode });
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    if (parseInt(req.get('Content-Length'), 10) > releases.maxBytes) {
+        return res.status(413).json({ success: false, error: ReleaseStore.tooLarge(releases.maxBytes).message });
+    }
+    if ((await db.getReleases()).some(release => release.version_code === versionCode)) {
+        return res.status(409).json({ success: false, error: `Ya existe una versión con código ${versionCode}` });
+    }
+
+    try {
+        const release = await releases.save(req, {
+            versionName,
+            versionCode,
+            filename: req.query.filename,
+            notes: req.query.notes,
+            createdBy: req.operator.id
+        });
+        if (release) {
+            res.status(201).json({ success: true, release });
+        } else {
+            res.status(400).json({ success: false, error: 'Paquete vacío o versión duplicada' });
+        }
+    } catch (err) {
+        if (err.code !== 'TOO_LARGE') return next(err);
+        res.status(413).json({ success: false, error: err.message });
+    }
+});
+
+app.delete('/api/releases/:id', requirePlatformAdmin, async (req, res) => {
+    const releaseId = parseInt(req.params.id, 10) || 0;
+    if (!await db.getRelease(releaseId)) {
+        return res.status(404).json({ success: false, error: 'Versión no encontrada' });
+    }
+    
+    if (await releases.remove(releaseId)) {
+        res.json({ success: true });
+    } else {
+        res.status(409).json({ success: false, error: 'La versión tiene despliegues y no se puede eliminar' });
+    }
+});
+
+// Descarga del APK por la tablet (credencial del dispositivo en cabeceras)
+app.get('/api/device/releases/:id/apk', deviceAuth.requireDevice(), async (req, res) => {
+    const release = await db.getRelease(parseInt(req.params.id, 10) || 0);
+    if (!release) {
+        return res.status(404).json({ success: false, error: 'Versión no encontrada' });
+    }
+    
+    res.set('X-Checksum-Sha256', release.sha256.trim());
+    res.type('application/vnd.android.package-archive');
+    res.sendFile(releases.absolutePath(release), (err) => {
+        if (err && !res.headersSent) {
+            res.status(404).json({ success: false, error: 'Paquete no disponible en disco' });
+        }
+    });
+});
+
+// Despliegues por etapas
+app.get('/api/rollouts', requirePlatformViewer, async (req, res) => {
+    const list = await db.getRollouts({ status: req.query.status || null });
+    res.json({ success: true, count: list.length, rollouts: list });
+});
+
+app.get('/api/rollouts/:id', requirePlatformViewer, async (req, res) => {
+    const rolloutId = parseInt(req.params.id, 10) || 0;
+    const rollout = await db.getRollout(rolloutId);
+    if (!rollout) {
+        return res.status(404).json({ success: false, error: 'Despliegue no encontrado' });
+    }
+    res.json({ success: true, rollout, targets: await db.getRolloutTargets(rolloutId) });
+});
+
+// Crear despliegue: "releaseId", "tabletId" o "selector" (como en /api/broadcast),
+// "stages" en porcentajes acumulados (por defecto [100]), "failureThreshold" en %
+// y "autoAdvance" (por defecto true) para pasar de etapa sin intervención
+app.post('/api/rollouts', requirePlatformAdmin, async (req, res) => {
+    const { releaseId, tabletId, selector, stages = [100], failureThreshold = 20, autoAdvance = true } = req.body || {};
+    const target = tabletId ? parseSelector({ tabletIds: [tabletId] }) : parseSelector(selector);
+    
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Indica tabletId o un selector con criterios' });
+    }
+    const invalid = RolloutManager.validateStages(stages);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    if (typeof failureThreshold !== 'number' || failureThreshold <= 0 || failureThreshold > 100) {
+        return res.status(400).json({ success: false, error: 'failureThreshold debe ser un porcentaje entre 0 y 100' });
+    }
+    const release = await db.getRelease(parseInt(releaseId, 10) || 0);
+    if (!release) {
+        return res.status(400).json({ success: false, error: 'Versión no encontrada' });
+    }
+    
+    const created = await rollouts.create({
+        release,
+        tabletIds: await db.resolveTabletSelector(target),
+        selector: target,
+        stages,
+        failureThreshold,
+        autoAdvance: autoAdvance !== false,
+        createdBy: req.operator.id
+    });
+    if (!created) {
+        return res.status(500).json({ success: false, error: 'No se pudo crear el despliegue' });
+    }
+    if (!created.rollout) {
+        return res.status(409).json({ success: false, error: 'Ninguna tablet del selector necesita esta versión', skipped: created.skipped });
+    }
+    res.status(201).json({ success: true, ...created });
+});
+
+// Acciones sobre un despliegue: advance (abrir la siguiente etapa), pause,
+// resume (reintenta las fallidas si estaba detenido) y cancel
+app.post('/api/rollouts/:id/:action(advance|pause|resume|cancel)', requirePlatformAdmin, async (req, res) => {
+    const rollout = await rollouts[req.params.action](parseInt(req.params.id, 10) || 0);
+    if (rollout) {
+        res.json({ success: true, rollout });
+    } else {
+        res.status(409).json({ success: false, error: 'Despliegue no encontrado o en un estado que no admite la acción' });
+    }
+});
+
+// Disponibilidad de las tablets del operador en la ventana ?from y ?to (por defecto
+// los últimos 7 días), de menor a mayor
+app.get('/api/availability', requireViewer, async (req, res) => {
+    const window = Presence.parseWindow(req.query);
+    if (window.error) {
+        return res.status(400).json({ success: false, error: window.error });
+    }
+    
+    const tablets = (await presence.availability(window, null, OperatorAuth.scope(req.operator)))
+        .sort((a, b) => (a.availability ?? 100) - (b.availability ?? 100));
+    res.json({
+        success: true,
+        from: window.from.toISOString(),
+        to: window.to.toISOString(),
+        count: tablets.length,
+        tablets
+    });
+});
+
+// Actividad con filtros (?tabletId, level=error,warning, source, category, from, to, q)
+// y paginación por cursor: ?cursor=<nextCursor de la página anterior>
+app.get('/api/activity', requireViewer, async (req, res) => {
+    const { filter, error } = ActivityLog.parseFilter(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    filter.organizationId = OperatorAuth.isPlatform(req.operator)
+        ? parseInt(req.query.organizationId, 10) || null
+        : req.operator.organizationId;
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+        return res.status(400).json({ success: false, error: 'from y to deben ser fechas ISO válidas' });
+    }
+    const before = req.query.cursor ? parseInt(req.query.cursor, 10) : null;
+    if (Number.isNaN(before)) {
+        return res.status(400).json({ success: false, error: 'cursor inválido' });
+    }
+
+    const page = await activity.search(filter, {
+        from: from && from.toISOString(),
+        to: to && to.toISOString(),
+        before,
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json({ success: true, count: page.entries.length, ...page });
+});
+
+// Uso de cada organización: tablets (registradas y conectadas), sedes, operadores,
+// comandos (hoy y últimos 30 días) y actividad de hoy
+async function organizationUsage(organizationId = null) {
+    const connectedIds = (await presence.connected()).map(tablet => tablet.id);
+    const rows = await db.getOrganizationUsage(connectedIds, organizationId);
+
+    return rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        slug: row.slug,
+        tablets: row.tablets,
+        onlineTablets: row.online_tablets,
+        decommissioned: row.decommissioned,
+        sites: row.sites,
+        operators: row.operators,
+        commandsToday: row.commands_today,
+        commandsLast30Days: row.commands_last_30_days,
+        activityToday: row.activity_today
+    }));
+}
+
+// Estadísticas de todo el despliegue, con el detalle de cada nodo y el uso de cada
+// organización. Los operadores de una organización solo ven la suya
+app.get('/api/stats', requireViewer, async (req, res) => {
+    if (!OperatorAuth.isPlatform(req.operator)) {
+        const [usage] = await organizationUsage(req.operator.organizationId);
+        return res.json({
+            success: true,
+            stats: {
+                totalTablets: usage?.tablets ?? 0,
+                onlineTablets: usage?.onlineTablets ?? 0,
+                organizations: usage ? [usage] : [],
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    const nodes = await cluster.nodes();
+    const connected = nodes.reduce((total, node) => total + node.tablets, 0);
+    const usage = await organizationUsage();
+    const stats = {
+        totalTablets: usage.reduce((total, organization) => total + organization.tablets, 0),
+        onlineTablets: connected,
+        dashboards: nodes.reduce((total, node) => total + node.dashboards, 0),
+        nodes,
+        organizations: usage,
+        database: { label: db.label, ...await db.getDatabaseInfo(), pool: db.poolStats() },
+        serverUptime: process.uptime(),
+        timestamp: new Date().toISOString()
+    };
+    res.json({ success: true, stats });
+});
+
+// Organizaciones: la plataforma las ve y gestiona todas; el resto solo ve la suya
+app.get('/api/organizations', requireViewer, async (req, res) => {
+    const list = (await db.getOrganizations(OperatorAuth.scope(req.operator))).map(Organizations.format);
+    res.json({ success: true, count: list.length, organizations: list });
+});
+
+app.get('/api/organizations/:id', requireViewer, async (req, res) => {
+    const organizationId = parseInt(req.params.id, 10) || 0;
+    const [organization] = OperatorAuth.canAccess(req.operator, organizationId)
+        ? await db.getOrganizations(organizationId)
+        : [];
+
+    if (organization) {
+        const sites = (await db.getSites(organization.id)).map(Organizations.formatSite);
+        res.json({ success: true, organization: Organizations.format(organization), sites });
+    } else {
+        res.status(404).json({ success: false, error: 'Organización no encontrada' });
+    }
+});
+
+// Crear organización: "name" y "slug" (minúsculas, números y guiones)
+app.post('/api/organizations', requirePlatformAdmin, async (req, res) => {
+    const { name, slug } = req.body || {};
+    const invalid = Organizations.validate({ name, slug });
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const organization = await db.createOrganization({ name, slug });
+    if (organization) {
+        console.log(`🏢 Organización creada: ${organization.name}`);
+        res.status(201).json({ success: true, organization: Organizations.format(organization) });
+    } else {
+        res.status(409).json({ success: false, error: 'No se pudo crear la organización (¿nombre o slug duplicado?)' });
+    }
+});
+
+app.patch('/api/organizations/:id', requirePlatformAdmin, async (req, res) => {
+    const { name, slug } = req.body || {};
+    const invalid = Organizations.validate({ name, slug }, true);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const organizationId = parseInt(req.params.id, 10) || 0;
+    const current = await db.getOrganization(organizationId);
+    if (!current) {
+        return res.status(404).json({ success: false, error: 'Organización no encontrada' });
+    }
+    // Los enrolamientos y grupos de la plataforma sin organización van a la predeterminada
+    if (current.slug === Organizations.DEFAULT_SLUG && slug !== undefined && slug !== current.slug) {
+        return res.status(400).json({ success: false, error: 'El slug de la organización predeterminada no se puede cambiar' });
+    }
+
+    const organization = await db.updateOrganization(organizationId, { name, slug });
+    if (organization) {
+        res.json({ success: true, organization: Organizations.format(organization) });
+    } else {
+        res.status(409).json({ success: false, error: 'No se pudo actualizar la organización (¿nombre o slug duplicado?)' });
+    }
+});
+
+// Solo se eliminan organizaciones sin tablets (se mueven antes con PATCH /api/tablet/:id).
+// Se borran con ellas sus sedes, grupos, operadores, programaciones y registros
+app.delete('/api/organizations/:id', requirePlatformAdmin, async (req, res) => {
+    const organization = await db.getOrganization(parseInt(req.params.id, 10) || 0);
+    if (!organization) {
+        return res.status(404).json({ success: false, error: 'Organización no encontrada' });
+    }
+    if (organization.slug === Organizations.DEFAULT_SLUG) {
+        return res.status(409).json({ success: false, error: 'La organización predeterminada no se puede eliminar' });
+    }
+
+    const result = await db.deleteOrganization(organization.id);
+    if (!result) {
+        return res.status(500).json({ success: false, error: 'No se pudo eliminar la organización' });
+    }
+    if (result.tablets) {
+        return res.status(409).json({
+            success: false,
+            error: `La organización tiene ${result.tablets} tablets: muévelas antes de eliminarla`
+        });
+    }
+    console.log(`🏢 Organización eliminada: ${organization.name}`);
+    res.json({ success: true });
+});
+
+// Sedes de las organizaciones (?organizationId= para la plataforma)
+app.get('/api/sites', requireViewer, async (req, res) => {
+    const organizationId = OperatorAuth.isPlatform(req.operator)
+        ? parseInt(req.query.organizationId, 10) || null
+        : req.operator.organizationId;
+    const sites = (await db.getSites(organizationId)).map(Organizations.formatSite);
+    res.json({ success: true, count: sites.length, sites });
+});
+
+const siteAccess = requireScope(
+    async req => (await db.getSite(parseInt(req.params.id, 10) || 0))?.organization_id,
+    'Sede no encontrada'
+);
+
+// Crear sede: "name", "address" opcional y, para la plataforma, "organizationId"
+app.post('/api/sites', requireAdmin, async (req, res) => {
+    const { name, address, organizationId } = req.body || {};
+    const invalid = Organizations.validateSite({ name, address });
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    if (OperatorAuth.isPlatform(req.operator) && (organizationId === undefined || organizationId === null)) {
+        return res.status(400).json({ success: false, error: 'organizationId requerido' });
+    }
+    const target = await targetOrganization(req.operator, organizationId);
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Organización no encontrada' });
+    }
+
+    const site = await db.createSite({ organizationId: target, name, address });
+    if (site) {
+        res.status(201).json({ success: true, site: Organizations.formatSite(site) });
+    } else {
+        res.status(409).json({ success: false, error: 'No se pudo crear la sede (¿nombre duplicado?)' });
+    }
 });
 
-process.on('SIGINT', () => {
+app.patch('/api/sites/:id', requireAdmin, siteAccess, async (req, res) => {
+    const { name, address } = req.body || {};
+    const invalid = Organizations.validateSite({ name, address }, true);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const site = await db.updateSite(parseInt(req.params.id, 10) || 0, { name, address });
+    if (site) {
+        res.json({ success: true, site: Organizations.formatSite(site) });
+    } else {
+        res.status(404).json({ success: false, error: 'Sede no encontrada' });
+    }
+});
+
+// Sus tablets quedan sin sede
+app.delete('/api/sites/:id', requireAdmin, siteAccess, async (req, res) => {
+    if (await db.deleteSite(parseInt(req.params.id, 10) || 0)) {
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ success: false, error: 'Sede no encontrada' });
+    }
+});
+
+// Métricas en formato Prometheus. Con METRICS_TOKEN se exige como token Bearer
+app.get('/metrics', async (req, res) => {
+    if (config.metrics.token && OperatorAuth.tokenFromRequest(req) !== config.metrics.token) {
+        return res.status(401).json({ success: false, error: 'No autenticado' });
+    }
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
+});
+
+// Vida del proceso: responde mientras el servidor y PostgreSQL respondan
+app.get('/healthz', async (req, res) => {
+    const latencyMs = await db.ping();
+    res.status(latencyMs === null ? 503 : 200).json({
+        status: latencyMs === null ? 'error' : 'ok',
+        checks: { database: { ok: latencyMs !== null, latencyMs } }
+    });
+});
+
+// Listo para recibir tráfico: arranque terminado, sin apagado en curso, nodo
+// anotado en el despliegue y PostgreSQL respondiendo
+app.get('/readyz', async (req, res) => {
+    const latencyMs = await db.ping();
+    const checks = {
+        started: { ok: started },
+        shutdown: { ok: !shuttingDown },
+        cluster: { ok: cluster.timer !== null, nodeId: cluster.id },
+        database: { ok: latencyMs !== null, latencyMs }
+    };
+    const ready = Object.values(checks).every(check => check.ok);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+// Cerrar la conexión activa de una tablet (p. ej. tras revocar su credencial),
+// esté en el nodo que esté
+async function disconnectTablet(tabletId) {
+    const location = await presence.locate(tabletId);
+    if (location) remoteDevice(location.socketId).disconnect();
+}
+
+// Servir el panel web
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
+// Manejo de errores
+app.use((err, req, res, next) => {
+    console.error('❌ Error del servidor:', err);
+    res.status(500).json({ success: false, error: 'Error interno del servidor' });
+});
+
+// 404 Handler
+app.use((req, res) => {
+    res.status(404).json({ success: false, error: 'Endpoint no encontrado' });
+});
+
+// Vencer comandos sin respuesta cada 5 minutos (las tablets inactivas las
+// detecta la presencia por latidos)
+setInterval(() => {
+    commands.expireStale();
+}, 5 * 60 * 1000);
+
+// Iniciar servidor: solo con el esquema de base de datos al día
+async function start() {
+    await db.ready;
+    const migrator = new Migrator(db);
+    
+    if (config.database.autoMigrate) {
+        await migrator.up();
+    }
+    
+    const pending = await migrator.pending();
+    if (pending.length > 0) {
+        console.error('❌ El esquema de la base de datos no está al día. Migraciones pendientes:');
+        pending.forEach(migration => console.error(`   - ${Migrator.describe(migration)}`));
+        console.error('💡 Ejecuta "npm run migrate" antes de iniciar el servidor');
+        process.exit(1);
+    }
+    
+    await operatorAuth.bootstrap();
+    await organizations.load();
+    
+    // Con varias instancias, los eventos de Socket.IO se reparten por PostgreSQL
+    if (config.cluster.adapter === 'postgres') {
+        io.adapter(await createAdapter(db, { heartbeatInterval: config.cluster.heartbeatIntervalMs }));
+        console.log('🔗 Adaptador de Socket.IO: PostgreSQL (LISTEN/NOTIFY)');
+    } else if (config.cluster.adapter !== 'none') {
+        console.error(`❌ CLUSTER_ADAPTER desconocido: ${config.cluster.adapter} (usa none o postgres)`);
+        process.exit(1);
+    }
+    const invalidCluster = ClusterNode.validate(config.cluster);
+    if (invalidCluster) {
+        console.error(`❌ ${invalidCluster}`);
+        process.exit(1);
+    }
+    
+    // Telemetría, alertas, retención y despliegues los arranca el nodo que los tenga asignados
+    await cluster.start();
+    presence.start();
+    commands.expireStale();
+    scheduler.start();
+    await webhooks.start();
+    eventStream.start();
+    
+    server.listen(PORT, '0.0.0.0', onListening);
+}
+
+function onListening() {
+    started = true;
+    console.log(`
+🎉 ¡SERVIDOR ACTIVO!
+=======================================
+🌐 Panel Web: http://${DOMAIN}:${PORT}
+📱 Tablets conecta a: ${DOMAIN}:${PORT}
+🗄️  Base de datos: ${db.label} (${db.name})
+⏰ Iniciado: ${new Date().toLocaleString()}
+=======================================
+    `);
+}
+
+start().catch(err => {
+    console.error('❌ No se pudo iniciar el servidor:', err.message);
+    process.exit(1);
+});
+
+// Manejo de señales del sistema
+async function shutdown() {
     console.log('🛑 Cerrando servidor...');
+    shuttingDown = true;
+    scheduler.stop();
+    presence.stop();
+    commands.stop();
+    webhooks.stop();
+    await remoteView.stop();
+    
+    // Las tablets de este nodo quedan offline hasta que se reconecten a otro
+    const lost = await cluster.stop();
+    lost.forEach(tabletId => emitTabletEvent(tabletId, 'tablet-offline', { id: tabletId, status: 'offline' }));
+    eventStream.stop();
+    notifier.close();
     server.close(() => {
         db.close();
         process.exit(0);
     });
-});
\ No newline at end of file
+}
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
\ No newline at end of file
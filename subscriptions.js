@@ -0,0 +1,120 @@
+// Sala de los paneles de la plataforma que siguen toda la flota (los de una
+// organización siguen su parte en "fleet:<id>")
+const FLEET_ROOM = 'fleet';
+
+// Sala de todos los paneles de la plataforma, sigan lo que sigan (avisos que no son
+// de una tablet, como los despliegues)
+const PLATFORM_ROOM = 'platform';
+
+const MAX_TABLETS = 1000;
+const MAX_GROUPS = 100;
+
+// Qué tablets sigue cada panel: toda la flota (por defecto) o tablets y grupos
+// concretos. Cada panel entra en la sala de la flota que le corresponde o en una
+// sala "tablet:<id>" por tablet, y los eventos de una tablet se emiten solo a esas
+// salas. Un operador de una organización solo puede seguir tablets de la suya
+class DashboardSubscriptions {
+    // getSockets() devuelve los sockets de panel de este nodo; organizationOf(tabletId)
+    // la organización de una tablet
+    constructor(db, options = {}) {
+        this.db = db;
+        this.getSockets = options.getSockets || (() => []);
+        this.organizationOf = options.organizationOf || (() => null);
+    }
+
+    static tabletRoom(tabletId) {
+        return `tablet:${tabletId}`;
+    }
+
+    // Sala de toda la flota visible para un operador (null: la plataforma)
+    static fleetRoom(organizationId) {
+        return organizationId ? `${FLEET_ROOM}:${organizationId}` : FLEET_ROOM;
+    }
+
+    // Salas que reciben los eventos de una tablet
+    static roomsFor(tabletId, organizationId = null) {
+        return [
+            FLEET_ROOM,
+            ...(organizationId ? [DashboardSubscriptions.fleetRoom(organizationId)] : []),
+            DashboardSubscriptions.tabletRoom(tabletId)
+        ];
+    }
+
+    // Validar { all: true } o { tabletIds?, groupIds? }. Devuelve { subscription } o { error }
+    static parse({ all, tabletIds, groupIds } = {}) {
+        if (all === true) {
+            return { subscription: { all: true, tabletIds: [], groupIds: [] } };
+        }
+        if (tabletIds !== undefined && (!Array.isArray(tabletIds) || tabletIds.length > MAX_TABLETS)) {
+            return { error: `tabletIds debe ser una lista (máximo ${MAX_TABLETS})` };
+        }
+        if (groupIds !== undefined && (!Array.isArray(groupIds) || groupIds.length > MAX_GROUPS
+            || groupIds.some(groupId => !Number.isInteger(groupId) || groupId <= 0))) {
+            return { error: `groupIds debe ser una lista de IDs de grupo (máximo ${MAX_GROUPS})` };
+        }
+        if (!tabletIds?.length && !groupIds?.length) {
+            return { error: 'Indica all: true, tabletIds o groupIds' };
+        }
+
+        return {
+            subscription: {
+                all: false,
+                tabletIds: [...new Set((tabletIds || []).map(String))],
+                groupIds: [...new Set(groupIds || [])]
+            }
+        };
+    }
+
+    // Cambiar las salas del panel según la suscripción. Los grupos se expanden a sus
+    // tablets actuales (refreshGroup los recalcula cuando cambian sus miembros) y se
+    // descartan las tablets de otras organizaciones
+    async apply(socket, subscription) {
+        const organizationId = socket.data.operator?.organizationId ?? null;
+
+        let tabletIds = [];
+        if (!subscription.all) {
+            tabletIds = organizationId
+                ? subscription.tabletIds.filter(tabletId => this.organizationOf(tabletId) === organizationId)
+                : [...subscription.tabletIds];
+            for (const groupId of subscription.groupIds) {
+                tabletIds.push(...await this.db.resolveTabletSelector({ groupId, organizationId }));
+            }
+            tabletIds = [...new Set(tabletIds)];
+        }
+
+        for (const room of socket.rooms) {
+            if (room !== socket.id && room !== PLATFORM_ROOM) socket.leave(room);
+        }
+        socket.join(subscription.all
+            ? DashboardSubscriptions.fleetRoom(organizationId)
+            : tabletIds.map(DashboardSubscriptions.tabletRoom));
+        socket.data.subscription = subscription;
+
+        return { ...subscription, resolvedTabletIds: subscription.all ? null : tabletIds };
+    }
+
+    // Recalcular los paneles de este nodo que siguen un grupo cuyos miembros cambiaron
+    async refreshGroup(groupId) {
+        for (const socket of this.getSockets()) {
+            const subscription = socket.data.subscription;
+            if (subscription && subscription.groupIds.includes(groupId)) {
+                await this.apply(socket, subscription);
+            }
+        }
+    }
+
+    // Recalcular los paneles de este nodo que siguen una tablet que cambió de organización
+    async refreshTablet(tabletId) {
+        const room = DashboardSubscriptions.tabletRoom(tabletId);
+        for (const socket of this.getSockets()) {
+            if (socket.data.subscription && socket.rooms.has(room)) {
+                await this.apply(socket, socket.data.subscription);
+            }
+        }
+    }
+}
+
+DashboardSubscriptions.FLEET_ROOM = FLEET_ROOM;
+DashboardSubscriptions.PLATFORM_ROOM = PLATFORM_ROOM;
+
+module.exports = DashboardSubscriptions;
@@ -0,0 +1,205 @@
+// Resoluciones automáticas para las series de métricas (segundos)
+const RESOLUTIONS = [60, 300, 900, 3600, 6 * 3600, 86400];
+const RESOLUTION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Puntos máximos por consulta de métricas
+const MAX_POINTS = 2000;
+
+// Un hueco mayor entre reportes no cuenta como tiempo en línea
+const MAX_ONLINE_GAP_MS = 5 * 60 * 1000;
+
+class Telemetry {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.sampleIntervalMs = options.sampleIntervalMs
+            || parseInt(process.env.TELEMETRY_SAMPLE_INTERVAL_MS, 10)
+            || 60000;
+        this.rawRetentionDays = options.rawRetentionDays
+            || parseInt(process.env.TELEMETRY_RAW_RETENTION_DAYS, 10)
+            || 7;
+        this.hourlyRetentionDays = options.hourlyRetentionDays
+            || parseInt(process.env.TELEMETRY_HOURLY_RETENTION_DAYS, 10)
+            || 180;
+        this.compactIntervalMs = options.compactIntervalMs || 60 * 60 * 1000;
+        this.timer = null;
+
+        // Último reporte de cada tablet: { at, storedAt, uptimeSeconds, currentUrl, onlineSeconds }
+        this.last = new Map();
+    }
+
+    // Segundos de actividad a partir de un número o de "HH:MM:SS", "D:HH:MM:SS" o "2d 03:04:05"
+    static parseUptime(value) {
+        if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+        if (typeof value !== 'string') return null;
+
+        const match = value.trim().match(/^(?:(\d+)[d:]\s*)?(\d+):([0-5]\d):([0-5]\d)$/);
+        if (!match) return null;
+
+        const [, days, hours, minutes, seconds] = match.map(part => parseInt(part || '0', 10));
+        return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+    }
+
+    static toNumber(value) {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // Extraer batería, memoria y red del objeto "stats" que envía la tablet.
+    // Acepta valores planos (batteryLevel, memoryUsedMb...) u objetos anidados
+    static extract(stats = {}) {
+        const battery = stats.battery && typeof stats.battery === 'object' ? stats.battery : {};
+        const memory = stats.memory && typeof stats.memory === 'object' ? stats.memory : {};
+        const network = stats.network && typeof stats.network === 'object' ? stats.network : {};
+        const charging = battery.charging ?? stats.charging;
+
+        return {
+            batteryLevel: Telemetry.toNumber(battery.level ?? stats.batteryLevel ?? stats.battery),
+            charging: typeof charging === 'boolean' ? charging : null,
+            memoryUsedMb: Telemetry.toNumber(memory.usedMb ?? memory.used ?? stats.memoryUsedMb),
+            memoryTotalMb: Telemetry.toNumber(memory.totalMb ?? memory.total ?? stats.memoryTotalMb),
+            networkType: (network.type ?? stats.networkType ?? (typeof stats.network === 'string' ? stats.network : null)) || null,
+            signalStrength: Telemetry.toNumber(network.signal ?? network.signalStrength ?? stats.signalStrength)
+        };
+    }
+
+    // Resolución en segundos: número o texto como "30s", "5m", "1h", "1d"
+    static parseResolution(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (/^\d+$/.test(String(value))) return parseInt(value, 10) || null;
+
+        const match = String(value).match(/^(\d+)([smhd])$/);
+        return match ? parseInt(match[1], 10) * RESOLUTION_UNITS[match[2]] || null : null;
+    }
+
+    // Resolución más fina que no supere los puntos razonables para una gráfica
+    static autoResolution(from, to) {
+        const seconds = (to - from) / 1000;
+        return RESOLUTIONS.find(resolution => seconds / resolution <= 500) || RESOLUTIONS[RESOLUTIONS.length - 1];
+    }
+
+    // Validar el rango de una consulta de métricas. Devuelve el error o null
+    static validateRange(from, to, resolution) {
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+            return 'from y to deben ser fechas ISO válidas';
+        }
+        if (from >= to) {
+            return 'from debe ser anterior a to';
+        }
+        if ((to - from) / 1000 / resolution > MAX_POINTS) {
+            return `Demasiados puntos: usa una resolución mayor o un rango menor (máximo ${MAX_POINTS})`;
+        }
+        return null;
+    }
+
+    // Procesar un reporte de estado (registro o tablet-status): guarda la muestra
+    // si toca y acumula tiempo en línea, cambios de URL y reinicios del día
+    async record(tablet, date = new Date()) {
+        const now = date.getTime();
+        const uptimeSeconds = Telemetry.parseUptime(tablet.uptime);
+        let previous = this.last.get(tablet.id);
+
+        // Tras reiniciar el servidor, la última muestra guardada sirve para detectar reinicios
+        if (!previous) {
+            const sample = await this.db.getLatestTabletSample(tablet.id);
+            previous = {
+                at: null,
+                storedAt: 0,
+                uptimeSeconds: sample ? sample.uptime_seconds : null,
+                currentUrl: null,
+                onlineSeconds: 0
+            };
+        }
+
+        const state = { ...previous, at: now, uptimeSeconds, currentUrl: tablet.currentUrl || previous.currentUrl };
+        const restarted = uptimeSeconds !== null && previous.uptimeSeconds !== null
+            && uptimeSeconds < previous.uptimeSeconds;
+
+        if (restarted) {
+            await this.db.updateDailyStats(tablet.id, 'restart');
+        }
+        if (previous.currentUrl && tablet.currentUrl && tablet.currentUrl !== previous.currentUrl) {
+            await this.db.updateDailyStats(tablet.id, 'url_change');
+        }
+
+        // El tiempo en línea se acumula en segundos y se guarda por minutos completos
+        if (previous.at && now - previous.at <= MAX_ONLINE_GAP_MS) {
+            state.onlineSeconds += (now - previous.at) / 1000;
+            const minutes = Math.floor(state.onlineSeconds / 60);
+            if (minutes > 0) {
+                state.onlineSeconds -= minutes * 60;
+                await this.db.updateDailyStats(tablet.id, 'uptime', minutes);
+            }
+        }
+
+        if (restarted || now - previous.storedAt >= this.sampleIntervalMs) {
+            const stored = await this.db.insertTabletSample(tablet.id, {
+                ...Telemetry.extract(tablet.stats),
+                uptimeSeconds,
+                sampledAt: new Date(now).toISOString()
+            });
+            if (stored) state.storedAt = now;
+        }
+
+        this.last.set(tablet.id, state);
+        return { restarted };
+    }
+
+    // Al desconectarse no se cuenta el tiempo hasta el siguiente reporte, pero se
+    // conserva el último uptime para detectar un reinicio al volver
+    markOffline(tabletId) {
+        const state = this.last.get(tabletId);
+        if (state) state.at = null;
+    }
+
+    // Serie de métricas de una tablet entre "from" y "to" (Date)
+    async metrics(tabletId, from, to, resolution = Telemetry.autoResolution(from, to)) {
+        const rows = await this.db.getTabletMetrics(tabletId, from.toISOString(), to.toISOString(), resolution);
+        if (!rows) return null;
+
+        const round = value => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+        return {
+            resolution,
+            points: rows.map(row => ({
+                time: new Date(row.time).toISOString(),
+                samples: row.samples,
+                battery: round(row.battery),
+                batteryMin: round(row.battery_min),
+                charging: row.charging,
+                memoryUsedMb: round(row.memory_used_mb),
+                memoryTotalMb: round(row.memory_total_mb),
+                memoryPercent: row.memory_used_mb !== null && row.memory_total_mb
+                    ? round(row.memory_used_mb / row.memory_total_mb * 100)
+                    : null,
+                networkType: row.network_type,
+                signalStrength: round(row.signal_strength),
+                uptimeSeconds: row.uptime_seconds
+            }))
+        };
+    }
+
+    // Pasar a agregados por hora las muestras que superan la retención cruda
+    async compact(date = new Date()) {
+        const before = new Date(date.getTime() - this.rawRetentionDays * 86400000);
+        before.setUTCMinutes(0, 0, 0);
+        const hourlyBefore = new Date(date.getTime() - this.hourlyRetentionDays * 86400000);
+
+        const result = await this.db.compactTabletSamples(before.toISOString(), hourlyBefore.toISOString());
+        if (result && result.samples > 0) {
+            console.log(`📉 ${result.samples} muestras de estado agregadas en ${result.hours} horas`);
+        }
+        return result;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.compact(), this.compactIntervalMs);
+        this.compact();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = Telemetry;
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { io } = require('socket.io-client');
+const { ADMIN, startServer, once } = require('./helpers');
+
+test('enrolamiento de tablets e inicio de sesión de operadores', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    await t.test('login con las credenciales del administrador inicial', async () => {
+        assert.strictEqual((await server.api('GET', '/api/tablets')).httpStatus, 401);
+        assert.strictEqual((await server.api('POST', '/api/auth/login',
+            { username: ADMIN.username, password: 'incorrecta' })).httpStatus, 401);
+
+        const token = await server.login();
+        assert.ok(token);
+        const me = await server.api('GET', '/api/auth/me', null, token);
+        assert.strictEqual(me.body.operator.username, ADMIN.username);
+        assert.strictEqual(me.body.operator.role, 'admin');
+    });
+
+    await t.test('un código de enrolamiento sirve una sola vez y da una credencial válida', async () => {
+        const token = await server.login();
+        const code = await server.api('POST', '/api/enrollment-codes', { tabletId: 'auth-1' }, token);
+        assert.strictEqual(code.httpStatus, 201);
+
+        const enrolled = await server.api('POST', '/api/enroll', { code: code.body.enrollment.code, tabletId: 'auth-1' });
+        assert.strictEqual(enrolled.httpStatus, 201);
+        assert.strictEqual(enrolled.body.credential.tabletId, 'auth-1');
+        assert.ok(enrolled.body.credential.token);
+
+        const reused = await server.api('POST', '/api/enroll', { code: code.body.enrollment.code, tabletId: 'auth-1' });
+        assert.strictEqual(reused.httpStatus, 400);
+
+        const tablet = await server.connectTablet(enrolled.body.credential);
+        assert.ok(tablet.connected);
+    });
+
+    await t.test('una tablet sin credencial válida no puede conectarse', async () => {
+        const socket = io(`${server.base}/devices`, {
+            auth: { tabletId: 'auth-1', deviceToken: 'falsa' },
+            reconnection: false
+        });
+        try {
+            const error = await once(socket, 'connect_error');
+            assert.ok(error);
+        } finally {
+            socket.close();
+        }
+    });
+});
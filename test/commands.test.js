@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, once, sleep } = require('./helpers');
+
+test('ciclo de vida de un comando', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await server.login();
+    const credential = await server.enroll(token, 'cmd-1');
+
+    // La tablet responde a cada comando recibido
+    const answer = socket => socket.on('remote-command', ({ id }) => {
+        socket.emit('command-executed', { id, success: true, message: 'ok' });
+    });
+
+    await t.test('envío a una tablet conectada con espera del resultado', async () => {
+        const tablet = await server.connectTablet(credential);
+        answer(tablet);
+
+        const sent = await server.api('POST', '/api/command/cmd-1?wait=true', { command: 'reload' }, token);
+        assert.strictEqual(sent.httpStatus, 200);
+        assert.strictEqual(sent.body.command.status, 'succeeded');
+        tablet.close();
+    });
+
+    await t.test('encolado sin conexión y entrega al volver a registrarse', async () => {
+        // Dar tiempo a que el servidor procese la desconexión anterior
+        await sleep(300);
+        const queued = await server.api('POST', '/api/command/cmd-1',
+            { command: 'reload', expiresInSeconds: 600 }, token);
+        assert.strictEqual(queued.httpStatus, 202);
+        assert.strictEqual(queued.body.status, 'queued');
+        const { commandId } = queued.body;
+
+        const pending = await server.api('GET', `/api/commands/${commandId}`, null, token);
+        assert.strictEqual(pending.body.command.status, 'queued');
+
+        const tablet = await server.connectTablet(credential);
+        const delivered = await once(tablet, 'remote-command');
+        assert.strictEqual(delivered.id, commandId);
+        tablet.emit('command-executed', { id: commandId, success: true, message: 'ok' });
+
+        let status;
+        for (let i = 0; i < 20 && status !== 'succeeded'; i++) {
+            await sleep(100);
+            status = (await server.api('GET', `/api/commands/${commandId}`, null, token)).body.command.status;
+        }
+        assert.strictEqual(status, 'succeeded');
+        tablet.close();
+    });
+
+    await t.test('plazos inválidos se rechazan antes de enviar', async () => {
+        for (const body of [{ expiresInSeconds: 'abc' }, { timeoutSeconds: -5 }, { timeoutSeconds: 1e12 }]) {
+            const sent = await server.api('POST', '/api/command/cmd-1', { command: 'reload', ...body }, token);
+            assert.strictEqual(sent.httpStatus, 400, JSON.stringify(body));
+        }
+        assert.strictEqual((await server.api('GET', '/readyz')).httpStatus, 200);
+    });
+});
@@ -0,0 +1,125 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const ADMIN = { username: 'admin', password: 'secreto-de-pruebas' };
+
+// Tiempo máximo para que el servidor arranque (PGlite aplica todas las migraciones)
+const START_TIMEOUT_MS = 60000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Puerto libre en la máquina
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Esperar un evento de un socket (null si no llega a tiempo)
+function once(socket, event, timeoutMs = 3000) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(null), timeoutMs);
+        socket.once(event, data => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+// Servidor completo en un proceso aparte con la base embebida en memoria. Cada
+// archivo de pruebas arranca el suyo para no compartir estado; "env" añade o
+// sustituye variables de entorno del servidor
+async function startServer(env = {}) {
+    const port = await freePort();
+    const base = `http://127.0.0.1:${port}`;
+    const output = [];
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            DB_DRIVER: 'memory',
+            DB_PATH: '',
+            PORT: String(port),
+            ADMIN_USERNAME: ADMIN.username,
+            ADMIN_PASSWORD: ADMIN.password,
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => output.push(chunk));
+    child.stderr.on('data', chunk => output.push(chunk));
+    const sockets = [];
+
+    async function api(method, url, body, token) {
+        const response = await fetch(base + url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const json = await response.json().catch(() => null);
+        return { httpStatus: response.status, body: json };
+    }
+
+    async function login(username = ADMIN.username, password = ADMIN.password) {
+        const { body } = await api('POST', '/api/auth/login', { username, password });
+        return body?.token || null;
+    }
+
+    // Enrolar una tablet con un código nuevo (de la organización indicada o la del operador)
+    async function enroll(token, tabletId, organizationId) {
+        const code = await api('POST', '/api/enrollment-codes', { tabletId, organizationId }, token);
+        const { body } = await api('POST', '/api/enroll', { code: code.body.enrollment.code, tabletId });
+        return body.credential;
+    }
+
+    // Conectar y registrar una tablet enrolada
+    async function connectTablet(credential, info = {}) {
+        const socket = io(`${base}/devices`, {
+            auth: { tabletId: credential.tabletId, deviceToken: credential.token },
+            reconnection: false
+        });
+        sockets.push(socket);
+        await once(socket, 'connect');
+        socket.emit('tablet-register', { name: credential.tabletId, ...info });
+        await once(socket, 'registered');
+        return socket;
+    }
+
+    async function stop() {
+        sockets.forEach(socket => socket.close());
+        if (child.exitCode !== null) return;
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+        await exited;
+        clearTimeout(timer);
+    }
+
+    const deadline = Date.now() + START_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) break;
+        try {
+            if ((await fetch(`${base}/readyz`)).ok) {
+                return { base, api, login, enroll, connectTablet, stop };
+            }
+        } catch (err) {
+            // Todavía no escucha
+        }
+        await sleep(250);
+    }
+
+    await stop();
+    throw new Error(`El servidor no arrancó:\n${Buffer.concat(output).toString()}`);
+}
+
+module.exports = { ADMIN, startServer, once, sleep };
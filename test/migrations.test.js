@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDatabase } = require('../database');
+const Migrator = require('../migrator');
+
+// Todas las migraciones se aplican, se revierten y se vuelven a aplicar sobre la base embebida
+test('migraciones hacia arriba, hacia abajo y otra vez hacia arriba', async () => {
+    const db = createDatabase({ driver: 'memory' });
+    try {
+        assert.ok(await db.ready, 'la base embebida no arrancó');
+        const migrator = new Migrator(db);
+        const total = migrator.list().length;
+
+        assert.strictEqual((await migrator.up()).length, total);
+        assert.strictEqual((await migrator.pending()).length, 0);
+
+        const reverted = await migrator.down(total);
+        assert.strictEqual(reverted.length, total);
+        assert.strictEqual((await migrator.pending()).length, total);
+        const left = await db.pool.query(`
+            SELECT table_name FROM information_schema.tables
+            WHERE table_schema = 'public' AND table_name <> 'schema_migrations'`);
+        assert.deepStrictEqual(left.rows, []);
+
+        assert.strictEqual((await migrator.up()).length, total);
+        assert.strictEqual((await migrator.pending()).length, 0);
+    } finally {
+        await db.close();
+    }
+});
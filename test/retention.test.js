@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDatabase } = require('../database');
+const Migrator = require('../migrator');
+const RetentionManager = require('../retention');
+
+test('archivo y restauración de filas vencidas', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiosko-archives-'));
+    const db = createDatabase({ driver: 'memory' });
+    t.after(async () => {
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    assert.ok(await db.ready, 'la base embebida no arrancó');
+    await new Migrator(db).up();
+
+    const retention = new RetentionManager(db, { dir });
+    const commandLogs = report => report.tables.find(entry => entry.table === 'command_logs');
+    const count = async () => (await db.pool.query('SELECT COUNT(*)::int AS total FROM command_logs')).rows[0].total;
+
+    await db.pool.query(`
+        INSERT INTO tablets (id, name, organization_id)
+        VALUES ('ret-1', 'ret-1', (SELECT id FROM organizations WHERE slug = 'default'))`);
+    await db.pool.query(`
+        INSERT INTO command_logs (tablet_id, command, status, timestamp, created_at, organization_id)
+        SELECT 'ret-1', 'reload', 'succeeded', NOW() - INTERVAL '200 days', NOW() - INTERVAL '200 days', organization_id
+        FROM tablets, generate_series(1, 3)`);
+    await db.pool.query(`
+        INSERT INTO command_logs (tablet_id, command, status, timestamp, organization_id)
+        SELECT 'ret-1', 'reload', 'succeeded', NOW(), organization_id FROM tablets`);
+
+    let file;
+
+    await t.test('run() archiva y borra las filas que superan el plazo', async () => {
+        const archived = commandLogs(await retention.run());
+        assert.strictEqual(archived.archived, 3);
+        assert.strictEqual(archived.deleted, 3);
+        assert.strictEqual(archived.files.length, 1);
+        assert.match(archived.files[0], /\.jsonl\.gz$/);
+        assert.ok(fs.existsSync(archived.files[0]));
+        assert.strictEqual(await count(), 1);
+
+        [{ file }] = (await retention.list()).filter(entry => entry.table === 'command_logs');
+    });
+
+    await t.test('las filas restauradas no se vuelven a archivar', async () => {
+        const restored = await retention.restore(file);
+        assert.deepStrictEqual(restored, { table: 'command_logs', rows: 3, restored: 3 });
+        assert.strictEqual(await count(), 4);
+
+        const again = commandLogs(await retention.run());
+        assert.deepStrictEqual([again.archived, again.deleted, again.files], [0, 0, []]);
+        assert.strictEqual(await count(), 4);
+        assert.strictEqual((await retention.list()).filter(entry => entry.table === 'command_logs').length, 1);
+    });
+
+    await t.test('las filas restauradas se borran al vencer el plazo desde la restauración', async () => {
+        // Dentro de 100 días vencen también el comando reciente (que sí se archiva) y las restauradas
+        const later = new Date(Date.now() + 100 * 86400000);
+        const expired = commandLogs(await retention.run(later));
+        assert.strictEqual(expired.archived, 1);
+        assert.strictEqual(expired.deleted, 4);
+        assert.strictEqual(expired.files.length, 1);
+        assert.strictEqual(await count(), 0);
+    });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, once, sleep } = require('./helpers');
+
+const VERSION = { name: '1.0.0', code: 100 };
+const RELEASE = { name: '2.0.0', code: 200 };
+
+test('despliegues por etapas', async (t) => {
+    const releaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiosko-releases-'));
+    // Evaluación frecuente para no esperar al intervalo por defecto
+    const server = await startServer({ RELEASE_DIR: releaseDir, ROLLOUT_INTERVAL_MS: '200' });
+    t.after(async () => {
+        await server.stop();
+        fs.rmSync(releaseDir, { recursive: true, force: true });
+    });
+    const token = await server.login();
+
+    const uploaded = await fetch(`${server.base}/api/releases?versionName=${RELEASE.name}&versionCode=${RELEASE.code}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream', Authorization: `Bearer ${token}` },
+        body: Buffer.from('apk de pruebas')
+    });
+    assert.strictEqual(uploaded.status, 201);
+    const release = (await uploaded.json()).release;
+
+    const connect = async (tabletId) => server.connectTablet(await server.enroll(token, tabletId), { appVersion: VERSION });
+    const create = async (tabletIds, options) => (await server.api('POST', '/api/rollouts',
+        { releaseId: release.id, selector: { tabletIds }, ...options }, token)).body.rollout;
+
+    // Esperar a que el despliegue cumpla la condición (null si no llega a tiempo)
+    const until = async (rolloutId, condition) => {
+        for (let i = 0; i < 30; i++) {
+            const { body } = await server.api('GET', `/api/rollouts/${rolloutId}`, null, token);
+            if (condition(body)) return body;
+            await sleep(100);
+        }
+        return null;
+    };
+    const targetStatus = (body, tabletId) => body.targets.find(target => target.tablet_id === tabletId).status;
+
+    await t.test('una instalación fallida por encima del umbral detiene el despliegue', async () => {
+        const first = await connect('halt-1');
+        const second = await connect('halt-2');
+        const firstInstall = once(first, 'remote-command');
+        const rollout = await create(['halt-1', 'halt-2'], { failureThreshold: 50 });
+        assert.strictEqual(rollout.status, 'active');
+
+        const install = await firstInstall;
+        assert.strictEqual(install.command, 'install-app');
+        assert.strictEqual(install.params.versionCode, RELEASE.code);
+        first.emit('command-executed', { id: install.id, success: false, message: 'Firma no válida' });
+
+        const halted = await until(rollout.id, body => body.rollout.status === 'halted');
+        assert.ok(halted, 'el despliegue no se detuvo');
+        assert.strictEqual(targetStatus(halted, 'halt-1'), 'failed');
+
+        // Reanudar reintenta la instalación fallida
+        const retry = once(first, 'remote-command');
+        const resumed = await server.api('POST', `/api/rollouts/${rollout.id}/resume`, null, token);
+        assert.strictEqual(resumed.body.rollout.status, 'active');
+        const retried = await retry;
+        assert.strictEqual(retried.command, 'install-app');
+        assert.notStrictEqual(retried.id, install.id);
+
+        first.emit('tablet-status', { appVersion: RELEASE });
+        second.emit('tablet-status', { appVersion: RELEASE });
+        const completed = await until(rollout.id, body => body.rollout.status === 'completed');
+        assert.ok(completed, 'el despliegue no terminó');
+        assert.strictEqual(targetStatus(completed, 'halt-1'), 'succeeded');
+    });
+
+    await t.test('las tablets desconectadas no frenan el paso a la siguiente etapa', async () => {
+        // Una tablet responde instalando la versión y la otra nunca se conecta
+        const online = await connect('stage-1');
+        online.on('remote-command', ({ command }) => {
+            if (command === 'install-app') online.emit('tablet-status', { appVersion: RELEASE });
+        });
+        await server.enroll(token, 'stage-2');
+
+        const rollout = await create(['stage-1', 'stage-2'], { stages: [50, 100] });
+        assert.deepStrictEqual(rollout.stages, [50, 100]);
+
+        const advanced = await until(rollout.id, body =>
+            body.rollout.current_stage === 1 && targetStatus(body, 'stage-1') === 'succeeded');
+        assert.ok(advanced, 'el despliegue no pasó a la segunda etapa');
+        assert.strictEqual(advanced.rollout.status, 'active');
+        assert.strictEqual(targetStatus(advanced, 'stage-2'), 'queued');
+    });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+test('aislamiento entre organizaciones', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const platform = await server.login();
+
+    const organization = async (name, slug) =>
+        (await server.api('POST', '/api/organizations', { name, slug }, platform)).body.organization;
+    const acme = await organization('Acme', 'acme');
+    const beta = await organization('Beta', 'beta');
+
+    await server.connectTablet(await server.enroll(platform, 'acme-1', acme.id));
+    await server.connectTablet(await server.enroll(platform, 'beta-1', beta.id));
+
+    const operator = async (username, organizationId) => {
+        await server.api('POST', '/api/operators',
+            { username, password: 'clave-de-pruebas', role: 'operator', organizationId }, platform);
+        return server.login(username, 'clave-de-pruebas');
+    };
+    const acmeToken = await operator('acme-op', acme.id);
+    const betaToken = await operator('beta-op', beta.id);
+
+    await t.test('/api/tablets solo lista las tablets de la organización', async () => {
+        const acmeList = await server.api('GET', '/api/tablets', null, acmeToken);
+        assert.deepStrictEqual(acmeList.body.tablets.map(tablet => tablet.id), ['acme-1']);
+        const betaList = await server.api('GET', '/api/tablets', null, betaToken);
+        assert.deepStrictEqual(betaList.body.tablets.map(tablet => tablet.id), ['beta-1']);
+
+        const all = await server.api('GET', '/api/tablets', null, platform);
+        assert.deepStrictEqual(all.body.tablets.map(tablet => tablet.id).sort(), ['acme-1', 'beta-1']);
+
+        assert.strictEqual((await server.api('GET', '/api/tablet/beta-1', null, acmeToken)).httpStatus, 404);
+    });
+
+    await t.test('/api/command no alcanza tablets de otra organización', async () => {
+        const foreign = await server.api('POST', '/api/command/beta-1', { command: 'reload' }, acmeToken);
+        assert.strictEqual(foreign.httpStatus, 404);
+
+        const own = await server.api('POST', '/api/command/acme-1', { command: 'reload' }, acmeToken);
+        assert.strictEqual(own.httpStatus, 200);
+        assert.strictEqual((await server.api('GET', `/api/commands/${own.body.commandId}`, null, betaToken)).httpStatus, 404);
+
+        const broadcast = await server.api('POST', '/api/broadcast',
+            { selector: { all: true }, command: 'reload' }, acmeToken);
+        assert.deepStrictEqual(broadcast.body.report.map(entry => entry.tabletId), ['acme-1']);
+    });
+
+    await t.test('/api/stats cuenta las tablets registradas de la organización o de todas', async () => {
+        const acmeStats = (await server.api('GET', '/api/stats', null, acmeToken)).body.stats;
+        assert.strictEqual(acmeStats.totalTablets, 1);
+        assert.deepStrictEqual(acmeStats.organizations.map(organization => organization.slug), ['acme']);
+
+        // Una tablet enrolada sin conectar cuenta como registrada pero no en línea
+        await server.enroll(platform, 'beta-2', beta.id);
+        const stats = (await server.api('GET', '/api/stats', null, platform)).body.stats;
+        assert.strictEqual(stats.totalTablets, 3);
+        assert.strictEqual(stats.onlineTablets, 2);
+        assert.strictEqual(stats.organizations.find(organization => organization.slug === 'beta').tablets, 2);
+    });
+
+    await t.test('los perfiles de configuración son de su organización y ocultan el hash del PIN', async () => {
+        const settings = { homeUrl: 'https://beta.example/', adminPin: '2468' };
+        const created = await server.api('POST', '/api/config-profiles',
+            { name: 'Base', settings, organizationId: beta.id }, platform);
+        assert.strictEqual(created.httpStatus, 201);
+        assert.match(created.body.profile.settings.adminPinHash, /^[0-9a-f]{64}$/);
+
+        const acmeList = await server.api('GET', '/api/config-profiles', null, acmeToken);
+        assert.deepStrictEqual(acmeList.body.profiles, []);
+        const profileUrl = `/api/config-profiles/${created.body.profile.id}`;
+        assert.strictEqual((await server.api('GET', profileUrl, null, acmeToken)).httpStatus, 404);
+
+        const betaProfile = await server.api('GET', profileUrl, null, betaToken);
+        assert.strictEqual(betaProfile.body.profile.settings.homeUrl, 'https://beta.example/');
+        assert.doesNotMatch(betaProfile.body.profile.settings.adminPinHash, /^[0-9a-f]{64}$/);
+    });
+});
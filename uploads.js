@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Tipos de contenido aceptados por clase de archivo y su extensión en disco
+const CONTENT_TYPES = {
+    screenshot: {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/webp': 'webp'
+    },
+    diagnostic: {
+        'text/plain': 'txt',
+        'application/zip': 'zip',
+        'application/gzip': 'gz',
+        'application/x-gzip': 'gz',
+        'application/json': 'json'
+    }
+};
+
+// Capturas y diagnósticos subidos por las tablets: archivo en disco
+// (UPLOAD_DIR/<tablet>/<id>.<ext>) y metadatos en la tabla uploads
+class UploadStore {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dir = path.resolve(options.dir || process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+        this.maxBytes = options.maxBytes
+            || (parseInt(process.env.UPLOAD_MAX_MB, 10) || 10) * 1024 * 1024;
+        this.retentionDays = options.retentionDays
+            || parseInt(process.env.UPLOAD_RETENTION_DAYS, 10)
+            || 30;
+        this.purgeIntervalMs = options.purgeIntervalMs || 60 * 60 * 1000;
+        this.timer = null;
+    }
+
+    static get kinds() {
+        return Object.keys(CONTENT_TYPES);
+    }
+
+    // Validar clase y tipo de contenido. Devuelve el error o null
+    static validate(kind, contentType) {
+        if (!CONTENT_TYPES[kind]) {
+            return `kind debe ser uno de: ${UploadStore.kinds.join(', ')}`;
+        }
+        if (!CONTENT_TYPES[kind][contentType]) {
+            return `Tipo de contenido no admitido para ${kind}: ${contentType || 'ninguno'}`;
+        }
+        return null;
+    }
+
+    // Tipo MIME sin parámetros (p. ej. "text/plain; charset=utf-8" -> "text/plain")
+    static baseType(contentType) {
+        return String(contentType || '').split(';')[0].trim().toLowerCase();
+    }
+
+    absolutePath(upload) {
+        return path.join(this.dir, upload.path);
+    }
+
+    async save(tabletId, { kind, contentType, buffer, filename, commandId, metadata }) {
+        const id = uuidv4();
+        const folder = tabletId.replace(/[^\w.-]/g, '_');
+        const relative = path.join(folder, `${id}.${CONTENT_TYPES[kind][contentType]}`);
+        const target = path.join(this.dir, relative);
+
+        // Escribir a un temporal y renombrar para no dejar archivos a medias
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(`${target}.tmp`, buffer);
+        await fs.promises.rename(`${target}.tmp`, target);
+
+        const upload = await this.db.createUpload({
+            id,
+            tabletId,
+            kind,
+            contentType,
+            sizeBytes: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            filename: filename ? path.basename(String(filename)).slice(0, 255) : null,
+            path: relative,
+            commandId,
+            metadata
+        });
+
+        if (!upload) {
+            await fs.promises.rm(target, { force: true });
+            return null;
+        }
+
+        console.log(`📎 ${kind} recibido de ${tabletId} (${Math.ceil(buffer.length / 1024)} KB)`);
+        return upload;
+    }
+
+    async remove(uploadId) {
+        const upload = await this.db.deleteUpload(uploadId);
+        if (upload) {
+            await fs.promises.rm(this.absolutePath(upload), { force: true });
+        }
+        return upload;
+    }
+
+    // Borrar archivos y registros más antiguos que la retención
+    async purge(date = new Date()) {
+        const before = new Date(date.getTime() - this.retentionDays * 86400000);
+        const removed = await this.db.deleteUploadsBefore(before.toISOString());
+
+        for (const upload of removed) {
+            await fs.promises.rm(this.absolutePath(upload), { force: true });
+        }
+        if (removed.length > 0) {
+            console.log(`🧹 ${removed.length} archivos subidos eliminados por antigüedad`);
+        }
+        return removed.length;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.purge(), this.purgeIntervalMs);
+        this.purge();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = UploadStore;
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+
+// Eventos de la flota que se publican hacia integraciones externas
+const EVENTS = ['tablet-online', 'tablet-offline', 'tablet-status-update', 'command-result'];
+
+// Espera máxima entre reintentos
+const MAX_RETRY_SECONDS = 3600;
+
+// Webhooks de integraciones: cada evento se guarda como una entrega por webhook
+// suscrito y se envía firmado con HMAC-SHA256. Los fallos se reintentan con espera
+// exponencial hasta agotar los intentos. Cualquier nodo puede enviar las entregas
+// pendientes (la reserva en la base evita envíos dobles). Las entregas de un mismo
+// lote salen en paralelo: el orden lo da el campo timestamp de cada evento
+class WebhookDispatcher {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.timeoutMs = options.timeoutMs
+            || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10)
+            || 5000;
+        this.maxAttempts = options.maxAttempts
+            || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10)
+            || 8;
+        this.retryBaseSeconds = options.retryBaseSeconds
+            || parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10)
+            || 30;
+        this.intervalMs = options.intervalMs
+            || parseInt(process.env.WEBHOOK_INTERVAL_MS, 10)
+            || 10000;
+        this.batchSize = 50;
+        // Margen para que un envío en curso no lo tome otro nodo
+        this.leaseSeconds = Math.ceil(this.timeoutMs / 1000) + 30;
+
+        // Eventos con algún webhook activo suscrito (el resto no toca la base)
+        this.subscribed = new Set();
+        this.current = null;
+        this.again = false;
+        this.timer = null;
+    }
+
+    static get events() {
+        return EVENTS;
+    }
+
+    // Validar un webhook (completo al crear, parcial al modificar). Devuelve el error o null
+    static validate({ name, url, events }, partial = false) {
+        if (!partial && !name) return 'Nombre requerido';
+        if (!partial || url !== undefined) {
+            try {
+                if (!['http:', 'https:'].includes(new URL(url).protocol)) throw new Error();
+            } catch (err) {
+                return 'url debe ser una URL http o https';
+            }
+        }
+        if ((!partial || events !== undefined)
+            && (!Array.isArray(events) || events.length === 0 || events.some(event => !EVENTS.includes(event)))) {
+            return `events debe ser una lista con alguno de: ${EVENTS.join(', ')}`;
+        }
+        return null;
+    }
+
+    static generateSecret() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    // Firma de una entrega: HMAC-SHA256 de "<timestamp>.<cuerpo>" con el secreto del
+    // webhook. El receptor la recalcula y descarta las marcas de tiempo antiguas
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    // Espera antes del siguiente intento: base, 2 × base, 4 × base... hasta una hora
+    static retryDelaySeconds(attempts, baseSeconds) {
+        return Math.min(baseSeconds * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+    }
+
+    // Webhook sin el secreto (solo se muestra al crearlo o al renovarlo)
+    static publicWebhook(webhook) {
+        if (!webhook) return null;
+        const { secret, ...rest } = webhook;
+        return rest;
+    }
+
+    // Releer a qué eventos hay suscripciones (al arrancar y cuando cambian los webhooks)
+    async refresh() {
+        this.subscribed = new Set(await this.db.getWebhookEvents());
+    }
+
+    // Encolar un evento { event, timestamp, data } para los webhooks suscritos
+    async publish(envelope) {
+        if (!this.subscribed.has(envelope.event)) return 0;
+
+        const count = await this.db.enqueueWebhookDeliveries(envelope.event, envelope);
+        if (count > 0) this.process();
+        return count;
+    }
+
+    // Enviar las entregas pendientes. Si ya hay un envío en curso, este repasa la
+    // cola otra vez al terminar
+    process() {
+        if (this.current) {
+            this.again = true;
+            return this.current;
+        }
+
+        this.current = this.run().finally(() => {
+            this.current = null;
+        });
+        return this.current;
+    }
+
+    async run() {
+        try {
+            do {
+                this.again = false;
+                const deliveries = await this.db.claimWebhookDeliveries(this.batchSize, this.leaseSeconds);
+                await Promise.all(deliveries.map(delivery => this.deliver(delivery)));
+                if (deliveries.length === this.batchSize) this.again = true;
+            } while (this.again);
+        } catch (err) {
+            console.error('❌ Error enviando webhooks:', err.message);
+        }
+    }
+
+    // Un intento de entrega (ya reservado y contado)
+    async deliver(delivery) {
+        const body = JSON.stringify({ id: String(delivery.id), ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000);
+        let responseStatus = null;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'kiosk-control-server',
+                    'X-Kiosk-Event': delivery.event,
+                    'X-Kiosk-Delivery': String(delivery.id),
+                    'X-Kiosk-Timestamp': String(timestamp),
+                    'X-Kiosk-Signature': `sha256=${WebhookDispatcher.sign(delivery.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            responseStatus = response.status;
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.db.finishWebhookDelivery(delivery.id, { status: 'delivered', responseStatus });
+        } catch (err) {
+            if (delivery.attempts >= this.maxAttempts) {
+                console.error(`❌ Webhook ${delivery.url}: entrega ${delivery.id} (${delivery.event}) descartada tras ${delivery.attempts} intentos:`, err.message);
+                return this.db.finishWebhookDelivery(delivery.id, { status: 'failed', responseStatus, error: err.message });
+            }
+
+            const retryInSeconds = WebhookDispatcher.retryDelaySeconds(delivery.attempts, this.retryBaseSeconds);
+            console.warn(`⚠️  Webhook ${delivery.url}: intento ${delivery.attempts} fallido (${err.message}), reintento en ${retryInSeconds}s`);
+            return this.db.finishWebhookDelivery(delivery.id, { status: 'pending', responseStatus, error: err.message, retryInSeconds });
+        }
+    }
+
+    // Evento "ping" para comprobar un webhook. Devuelve la entrega tras el primer intento
+    async test(webhook) {
+        const delivery = await this.db.createWebhookDelivery(webhook.id, 'ping', {
+            event: 'ping',
+            timestamp: new Date().toISOString(),
+            data: { webhookId: webhook.id, name: webhook.name }
+        });
+        if (!delivery) return null;
+
+        await this.process();
+        return this.db.getWebhookDelivery(delivery.id);
+    }
+
+    // Volver a enviar una entrega entregada o fallida
+    async redeliver(webhookId, deliveryId) {
+        const delivery = await this.db.retryWebhookDelivery(webhookId, deliveryId);
+        if (delivery) this.process();
+        return delivery;
+    }
+
+    async start() {
+        if (this.timer) return;
+
+        await this.refresh();
+        this.timer = setInterval(() => this.process(), this.intervalMs);
+        console.log(`🪝 Webhooks: ${this.subscribed.size} eventos con suscripciones, cola revisada cada ${Math.round(this.intervalMs / 1000)}s`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = WebhookDispatcher;